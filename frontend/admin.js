@@ -0,0 +1,535 @@
+const API_URL = window.location.origin;
+
+// The key lives for the browser tab only
+const KEY_STORAGE = 'asiaCupApiKey';
+
+// Player-line columns sent to PUT /api/match/:id/players, in table order
+const PLAYER_NUMBER_COLUMNS = ['Runs', 'BallsFaced', 'Fours', 'Sixes', 'BallsBowled', 'Maidens', 'RunsConceded',
+    'Wickets', 'Catches'];
+
+// DOM Elements
+const instanceStatus = document.getElementById('instance-status');
+const adminMessage = document.getElementById('admin-message');
+const loginSection = document.getElementById('login');
+const loginForm = document.getElementById('login-form');
+const consoleSection = document.getElementById('console');
+const signedInAs = document.getElementById('signed-in-as');
+const yearSelect = document.getElementById('year-select');
+const fixtureForm = document.getElementById('fixture-form');
+const fixtureTitle = document.getElementById('fixture-title');
+const fixtureCancel = document.getElementById('fixture-cancel');
+const fixturesContainer = document.getElementById('fixtures-container');
+const resultEditor = document.getElementById('result-editor');
+const resultForm = document.getElementById('result-form');
+const resultTitle = document.getElementById('result-title');
+const playersEditor = document.getElementById('players-editor');
+const playersForm = document.getElementById('players-form');
+const playersTitle = document.getElementById('players-title');
+const playersNote = document.getElementById('players-note');
+const playersRows = document.getElementById('players-rows');
+
+let apiKey = sessionStorage.getItem(KEY_STORAGE);
+let account = null;
+let seasons = [];
+let teams = [];
+let fixtures = [];
+let editingMatch = null;
+let resultMatch = null;
+let playersMatch = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+    await loadInstanceStatus();
+    if (apiKey) await signIn(apiKey);
+});
+
+function setupEventListeners() {
+    loginForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        signIn(loginForm.elements.key.value.trim());
+    });
+
+    document.getElementById('sign-out').addEventListener('click', signOut);
+    yearSelect.addEventListener('change', loadFixtures);
+    document.getElementById('recompute-standings').addEventListener('click', recomputeStandings);
+
+    fixtureForm.addEventListener('submit', saveFixture);
+    fixtureCancel.addEventListener('click', () => resetFixtureForm());
+    resultForm.addEventListener('submit', saveResult);
+    playersForm.addEventListener('submit', savePlayers);
+    document.getElementById('add-player').addEventListener('click', () => addPlayerRow());
+
+    document.querySelectorAll('.close-editor').forEach(button => {
+        button.addEventListener('click', () => {
+            resultEditor.hidden = true;
+            playersEditor.hidden = true;
+        });
+    });
+
+    // Row actions of the fixtures table
+    fixturesContainer.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const match = fixtures.find(m => m.MatchID === Number(button.dataset.matchId));
+        if (!match) return;
+
+        if (button.dataset.action === 'edit') editFixture(match);
+        if (button.dataset.action === 'result') openResult(match);
+        if (button.dataset.action === 'players') openPlayers(match);
+        if (button.dataset.action === 'delete') deleteFixture(match);
+    });
+}
+
+// Whether this instance can take writes: primaries save them, secondaries
+// forward them to the primary when PRIMARY_URL is set and refuse them otherwise
+async function loadInstanceStatus() {
+    try {
+        // Degraded instances answer 503 with the same report
+        const health = await (await fetch(`${API_URL}/api/health`)).json();
+        const { role, region, writes } = health.app;
+        const where = `${role.toUpperCase()} | Region: ${region}`;
+
+        if (writes === 'direct') {
+            instanceStatus.innerHTML = `<i class="fas fa-server"></i> ${where} | 🟢 Changes are saved here`;
+        } else if (writes === 'forwarded') {
+            instanceStatus.innerHTML = `<i class="fas fa-server"></i> ${where} | 🟡 Read-only secondary: changes are forwarded to the primary`;
+        } else {
+            const why = health.database.connected ? 'read-only secondary' : 'database unavailable';
+            instanceStatus.innerHTML = `<i class="fas fa-server"></i> ${where} | 🔴 Changes cannot be saved (${why})`;
+        }
+        document.body.classList.toggle('writes-unavailable', writes === 'unavailable');
+    } catch (error) {
+        console.error('Status check failed:', error);
+        instanceStatus.innerHTML = '<i class="fas fa-server"></i> 🔴 Server unreachable';
+        document.body.classList.add('writes-unavailable');
+    }
+}
+
+// Sends a request with the API key. Writes carry a fresh Idempotency-Key so a
+// retried request (e.g. forwarded from a secondary) is applied only once.
+async function api(method, path, body) {
+    const headers = { Authorization: `Bearer ${apiKey}` };
+    if (method !== 'GET') {
+        headers['Content-Type'] = 'application/json';
+        headers['Idempotency-Key'] = window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+}
+
+// Authentication
+async function signIn(key) {
+    try {
+        apiKey = key;
+        const result = await api('GET', '/api/auth/me');
+        if (!result.ok) {
+            sessionStorage.removeItem(KEY_STORAGE);
+            showFieldErrors(loginForm, { key: result.status === 401 ? 'This key was not recognised' : result.data.error });
+            return;
+        }
+
+        sessionStorage.setItem(KEY_STORAGE, key);
+        account = result.data.data;
+        showFieldErrors(loginForm, {});
+        loginForm.reset();
+        loginSection.hidden = true;
+        consoleSection.hidden = false;
+        signedInAs.textContent = `${account.name} (${account.role})`;
+
+        // Scorers enter results and player lines; fixtures and recomputes need an admin
+        document.querySelectorAll('[data-role="admin"]').forEach(element => {
+            element.hidden = account.role !== 'admin';
+        });
+
+        await Promise.all([loadSeasons(), loadTeams()]);
+        resetFixtureForm();
+        await loadFixtures();
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        showMessage('Could not reach the server. Please try again.', 'error');
+    }
+}
+
+function signOut() {
+    sessionStorage.removeItem(KEY_STORAGE);
+    apiKey = null;
+    account = null;
+    consoleSection.hidden = true;
+    loginSection.hidden = false;
+    hideMessage();
+}
+
+// Reference data
+async function loadSeasons() {
+    const response = await fetch(`${API_URL}/api/seasons`);
+    const data = await response.json();
+    seasons = data.data;
+
+    const options = seasons.map(season => `
+        <option value="${season.SeasonYear}" ${season.SeasonYear === data.current ? 'selected' : ''}>
+            ${season.Name}
+        </option>
+    `).join('');
+    yearSelect.innerHTML = options;
+    document.getElementById('fixture-season').innerHTML = options;
+}
+
+async function loadTeams() {
+    const response = await fetch(`${API_URL}/api/teams`);
+    teams = (await response.json()).data;
+
+    document.querySelectorAll('.team-select').forEach(select => {
+        select.innerHTML = '<option value="">Choose a team</option>' +
+            teams.map(team => `<option value="${escapeHtml(team.Name)}">${escapeHtml(team.Name)}</option>`).join('');
+    });
+}
+
+// Fixtures of the selected season
+async function loadFixtures() {
+    try {
+        fixturesContainer.innerHTML = '<div class="loading">Loading fixtures...</div>';
+
+        const params = new URLSearchParams({ season: yearSelect.value, pageSize: 200, sort: 'MatchDate,StartTime' });
+        const response = await fetch(`${API_URL}/api/group-matches?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch fixtures');
+
+        fixtures = (await response.json()).data;
+        updateSuggestions();
+        displayFixtures();
+    } catch (error) {
+        console.error('Error loading fixtures:', error);
+        fixturesContainer.innerHTML = '<div class="error-message">Failed to load fixtures</div>';
+    }
+}
+
+// Venues and stages already in use, offered while typing
+function updateSuggestions() {
+    const optionsOf = values => [...new Set(values.filter(Boolean))].sort()
+        .map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+    document.getElementById('venue-options').innerHTML = optionsOf(fixtures.map(match => match.Venue));
+    document.getElementById('stage-options').innerHTML = optionsOf(fixtures.map(match => match.Stage));
+}
+
+function displayFixtures() {
+    if (fixtures.length === 0) {
+        fixturesContainer.innerHTML = '<div class="no-data">No fixtures in this season yet</div>';
+        return;
+    }
+
+    const isAdmin = account.role === 'admin';
+    fixturesContainer.innerHTML = `
+        <table class="admin-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Date</th>
+                    <th>Match</th>
+                    <th>Venue</th>
+                    <th>Stage</th>
+                    <th>Status</th>
+                    <th>Result</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${fixtures.map(match => `
+                    <tr>
+                        <td>${match.MatchID}</td>
+                        <td>${dateValue(match.MatchDate)} ${venueTime(match)}</td>
+                        <td>${escapeHtml(match.Team1)} vs ${escapeHtml(match.Team2)}</td>
+                        <td>${escapeHtml(match.Venue || '')}</td>
+                        <td>${escapeHtml(match.Stage || '')}</td>
+                        <td>${match.Status}</td>
+                        <td>${escapeHtml(match.Result || '')}</td>
+                        <td class="row-actions">
+                            ${isAdmin ? `<button class="admin-button" data-action="edit" data-match-id="${match.MatchID}">Edit</button>` : ''}
+                            <button class="admin-button" data-action="result" data-match-id="${match.MatchID}">Result</button>
+                            <button class="admin-button" data-action="players" data-match-id="${match.MatchID}">Players</button>
+                            ${isAdmin ? `<button class="admin-button danger" data-action="delete" data-match-id="${match.MatchID}">Delete</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Fixture form: creates a fixture, or replaces every field of the one being edited
+function resetFixtureForm(match = null) {
+    editingMatch = match;
+    fixtureForm.reset();
+    showFieldErrors(fixtureForm, {});
+    fixtureTitle.textContent = match ? `EDIT MATCH ${match.MatchID}` : 'NEW FIXTURE';
+    fixtureCancel.hidden = !match;
+
+    const fields = fixtureForm.elements;
+    fields.SeasonYear.value = match ? match.SeasonYear : yearSelect.value;
+    if (match) {
+        fields.MatchDate.value = dateValue(match.MatchDate);
+        fields.StartTime.value = venueTime(match);
+        fields.Team1.value = match.Team1;
+        fields.Team2.value = match.Team2;
+        fields.Venue.value = match.Venue || '';
+        fields.Stage.value = match.Stage || '';
+        fields.Status.value = match.Status;
+    }
+}
+
+function editFixture(match) {
+    resetFixtureForm(match);
+    fixtureForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveFixture(event) {
+    event.preventDefault();
+    const fields = fixtureForm.elements;
+    const body = {
+        SeasonYear: Number(fields.SeasonYear.value),
+        MatchDate: fields.MatchDate.value,
+        // Wall-clock time at the venue; the server applies the venue's time zone
+        StartTime: fields.StartTime.value ? `${fields.MatchDate.value}T${fields.StartTime.value}` : null,
+        Team1: fields.Team1.value,
+        Team2: fields.Team2.value,
+        Venue: fields.Venue.value.trim() || null,
+        Stage: fields.Stage.value.trim() || null,
+        Status: fields.Status.value
+    };
+
+    const result = editingMatch
+        ? await submit(fixtureForm, 'PUT', `/api/match/${editingMatch.MatchID}`, body)
+        : await submit(fixtureForm, 'POST', '/api/match', body);
+    if (!result) return;
+
+    showMessage(editingMatch ? `Match ${editingMatch.MatchID} updated` : `Fixture added (match ${result.data.MatchID})`, 'success');
+    resetFixtureForm();
+    await loadFixtures();
+}
+
+async function deleteFixture(match) {
+    const confirmed = window.confirm(
+        `Delete match ${match.MatchID} (${match.Team1} vs ${match.Team2})? Its scores and player lines are deleted too.`
+    );
+    if (!confirmed) return;
+
+    const result = await submit(null, 'DELETE', `/api/match/${match.MatchID}`);
+    if (!result) return;
+
+    showMessage(`Match ${match.MatchID} deleted`, 'success');
+    if (editingMatch && editingMatch.MatchID === match.MatchID) resetFixtureForm();
+    await loadFixtures();
+}
+
+// Result form
+function openResult(match) {
+    resultMatch = match;
+    playersEditor.hidden = true;
+    resultForm.reset();
+    showFieldErrors(resultForm, {});
+    resultTitle.textContent = `${match.Team1} vs ${match.Team2}`;
+
+    document.getElementById('result-winner').innerHTML = `
+        <option value="">No winner</option>
+        <option value="${escapeHtml(match.Team1)}">${escapeHtml(match.Team1)}</option>
+        <option value="${escapeHtml(match.Team2)}">${escapeHtml(match.Team2)}</option>
+    `;
+    const fields = resultForm.elements;
+    if (['completed', 'abandoned', 'no_result'].includes(match.Status)) fields.Status.value = match.Status;
+    fields.Winner.value = match.Winner || '';
+    fields.Tied.checked = /tied/i.test(match.Result || '');
+    fields.Result.value = match.Result || '';
+
+    resultEditor.hidden = false;
+    resultEditor.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveResult(event) {
+    event.preventDefault();
+    const fields = resultForm.elements;
+    const body = {
+        Status: fields.Status.value,
+        Winner: fields.Winner.value || null,
+        Tied: fields.Tied.checked
+    };
+    if (fields.Result.value.trim()) body.Result = fields.Result.value.trim();
+
+    const result = await submit(resultForm, 'POST', `/api/match/${resultMatch.MatchID}/result`, body);
+    if (!result) return;
+
+    showMessage(`Result saved: ${result.data.Result}`, 'success');
+    resultEditor.hidden = true;
+    await loadFixtures();
+}
+
+// Player lines: the whole list of a match is edited and saved at once
+async function openPlayers(match) {
+    playersMatch = match;
+    resultEditor.hidden = true;
+    playersTitle.textContent = `${match.Team1} vs ${match.Team2}`;
+    playersRows.innerHTML = '';
+    playersNote.textContent = 'Loading player lines...';
+    playersEditor.hidden = false;
+    playersEditor.scrollIntoView({ behavior: 'smooth' });
+
+    const result = await api('GET', `/api/match/${match.MatchID}/players`);
+    if (!result.ok) {
+        playersNote.textContent = result.data.error || 'Failed to load player lines';
+        return;
+    }
+
+    playersNote.textContent = 'Season totals are recalculated from these lines when you save.';
+    result.data.data.forEach(line => addPlayerRow(line));
+    if (result.data.data.length === 0) addPlayerRow();
+}
+
+function addPlayerRow(line = {}) {
+    const teamOptions = [playersMatch.Team1, playersMatch.Team2].map(team => `
+        <option value="${escapeHtml(team)}" ${line.Team === team ? 'selected' : ''}>${escapeHtml(team)}</option>
+    `).join('');
+    const number = column => `<td><input type="number" min="0" name="${column}" value="${line[column] ?? 0}"></td>`;
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" name="PlayerName" value="${escapeHtml(line.PlayerName || '')}" required></td>
+        <td><select name="Team">${teamOptions}</select></td>
+        <td><input type="checkbox" name="Batted" ${line.Batted ? 'checked' : ''}></td>
+        ${['Runs', 'BallsFaced', 'Fours', 'Sixes'].map(number).join('')}
+        <td><input type="checkbox" name="NotOut" ${line.NotOut ? 'checked' : ''}></td>
+        ${['BallsBowled', 'Maidens', 'RunsConceded', 'Wickets', 'Catches'].map(number).join('')}
+        <td><button type="button" class="admin-button danger" title="Remove">&times;</button></td>
+    `;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    playersRows.appendChild(row);
+}
+
+async function savePlayers(event) {
+    event.preventDefault();
+    const rows = [...playersRows.querySelectorAll('tr:not(.row-errors)')];
+    const body = rows.map(row => {
+        const value = name => row.querySelector(`[name="${name}"]`);
+        return {
+            PlayerName: value('PlayerName').value.trim(),
+            Team: value('Team').value,
+            Batted: value('Batted').checked,
+            NotOut: value('NotOut').checked,
+            ...Object.fromEntries(PLAYER_NUMBER_COLUMNS.map(column => [column, Number(value(column).value)]))
+        };
+    });
+
+    playersRows.querySelectorAll('.row-errors').forEach(row => row.remove());
+    const result = await api('PUT', `/api/match/${playersMatch.MatchID}/players`, body);
+    if (result.ok) {
+        showMessage(`Saved ${result.data.data.length} player line(s)`, 'success');
+        playersEditor.hidden = true;
+        return;
+    }
+
+    // Row numbers in the response count from 1 in the order the rows were sent
+    const details = result.data.code === 'VALIDATION_FAILED' && result.data.details;
+    const rowErrors = (details && details.errors) || [];
+    for (const { row, fields } of rowErrors) {
+        const errorRow = document.createElement('tr');
+        errorRow.className = 'row-errors';
+        errorRow.innerHTML = `<td colspan="14" class="field-error">${Object.values(fields).map(escapeHtml).join('; ')}</td>`;
+        if (rows[row - 1]) rows[row - 1].after(errorRow);
+    }
+    showFailure(result);
+}
+
+async function recomputeStandings() {
+    const result = await submit(null, 'POST', `/api/standings/recompute?season=${encodeURIComponent(yearSelect.value)}`);
+    if (result) showMessage(`Standings recomputed for ${yearSelect.value}`, 'success');
+}
+
+// Sends a write and shows what went wrong; resolves to the response body on success
+async function submit(form, method, path, body) {
+    if (form) showFieldErrors(form, {});
+    try {
+        const result = await api(method, path, body);
+        if (result.ok) {
+            hideMessage();
+            return result.data;
+        }
+
+        if (form && result.data.fields) {
+            const unmatched = showFieldErrors(form, result.data.fields);
+            showMessage(unmatched.length > 0 ? unmatched.join('; ') : 'Please correct the highlighted fields', 'error');
+            return null;
+        }
+        showFailure(result);
+    } catch (error) {
+        console.error(`${method} ${path} failed:`, error);
+        showMessage('Could not reach the server. Please try again.', 'error');
+    }
+    return null;
+}
+
+function showFailure({ status, data }) {
+    if (status === 401) {
+        signOut();
+        showMessage('Your key is no longer accepted. Please sign in again.', 'error');
+        return;
+    }
+    if (status === 403) {
+        showMessage('Your key does not allow this change.', 'error');
+        return;
+    }
+    if (status === 423) {
+        loadInstanceStatus();
+        showMessage(`${data.error}: this instance is read-only and cannot save changes.`, 'error');
+        return;
+    }
+    showMessage(data.error || `Request failed (HTTP ${status})`, 'error');
+}
+
+// Puts each server-side validation message next to its input; returns the
+// messages of fields the form has no place for
+function showFieldErrors(form, fields) {
+    form.querySelectorAll('[data-error-for]').forEach(element => {
+        element.textContent = '';
+    });
+
+    const unmatched = [];
+    for (const [name, message] of Object.entries(fields)) {
+        const element = form.querySelector(`[data-error-for="${name}"]`);
+        if (element) element.textContent = message;
+        else unmatched.push(`${name}: ${message}`);
+    }
+    return unmatched;
+}
+
+function showMessage(text, kind) {
+    adminMessage.textContent = text;
+    adminMessage.className = `admin-message ${kind}`;
+    adminMessage.hidden = false;
+}
+
+function hideMessage() {
+    adminMessage.hidden = true;
+}
+
+// MatchDate comes back as an ISO timestamp from MySQL and a date from the memory store
+function dateValue(value) {
+    return String(value).slice(0, 10);
+}
+
+// "18:30" at the venue, or empty when the fixture has no start time
+function venueTime(match) {
+    return match.LocalStartTime ? match.LocalStartTime.slice(11, 16) : '';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -6,11 +6,88 @@ const serverRegion = document.getElementById('server-region');
 const matchesContainer = document.getElementById('matches-container');
 const standingsContainer = document.getElementById('standings-container');
 const statsContainer = document.getElementById('stats-container');
+const yearSelect = document.getElementById('year-select');
+const tournamentTitle = document.getElementById('tournament-title');
+const teamFilter = document.getElementById('team-filter');
+const playerSearch = document.getElementById('player-search');
+const loadMoreButton = document.getElementById('load-more-matches');
+const subscribeLink = document.getElementById('subscribe-fixtures');
+const teamSection = document.getElementById('team');
+const teamContainer = document.getElementById('team-container');
+const scenariosPanel = document.getElementById('scenarios-panel');
+const scenarioTeam = document.getElementById('scenario-team');
+const scenarioResult = document.getElementById('scenario-result');
+const offlineBanner = document.getElementById('offline-banner');
+const matchesUpdated = document.getElementById('matches-updated');
+const standingsUpdated = document.getElementById('standings-updated');
+const statsUpdated = document.getElementById('stats-updated');
+const teamUpdated = document.getElementById('team-updated');
+const predictionsMessage = document.getElementById('predictions-message');
+const accountSignedOut = document.getElementById('account-signed-out');
+const accountSignedIn = document.getElementById('account-signed-in');
+const accountForm = document.getElementById('account-form');
+const displayNameField = document.getElementById('display-name-field');
+const accountName = document.getElementById('account-name');
+const accountPoints = document.getElementById('account-points');
+const openPredictions = document.getElementById('open-predictions');
+const myPredictions = document.getElementById('my-predictions');
+const myLeagues = document.getElementById('my-leagues');
+const leagueCreateForm = document.getElementById('league-create-form');
+const leagueJoinForm = document.getElementById('league-join-form');
+const leaderboardLeague = document.getElementById('leaderboard-league');
+const leaderboardContainer = document.getElementById('leaderboard-container');
+
+// Matches are fetched a page at a time; the server caps pages at 200
+const MATCH_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Season-total column to rank by when searching instead of showing a leaderboard
+const SEARCH_SORT = {
+    runs: '-Runs',
+    wickets: '-Wickets,RunsConceded',
+    catches: '-Catches',
+    'highest-score': '-HighestScore'
+};
+
+// Set by the service worker on API responses answered from its saved copies
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+// The matches section lists fixtures still to finish, soonest first, or results, latest first
+const MATCH_VIEWS = {
+    upcoming: { statuses: ['scheduled', 'live'], sort: 'MatchDate,StartTime', empty: 'No upcoming matches' },
+    results: { statuses: ['completed', 'abandoned', 'no_result'], sort: '-MatchDate,-StartTime', empty: 'No results yet' }
+};
+
+const FINISHED_LABELS = { completed: 'Completed', abandoned: 'Abandoned', no_result: 'No result' };
+
+// How long a match usually lasts, by overs per innings; past this a match whose
+// status was never updated no longer counts as live
+const MATCH_HOURS = { 20: 3.5, 50: 8 };
+
+const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const SESSION_STORAGE = 'asia-cup-session';
+
+let seasons = [];
+let teams = [];
+let currentMatches = [];
+let currentScenarios = [];
+let matchesPage = 1;
+let searchTimer = null;
+let stream = null;
+let streamRetryDelay = 1000;
+let sessionToken = localStorage.getItem(SESSION_STORAGE);
+let account = null;
+let registering = false;
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    loadAllData();
+document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
+    if (!navigator.onLine) showOffline();
+    await Promise.all([loadSeasons(), loadTeams()]);
+    loadAllData();
+    connectStream();
+    route();
 });
 
 // Setup event listeners
@@ -33,8 +110,129 @@ function setupEventListeners() {
         });
     });
 
-    // Year selector
-    document.getElementById('year-select').addEventListener('change', loadAllData);
+    // Upcoming matches or results
+    document.querySelectorAll('.match-view').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.match-view').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            loadMatches();
+        });
+    });
+
+    // Year selector (teams differ between seasons, so the team filter starts over)
+    yearSelect.addEventListener('change', () => {
+        updateTournamentTitle();
+        teamFilter.innerHTML = '<option value="">All teams</option>';
+        loadAllData();
+        route();
+    });
+
+    // Team pages live at #team/<code>
+    window.addEventListener('hashchange', route);
+
+    // Team filter applies to matches and player stats
+    teamFilter.addEventListener('change', () => {
+        loadMatches();
+        loadPlayerStats();
+    });
+
+    // Player search, once typing pauses
+    playerSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadPlayerStats(), 300);
+    });
+
+    loadMoreButton.addEventListener('click', () => loadMatches({ quiet: true, append: true }));
+
+    scenarioTeam.addEventListener('change', displayScenario);
+
+    // Prediction league
+    accountForm.addEventListener('submit', submitAccount);
+    document.getElementById('account-toggle').addEventListener('click', toggleRegistering);
+    document.getElementById('account-sign-out').addEventListener('click', signOutAccount);
+    leagueCreateForm.addEventListener('submit', createLeague);
+    leagueJoinForm.addEventListener('submit', joinLeague);
+    leaderboardLeague.addEventListener('change', () => loadLeaderboard());
+    openPredictions.addEventListener('submit', (event) => {
+        event.preventDefault();
+        savePick(event.target);
+    });
+    openPredictions.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action="withdraw"]');
+        if (button) withdrawPick(button.closest('form'));
+    });
+    myLeagues.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action="leave"]');
+        if (button) leaveLeague(button.dataset.code);
+    });
+
+    // Connectivity: the banner shows while offline and everything reloads on reconnect
+    window.addEventListener('offline', showOffline);
+    window.addEventListener('online', () => {
+        offlineBanner.hidden = true;
+        loadAllData();
+    });
+}
+
+// The service worker keeps the app and the last data seen available offline
+window.addEventListener('load', () => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js')
+        .catch(error => console.error('Service worker registration failed:', error));
+});
+
+// Load seasons into the year selector
+async function loadSeasons() {
+    try {
+        const response = await fetch(`${API_URL}/api/seasons`);
+        if (!response.ok) throw new Error('Failed to fetch seasons');
+
+        const data = await response.json();
+        seasons = data.data;
+        yearSelect.innerHTML = seasons.map(season => `
+            <option value="${season.SeasonYear}" ${season.SeasonYear === data.current ? 'selected' : ''}>
+                ${season.SeasonYear}
+            </option>
+        `).join('');
+        updateTournamentTitle();
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        yearSelect.innerHTML = '<option value="">Current season</option>';
+    }
+}
+
+// Teams give names their page links; without them names are shown as plain text
+async function loadTeams() {
+    try {
+        const response = await fetch(`${API_URL}/api/teams`);
+        if (!response.ok) throw new Error('Failed to fetch teams');
+
+        teams = (await response.json()).data;
+    } catch (error) {
+        console.error('Error loading teams:', error);
+    }
+}
+
+function teamLink(name) {
+    const team = teams.find(t => t.Name === name);
+    return team ? `<a href="#team/${escapeHtml(team.Code)}" class="team-link">${escapeHtml(name)}</a>` : escapeHtml(name);
+}
+
+// Query string for the selected season plus any extra parameters
+// (leaving the season out lets the server pick the current one)
+function seasonQuery(extra = {}) {
+    const params = new URLSearchParams(extra);
+    if (yearSelect.value) params.set('season', yearSelect.value);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+function updateTournamentTitle() {
+    const season = seasons.find(s => String(s.SeasonYear) === yearSelect.value);
+    if (season) {
+        tournamentTitle.textContent = season.Name;
+        document.title = season.Name;
+    }
 }
 
 // Load all data
@@ -42,15 +240,18 @@ async function loadAllData() {
     try {
         const health = await testConnection();
 
-        if (health.status === 'healthy' || health.status === 'OK') {
-            await Promise.all([
-                loadMatches(),
-                loadStandings(),
-                loadPlayerStats()
-            ]);
-        } else {
-            showErrorMessage('Backend service is unavailable. Please try again later.');
+        // Offline, the banner already says why data may be old
+        if (navigator.onLine && health.status !== 'healthy' && health.status !== 'OK') {
+            showErrorMessage('Backend service is degraded. Showing the most recent data available.');
         }
+
+        // The server answers from its cache while the database is down
+        await Promise.all([
+            loadMatches(),
+            loadStandings(),
+            loadPlayerStats(),
+            loadPredictions()
+        ]);
     } catch (error) {
         console.error('Error loading data:', error);
         showErrorMessage('Failed to load data. Please check your connection.');
@@ -79,104 +280,316 @@ async function testConnection() {
 // Update region information
 function updateRegionInfo(region) {
     const status = region === 'Disconnected' ? '🔴' : '🟢';
-    regionInfo.innerHTML = `<i class="fas fa-server"></i> Server Status: ${status} | Region: ${region}`;
+    regionInfo.innerHTML = `<i class="fas fa-server"></i> Server Status: ${status} | Region: ${escapeHtml(region)}`;
     serverRegion.textContent = `Region: ${region}`;
 }
 
-// Load matches
-async function loadMatches() {
+// Load matches: a fresh load starts at the first page, `append` adds the next one,
+// and a quiet refresh reloads every page shown so far
+async function loadMatches({ quiet = false, append = false } = {}) {
     try {
-        matchesContainer.innerHTML = '<div class="loading">Loading matches...</div>';
+        if (!quiet) {
+            matchesContainer.innerHTML = '<div class="loading">Loading matches...</div>';
+            matchesPage = 1;
+        }
+
+        const view = MATCH_VIEWS[currentMatchView()];
+        const params = append
+            ? { page: matchesPage + 1, pageSize: MATCH_PAGE_SIZE }
+            : { page: 1, pageSize: Math.min(MATCH_PAGE_SIZE * matchesPage, MAX_PAGE_SIZE) };
+        params.status = view.statuses.join(',');
+        params.sort = view.sort;
+        if (teamFilter.value) params.team = teamFilter.value;
 
-        const response = await fetch(`${API_URL}/api/group-matches`);
+        const response = await fetch(`${API_URL}/api/group-matches${seasonQuery(params)}`);
         if (!response.ok) throw new Error('Failed to fetch matches');
 
         const data = await response.json();
-        displayMatches(data.data);
+        noteStale(data);
+        noteUpdated(matchesUpdated, response, data);
+        if (append) matchesPage++;
+        if (!teamFilter.value && !append) updateTeamOptions(data.data);
+        displayMatches(append ? [...currentMatches, ...data.data] : data.data);
+        loadMoreButton.hidden = !(data.pagination && data.pagination.hasMore);
     } catch (error) {
         console.error('Error loading matches:', error);
-        matchesContainer.innerHTML = '<div class="error-message">Failed to load matches</div>';
+        showLoadError(matchesContainer, 'Failed to load matches', quiet);
     }
 }
 
 // Load standings
-async function loadStandings() {
+async function loadStandings({ quiet = false } = {}) {
     try {
-        standingsContainer.innerHTML = '<div class="loading">Loading standings...</div>';
+        if (!quiet) standingsContainer.innerHTML = '<div class="loading">Loading standings...</div>';
 
-        const response = await fetch(`${API_URL}/api/standings`);
+        const stage = document.querySelector('.stage-btn.active')?.dataset.stage || 'group';
+        const response = await fetch(`${API_URL}/api/standings${seasonQuery({ stage })}`);
         if (!response.ok) throw new Error('Failed to fetch standings');
 
         const data = await response.json();
-        displayStandings(data.data);
+        noteStale(data);
+        noteUpdated(standingsUpdated, response, data);
+        if (stage === 'finals') {
+            currentScenarios = [];
+            displayBracket(data.data);
+        } else {
+            currentScenarios = await loadScenarios(stage);
+            displayStandings(data.tables);
+        }
+        displayScenarioPanel();
     } catch (error) {
         console.error('Error loading standings:', error);
-        standingsContainer.innerHTML = '<div class="error-message">Failed to load standings</div>';
+        showLoadError(standingsContainer, 'Failed to load standings', quiet);
     }
 }
 
-// Load player stats
-async function loadPlayerStats() {
+function currentMatchView() {
+    return document.querySelector('.match-view.active')?.dataset.view || 'upcoming';
+}
+
+// Teams of the season's fixtures seen so far (either view), keeping the current choice
+function updateTeamOptions(matches) {
+    const listed = [...teamFilter.options].map(option => option.value).filter(Boolean);
+    const teams = [...new Set([...listed, ...matches.flatMap(match => [match.Team1, match.Team2])])].sort();
+    const selected = teamFilter.value;
+    teamFilter.innerHTML = '<option value="">All teams</option>' + teams.map(team => `
+        <option value="${escapeHtml(team)}" ${team === selected ? 'selected' : ''}>${escapeHtml(team)}</option>
+    `).join('');
+}
+
+// Qualification scenarios for the stage's tables; standings still show without them
+async function loadScenarios(stage) {
     try {
-        statsContainer.innerHTML = '<div class="loading">Loading player stats...</div>';
+        const response = await fetch(`${API_URL}/api/scenarios${seasonQuery()}`);
+        if (!response.ok) throw new Error('Failed to fetch scenarios');
+
+        const data = await response.json();
+        return data.data.filter(table => table.category === stage);
+    } catch (error) {
+        console.error('Error loading scenarios:', error);
+        return [];
+    }
+}
+
+function scenarioFor(teamName) {
+    for (const table of currentScenarios) {
+        const found = table.teams.find(team => team.TeamName === teamName);
+        if (found) return { ...found, table };
+    }
+    return null;
+}
+
+// Load player stats: the leaderboard, or matching players while searching or filtering by team
+async function loadPlayerStats({ quiet = false } = {}) {
+    try {
+        if (!quiet) statsContainer.innerHTML = '<div class="loading">Loading player stats...</div>';
+
+        const category = document.querySelector('.stat-tab.active')?.dataset.stat || 'runs';
+        const search = playerSearch.value.trim();
+        if (search || teamFilter.value) {
+            const params = { sort: SEARCH_SORT[category] || '-Runs,-Wickets', pageSize: 25 };
+            if (search) params.q = search;
+            if (teamFilter.value) params.team = teamFilter.value;
+
+            const response = await fetch(`${API_URL}/api/player-stats${seasonQuery(params)}`);
+            if (!response.ok) throw new Error('Failed to search players');
 
-        const response = await fetch(`${API_URL}/api/player-stats`);
+            const data = await response.json();
+            noteStale(data);
+            noteUpdated(statsUpdated, response, data);
+            displayPlayerSearch(data);
+            return;
+        }
+
+        const response = await fetch(`${API_URL}/api/leaderboards/${category}${seasonQuery()}`);
         if (!response.ok) throw new Error('Failed to fetch player stats');
 
         const data = await response.json();
-        displayPlayerStats(data.data);
+        noteStale(data);
+        noteUpdated(statsUpdated, response, data);
+        displayPlayerStats(data);
     } catch (error) {
         console.error('Error loading player stats:', error);
-        statsContainer.innerHTML = '<div class="error-message">Failed to load player stats</div>';
+        showLoadError(statsContainer, 'Failed to load player stats', quiet);
     }
 }
 
 // Display matches
 function displayMatches(matches) {
-    if (!matches || matches.length === 0) {
-        matchesContainer.innerHTML = '<div class="no-data">No matches scheduled</div>';
+    currentMatches = matches || [];
+    if (currentMatches.length === 0) {
+        matchesContainer.innerHTML = `<div class="no-data">${MATCH_VIEWS[currentMatchView()].empty}</div>`;
         return;
     }
 
-    matchesContainer.innerHTML = matches.map(match => `
-        <div class="match-card">
+    matchesContainer.innerHTML = currentMatches.map(renderMatchCard).join('');
+    updateCountdowns();
+    subscribeLink.href = calendarFeedUrl('/api/fixtures.ics');
+}
+
+function renderMatchCard(match) {
+    return `
+        <div class="match-card" data-match-id="${match.MatchID}">
             <div class="match-date">
                 <i class="far fa-calendar"></i>
-                ${new Date(match.MatchDate).toLocaleDateString('en-US', {
-        weekday: 'short',
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
-    })}
+                ${formatMatchTime(match)}
             </div>
-            <div class="match-stage">${match.Stage}</div>
+            <div class="match-countdown" data-starts-at="${match.StartTime || ''}"
+                 data-status="${match.Status}" data-overs="${match.OversPerInnings || 20}"></div>
+            <div class="match-stage">${escapeHtml(match.Stage || '')}</div>
             <div class="match-teams">
-                <span class="team">${match.Team1}</span>
+                <span class="team">${teamLink(match.Team1)}</span>
                 <span class="match-vs">vs</span>
-                <span class="team">${match.Team2}</span>
+                <span class="team">${teamLink(match.Team2)}</span>
             </div>
             <div class="match-venue">
                 <i class="fas fa-map-marker-alt"></i>
-                ${match.Venue}
+                ${escapeHtml(match.Venue || '')}
             </div>
+            ${match.Live && !match.Result ? `
+                <div class="match-live">
+                    ${match.Live.innings.map(inn => `
+                        <div>${escapeHtml(inn.team)} ${inn.runs}/${inn.wickets} (${inn.overs})</div>
+                    `).join('')}
+                    <div class="match-live-status">${escapeHtml(match.Live.status)}</div>
+                </div>
+            ` : ''}
             ${match.Result ? `
                 <div class="match-result">
                     <i class="fas fa-trophy"></i>
-                    ${match.Result}
+                    ${escapeHtml(match.Result)}
                 </div>
             ` : ''}
+            <a class="calendar-link" href="${API_URL}/api/match/${match.MatchID}/calendar.ics"
+               download="asia-cup-match-${match.MatchID}.ics">
+                <i class="far fa-calendar-plus"></i> Add to calendar
+            </a>
         </div>
-    `).join('');
+    `;
+}
+
+// The start in the viewer's time zone, plus the time at the venue when that differs;
+// fixtures without a start time show their date only
+function formatMatchTime(match) {
+    if (!match.StartTime) {
+        return new Date(match.MatchDate).toLocaleDateString(undefined, {
+            weekday: 'short',
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    const start = new Date(match.StartTime);
+    const local = start.toLocaleString(undefined, {
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+    if (!match.VenueTimeZone || match.VenueTimeZone === viewerTimeZone) return local;
+
+    const atVenue = start.toLocaleTimeString(undefined, {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: match.VenueTimeZone,
+        timeZoneName: 'short'
+    });
+    return `${local} <span class="venue-time">(${atVenue} at the venue)</span>`;
+}
+
+// "Starts in 2d 4h", "Live now" or how the match finished
+function countdownState({ startsAt, status, overs }) {
+    if (FINISHED_LABELS[status]) return { text: FINISHED_LABELS[status], state: 'finished' };
+    if (status === 'live') return { text: 'Live now', state: 'live' };
+    if (!startsAt) return { text: '', state: '' };
+
+    const remaining = new Date(startsAt) - Date.now();
+    if (remaining <= 0) {
+        const hours = MATCH_HOURS[overs] || MATCH_HOURS[20];
+        return -remaining < hours * 3600000
+            ? { text: 'Live now', state: 'live' }
+            : { text: 'Awaiting result', state: 'finished' };
+    }
+
+    const seconds = Math.floor(remaining / 1000);
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor(seconds / 3600) % 24;
+    const minutes = Math.floor(seconds / 60) % 60;
+    const pad = value => String(value).padStart(2, '0');
+    const text = days > 0 ? `${days}d ${hours}h`
+        : hours > 0 ? `${hours}h ${pad(minutes)}m`
+            : `${minutes}m ${pad(seconds % 60)}s`;
+    return { text: `Starts in ${text}`, state: 'upcoming' };
 }
 
-// Display standings
-function displayStandings(standings) {
-    if (!standings || standings.length === 0) {
+function updateCountdowns() {
+    document.querySelectorAll('.match-countdown').forEach(element => {
+        const { text, state } = countdownState({
+            startsAt: element.dataset.startsAt,
+            status: element.dataset.status,
+            overs: Number(element.dataset.overs)
+        });
+        if (element.textContent !== text) element.textContent = text;
+        element.className = `match-countdown ${state}`.trim();
+        element.hidden = !text;
+    });
+}
+
+// webcal:// links open the feed as a subscription in calendar apps
+function calendarFeedUrl(path) {
+    return `${API_URL.replace(/^https?:/, 'webcal:')}${path}${seasonQuery()}`;
+}
+
+// Soonest first; the results view reverses it
+function byStart(a, b) {
+    return new Date(a.MatchDate) - new Date(b.MatchDate) ||
+        new Date(a.StartTime || 0) - new Date(b.StartTime || 0) ||
+        a.MatchID - b.MatchID;
+}
+
+// Replace a single match card (or add it) after a push update; a match that
+// finished leaves the upcoming view and joins the results
+function patchMatch(match) {
+    if (teamFilter.value && ![match.Team1, match.Team2].includes(teamFilter.value)) return;
+
+    const view = currentMatchView();
+    const index = currentMatches.findIndex(m => m.MatchID === match.MatchID);
+    const updated = index === -1 ? match : { ...currentMatches[index], ...match };
+    if (!MATCH_VIEWS[view].statuses.includes(updated.Status)) {
+        if (index !== -1) displayMatches(currentMatches.filter(m => m.MatchID !== match.MatchID));
+        return;
+    }
+
+    if (index === -1) {
+        currentMatches.push(updated);
+        currentMatches.sort(view === 'results' ? (a, b) => byStart(b, a) : byStart);
+        displayMatches(currentMatches);
+        return;
+    }
+
+    currentMatches[index] = updated;
+    const card = matchesContainer.querySelector(`[data-match-id="${match.MatchID}"]`);
+    if (card) {
+        card.outerHTML = renderMatchCard(updated);
+        updateCountdowns();
+    } else {
+        displayMatches(currentMatches);
+    }
+}
+
+// Display standings, one table per group
+function displayStandings(tables) {
+    if (!tables || tables.length === 0) {
         standingsContainer.innerHTML = '<div class="no-data">No standings available</div>';
         return;
     }
 
-    standingsContainer.innerHTML = `
+    standingsContainer.innerHTML = tables.map(table => `
+        <h3 class="standings-group">${escapeHtml(table.name)}</h3>
         <table>
             <thead>
                 <tr>
@@ -185,24 +598,169 @@ function displayStandings(standings) {
                     <th>MP</th>
                     <th>W</th>
                     <th>L</th>
+                    <th>NR</th>
                     <th>PTS</th>
-                    <th>GD</th>
+                    <th>NRR</th>
                 </tr>
             </thead>
             <tbody>
-                ${standings.map((team, index) => `
-                    <tr>
-                        <td><strong>${index + 1}</strong></td>
+                ${table.standings.map(team => {
+                    const status = team.Qualified ? 'through' : scenarioFor(team.TeamName)?.status;
+                    return `
+                    <tr class="${status === 'through' ? 'qualified' : status === 'eliminated' ? 'eliminated' : ''}">
+                        <td><strong>${team.Position}</strong></td>
                         <td class="team-name">
-                            <div>${team.TeamName}</div>
+                            <div>${teamLink(team.TeamName)}</div>
+                            ${status === 'through' ? '<span class="qualified-badge" title="Qualified">Q</span>' : ''}
+                            ${status === 'eliminated' ? '<span class="eliminated-badge" title="Eliminated">E</span>' : ''}
                         </td>
                         <td>${team.MatchesPlayed}</td>
                         <td>${team.Wins}</td>
                         <td>${team.Losses}</td>
+                        <td>${team.NoResult}</td>
                         <td><strong class="points">${team.Points}</strong></td>
-                        <td class="${team.GoalDifference > 0 ? 'positive' : team.GoalDifference < 0 ? 'negative' : 'neutral'}">
-                            ${team.GoalDifference > 0 ? '+' : ''}${team.GoalDifference}
+                        <td class="${team.NetRunRate > 0 ? 'positive' : team.NetRunRate < 0 ? 'negative' : 'neutral'}">
+                            ${formatNetRunRate(team.NetRunRate)}
+                        </td>
+                    </tr>
+                `;
+                }).join('')}
+            </tbody>
+        </table>
+    `).join('');
+}
+
+// "What does X need" panel, shown while any table still has fixtures to play
+function displayScenarioPanel() {
+    const open = currentScenarios.filter(table => table.remaining.length > 0);
+    scenariosPanel.hidden = open.length === 0;
+    if (open.length === 0) return;
+
+    const names = open.flatMap(table => table.teams.map(team => team.TeamName));
+    const alive = open.flatMap(table => table.teams.filter(team => team.status === 'alive').map(team => team.TeamName));
+    const selected = names.includes(scenarioTeam.value) ? scenarioTeam.value : (alive[0] || names[0]);
+
+    scenarioTeam.innerHTML = names.map(name => `
+        <option value="${escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${escapeHtml(name)}</option>
+    `).join('');
+    displayScenario();
+}
+
+function describeMargin(margin) {
+    const ways = [];
+    if (margin.battingFirst) {
+        ways.push(`win by ${margin.battingFirst.winByRuns}+ runs batting first (scoring ${margin.battingFirst.score})`);
+    }
+    if (margin.chasing) {
+        ways.push(`chase ${margin.chasing.target} with ${margin.chasing.ballsToSpare}+ balls to spare`);
+    }
+    if (ways.length === 0) return `Cannot overtake ${escapeHtml(margin.rival)}'s net run rate in one match`;
+    return `To pass ${escapeHtml(margin.rival)}'s NRR (${formatNetRunRate(margin.targetNetRunRate)}): ${ways.join(' or ')}`;
+}
+
+function displayScenario() {
+    const scenario = scenarioFor(scenarioTeam.value);
+    if (!scenario) {
+        scenarioResult.innerHTML = '';
+        return;
+    }
+
+    const target = scenario.table.target;
+    if (scenario.status === 'through') {
+        scenarioResult.innerHTML = `<div class="scenario-status positive">Through to the ${target}</div>`;
+        return;
+    }
+    if (scenario.status === 'eliminated') {
+        scenarioResult.innerHTML = `<div class="scenario-status negative">Cannot reach the ${target}</div>`;
+        return;
+    }
+    if (scenario.status === 'unknown') {
+        scenarioResult.innerHTML = `<div class="scenario-status">${escapeHtml(scenario.table.note)}</div>`;
+        return;
+    }
+
+    scenarioResult.innerHTML = `
+        <div class="scenario-status">Still in contention for the ${target}</div>
+        <ul class="scenario-list">
+            ${scenario.needs.map(need => `
+                <li class="${need.outcome}">
+                    ${escapeHtml(need.summary)}
+                    ${need.margin ? `<div class="scenario-margin">${describeMargin(need.margin)}</div>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// Display knockout bracket
+function displayBracket(bracket) {
+    if (!bracket || bracket.rounds.length === 0) {
+        standingsContainer.innerHTML = '<div class="no-data">No knockout fixtures yet</div>';
+        return;
+    }
+
+    standingsContainer.innerHTML = `
+        <div class="bracket">
+            ${bracket.rounds.map(round => `
+                <div class="bracket-round">
+                    <h3 class="standings-group">${escapeHtml(round.name)}</h3>
+                    ${round.matches.map(match => `
+                        <div class="bracket-match">
+                            <div class="bracket-team ${match.winner === match.team1 ? 'winner' : ''}">${escapeHtml(match.team1)}</div>
+                            <div class="bracket-team ${match.winner === match.team2 ? 'winner' : ''}">${escapeHtml(match.team2)}</div>
+                            <div class="bracket-result">${escapeHtml(match.result || 'Yet to be played')}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+            ${bracket.champion ? `
+                <div class="bracket-champion">
+                    <i class="fas fa-trophy"></i> ${escapeHtml(bracket.champion)}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// NRR comes back from MySQL DECIMAL columns as a string
+function formatNetRunRate(value) {
+    const nrr = Number(value) || 0;
+    return `${nrr > 0 ? '+' : ''}${nrr.toFixed(3)}`;
+}
+
+// Display player leaderboard
+function displayPlayerStats(board) {
+    if (!board || board.data.length === 0) {
+        const threshold = board?.qualification
+            ? ` (minimum ${board.qualification.min} ${board.qualification.field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()})`
+            : '';
+        statsContainer.innerHTML = `<div class="no-data">No qualifying players${threshold}</div>`;
+        return;
+    }
+
+    statsContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Player</th>
+                    <th>Team</th>
+                    <th>Matches</th>
+                    <th>Inns</th>
+                    <th>${escapeHtml(board.label)}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${board.data.map(player => `
+                    <tr>
+                        <td><strong>${player.Rank}</strong></td>
+                        <td>
+                            <div class="player-name">${escapeHtml(player.PlayerName)}</div>
                         </td>
+                        <td class="player-team">${escapeHtml(player.Team)}</td>
+                        <td>${player.Matches}</td>
+                        <td>${player.Innings}</td>
+                        <td><strong class="runs">${player.Display}</strong></td>
                     </tr>
                 `).join('')}
             </tbody>
@@ -210,34 +768,42 @@ function displayStandings(standings) {
     `;
 }
 
-// Display player stats
-function displayPlayerStats(stats) {
-    if (!stats || stats.length === 0) {
-        statsContainer.innerHTML = '<div class="no-data">No player stats available</div>';
+// Display player search results (season totals)
+function displayPlayerSearch(result) {
+    if (result.data.length === 0) {
+        statsContainer.innerHTML = '<div class="no-data">No matching players</div>';
         return;
     }
 
+    const total = result.pagination ? result.pagination.total : result.data.length;
     statsContainer.innerHTML = `
+        <div class="results-note">
+            Showing ${result.data.length} of ${total} player${total === 1 ? '' : 's'}
+        </div>
         <table>
             <thead>
                 <tr>
                     <th>Player</th>
                     <th>Team</th>
                     <th>Matches</th>
+                    <th>Inns</th>
                     <th>Runs</th>
-                    <th>Wickets</th>
-                    <th>Catches</th>
+                    <th>HS</th>
+                    <th>Wkts</th>
+                    <th>Ct</th>
                 </tr>
             </thead>
             <tbody>
-                ${stats.map(player => `
+                ${result.data.map(player => `
                     <tr>
                         <td>
-                            <div class="player-name">${player.PlayerName}</div>
+                            <div class="player-name">${escapeHtml(player.PlayerName)}</div>
                         </td>
-                        <td class="player-team">${player.Team}</td>
+                        <td class="player-team">${escapeHtml(player.Team)}</td>
                         <td>${player.Matches}</td>
+                        <td>${player.Innings}</td>
                         <td><strong class="runs">${player.Runs}</strong></td>
+                        <td>${player.HighestScore}</td>
                         <td>${player.Wickets}</td>
                         <td>${player.Catches}</td>
                     </tr>
@@ -247,6 +813,174 @@ function displayPlayerStats(stats) {
     `;
 }
 
+// Team pages: #team/<code> shows the team in place of the tournament sections
+function route() {
+    const found = /^#team\/(.+)$/.exec(window.location.hash);
+    document.querySelectorAll('main .section').forEach(section => {
+        section.hidden = found ? section !== teamSection : section === teamSection;
+    });
+
+    if (found) {
+        loadTeam(decodeURIComponent(found[1]));
+        window.scrollTo(0, 0);
+    }
+}
+
+async function loadTeam(ref) {
+    try {
+        teamContainer.innerHTML = '<div class="loading">Loading team...</div>';
+
+        const response = await fetch(`${API_URL}/api/teams/${encodeURIComponent(ref)}${seasonQuery()}`);
+        if (response.status === 404) {
+            teamContainer.innerHTML = '<div class="no-data">Team not found</div>';
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to fetch team');
+
+        const data = await response.json();
+        noteStale(data);
+        noteUpdated(teamUpdated, response, data);
+        displayTeam(data.data, data.season);
+    } catch (error) {
+        console.error('Error loading team:', error);
+        showLoadError(teamContainer, 'Failed to load team', false);
+    }
+}
+
+function formatRecord(record) {
+    return `P ${record.played} · W ${record.won} · L ${record.lost}` +
+        (record.tied ? ` · T ${record.tied}` : '') +
+        (record.noResult ? ` · NR ${record.noResult}` : '');
+}
+
+function displayTeam(team, season) {
+    const opponents = teams.filter(t => t.Name !== team.Name);
+
+    teamContainer.innerHTML = `
+        <div class="team-header">
+            <h2><i class="fas fa-flag"></i> ${escapeHtml(team.Name)}</h2>
+            <span class="team-code">${escapeHtml(team.Code)}</span>
+            <a class="calendar-link" href="${escapeHtml(calendarFeedUrl(`/api/teams/${encodeURIComponent(team.Code)}/fixtures.ics`))}">
+                <i class="far fa-calendar-alt"></i> Subscribe to fixtures
+            </a>
+        </div>
+        <div class="team-records">
+            <div class="team-record">
+                <h3>${season === 'all' ? 'All seasons' : `Asia Cup ${season}`}</h3>
+                <div>${formatRecord(team.record)}</div>
+            </div>
+            <div class="team-record">
+                <h3>All-time</h3>
+                <div>${formatRecord(team.allTimeRecord)}</div>
+            </div>
+            <div class="team-record">
+                <h3>Form (latest first)</h3>
+                <div class="form-guide">
+                    ${team.form.length > 0
+                        ? team.form.map(outcome => `<span class="form-badge ${outcome}">${outcome}</span>`).join('')
+                        : 'No results yet'}
+                </div>
+            </div>
+        </div>
+
+        <div class="head-to-head">
+            <i class="fas fa-exchange-alt"></i>
+            <select id="h2h-select" aria-label="Head-to-head opponent">
+                <option value="">Head-to-head against...</option>
+                ${opponents.map(t => `<option value="${escapeHtml(t.Code)}">${escapeHtml(t.Name)}</option>`).join('')}
+            </select>
+        </div>
+        <div id="h2h-container"></div>
+
+        <h3 class="standings-group">Fixtures</h3>
+        ${team.fixtures.length > 0
+            ? `<div class="matches-grid">${team.fixtures.map(renderMatchCard).join('')}</div>`
+            : '<div class="no-data">No upcoming fixtures</div>'}
+
+        <h3 class="standings-group">Results</h3>
+        ${team.results.length > 0
+            ? `<div class="matches-grid">${team.results.map(renderMatchCard).join('')}</div>`
+            : '<div class="no-data">No results yet</div>'}
+
+        <h3 class="standings-group">Squad</h3>
+        ${team.squad.length > 0 ? `
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Player</th>
+                            <th>Matches</th>
+                            <th>Runs</th>
+                            <th>HS</th>
+                            <th>Wkts</th>
+                            <th>Ct</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${team.squad.map(player => `
+                            <tr>
+                                <td><div class="player-name">${escapeHtml(player.PlayerName)}</div></td>
+                                <td>${player.Matches}</td>
+                                <td><strong class="runs">${player.Runs}</strong></td>
+                                <td>${player.HighestScore}</td>
+                                <td>${player.Wickets}</td>
+                                <td>${player.Catches}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '<div class="no-data">No player statistics yet</div>'}
+    `;
+
+    updateCountdowns();
+
+    document.getElementById('h2h-select').addEventListener('change', (event) => {
+        if (event.target.value) loadHeadToHead(team.Code, event.target.value);
+        else document.getElementById('h2h-container').innerHTML = '';
+    });
+}
+
+async function loadHeadToHead(teamA, teamB) {
+    const container = document.getElementById('h2h-container');
+    try {
+        container.innerHTML = '<div class="loading">Loading head-to-head...</div>';
+
+        const params = new URLSearchParams({ teamA, teamB });
+        const response = await fetch(`${API_URL}/api/head-to-head?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch head-to-head');
+
+        const h2h = (await response.json()).data;
+        const [nameA, nameB] = h2h.teams;
+        const summary = [
+            `Played ${h2h.played}`,
+            `${escapeHtml(nameA)} ${h2h.wins[nameA]}`,
+            `${escapeHtml(nameB)} ${h2h.wins[nameB]}`,
+            h2h.tied ? `Tied ${h2h.tied}` : null,
+            h2h.noResult ? `NR ${h2h.noResult}` : null
+        ].filter(Boolean).join(' · ');
+        container.innerHTML = `
+            <div class="team-records">
+                <div class="team-record">
+                    <h3>${escapeHtml(nameA)} vs ${escapeHtml(nameB)}</h3>
+                    <div>${summary}</div>
+                </div>
+                <div class="team-record">
+                    <h3>Last meeting</h3>
+                    <div>${escapeHtml(h2h.lastResult || 'None yet')}</div>
+                </div>
+            </div>
+            ${h2h.meetings.length > 0
+                ? `<div class="matches-grid">${h2h.meetings.map(renderMatchCard).join('')}</div>`
+                : ''}
+        `;
+        updateCountdowns();
+    } catch (error) {
+        console.error('Error loading head-to-head:', error);
+        container.innerHTML = '<div class="error-message">Failed to load head-to-head</div>';
+    }
+}
+
 // Show error message
 function showErrorMessage(message) {
     const main = document.querySelector('main');
@@ -268,7 +1002,516 @@ function showErrorMessage(message) {
     }
 }
 
-// Auto-refresh every 30 seconds
+// Flag data served from the server's cache during a database outage
+function noteStale(data) {
+    if (!data.stale) return;
+
+    const minutes = Math.round(data.age / 60);
+    const age = minutes < 1 ? 'less than a minute' : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    showErrorMessage(`Live data is temporarily unavailable. Showing results from ${age} ago.`);
+}
+
+// Offline banner, shown while the browser is offline or data comes from saved copies
+function showOffline() {
+    offlineBanner.hidden = false;
+}
+
+// "Last updated" time of a section: when the service worker saved the copy it
+// answered with, when the server cached it during an outage, or just now
+function noteUpdated(element, response, data) {
+    const savedAt = response.headers.get(CACHED_AT_HEADER);
+    const updatedAt = savedAt || (data.stale && data.cachedAt) || new Date().toISOString();
+
+    element.innerHTML = `
+        <i class="far fa-clock"></i>
+        Last updated ${formatUpdatedAt(updatedAt)}${savedAt ? ' (saved copy)' : ''}
+    `;
+    element.hidden = false;
+
+    if (savedAt) showOffline();
+    else offlineBanner.hidden = true;
+}
+
+function formatUpdatedAt(value) {
+    const date = new Date(value);
+    const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+// A failed refresh keeps what is already on screen; a first load shows the error
+function showLoadError(container, message, quiet) {
+    if (!navigator.onLine) showOffline();
+    if (quiet && !container.querySelector('.loading, .error-message')) return;
+
+    container.innerHTML = navigator.onLine
+        ? `<div class="error-message">${message}</div>`
+        : `<div class="error-message">${message}: you're offline and nothing has been saved for this view yet</div>`;
+}
+
+// Prediction league. The session token from signing in is kept in localStorage
+// and sent as a bearer token; predictions close when a match starts.
+async function userApi(method, path, body) {
+    const headers = {};
+    if (sessionToken) headers.Authorization = `Bearer ${sessionToken}`;
+    if (method !== 'GET') {
+        headers['Content-Type'] = 'application/json';
+        headers['Idempotency-Key'] = window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401 && sessionToken) forgetSession();
+    return { ok: response.ok, status: response.status, data };
+}
+
+async function loadPredictions({ quiet = false } = {}) {
+    await Promise.all([loadAccount(), loadLeaderboard({ quiet })]);
+}
+
+async function loadAccount() {
+    if (!sessionToken) {
+        showAccount();
+        return;
+    }
+
+    try {
+        const me = await userApi('GET', '/api/users/me');
+        if (!me.ok) throw new Error(me.data.error || 'Failed to load your account');
+
+        account = me.data.data;
+        showAccount();
+        await loadMyPredictions();
+    } catch (error) {
+        console.error('Error loading account:', error);
+        if (sessionToken) showPredictionsMessage('Your predictions could not be loaded right now', 'error');
+    }
+}
+
+function showAccount() {
+    accountSignedOut.hidden = Boolean(account);
+    accountSignedIn.hidden = !account;
+    if (account) {
+        accountName.textContent = account.displayName;
+        displayLeagues(account.leagues);
+    }
+    updateLeagueOptions();
+}
+
+function forgetSession() {
+    sessionToken = null;
+    account = null;
+    localStorage.removeItem(SESSION_STORAGE);
+    showAccount();
+}
+
+// Sign in, or create an account and sign in to it
+async function submitAccount(event) {
+    event.preventDefault();
+    const fields = accountForm.elements;
+    const body = { username: fields.username.value.trim(), password: fields.password.value };
+    if (registering && fields.displayName.value.trim()) body.displayName = fields.displayName.value.trim();
+
+    const result = await submitPrediction(accountForm, 'POST', registering ? '/api/users' : '/api/users/login', body);
+    if (!result) return;
+
+    sessionToken = result.data.token;
+    localStorage.setItem(SESSION_STORAGE, sessionToken);
+    accountForm.reset();
+    hidePredictionsMessage();
+    await loadAccount();
+}
+
+function toggleRegistering() {
+    registering = !registering;
+    displayNameField.hidden = !registering;
+    accountForm.elements.password.autocomplete = registering ? 'new-password' : 'current-password';
+    document.getElementById('account-submit').textContent = registering ? 'Create account' : 'Sign in';
+    document.getElementById('account-toggle').textContent = registering ? 'I have an account' : 'Create an account';
+    showFormErrors(accountForm, {});
+}
+
+async function signOutAccount() {
+    await userApi('POST', '/api/users/logout').catch(() => {});
+    forgetSession();
+    hidePredictionsMessage();
+}
+
+// Open fixtures of the season with the user's picks, and every pick made so far
+async function loadMyPredictions() {
+    const [mine, openMatches] = await Promise.all([
+        userApi('GET', `/api/users/me/predictions${seasonQuery()}`),
+        fetch(`${API_URL}/api/group-matches${seasonQuery({
+            status: 'scheduled',
+            sort: 'MatchDate,StartTime',
+            pageSize: MAX_PAGE_SIZE
+        })}`).then(response => {
+            if (!response.ok) throw new Error('Failed to fetch matches');
+            return response.json();
+        })
+    ]);
+    if (!mine.ok) throw new Error(mine.data.error || 'Failed to fetch predictions');
+
+    const predictions = mine.data.data;
+    accountPoints.textContent = `· ${mine.data.points} point${mine.data.points === 1 ? '' : 's'}`;
+    displayOpenPredictions(openMatches.data.filter(isPredictionOpen), predictions);
+    displayMyPredictions(predictions);
+}
+
+// Same rule as the server: until the start time, or the match day without one
+function isPredictionOpen(match) {
+    return match.Status === 'scheduled' && new Date(match.StartTime || match.MatchDate) > new Date();
+}
+
+function displayOpenPredictions(matches, predictions) {
+    if (matches.length === 0) {
+        openPredictions.innerHTML = '<div class="no-data">No matches open for predictions</div>';
+        return;
+    }
+
+    const pickFor = matchId => predictions.find(prediction => prediction.MatchID === matchId);
+    openPredictions.innerHTML = matches.map(match => renderPredictionCard(match, pickFor(match.MatchID))).join('');
+    updateCountdowns();
+}
+
+function renderPredictionCard(match, pick) {
+    const winnerOption = team => `
+        <label class="prediction-pick">
+            <input type="radio" name="Winner" value="${escapeHtml(team)}" ${pick && pick.Winner === team ? 'checked' : ''} required>
+            ${escapeHtml(team)}
+        </label>
+    `;
+    const marginType = pick ? pick.MarginType : null;
+    return `
+        <form class="match-card prediction-card admin-form" data-match-id="${match.MatchID}">
+            <div class="match-date">
+                <i class="far fa-calendar"></i>
+                ${formatMatchTime(match)}
+            </div>
+            <div class="match-countdown" data-starts-at="${match.StartTime || ''}"
+                 data-status="${match.Status}" data-overs="${match.OversPerInnings || 20}"></div>
+            <div class="prediction-fields">
+                ${winnerOption(match.Team1)}
+                ${winnerOption(match.Team2)}
+            </div>
+            <span class="field-error" data-error-for="Winner"></span>
+            <div class="prediction-fields">
+                <span>won by</span>
+                <input type="number" name="Margin" min="1" max="500" value="${pick && pick.Margin ? pick.Margin : ''}"
+                       aria-label="Margin">
+                <select name="MarginType" aria-label="Margin type">
+                    <option value="" ${!marginType ? 'selected' : ''}>(any margin)</option>
+                    <option value="runs" ${marginType === 'runs' ? 'selected' : ''}>runs</option>
+                    <option value="wickets" ${marginType === 'wickets' ? 'selected' : ''}>wickets</option>
+                </select>
+            </div>
+            <span class="field-error" data-error-for="MarginType"></span>
+            <span class="field-error" data-error-for="Margin"></span>
+            <div class="form-actions">
+                <button type="submit" class="admin-button">${pick ? 'Update pick' : 'Save pick'}</button>
+                ${pick ? '<button type="button" class="admin-button" data-action="withdraw">Withdraw</button>' : ''}
+            </div>
+        </form>
+    `;
+}
+
+async function savePick(form) {
+    const fields = form.elements;
+    const marginType = fields.MarginType.value || null;
+    const body = {
+        Winner: fields.Winner.value,
+        MarginType: marginType,
+        Margin: marginType && fields.Margin.value ? Number(fields.Margin.value) : null
+    };
+
+    const result = await submitPrediction(form, 'PUT', `/api/predictions/${form.dataset.matchId}`, body);
+    if (!result) return;
+    showPredictionsMessage('Prediction saved', 'success');
+    await loadMyPredictions();
+}
+
+async function withdrawPick(form) {
+    const result = await submitPrediction(form, 'DELETE', `/api/predictions/${form.dataset.matchId}`);
+    if (!result) return;
+    showPredictionsMessage('Prediction withdrawn', 'success');
+    await loadMyPredictions();
+}
+
+const OUTCOME_LABELS = { pending: 'Pending', void: 'Void', correct: 'Correct', wrong: 'Wrong' };
+
+function describePick(prediction) {
+    const margin = prediction.MarginType ? ` by ${prediction.Margin} ${prediction.MarginType}` : '';
+    return `${escapeHtml(prediction.Winner)}${margin}`;
+}
+
+function displayMyPredictions(predictions) {
+    if (predictions.length === 0) {
+        myPredictions.innerHTML = '<div class="no-data">No predictions yet this season</div>';
+        return;
+    }
+
+    myPredictions.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Match</th>
+                    <th>Your pick</th>
+                    <th>Result</th>
+                    <th>Points</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${predictions.map(prediction => `
+                    <tr>
+                        <td>${teamLink(prediction.match.Team1)} vs ${teamLink(prediction.match.Team2)}</td>
+                        <td>${describePick(prediction)}${prediction.open ? ' <span class="results-note">(open)</span>' : ''}</td>
+                        <td>${escapeHtml(prediction.match.Result || '')}</td>
+                        <td><span class="prediction-outcome ${prediction.outcome}">
+                            ${prediction.outcome === 'correct' ? `+${prediction.points}` : OUTCOME_LABELS[prediction.outcome]}
+                        </span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function displayLeagues(leagues) {
+    myLeagues.innerHTML = leagues.length === 0
+        ? '<div class="no-data">Create a league and share its code, or join one with a code from a friend</div>'
+        : `<ul class="league-list">${leagues.map(league => `
+            <li>
+                <strong>${escapeHtml(league.Name)}</strong>
+                code <code>${league.Code}</code> · ${league.Members} member${league.Members === 1 ? '' : 's'}
+                <button class="admin-button" data-action="leave" data-code="${league.Code}">Leave</button>
+            </li>
+        `).join('')}</ul>`;
+}
+
+async function createLeague(event) {
+    event.preventDefault();
+    const result = await submitPrediction(leagueCreateForm, 'POST', '/api/leagues', {
+        name: leagueCreateForm.elements.name.value.trim()
+    });
+    if (!result) return;
+
+    leagueCreateForm.reset();
+    showPredictionsMessage(result.message, 'success');
+    leaderboardLeague.dataset.pending = result.data.Code;
+    await loadAccount();
+}
+
+async function joinLeague(event) {
+    event.preventDefault();
+    const result = await submitPrediction(leagueJoinForm, 'POST', '/api/leagues/join', {
+        code: leagueJoinForm.elements.code.value.trim()
+    });
+    if (!result) return;
+
+    leagueJoinForm.reset();
+    showPredictionsMessage(result.message, 'success');
+    leaderboardLeague.dataset.pending = result.data.Code;
+    await loadAccount();
+}
+
+async function leaveLeague(code) {
+    const result = await submitPrediction(null, 'DELETE', `/api/leagues/${encodeURIComponent(code)}/membership`);
+    if (!result) return;
+    showPredictionsMessage(result.message, 'success');
+    await loadAccount();
+}
+
+// "Everyone" plus the user's leagues; a league just created or joined is selected
+function updateLeagueOptions() {
+    const leagues = account ? account.leagues : [];
+    const selected = leaderboardLeague.dataset.pending || leaderboardLeague.value;
+    delete leaderboardLeague.dataset.pending;
+
+    leaderboardLeague.innerHTML = '<option value="">Everyone</option>' + leagues.map(league => `
+        <option value="${league.Code}" ${league.Code === selected ? 'selected' : ''}>${escapeHtml(league.Name)}</option>
+    `).join('');
+    if (leaderboardLeague.value !== selected) loadLeaderboard();
+}
+
+async function loadLeaderboard({ quiet = false } = {}) {
+    try {
+        if (!quiet) leaderboardContainer.innerHTML = '<div class="loading">Loading leaderboard...</div>';
+
+        const league = leaderboardLeague.value;
+        const response = await fetch(`${API_URL}/api/predictions/leaderboard${seasonQuery(league ? { league } : {})}`);
+        if (!response.ok) throw new Error('Failed to fetch leaderboard');
+
+        const data = await response.json();
+        noteStale(data);
+        displayLeaderboard(data.data);
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+        showLoadError(leaderboardContainer, 'Failed to load leaderboard', quiet);
+    }
+}
+
+function displayLeaderboard(rows) {
+    if (rows.length === 0) {
+        leaderboardContainer.innerHTML = '<div class="no-data">No predictions yet</div>';
+        return;
+    }
+
+    leaderboardContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Rank</th>
+                    <th>Player</th>
+                    <th>Points</th>
+                    <th>Correct</th>
+                    <th>Exact margins</th>
+                    <th>Predictions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${account && row.userId === account.userId ? 'own-row' : ''}">
+                        <td><span class="position">${row.rank}</span></td>
+                        <td><div class="player-name">${escapeHtml(row.displayName)}</div></td>
+                        <td><strong class="points">${row.points}</strong></td>
+                        <td>${row.correct}/${row.scored}</td>
+                        <td>${row.exact}</td>
+                        <td>${row.predicted}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Sends a prediction league write and shows field errors on `form`; returns the
+// response body on success and null otherwise
+async function submitPrediction(form, method, path, body) {
+    if (form) showFormErrors(form, {});
+    try {
+        const result = await userApi(method, path, body);
+        if (result.ok) return result.data;
+
+        if (form && result.data.fields) {
+            const unmatched = showFormErrors(form, result.data.fields);
+            if (unmatched.length > 0) showPredictionsMessage(unmatched.join('; '), 'error');
+        } else if (result.status === 401 && method !== 'POST') {
+            showPredictionsMessage('Your session has ended. Please sign in again.', 'error');
+        } else {
+            showPredictionsMessage(result.data.error || `Request failed (${result.status})`, 'error');
+        }
+    } catch (error) {
+        console.error(`${method} ${path} failed:`, error);
+        showPredictionsMessage('Could not reach the server. Please try again.', 'error');
+    }
+    return null;
+}
+
+// Shows each field's message next to it; returns those without a place on the form
+function showFormErrors(form, fields) {
+    form.querySelectorAll('[data-error-for]').forEach(element => {
+        element.textContent = '';
+    });
+
+    const unmatched = [];
+    for (const [name, message] of Object.entries(fields)) {
+        const element = form.querySelector(`[data-error-for="${name}"]`);
+        if (element) element.textContent = message;
+        else unmatched.push(message);
+    }
+    return unmatched;
+}
+
+function showPredictionsMessage(text, kind) {
+    predictionsMessage.textContent = text;
+    predictionsMessage.className = `admin-message ${kind}`;
+    predictionsMessage.hidden = false;
+}
+
+function hidePredictionsMessage() {
+    predictionsMessage.hidden = true;
+}
+
+// Text from the server (names, venues, results) is escaped before it goes into markup
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Live updates
+function isSelectedSeason(season) {
+    return !yearSelect.value || String(season) === yearSelect.value;
+}
+
+// Subscribe to server push; EventSource retries by itself while the connection
+// is merely interrupted, and we reopen it with backoff if it gives up entirely
+function connectStream() {
+    if (!window.EventSource) return;
+
+    stream = new EventSource(`${API_URL}/api/stream`);
+
+    stream.addEventListener('open', () => {
+        streamRetryDelay = 1000;
+    });
+
+    stream.addEventListener('error', () => {
+        if (stream.readyState === EventSource.CLOSED) {
+            stream = null;
+            setTimeout(connectStream, streamRetryDelay);
+            streamRetryDelay = Math.min(streamRetryDelay * 2, 60000);
+        }
+    });
+
+    const onMatch = (event) => {
+        const match = JSON.parse(event.data);
+        if (isSelectedSeason(match.SeasonYear)) patchMatch(match);
+    };
+    stream.addEventListener('match-created', onMatch);
+    stream.addEventListener('match-updated', onMatch);
+
+    stream.addEventListener('match-deleted', (event) => {
+        const { MatchID, SeasonYear } = JSON.parse(event.data);
+        if (isSelectedSeason(SeasonYear)) {
+            displayMatches(currentMatches.filter(match => match.MatchID !== MatchID));
+        }
+    });
+
+    // Results change standings and prediction points alike
+    stream.addEventListener('standings-updated', (event) => {
+        if (isSelectedSeason(JSON.parse(event.data).season)) {
+            loadStandings({ quiet: true });
+            loadPredictions({ quiet: true });
+        }
+    });
+
+    stream.addEventListener('stats-updated', (event) => {
+        if (isSelectedSeason(JSON.parse(event.data).season)) loadPlayerStats({ quiet: true });
+    });
+}
+
+function isStreamOpen() {
+    return stream !== null && stream.readyState === EventSource.OPEN;
+}
+
+// Countdowns tick every second
+setInterval(updateCountdowns, 1000);
+
+// Auto-refresh every 30 seconds; poll the data too while push is unavailable
 setInterval(() => {
     testConnection();
+    if (!isStreamOpen()) {
+        loadMatches({ quiet: true });
+        loadStandings({ quiet: true });
+        loadPlayerStats({ quiet: true });
+        loadPredictions({ quiet: true });
+    }
 }, 30000);
\ No newline at end of file
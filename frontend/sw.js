@@ -0,0 +1,149 @@
+// Service worker: keeps the schedule, standings and stats readable on a poor or
+// missing connection.
+//
+// The app shell is precached when the worker installs. API reads go to the
+// network first and fall back to the last copy saved here, which carries an
+// X-SW-Cached-At header so the page can say how old it is. Bump CACHE_VERSION
+// when the shell files change.
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `asia-cup-shell-${CACHE_VERSION}`;
+const API_CACHE = `asia-cup-api-${CACHE_VERSION}`;
+const CDN_CACHE = `asia-cup-cdn-${CACHE_VERSION}`;
+
+const SHELL_FILES = ['/', '/index.html', '/style.css', '/script.js', '/manifest.webmanifest', '/icons/icon.svg'];
+// Font Awesome's stylesheet and fonts
+const CDN_ORIGIN = 'https://cdnjs.cloudflare.com';
+// Live streams, health checks, admin and account data are always fetched
+const UNCACHED_API = [
+    '/api/stream', '/api/health', '/api/debug', '/api/admin', '/api/auth', '/api/test',
+    '/api/users', '/api/leagues', '/api/audit', '/api/openapi.json', '/api/docs'
+];
+
+// A slow network counts as offline once this passes and a saved copy exists
+const NETWORK_TIMEOUT_MS = 5000;
+const MAX_API_ENTRIES = 150;
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the caches of older versions
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, API_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === CDN_ORIGIN) {
+        event.respondWith(staleWhileRevalidate(request, CDN_CACHE));
+        return;
+    }
+    // The admin console only works online
+    if (url.origin !== self.location.origin || url.pathname === '/metrics' || url.pathname.startsWith('/admin')) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (UNCACHED_API.some(path => url.pathname.startsWith(path))) return;
+        event.respondWith(networkFirst(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(navigate(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+// A copy of the response that records when it was saved
+async function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Oldest entries go first; put() moves a replaced entry to the end
+async function trim(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// API reads: the network's answer when it comes in time, otherwise the saved
+// copy. Without a saved copy the request keeps waiting for the network.
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, await stamp(response.clone()));
+            await trim(cache, MAX_API_ENTRIES);
+        }
+        return response;
+    });
+    network.catch(() => {});
+
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT_MS);
+    } catch (error) {
+        const saved = await cache.match(request);
+        return saved || network;
+    }
+}
+
+// Pages: always the latest index.html when online, the precached one otherwise.
+// Only the app's own page refreshes the saved shell; other pages (such as the
+// API docs) must not replace it.
+const SHELL_PAGES = ['/', '/index.html'];
+
+async function navigate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await withTimeout(fetch(request), NETWORK_TIMEOUT_MS);
+        if (response.ok && SHELL_PAGES.includes(new URL(request.url).pathname)) {
+            await cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match('/index.html')) || Response.error();
+    }
+}
+
+// Static files: the saved copy at once, refreshed in the background for next time
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const saved = await cache.match(request);
+    const network = fetch(request).then(async (response) => {
+        // Cross-origin stylesheets loaded without CORS come back opaque
+        if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+        return response;
+    });
+
+    if (saved) {
+        network.catch(() => {});
+        return saved;
+    }
+    return network;
+}
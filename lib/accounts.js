@@ -0,0 +1,108 @@
+// Fan accounts for the prediction league: local usernames and passwords, and
+// login sessions held as bearer tokens.
+//
+// Passwords are stored as salted scrypt hashes. A session token is shown once,
+// at login, and only its SHA-256 hash is kept, as with API keys.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { hashKey } = require('./auth');
+const { sendError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_PREFIX = 'acs_';
+const SESSION_TTL_DAYS = 30;
+const HASH_LENGTH = 64;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, Buffer.from(salt, 'base64url'), HASH_LENGTH);
+    const expectedHash = Buffer.from(expected, 'base64url');
+    return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function generateSessionToken() {
+    return SESSION_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function sessionExpiry(now = new Date()) {
+    return new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Sign-up fields; returns an object of field -> message, empty when valid
+function validateRegistration({ username, password, displayName }) {
+    const errors = {};
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        errors.username = 'username must be 3 to 30 letters, digits, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        errors.password = `password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    if (displayName != null && (typeof displayName !== 'string' || displayName.trim() === '' || displayName.length > 50)) {
+        errors.displayName = 'displayName must be text of 1 to 50 characters';
+    }
+    return errors;
+}
+
+// What a user sees of an account; never the password hash
+function publicUser(user) {
+    return { userId: user.UserID, username: user.Username, displayName: user.DisplayName };
+}
+
+// `findSession(tokenHash)` resolves the user of an unexpired session or null
+function createUserAuth({ findSession }) {
+    async function authenticate(req) {
+        const header = req.get('Authorization');
+        if (!header || !/^Bearer\s+/i.test(header)) return null;
+
+        const token = header.replace(/^Bearer\s+/i, '').trim();
+        if (!token.startsWith(SESSION_PREFIX)) return null;
+
+        const user = await findSession(hashKey(token));
+        return user ? { ...user, tokenHash: hashKey(token) } : null;
+    }
+
+    // Middleware: sets req.user, or answers 401
+    async function requireUser(req, res, next) {
+        try {
+            const user = await authenticate(req);
+            if (!user) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return sendError(res, 401, 'UNAUTHENTICATED', 'Sign in required');
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    return { authenticate, requireUser };
+}
+
+module.exports = {
+    SESSION_TTL_DAYS,
+    USERNAME_PATTERN,
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    generateSessionToken,
+    sessionExpiry,
+    validateRegistration,
+    publicUser,
+    createUserAuth
+};
@@ -0,0 +1,49 @@
+// Derived tables: Standings and PlayerStats are rebuilt from match results and
+// PlayerInnings rows rather than edited by hand. `db` is a data store or an
+// open transaction (see lib/data).
+
+const standings = require('./standings');
+const leaderboards = require('./leaderboards');
+
+// Rebuilds a season's Standings rows, one table per group and Super 4, from
+// every match with a recorded result (all seasons when seasonYear is omitted)
+async function recomputeStandings(db, seasonYear) {
+    const seasons = seasonYear === undefined ? await db.matches.seasonYears() : [seasonYear];
+
+    const recomputed = {};
+    for (const season of seasons) {
+        const matches = await db.matches.listBySeason(season);
+        const innings = await db.innings.listBySeason(season);
+        const tables = standings.computeStageTables(matches, innings);
+
+        await db.standings.replaceSeason(season, tables.flatMap(table => table.standings));
+        recomputed[season] = tables;
+    }
+    return recomputed;
+}
+
+// Refreshes PlayerStats totals from PlayerInnings for a season (all seasons when
+// omitted). `alsoReset` names players who may have lost all their innings rows;
+// their totals are zeroed. Rows without any innings-level data are left alone.
+async function recomputePlayerStats(db, seasonYear, alsoReset = []) {
+    const rows = await db.players.inningsBySeason(seasonYear);
+
+    const bySeason = new Map();
+    for (const row of rows) {
+        if (!bySeason.has(row.SeasonYear)) bySeason.set(row.SeasonYear, []);
+        bySeason.get(row.SeasonYear).push(row);
+    }
+
+    for (const [season, seasonRows] of bySeason) {
+        for (const p of leaderboards.aggregatePlayers(seasonRows)) {
+            await db.players.saveStats(season, p);
+        }
+    }
+
+    const present = new Set(rows.map(row => row.PlayerName));
+    for (const name of alsoReset.filter(name => !present.has(name))) {
+        await db.players.resetStats(seasonYear, name);
+    }
+}
+
+module.exports = { recomputeStandings, recomputePlayerStats };
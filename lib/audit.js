@@ -0,0 +1,245 @@
+// Audit trail. Writes to fixtures and results, player lines, standings and player
+// stats made through an audited store are logged in AuditLog with who made them,
+// the instance that applied them and the rows before and after, so a bad edit
+// can be traced and reverted.
+//
+// Fixtures and player lines are the source data and can be reverted; standings
+// and player stats are rebuilt from them, so their entries are a record only.
+
+const { toDateString } = require('./validation');
+
+const ENTITIES = ['match', 'player-lines', 'standings', 'player-stats'];
+const REVERTIBLE = ['match', 'player-lines'];
+const ACTIONS = ['insert', 'update', 'delete'];
+
+// Bookkeeping columns left out of snapshots: ids of rebuilt rows and timestamps
+const IGNORED_COLUMNS = {
+    match: ['UpdatedAt', 'CreatedAt'],
+    'player-lines': ['PlayerInningsID', 'CreatedAt'],
+    standings: ['TeamID', 'CreatedAt', 'UpdatedAt'],
+    'player-stats': ['PlayerID', 'CreatedAt', 'UpdatedAt']
+};
+// Columns kept in snapshots but not compared: a match's Revision only follows
+// changes to its other columns, and is kept so a deleted match can be restored
+// without its Revision going backwards
+const UNCOMPARED_COLUMNS = { match: ['Revision'] };
+// Entities whose snapshot is a list of rows rather than a single row
+const LIST_ENTITIES = ['player-lines', 'standings'];
+
+// Plain JSON copy of a row without its bookkeeping columns; the match date is
+// kept as the calendar date it stands for
+function snapshotRow(entity, row) {
+    const copy = Object.fromEntries(
+        Object.entries(row).filter(([column]) => !IGNORED_COLUMNS[entity].includes(column))
+    );
+    if (entity === 'match') copy.MatchDate = toDateString(copy.MatchDate);
+    return JSON.parse(JSON.stringify(copy));
+}
+
+// Snapshot of a row, or of a list of rows; null when there is nothing
+function snapshot(entity, value) {
+    if (LIST_ENTITIES.includes(entity)) {
+        return value && value.length > 0 ? value.map(row => snapshotRow(entity, row)) : null;
+    }
+    return value ? snapshotRow(entity, value) : null;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A single-row snapshot without the columns that are not compared
+function comparable(entity, data) {
+    const skipped = UNCOMPARED_COLUMNS[entity];
+    if (!data || !skipped || LIST_ENTITIES.includes(entity)) return data;
+    return Object.fromEntries(Object.entries(data).filter(([column]) => !skipped.includes(column)));
+}
+
+// Columns whose value differs between two row snapshots
+function changedFields(before, after) {
+    const columns = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return columns.filter(column => !same(before[column], after[column]));
+}
+
+// The AuditLog entry for a change, or null when nothing changed.
+// `before`/`after` are the row(s) as read from the store, null when absent.
+function describeChange({ entity, key, seasonYear = null, before, after }) {
+    const old = snapshot(entity, before);
+    const current = snapshot(entity, after);
+    if (same(comparable(entity, old), comparable(entity, current))) return null;
+
+    const action = !old ? 'insert' : !current ? 'delete' : 'update';
+    const listed = LIST_ENTITIES.includes(entity);
+    return {
+        Entity: entity,
+        EntityKey: String(key),
+        SeasonYear: seasonYear,
+        Action: action,
+        ChangedFields: action === 'update' && !listed
+            ? changedFields(comparable(entity, old), comparable(entity, current))
+            : null,
+        BeforeData: old,
+        AfterData: current
+    };
+}
+
+// Whether the data as it is now still matches what `entry` left behind, i.e.
+// nothing has changed it since
+function isCurrent(entry, current) {
+    const entity = entry.Entity;
+    return same(comparable(entity, snapshot(entity, current)), comparable(entity, entry.AfterData));
+}
+
+// Match columns to write back when restoring a match snapshot
+function matchFields(data) {
+    const { MatchID, Revision, ...fields } = data;
+    return { ...fields, StartTime: fields.StartTime ? new Date(fields.StartTime) : null };
+}
+
+// A store whose writes to matches, player lines, standings and player stats are
+// logged, each entry carrying `context` (Actor, ActorRole, ServedBy, Region,
+// ForwardedFrom, RequestID, RevertOf). `db` is a data store or an open
+// transaction; entries are written through it, so they commit or roll back
+// with the change they describe.
+function createAuditedStore(db, context) {
+    async function record(change) {
+        const entry = describeChange(change);
+        if (entry) await db.audit.record({ ...entry, ...context });
+    }
+
+    async function recordMatchChange(before, after) {
+        const row = after || before;
+        await record({ entity: 'match', key: row.MatchID, seasonYear: row.SeasonYear, before, after });
+    }
+
+    const matches = {
+        ...db.matches,
+
+        async create(match) {
+            const created = await db.matches.create(match);
+            await recordMatchChange(null, created);
+            return created;
+        },
+
+        async restore(match) {
+            const restored = await db.matches.restore(match);
+            await recordMatchChange(null, restored);
+            return restored;
+        },
+
+        async update(matchId, fields) {
+            const before = await db.matches.get(matchId);
+            const updated = await db.matches.update(matchId, fields);
+            if (before && updated) await recordMatchChange(before, updated);
+            return updated;
+        },
+
+        // Player lines go with the match, and are logged as removed too
+        async remove(matchId) {
+            const before = await db.matches.get(matchId);
+            const lines = await db.players.inningsByMatch(matchId);
+            const removed = await db.matches.remove(matchId);
+            if (removed) {
+                await recordMatchChange(before, null);
+                await record({ entity: 'player-lines', key: matchId, seasonYear: before.SeasonYear, before: lines, after: null });
+            }
+            return removed;
+        }
+    };
+
+    const standings = {
+        ...db.standings,
+
+        async replaceSeason(seasonYear, rows) {
+            const before = await db.standings.listBySeason(seasonYear);
+            await db.standings.replaceSeason(seasonYear, rows);
+            const after = await db.standings.listBySeason(seasonYear);
+            await record({ entity: 'standings', key: seasonYear, seasonYear, before, after });
+        }
+    };
+
+    // Logs how the player lines of each match in `matchIds` change during `write`
+    async function trackLines(matchIds, write) {
+        const before = new Map();
+        for (const matchId of matchIds) before.set(matchId, await db.players.inningsByMatch(matchId));
+
+        await write();
+
+        for (const [matchId, lines] of before) {
+            const after = await db.players.inningsByMatch(matchId);
+            const seasonYear = (after[0] || lines[0] || {}).SeasonYear ?? null;
+            await record({ entity: 'player-lines', key: matchId, seasonYear, before: lines, after });
+        }
+    }
+
+    // Season totals as they stood when first needed, kept up to date as they are
+    // saved, so totals a rebuild leaves as they were cost no extra queries
+    const seasonStats = new Map();
+    async function statsOf(seasonYear) {
+        if (!seasonStats.has(seasonYear)) seasonStats.set(seasonYear, await db.players.statsBySeason(seasonYear));
+        return seasonStats.get(seasonYear);
+    }
+
+    async function recordStats(seasonYear, playerName, before) {
+        const stats = await statsOf(seasonYear);
+        for (const row of await db.players.findStats(seasonYear, playerName)) {
+            const old = before.find(other => other.Team === row.Team) || null;
+            await record({ entity: 'player-stats', key: `${row.PlayerName} (${row.Team})`, seasonYear, before: old, after: row });
+
+            const index = stats.indexOf(old);
+            if (index >= 0) stats[index] = row;
+            else stats.push(row);
+        }
+    }
+
+    const players = {
+        ...db.players,
+
+        // Lines without a MatchID show up in the player stats they change
+        async addInnings(rows) {
+            const matchIds = [...new Set(rows.map(row => row.MatchID).filter(matchId => matchId != null))];
+            await trackLines(matchIds, () => db.players.addInnings(rows));
+        },
+
+        async replaceMatchInnings(matchId, rows) {
+            await trackLines([matchId], () => db.players.replaceMatchInnings(matchId, rows));
+        },
+
+        async saveStats(seasonYear, totals) {
+            const before = (await statsOf(seasonYear)).filter(row => row.PlayerName === totals.PlayerName);
+            const existing = before.find(row => row.Team === totals.Team);
+            const unchanged = existing && Object.keys(existing)
+                .filter(column => column in totals)
+                .every(column => String(existing[column]) === String(totals[column]));
+
+            await db.players.saveStats(seasonYear, totals);
+            if (!unchanged) await recordStats(seasonYear, totals.PlayerName, before);
+        },
+
+        async resetStats(seasonYear, playerName) {
+            const before = (await statsOf(seasonYear)).filter(row => row.PlayerName === playerName);
+            await db.players.resetStats(seasonYear, playerName);
+            if (before.length > 0) await recordStats(seasonYear, playerName, before);
+        }
+    };
+
+    return {
+        ...db,
+        matches,
+        standings,
+        players,
+
+        transaction(work) {
+            return db.transaction(tx => work(createAuditedStore(tx, context)));
+        }
+    };
+}
+
+module.exports = {
+    ENTITIES,
+    REVERTIBLE,
+    ACTIONS,
+    snapshot,
+    describeChange,
+    isCurrent,
+    matchFields,
+    createAuditedStore
+};
@@ -0,0 +1,96 @@
+// API-key authentication and role checks for the write API.
+//
+// Keys are random tokens handed out once by an admin; only their SHA-256 hash
+// is stored. ADMIN_API_KEY from the environment is always accepted as an admin
+// key so the first real keys can be created.
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+const ROLES = ['admin', 'scorer'];
+const KEY_PREFIX = 'acp_';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(hashKey(a));
+    const right = Buffer.from(hashKey(b));
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function extractKey(req) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('X-API-Key') || null;
+}
+
+// `findKey(hash)` resolves a stored, unrevoked key row ({ KeyID, Name, Role }) or null
+function createAuth({ findKey, adminKey }) {
+    async function authenticate(req) {
+        const key = extractKey(req);
+        if (!key) return null;
+
+        if (adminKey && safeEqual(key, adminKey)) {
+            return { keyId: null, name: 'bootstrap', role: 'admin' };
+        }
+
+        const row = await findKey(hashKey(key));
+        return row ? { keyId: row.KeyID, name: row.Name, role: row.Role } : null;
+    }
+
+    // Middleware: admins pass every check, other keys need one of `roles`
+    function requireRole(...roles) {
+        return async (req, res, next) => {
+            try {
+                const auth = await authenticate(req);
+                if (!auth) {
+                    res.set('WWW-Authenticate', 'Bearer');
+                    return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required');
+                }
+                if (auth.role !== 'admin' && !roles.includes(auth.role)) {
+                    return sendError(res, 403, 'FORBIDDEN', 'Forbidden', { details: { requiredRole: roles } });
+                }
+                req.auth = auth;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    return { authenticate, requireRole };
+}
+
+// CORS origin checker for the comma-separated CORS_ORIGINS allowlist. Requests
+// without an Origin header (same-origin navigation, curl, health probes) pass.
+function corsOriginChecker(allowlist) {
+    const allowed = new Set(allowlist.map(origin => origin.replace(/\/$/, '')));
+    return (origin, callback) => {
+        callback(null, !origin || allowed.has(origin));
+    };
+}
+
+function parseOrigins(value) {
+    return (value || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    ROLES,
+    hashKey,
+    generateKey,
+    createAuth,
+    corsOriginChecker,
+    parseOrigins
+};
@@ -0,0 +1,358 @@
+// Bulk import and export of tournament data as CSV or JSON.
+//
+// Imports are checked row by row against the current data (and earlier rows of
+// the same file) before anything is written, so a file is either applied in full
+// or not at all. Standings and player stat totals are derived, so they can be
+// exported but not imported.
+
+const { parseCsv, toCsv } = require('./csv');
+const validation = require('./validation');
+const schedule = require('./schedule');
+
+const MAX_ROWS = 2000;
+
+const EXPORT_COLUMNS = {
+    seasons: ['SeasonYear', 'Name', 'Host', 'Format', 'StartDate', 'EndDate', 'IsCurrent'],
+    fixtures: ['MatchID', 'SeasonYear', 'MatchDate', 'StartTime', 'Team1', 'Team2', 'Venue', 'Stage', 'Status', 'OversPerInnings',
+        'Result', 'Winner'],
+    standings: ['SeasonYear', 'Stage', 'Position', 'TeamName', 'MatchesPlayed', 'Wins', 'Losses', 'Tied', 'NoResult',
+        'Points', 'RunsFor', 'BallsFaced', 'RunsAgainst', 'BallsBowled', 'NetRunRate', 'Qualified'],
+    'player-stats': ['SeasonYear', 'PlayerName', 'Team', 'Matches', 'Innings', 'NotOuts', 'Runs', 'BallsFaced',
+        'HighestScore', 'BallsBowled', 'RunsConceded', 'Wickets', 'Catches'],
+    'player-innings': ['SeasonYear', 'MatchID', 'PlayerName', 'Team', 'Batted', 'Runs', 'BallsFaced', 'Fours', 'Sixes',
+        'NotOut', 'BallsBowled', 'Maidens', 'RunsConceded', 'Wickets', 'Catches']
+};
+
+const DATE_COLUMNS = ['MatchDate', 'StartDate', 'EndDate'];
+const BOOLEAN_COLUMNS = ['IsCurrent', 'Qualified', 'Batted', 'NotOut'];
+
+const PLAYER_COUNT_COLUMNS = ['Runs', 'BallsFaced', 'Fours', 'Sixes', 'BallsBowled', 'Maidens', 'RunsConceded',
+    'Wickets', 'Catches'];
+
+// Column types of each importable collection
+const IMPORT_COLUMNS = {
+    fixtures: {
+        SeasonYear: 'int',
+        MatchDate: 'string',
+        StartTime: 'string',
+        Team1: 'string',
+        Team2: 'string',
+        Venue: 'string',
+        Stage: 'string',
+        Status: 'string'
+    },
+    results: {
+        MatchID: 'int',
+        SeasonYear: 'int',
+        MatchDate: 'string',
+        Team1: 'string',
+        Team2: 'string',
+        Status: 'string',
+        Winner: 'string',
+        Tied: 'bool',
+        Result: 'string'
+    },
+    'player-innings': {
+        SeasonYear: 'int',
+        MatchID: 'int',
+        PlayerName: 'string',
+        Team: 'string',
+        Batted: 'bool',
+        NotOut: 'bool',
+        ...Object.fromEntries(PLAYER_COUNT_COLUMNS.map(column => [column, 'int']))
+    }
+};
+
+const DERIVED = {
+    standings: 'Standings are computed from results; import fixtures and results instead',
+    'player-stats': 'Player stat totals are summed from player innings; import player-innings instead'
+};
+
+// ---------- Export ----------
+
+// Dates as YYYY-MM-DD and booleans as true/false, whichever backend produced the rows
+function exportRows(collection, rows) {
+    const columns = EXPORT_COLUMNS[collection];
+    return rows.map(row => Object.fromEntries(columns.map(column => {
+        let value = row[column] ?? null;
+        if (value !== null && DATE_COLUMNS.includes(column)) value = validation.toDateString(value);
+        else if (value instanceof Date) value = value.toISOString();
+        if (value !== null && BOOLEAN_COLUMNS.includes(column)) value = Boolean(value);
+        if (column === 'NetRunRate' && value !== null) value = Number(value);
+        return [column, value];
+    })));
+}
+
+function formatExport(collection, rows, format) {
+    const data = exportRows(collection, rows);
+    if (format === 'csv') {
+        return { contentType: 'text/csv; charset=utf-8', body: toCsv(EXPORT_COLUMNS[collection], data) };
+    }
+    return { contentType: 'application/json; charset=utf-8', body: JSON.stringify({ collection, data }) };
+}
+
+// ---------- Import ----------
+
+function coerce(type, value) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+        return { value: null };
+    }
+    if (type === 'int') {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        return Number.isInteger(number) ? { value: number } : { error: 'must be a whole number' };
+    }
+    if (type === 'bool') {
+        if (typeof value === 'boolean') return { value };
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'y'].includes(text)) return { value: true };
+        if (['false', '0', 'no', 'n'].includes(text)) return { value: false };
+        return { error: 'must be true or false' };
+    }
+    return { value: String(value).trim() };
+}
+
+// Turns the request body (CSV text, a JSON array, or { rows: [...] }) into
+// { rows: [{ line, values }], errors } where errors are problems with the file itself
+function readRows(collection, body) {
+    const columns = Object.keys(IMPORT_COLUMNS[collection]);
+    let headers;
+    let rows;
+
+    if (typeof body === 'string') {
+        try {
+            ({ headers, rows } = parseCsv(body));
+        } catch (error) {
+            return { rows: [], errors: [error.message] };
+        }
+    } else {
+        const list = Array.isArray(body) ? body : body && body.rows;
+        if (!Array.isArray(list)) {
+            return { rows: [], errors: ['Expected a CSV file, a JSON array or { "rows": [...] }'] };
+        }
+        if (list.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            return { rows: [], errors: ['Every JSON row must be an object'] };
+        }
+        headers = [...new Set(list.flatMap(item => Object.keys(item)))];
+        rows = list.map((values, index) => ({ line: index + 1, values }));
+    }
+
+    const errors = headers
+        .filter(header => !columns.includes(header))
+        .map(header => `Unknown column "${header}" (expected ${columns.join(', ')})`);
+    if (rows.length === 0) errors.push('The file has no data rows');
+    if (rows.length > MAX_ROWS) errors.push(`At most ${MAX_ROWS} rows can be imported at once`);
+    return { rows, errors };
+}
+
+// Coerces one row to the collection's column types; returns { row, errors }
+function normalizeRow(collection, values) {
+    const row = {};
+    const errors = {};
+    for (const [column, type] of Object.entries(IMPORT_COLUMNS[collection])) {
+        const { value, error } = coerce(type, values[column]);
+        if (error) errors[column] = `${column} ${error}`;
+        else row[column] = value;
+    }
+    return { row, errors };
+}
+
+const pairOf = (a, b) => [a, b].sort().join('|');
+
+// New fixtures; context: { seasons, fixtures, teams, venueZones } with every season,
+// existing match and team name, and the venue time zones (lib/schedule.js zoneIndex)
+function checkFixtures(rows, { seasons, fixtures, teams = validation.KNOWN_TEAMS, venueZones = new Map() }) {
+    const known = [...fixtures];
+    const accepted = [];
+    const errors = [];
+
+    for (const { line, row } of rows) {
+        const SeasonYear = row.SeasonYear ?? (row.MatchDate ? parseInt(row.MatchDate.slice(0, 4), 10) : null);
+        const match = { ...row, SeasonYear, Status: row.Status ?? 'scheduled', MatchID: `file row ${line}` };
+        const season = seasons.find(s => s.SeasonYear === SeasonYear);
+        const timeZone = schedule.zoneOf(venueZones, match.Venue);
+        const fieldErrors = validation.validateMatch(match, {
+            season,
+            fixtures: known.filter(other => other.SeasonYear === SeasonYear),
+            teams,
+            timeZone
+        });
+
+        if (Object.keys(fieldErrors).length > 0) {
+            errors.push({ row: line, fields: fieldErrors });
+            continue;
+        }
+        known.push(match);
+        accepted.push({
+            SeasonYear,
+            MatchDate: match.MatchDate,
+            StartTime: schedule.parseStartTime(match.StartTime, timeZone).value,
+            Team1: match.Team1,
+            Team2: match.Team2,
+            Venue: match.Venue,
+            Stage: match.Stage,
+            Status: match.Status
+        });
+    }
+    return { accepted, errors };
+}
+
+// Results for existing matches, found by MatchID or by date and teams
+function checkResults(rows, { fixtures }) {
+    const seen = new Set();
+    const accepted = [];
+    const errors = [];
+
+    for (const { line, row } of rows) {
+        let candidates;
+        if (row.MatchID != null) {
+            candidates = fixtures.filter(match => match.MatchID === row.MatchID);
+        } else if (row.MatchDate && row.Team1 && row.Team2) {
+            candidates = fixtures.filter(match =>
+                validation.toDateString(match.MatchDate) === row.MatchDate &&
+                pairOf(match.Team1, match.Team2) === pairOf(row.Team1, row.Team2) &&
+                (row.SeasonYear == null || match.SeasonYear === row.SeasonYear)
+            );
+        } else {
+            errors.push({ row: line, fields: { MatchID: 'Give MatchID, or MatchDate with Team1 and Team2' } });
+            continue;
+        }
+
+        if (candidates.length !== 1) {
+            errors.push({
+                row: line,
+                fields: { MatchID: candidates.length === 0 ? 'No matching fixture' : 'More than one fixture matches' }
+            });
+            continue;
+        }
+
+        const match = candidates[0];
+        if (seen.has(match.MatchID)) {
+            errors.push({ row: line, fields: { MatchID: `Match ${match.MatchID} appears more than once in the file` } });
+            continue;
+        }
+
+        const result = {
+            Status: row.Status ?? 'completed',
+            Winner: row.Winner,
+            Tied: Boolean(row.Tied),
+            Result: row.Result
+        };
+        const fieldErrors = validation.validateResult(match, result);
+        if (Object.keys(fieldErrors).length > 0) {
+            errors.push({ row: line, fields: fieldErrors });
+            continue;
+        }
+
+        seen.add(match.MatchID);
+        accepted.push({
+            MatchID: match.MatchID,
+            SeasonYear: match.SeasonYear,
+            Status: result.Status,
+            Winner: result.Winner,
+            Result: result.Result || validation.defaultResultText(result)
+        });
+    }
+    return { accepted, errors };
+}
+
+// Per-player match lines; context adds `playerKeys`, the "MatchID|PlayerName"
+// pairs already stored
+function checkPlayerInnings(rows, { seasons, fixtures, playerKeys, teams = validation.KNOWN_TEAMS }) {
+    const keys = new Set(playerKeys);
+    const accepted = [];
+    const errors = [];
+
+    for (const { line, row } of rows) {
+        const fieldErrors = {};
+        const match = row.MatchID != null ? fixtures.find(m => m.MatchID === row.MatchID) : null;
+        const SeasonYear = row.SeasonYear ?? (match ? match.SeasonYear : null);
+
+        if (row.MatchID != null && !match) {
+            fieldErrors.MatchID = 'No such match';
+        } else if (match && row.SeasonYear != null && row.SeasonYear !== match.SeasonYear) {
+            fieldErrors.SeasonYear = `Match ${match.MatchID} belongs to ${match.SeasonYear}`;
+        }
+        if (SeasonYear == null) {
+            fieldErrors.SeasonYear = 'SeasonYear is required';
+        } else if (!seasons.some(season => season.SeasonYear === SeasonYear)) {
+            fieldErrors.SeasonYear = 'Unknown season';
+        }
+
+        if (!row.PlayerName) {
+            fieldErrors.PlayerName = 'PlayerName is required';
+        } else if (row.PlayerName.length > 100) {
+            fieldErrors.PlayerName = 'PlayerName must be at most 100 characters';
+        }
+        if (!teams.includes(row.Team)) {
+            fieldErrors.Team = row.Team ? `Unknown team "${row.Team}"` : 'Team is required';
+        } else if (match && ![match.Team1, match.Team2].includes(row.Team)) {
+            fieldErrors.Team = `${row.Team} did not play match ${match.MatchID}`;
+        }
+        for (const column of PLAYER_COUNT_COLUMNS) {
+            if (row[column] != null && row[column] < 0) fieldErrors[column] = `${column} cannot be negative`;
+        }
+
+        const key = `${row.MatchID}|${row.PlayerName}`;
+        if (match && keys.has(key)) {
+            fieldErrors.PlayerName = `${row.PlayerName} already has a line for match ${match.MatchID}`;
+        }
+
+        if (Object.keys(fieldErrors).length > 0) {
+            errors.push({ row: line, fields: fieldErrors });
+            continue;
+        }
+
+        if (match) keys.add(key);
+        const counts = Object.fromEntries(PLAYER_COUNT_COLUMNS.map(column => [column, row[column] ?? 0]));
+        accepted.push({
+            SeasonYear,
+            MatchID: row.MatchID,
+            PlayerName: row.PlayerName,
+            Team: row.Team,
+            Batted: row.Batted ?? (counts.BallsFaced > 0),
+            NotOut: row.NotOut ?? false,
+            ...counts
+        });
+    }
+    return { accepted, errors };
+}
+
+const CHECKS = {
+    fixtures: checkFixtures,
+    results: checkResults,
+    'player-innings': checkPlayerInnings
+};
+
+// Reads and validates an import; returns { accepted, errors, fileErrors, received }
+function prepareImport(collection, body, context) {
+    const { rows, errors: fileErrors } = readRows(collection, body);
+    if (fileErrors.length > 0) {
+        return { accepted: [], errors: [], fileErrors, received: rows.length };
+    }
+
+    const typed = [];
+    const errors = [];
+    for (const { line, values } of rows) {
+        const { row, errors: typeErrors } = normalizeRow(collection, values);
+        if (Object.keys(typeErrors).length > 0) errors.push({ row: line, fields: typeErrors });
+        else typed.push({ line, row });
+    }
+
+    const checked = CHECKS[collection](typed, context);
+    return {
+        accepted: checked.accepted,
+        errors: [...errors, ...checked.errors].sort((a, b) => a.row - b.row),
+        fileErrors: [],
+        received: rows.length
+    };
+}
+
+module.exports = {
+    MAX_ROWS,
+    EXPORT_COLUMNS,
+    IMPORT_COLUMNS,
+    DERIVED,
+    exportRows,
+    formatExport,
+    prepareImport
+};
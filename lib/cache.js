@@ -0,0 +1,91 @@
+// Response cache for the public read API.
+//
+// Every successful JSON response is kept per URL with an ETag. While an entry is
+// fresh (younger than ttlMs and not invalidated by a write) it is answered from
+// memory. Older entries are kept as "last known good": when the database is
+// unavailable, or the route fails with a 5xx, the cached payload is served with
+// `stale: true` and its age instead of an error.
+
+const crypto = require('crypto');
+
+function etagFor(body) {
+    return `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+// `isAvailable()` says whether the database can currently serve reads;
+// `onStale(req)` is told each time a stale entry is served
+function createResponseCache({ ttlMs = 5000, maxAgeSeconds = 0, maxEntries = 500, isAvailable, onStale = () => {} }) {
+    const entries = new Map();
+    const cacheControl = maxAgeSeconds > 0 ? `public, max-age=${maxAgeSeconds}` : 'public, no-cache';
+
+    function remember(key, status, body) {
+        entries.delete(key);
+        entries.set(key, { status, body, etag: etagFor(body), storedAt: Date.now(), fresh: true });
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // res.json/res.send answer If-None-Match with 304 once the ETag header is set
+    function sendEntry(res, entry) {
+        res.set('ETag', entry.etag);
+        res.set('Cache-Control', cacheControl);
+        return res.status(entry.status).json(entry.body);
+    }
+
+    function sendStale(res, entry) {
+        const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+        res.set('ETag', entry.etag);
+        res.set('Cache-Control', 'no-cache');
+        res.set('Age', String(age));
+        res.set('Warning', '110 - "Response is Stale"');
+        return res.status(entry.status).json({
+            ...entry.body,
+            stale: true,
+            age,
+            cachedAt: new Date(entry.storedAt).toISOString()
+        });
+    }
+
+    function middleware(req, res, next) {
+        const key = req.originalUrl;
+        const entry = entries.get(key);
+
+        if (entry && !isAvailable()) {
+            onStale(req);
+            return sendStale(res, entry);
+        }
+        if (entry && entry.fresh && Date.now() - entry.storedAt < ttlMs) {
+            return sendEntry(res, entry);
+        }
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            res.json = json;
+            if (res.statusCode === 200) {
+                remember(key, res.statusCode, body);
+                return sendEntry(res, entries.get(key));
+            }
+            if (res.statusCode >= 500 && entry) {
+                onStale(req);
+                return sendStale(res, entry);
+            }
+            return json(body);
+        };
+        next();
+    }
+
+    return {
+        middleware,
+
+        // Called after writes: entries stop being served as fresh but stay
+        // available as last known good
+        invalidate() {
+            for (const entry of entries.values()) entry.fresh = false;
+        },
+
+        size: () => entries.size
+    };
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading and writing for bulk import/export. Handles
+// quoted fields with commas, doubled quotes and line breaks, CRLF line endings
+// and a leading byte-order mark (spreadsheet exports often add one).
+
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ line: recordLine, values: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, values: record });
+    }
+
+    // Blank lines (often trailing) carry no data
+    const nonEmpty = records.filter(({ values }) => values.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = nonEmpty[0].values.map(header => header.trim());
+    const rows = nonEmpty.slice(1).map(({ line: rowLine, values }) => ({
+        line: rowLine,
+        values: Object.fromEntries(headers.map((header, index) => [header, values[index] ?? '']))
+    }));
+    return { headers, rows };
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,26 @@
+// Data store selection. DATA_BACKEND=mysql (the default) talks to Azure MySQL;
+// DATA_BACKEND=memory keeps everything in process so the API runs offline.
+//
+// Both stores expose the same repositories (seasons, teams, venues, matches, innings,
+// deliveries, standings, players, apiKeys, idempotency, users, sessions, predictions,
+// leagues, audit) plus connect(), ping(), pendingMigrations(), migrate(),
+// transaction(work), poolStats() and close().
+// `onQuery` is called with the operation, table and duration of every MySQL query.
+
+const db = require('../db');
+const { createMysqlStore } = require('./mysql');
+const { createMemoryStore } = require('./memory');
+
+const BACKENDS = ['mysql', 'memory'];
+
+function createStore({ backend = process.env.DATA_BACKEND || 'mysql', role = 'primary', onQuery } = {}) {
+    if (backend === 'memory') {
+        return createMemoryStore();
+    }
+    if (backend === 'mysql') {
+        return createMysqlStore(db.createPool(role), { host: db.databaseConfig(role).host, onQuery });
+    }
+    throw new Error(`Unknown DATA_BACKEND "${backend}" (expected ${BACKENDS.join(' or ')})`);
+}
+
+module.exports = { BACKENDS, createStore };
@@ -0,0 +1,804 @@
+// In-process data store with the same repositories as the MySQL one, so the API
+// runs offline (DATA_BACKEND=memory) for local development and tests. Nothing
+// is persisted; each process starts from the reference seasons.
+//
+// Rows are shaped like mysql2 returns them (DATE columns as local-midnight Date
+// objects) and copied on the way in and out, so callers cannot alter the state.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MATCH_COLUMNS = ['SeasonYear', 'MatchDate', 'StartTime', 'Team1', 'Team2', 'Venue', 'Stage', 'Status',
+    'OversPerInnings', 'Result', 'Winner'];
+
+const STAT_COLUMNS = ['Matches', 'Innings', 'NotOuts', 'Runs', 'BallsFaced', 'HighestScore',
+    'BallsBowled', 'RunsConceded', 'Wickets', 'Catches'];
+
+// Same rows as migrations/001_baseline.js inserts
+const REFERENCE_SEASONS = [
+    { SeasonYear: 2025, Name: 'Asia Cup 2025', Host: 'United Arab Emirates', Format: 'T20', StartDate: '2025-09-09', EndDate: '2025-09-28', IsCurrent: true },
+    { SeasonYear: 2023, Name: 'Asia Cup 2023', Host: 'Pakistan & Sri Lanka', Format: 'ODI', StartDate: '2023-08-30', EndDate: '2023-09-17', IsCurrent: false },
+    { SeasonYear: 2022, Name: 'Asia Cup 2022', Host: 'United Arab Emirates', Format: 'T20', StartDate: '2022-08-27', EndDate: '2022-09-11', IsCurrent: false }
+];
+
+// Same rows as migrations/003_teams.js inserts
+const REFERENCE_TEAMS = [
+    ['Afghanistan', 'AFG'], ['Bangladesh', 'BAN'], ['Hong Kong', 'HK'], ['India', 'IND'],
+    ['Kuwait', 'KUW'], ['Malaysia', 'MAS'], ['Nepal', 'NEP'], ['Oman', 'OMA'],
+    ['Pakistan', 'PAK'], ['Singapore', 'SIN'], ['Sri Lanka', 'SL'], ['UAE', 'UAE']
+];
+
+// Same rows as migrations/005_match_start_times.js inserts
+const REFERENCE_VENUES = [
+    ['Dubai', 'Dubai', 'UAE', 'Asia/Dubai'],
+    ['Abu Dhabi', 'Abu Dhabi', 'UAE', 'Asia/Dubai'],
+    ['Sharjah', 'Sharjah', 'UAE', 'Asia/Dubai'],
+    ['Colombo', 'Colombo', 'Sri Lanka', 'Asia/Colombo'],
+    ['Kandy', 'Kandy', 'Sri Lanka', 'Asia/Colombo'],
+    ['Pallekele', 'Kandy', 'Sri Lanka', 'Asia/Colombo'],
+    ['Hambantota', 'Hambantota', 'Sri Lanka', 'Asia/Colombo'],
+    ['Lahore', 'Lahore', 'Pakistan', 'Asia/Karachi'],
+    ['Multan', 'Multan', 'Pakistan', 'Asia/Karachi'],
+    ['Karachi', 'Karachi', 'Pakistan', 'Asia/Karachi'],
+    ['Dhaka', 'Dhaka', 'Bangladesh', 'Asia/Dhaka'],
+    ['Mirpur', 'Dhaka', 'Bangladesh', 'Asia/Dhaka'],
+    ['Fatullah', 'Narayanganj', 'Bangladesh', 'Asia/Dhaka'],
+    ['Chattogram', 'Chattogram', 'Bangladesh', 'Asia/Dhaka']
+];
+
+function toDate(value) {
+    if (value == null || value instanceof Date) return value;
+    return new Date(`${String(value).slice(0, 10)}T00:00:00`);
+}
+
+// DATETIME columns hold an instant, unlike DATE
+function toInstant(value) {
+    if (value == null || value instanceof Date) return value;
+    return new Date(value);
+}
+
+function copy(row) {
+    return row ? { ...row } : null;
+}
+
+function pick(fields, columns) {
+    return Object.fromEntries(columns.filter(column => fields[column] !== undefined).map(column => [column, fields[column]]));
+}
+
+// Sorts by [{ field, descending }] then `key`, mirroring the MySQL ORDER BY
+// (text compared case-insensitively, nulls first)
+function sortRows(rows, sort, key) {
+    const compare = (a, b) => {
+        if (a === b) return 0;
+        if (a == null) return -1;
+        if (b == null) return 1;
+        if (typeof a === 'string') return a.localeCompare(b, undefined, { sensitivity: 'base' });
+        return a < b ? -1 : a > b ? 1 : 0;
+    };
+    return rows.sort((a, b) => {
+        for (const { field, descending } of [...sort, { field: key, descending: false }]) {
+            const order = compare(a[field], b[field]);
+            if (order !== 0) return descending ? -order : order;
+        }
+        return 0;
+    });
+}
+
+// Same shape as the MySQL search methods return
+function page(rows, limit, offset = 0) {
+    return { rows: rows.slice(offset, limit === undefined ? undefined : offset + limit).map(copy), total: rows.length };
+}
+
+const contains = (value, search) => String(value ?? '').toLowerCase().includes(search.toLowerCase());
+const same = (value, expected) => String(value ?? '').toLowerCase() === expected.toLowerCase();
+
+function createState() {
+    return {
+        tables: {
+            Seasons: REFERENCE_SEASONS.map(season => ({
+                ...season,
+                StartDate: toDate(season.StartDate),
+                EndDate: toDate(season.EndDate),
+                CreatedAt: new Date()
+            })),
+            Teams: REFERENCE_TEAMS.map(([Name, Code], index) => ({
+                TeamID: index + 1,
+                Name,
+                Code,
+                CreatedAt: new Date()
+            })),
+            Venues: REFERENCE_VENUES.map(([Name, City, Country, TimeZone], index) => ({
+                VenueID: index + 1,
+                Name,
+                City,
+                Country,
+                TimeZone
+            })),
+            GroupMatches: [],
+            Innings: [],
+            Deliveries: [],
+            Standings: [],
+            PlayerStats: [],
+            PlayerInnings: [],
+            ApiKeys: [],
+            IdempotencyKeys: [],
+            Users: [],
+            UserSessions: [],
+            Predictions: [],
+            Leagues: [],
+            LeagueMembers: [],
+            AuditLog: []
+        },
+        nextId: { Teams: REFERENCE_TEAMS.length, Venues: REFERENCE_VENUES.length }
+    };
+}
+
+function createRepositories(state) {
+    const table = name => state.tables[name];
+
+    function insert(name, idColumn, row) {
+        state.nextId[name] = (state.nextId[name] || 0) + 1;
+        const stored = { [idColumn]: state.nextId[name], ...row, CreatedAt: new Date() };
+        table(name).push(stored);
+        return stored[idColumn];
+    }
+
+    function removeWhere(name, predicate) {
+        const before = table(name).length;
+        state.tables[name] = table(name).filter(row => !predicate(row));
+        return before - state.tables[name].length;
+    }
+
+    const findMatch = matchId => table('GroupMatches').find(match => match.MatchID === matchId);
+    const matchInningsIds = matchId => new Set(
+        table('Innings').filter(innings => innings.MatchID === matchId).map(innings => innings.InningsID)
+    );
+
+    const seasons = {
+        async list() {
+            return [...table('Seasons')].sort((a, b) => b.SeasonYear - a.SeasonYear).map(copy);
+        },
+
+        async get(seasonYear) {
+            return copy(table('Seasons').find(season => season.SeasonYear === seasonYear));
+        },
+
+        async current() {
+            const sorted = [...table('Seasons')].sort((a, b) =>
+                Number(b.IsCurrent) - Number(a.IsCurrent) || b.SeasonYear - a.SeasonYear
+            );
+            return copy(sorted[0]);
+        }
+    };
+
+    const teams = {
+        async list() {
+            return [...table('Teams')].sort((a, b) => a.Name.localeCompare(b.Name)).map(copy);
+        },
+
+        async get(teamId) {
+            return copy(table('Teams').find(team => team.TeamID === teamId));
+        },
+
+        async findByCode(code) {
+            return copy(table('Teams').find(team => same(team.Code, code)));
+        },
+
+        async findByName(name) {
+            return copy(table('Teams').find(team => same(team.Name, name)));
+        }
+    };
+
+    const venues = {
+        async list() {
+            return [...table('Venues')].sort((a, b) => a.Name.localeCompare(b.Name)).map(copy);
+        },
+
+        async findByName(name) {
+            return copy(table('Venues').find(venue => same(venue.Name, name)));
+        }
+    };
+
+    const matches = {
+        async get(matchId) {
+            return copy(findMatch(matchId));
+        },
+
+        async listBySeason(seasonYear) {
+            return table('GroupMatches')
+                .filter(match => match.SeasonYear === seasonYear)
+                .sort((a, b) => a.MatchDate - b.MatchDate || (a.StartTime || 0) - (b.StartTime || 0))
+                .map(copy);
+        },
+
+        async search({ seasonYear, team, opponent, venue, stage, statuses, from, to, sort = [], limit, offset }) {
+            const fromDate = from && toDate(from);
+            const untilDate = to && toDate(to);
+            const plays = (match, name) => same(match.Team1, name) || same(match.Team2, name);
+            const rows = table('GroupMatches').filter(match =>
+                (seasonYear === undefined || match.SeasonYear === seasonYear) &&
+                (!team || plays(match, team)) &&
+                (!team || !opponent || plays(match, opponent)) &&
+                (!venue || contains(match.Venue, venue)) &&
+                (!stage || same(match.Stage, stage)) &&
+                (!statuses || statuses.length === 0 || statuses.includes(match.Status)) &&
+                (!fromDate || match.MatchDate >= fromDate) &&
+                (!untilDate || match.MatchDate <= untilDate)
+            );
+            return page(sortRows(rows, sort, 'MatchID'), limit, offset);
+        },
+
+        async seasonYears() {
+            return [...new Set(table('GroupMatches').map(match => match.SeasonYear))];
+        },
+
+        async count() {
+            return table('GroupMatches').length;
+        },
+
+        // Transactions are already serialised, so there is nothing more to lock
+        async lock(matchId) {
+            return copy(findMatch(matchId));
+        },
+
+        async create(match) {
+            const row = {
+                Venue: null,
+                Result: null,
+                Winner: null,
+                Stage: null,
+                StartTime: null,
+                OversPerInnings: 20,
+                Status: 'scheduled',
+                ...pick(match, MATCH_COLUMNS)
+            };
+            row.MatchDate = toDate(row.MatchDate);
+            row.StartTime = toInstant(row.StartTime);
+            row.Revision = 0;
+            row.UpdatedAt = new Date();
+            return copy(findMatch(insert('GroupMatches', 'MatchID', row)));
+        },
+
+        // Puts back a deleted match under its old MatchID, one Revision past `match.Revision`
+        async restore(match) {
+            const row = {
+                MatchID: match.MatchID,
+                ...pick(match, MATCH_COLUMNS),
+                MatchDate: toDate(match.MatchDate),
+                StartTime: toInstant(match.StartTime ?? null),
+                Revision: (match.Revision || 0) + 1,
+                UpdatedAt: new Date(),
+                CreatedAt: new Date()
+            };
+            table('GroupMatches').push(row);
+            state.nextId.GroupMatches = Math.max(state.nextId.GroupMatches || 0, row.MatchID);
+            return copy(row);
+        },
+
+        async update(matchId, fields) {
+            const match = findMatch(matchId);
+            if (!match) return null;
+
+            const updates = pick(fields, MATCH_COLUMNS);
+            if (updates.MatchDate !== undefined) updates.MatchDate = toDate(updates.MatchDate);
+            if (updates.StartTime !== undefined) updates.StartTime = toInstant(updates.StartTime);
+            const changed = Object.keys(updates).some(column =>
+                String(updates[column] ?? '') !== String(match[column] ?? '')
+            );
+
+            Object.assign(match, updates);
+            if (changed) {
+                match.Revision++;
+                match.UpdatedAt = new Date();
+            }
+            return copy(match);
+        },
+
+        // Mirrors ON DELETE CASCADE on Innings, Deliveries and PlayerInnings
+        async remove(matchId) {
+            const inningsIds = matchInningsIds(matchId);
+            removeWhere('Deliveries', delivery => inningsIds.has(delivery.InningsID));
+            removeWhere('Innings', innings => innings.MatchID === matchId);
+            removeWhere('PlayerInnings', row => row.MatchID === matchId);
+            removeWhere('Predictions', row => row.MatchID === matchId);
+            return removeWhere('GroupMatches', match => match.MatchID === matchId) > 0;
+        }
+    };
+
+    const innings = {
+        async listByMatch(matchId) {
+            return table('Innings')
+                .filter(row => row.MatchID === matchId)
+                .sort((a, b) => a.InningsNumber - b.InningsNumber)
+                .map(copy);
+        },
+
+        async listBySeason(seasonYear) {
+            const matchIds = new Set(
+                table('GroupMatches').filter(match => match.SeasonYear === seasonYear).map(match => match.MatchID)
+            );
+            return table('Innings').filter(row => matchIds.has(row.MatchID)).map(copy);
+        },
+
+        async countByMatch(matchId) {
+            return table('Innings').filter(row => row.MatchID === matchId).length;
+        },
+
+        async create({ MatchID, InningsNumber, BattingTeam, BowlingTeam }) {
+            if (table('Innings').some(row => row.MatchID === MatchID && row.InningsNumber === InningsNumber)) {
+                throw new Error(`Duplicate innings ${InningsNumber} for match ${MatchID}`);
+            }
+            return insert('Innings', 'InningsID', {
+                MatchID,
+                InningsNumber,
+                BattingTeam,
+                BowlingTeam,
+                Runs: 0,
+                Wickets: 0,
+                LegalBalls: 0,
+                Extras: 0,
+                IsComplete: false
+            });
+        },
+
+        async updateTotals(inningsId, { Runs, Wickets, LegalBalls, Extras, IsComplete }) {
+            const row = table('Innings').find(innings => innings.InningsID === inningsId);
+            if (row) Object.assign(row, { Runs, Wickets, LegalBalls, Extras, IsComplete });
+        }
+    };
+
+    const deliveries = {
+        async listByMatch(matchId) {
+            const inningsIds = matchInningsIds(matchId);
+            return table('Deliveries')
+                .filter(row => inningsIds.has(row.InningsID))
+                .sort((a, b) => a.InningsID - b.InningsID || a.Sequence - b.Sequence)
+                .map(copy);
+        },
+
+        async countByInnings(inningsId) {
+            return table('Deliveries').filter(row => row.InningsID === inningsId).length;
+        },
+
+        async create(delivery) {
+            return insert('Deliveries', 'DeliveryID', { ...delivery });
+        },
+
+        async lockLast(matchId) {
+            const inningsNumber = new Map(
+                table('Innings').filter(row => row.MatchID === matchId).map(row => [row.InningsID, row.InningsNumber])
+            );
+            const last = table('Deliveries')
+                .filter(row => inningsNumber.has(row.InningsID))
+                .sort((a, b) =>
+                    inningsNumber.get(b.InningsID) - inningsNumber.get(a.InningsID) || b.Sequence - a.Sequence
+                )[0];
+            return copy(last);
+        },
+
+        async remove(deliveryId) {
+            removeWhere('Deliveries', row => row.DeliveryID === deliveryId);
+        }
+    };
+
+    const standings = {
+        async listBySeason(seasonYear) {
+            return table('Standings')
+                .filter(row => row.SeasonYear === seasonYear)
+                .sort((a, b) => a.Stage.localeCompare(b.Stage) || a.Position - b.Position)
+                .map(copy);
+        },
+
+        async replaceSeason(seasonYear, rows) {
+            removeWhere('Standings', row => row.SeasonYear === seasonYear);
+            for (const row of rows) {
+                insert('Standings', 'TeamID', {
+                    SeasonYear: seasonYear,
+                    Stage: row.Stage,
+                    Position: row.Position,
+                    TeamName: row.TeamName,
+                    MatchesPlayed: row.MatchesPlayed,
+                    Wins: row.Wins,
+                    Losses: row.Losses,
+                    Tied: row.Tied,
+                    NoResult: row.NoResult,
+                    Points: row.Points,
+                    RunsFor: row.RunsFor,
+                    BallsFaced: row.BallsFaced,
+                    RunsAgainst: row.RunsAgainst,
+                    BallsBowled: row.BallsBowled,
+                    NetRunRate: row.NetRunRate,
+                    Qualified: row.Qualified
+                });
+            }
+        }
+    };
+
+    async function addInnings(rows) {
+        for (const row of rows) {
+            if (row.MatchID != null && table('PlayerInnings').some(other =>
+                other.MatchID === row.MatchID && other.PlayerName === row.PlayerName)) {
+                throw new Error(`Duplicate player innings for ${row.PlayerName} in match ${row.MatchID}`);
+            }
+            insert('PlayerInnings', 'PlayerInningsID', { MatchID: null, ...row });
+        }
+    }
+
+    const players = {
+        addInnings,
+
+        async inningsBySeason(seasonYear) {
+            return table('PlayerInnings')
+                .filter(row => seasonYear === undefined || row.SeasonYear === seasonYear)
+                .map(copy);
+        },
+
+        async inningsCount() {
+            return table('PlayerInnings').length;
+        },
+
+        async namesInMatch(matchId) {
+            return table('PlayerInnings').filter(row => row.MatchID === matchId).map(row => row.PlayerName);
+        },
+
+        async inningsByMatch(matchId) {
+            return table('PlayerInnings')
+                .filter(row => row.MatchID === matchId)
+                .sort((a, b) => a.Team.localeCompare(b.Team) || a.PlayerInningsID - b.PlayerInningsID)
+                .map(copy);
+        },
+
+        async replaceMatchInnings(matchId, rows) {
+            removeWhere('PlayerInnings', row => row.MatchID === matchId);
+            await addInnings(rows);
+        },
+
+        async statsBySeason(seasonYear) {
+            return table('PlayerStats')
+                .filter(row => row.SeasonYear === seasonYear)
+                .sort((a, b) => b.Runs - a.Runs || b.Wickets - a.Wickets)
+                .map(copy);
+        },
+
+        async findStats(seasonYear, playerName) {
+            return table('PlayerStats')
+                .filter(row => row.SeasonYear === seasonYear && row.PlayerName === playerName)
+                .map(copy);
+        },
+
+        async searchStats({ seasonYear, team, search, sort = [], limit, offset }) {
+            const rows = table('PlayerStats').filter(row =>
+                (seasonYear === undefined || row.SeasonYear === seasonYear) &&
+                (!team || same(row.Team, team)) &&
+                (!search || contains(row.PlayerName, search))
+            );
+            return page(sortRows(rows, sort, 'PlayerID'), limit, offset);
+        },
+
+        async saveStats(seasonYear, stats) {
+            const existing = table('PlayerStats').find(row =>
+                row.SeasonYear === seasonYear && row.PlayerName === stats.PlayerName && row.Team === stats.Team
+            );
+            if (existing) {
+                Object.assign(existing, pick(stats, STAT_COLUMNS));
+            } else {
+                insert('PlayerStats', 'PlayerID', {
+                    SeasonYear: seasonYear,
+                    PlayerName: stats.PlayerName,
+                    Team: stats.Team,
+                    ...pick(stats, STAT_COLUMNS)
+                });
+            }
+        },
+
+        async resetStats(seasonYear, playerName) {
+            for (const row of table('PlayerStats')) {
+                if (row.SeasonYear === seasonYear && row.PlayerName === playerName) {
+                    for (const column of STAT_COLUMNS) row[column] = 0;
+                }
+            }
+        }
+    };
+
+    const apiKeys = {
+        async findActive(keyHash) {
+            const row = table('ApiKeys').find(key => key.KeyHash === keyHash && !key.RevokedAt);
+            return row ? { KeyID: row.KeyID, Name: row.Name, Role: row.Role } : null;
+        },
+
+        async touch(keyId) {
+            const row = table('ApiKeys').find(key => key.KeyID === keyId);
+            if (row) row.LastUsedAt = new Date();
+        },
+
+        async list() {
+            return [...table('ApiKeys')]
+                .sort((a, b) => b.CreatedAt - a.CreatedAt || b.KeyID - a.KeyID)
+                .map(({ KeyHash, ...key }) => key);
+        },
+
+        async create({ Name, Role, KeyHash, KeyPrefix, CreatedBy }) {
+            return insert('ApiKeys', 'KeyID', { Name, Role, KeyHash, KeyPrefix, CreatedBy, LastUsedAt: null, RevokedAt: null });
+        },
+
+        async revoke(keyId) {
+            const row = table('ApiKeys').find(key => key.KeyID === keyId && !key.RevokedAt);
+            if (!row) return false;
+            row.RevokedAt = new Date();
+            return true;
+        }
+    };
+
+    const users = {
+        async get(userId) {
+            return copy(table('Users').find(user => user.UserID === userId));
+        },
+
+        async findByUsername(username) {
+            return copy(table('Users').find(user => same(user.Username, username)));
+        },
+
+        async create({ Username, DisplayName, PasswordHash }) {
+            return insert('Users', 'UserID', { Username, DisplayName, PasswordHash });
+        }
+    };
+
+    const sessions = {
+        async findUser(tokenHash) {
+            const session = table('UserSessions').find(row => row.TokenHash === tokenHash && row.ExpiresAt > new Date());
+            const user = session && table('Users').find(row => row.UserID === session.UserID);
+            return user ? { UserID: user.UserID, Username: user.Username, DisplayName: user.DisplayName } : null;
+        },
+
+        async create({ UserID, TokenHash, ExpiresAt }) {
+            insert('UserSessions', 'SessionID', { UserID, TokenHash, ExpiresAt });
+        },
+
+        async remove(tokenHash) {
+            removeWhere('UserSessions', row => row.TokenHash === tokenHash);
+        },
+
+        async removeExpired() {
+            const now = new Date();
+            removeWhere('UserSessions', row => row.ExpiresAt <= now);
+        }
+    };
+
+    const findPrediction = (userId, matchId) =>
+        table('Predictions').find(row => row.UserID === userId && row.MatchID === matchId);
+
+    const predictions = {
+        async get(userId, matchId) {
+            return copy(findPrediction(userId, matchId));
+        },
+
+        async search({ seasonYear, userId } = {}) {
+            return table('Predictions')
+                .filter(row =>
+                    (userId === undefined || row.UserID === userId) &&
+                    (seasonYear === undefined || findMatch(row.MatchID)?.SeasonYear === seasonYear)
+                )
+                .sort((a, b) => a.MatchID - b.MatchID || a.UserID - b.UserID)
+                .map(row => ({
+                    ...row,
+                    DisplayName: table('Users').find(user => user.UserID === row.UserID).DisplayName
+                }));
+        },
+
+        async save({ UserID, MatchID, Winner, MarginType, Margin }) {
+            const existing = findPrediction(UserID, MatchID);
+            if (existing) {
+                Object.assign(existing, { Winner, MarginType, Margin, UpdatedAt: new Date() });
+            } else {
+                insert('Predictions', 'PredictionID', { UserID, MatchID, Winner, MarginType, Margin, UpdatedAt: new Date() });
+            }
+        },
+
+        async remove(userId, matchId) {
+            return removeWhere('Predictions', row => row.UserID === userId && row.MatchID === matchId) > 0;
+        }
+    };
+
+    const isMember = (leagueId, userId) =>
+        table('LeagueMembers').some(row => row.LeagueID === leagueId && row.UserID === userId);
+
+    const leagues = {
+        async findByCode(code) {
+            return copy(table('Leagues').find(league => league.Code === code));
+        },
+
+        async create({ Name, Code, OwnerID }) {
+            return insert('Leagues', 'LeagueID', { Name, Code, OwnerID });
+        },
+
+        async listByUser(userId) {
+            return table('LeagueMembers')
+                .filter(row => row.UserID === userId)
+                .map(row => {
+                    const league = table('Leagues').find(l => l.LeagueID === row.LeagueID);
+                    return {
+                        LeagueID: league.LeagueID,
+                        Name: league.Name,
+                        Code: league.Code,
+                        OwnerID: league.OwnerID,
+                        JoinedAt: row.JoinedAt,
+                        Members: table('LeagueMembers').filter(member => member.LeagueID === league.LeagueID).length
+                    };
+                })
+                .sort((a, b) => a.Name.localeCompare(b.Name));
+        },
+
+        async members(leagueId) {
+            return table('LeagueMembers')
+                .filter(row => row.LeagueID === leagueId)
+                .map(row => {
+                    const user = table('Users').find(u => u.UserID === row.UserID);
+                    return { UserID: user.UserID, DisplayName: user.DisplayName };
+                });
+        },
+
+        async addMember(leagueId, userId) {
+            if (isMember(leagueId, userId)) return false;
+            table('LeagueMembers').push({ LeagueID: leagueId, UserID: userId, JoinedAt: new Date() });
+            return true;
+        },
+
+        async removeMember(leagueId, userId) {
+            return removeWhere('LeagueMembers', row => row.LeagueID === leagueId && row.UserID === userId) > 0;
+        }
+    };
+
+    const audit = {
+        async record(entry) {
+            return insert('AuditLog', 'AuditID', { ...entry, ChangedAt: new Date() });
+        },
+
+        async get(auditId) {
+            return copy(table('AuditLog').find(row => row.AuditID === auditId));
+        },
+
+        // Newest first
+        async search({ entities, key, seasonYear, actor, action, from, to, revertOf, limit, offset }) {
+            const rows = table('AuditLog').filter(row =>
+                (!entities || entities.includes(row.Entity)) &&
+                (!key || row.EntityKey === key) &&
+                (seasonYear === undefined || row.SeasonYear === seasonYear) &&
+                (!actor || same(row.Actor, actor)) &&
+                (!action || row.Action === action) &&
+                (!from || row.ChangedAt >= from) &&
+                (!to || row.ChangedAt <= to) &&
+                (revertOf === undefined || row.RevertOf === revertOf)
+            );
+            return page([...rows].reverse(), limit, offset);
+        }
+    };
+
+    const findKey = key => table('IdempotencyKeys').find(row => row.IdempotencyKey === key);
+
+    const idempotency = {
+        async find(key) {
+            return copy(findKey(key));
+        },
+
+        async reserve(key, fingerprint) {
+            if (findKey(key)) return false;
+            table('IdempotencyKeys').push({
+                IdempotencyKey: key,
+                Fingerprint: fingerprint,
+                StatusCode: null,
+                ResponseBody: null,
+                CreatedAt: new Date()
+            });
+            return true;
+        },
+
+        async complete(key, statusCode, responseBody) {
+            const row = findKey(key);
+            if (row) Object.assign(row, { StatusCode: statusCode, ResponseBody: responseBody });
+        },
+
+        async release(key) {
+            removeWhere('IdempotencyKeys', row => row.IdempotencyKey === key);
+        },
+
+        async purge({ completedSeconds, pendingSeconds }) {
+            const age = row => (Date.now() - row.CreatedAt) / 1000;
+            removeWhere('IdempotencyKeys', row =>
+                age(row) > completedSeconds || (row.StatusCode === null && age(row) > pendingSeconds)
+            );
+        }
+    };
+
+    return {
+        seasons,
+        teams,
+        venues,
+        matches,
+        innings,
+        deliveries,
+        standings,
+        players,
+        apiKeys,
+        idempotency,
+        users,
+        sessions,
+        predictions,
+        leagues,
+        audit
+    };
+}
+
+function createMemoryStore() {
+    const state = createState();
+    // Transactions, and calls made outside them, run one at a time, each waiting for
+    // the previous to settle: a rollback restores the whole state, so nothing else
+    // may write while a transaction is open. Calls made while a transaction's work
+    // runs belong to it and go straight through.
+    let queue = Promise.resolve();
+    const insideTransaction = new AsyncLocalStorage();
+
+    function exclusive(operation) {
+        if (insideTransaction.getStore()) return operation();
+        const run = queue.then(operation);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    const repositories = Object.fromEntries(
+        Object.entries(createRepositories(state)).map(([name, methods]) => [
+            name,
+            Object.fromEntries(Object.entries(methods).map(([method, fn]) => [method, (...args) => exclusive(() => fn(...args))]))
+        ])
+    );
+
+    return {
+        backend: 'memory',
+        host: 'memory',
+        ...repositories,
+
+        async connect() {
+            return { readOnly: false };
+        },
+
+        async ping() {},
+
+        async pendingMigrations() {
+            return [];
+        },
+
+        async migrate() {
+            return [];
+        },
+
+        // Same contract as the MySQL store: commits unless `work` throws or calls
+        // tx.rollback(), in which case the tables are restored to their prior state
+        transaction(work) {
+            return exclusive(async () => {
+                const snapshot = structuredClone(state);
+                let rolledBack = false;
+                const tx = {
+                    ...createRepositories(state),
+                    rollback(value) {
+                        rolledBack = true;
+                        return value;
+                    }
+                };
+
+                try {
+                    const result = await insideTransaction.run(true, () => work(tx));
+                    if (rolledBack) Object.assign(state, snapshot);
+                    return result;
+                } catch (error) {
+                    Object.assign(state, snapshot);
+                    throw error;
+                }
+            });
+        },
+
+        // No connection pool in process
+        poolStats: () => null,
+
+        async close() {}
+    };
+}
+
+module.exports = { createMemoryStore };
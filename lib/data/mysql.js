@@ -0,0 +1,864 @@
+// MySQL implementation of the data store, used against Azure Database for MySQL.
+//
+// Every repository takes a `db` that is either the pool or a single connection
+// inside a transaction, so the same queries serve both.
+
+const migrator = require('../migrator');
+
+const MATCH_COLUMNS = ['SeasonYear', 'MatchDate', 'StartTime', 'Team1', 'Team2', 'Venue', 'Stage', 'Status',
+    'OversPerInnings', 'Result', 'Winner'];
+
+const PLAYER_INNINGS_COLUMNS = ['SeasonYear', 'MatchID', 'PlayerName', 'Team', 'Batted', 'Runs', 'BallsFaced', 'Fours',
+    'Sixes', 'NotOut', 'BallsBowled', 'Maidens', 'RunsConceded', 'Wickets', 'Catches'];
+
+const STAT_COLUMNS = ['Matches', 'Innings', 'NotOuts', 'Runs', 'BallsFaced', 'HighestScore',
+    'BallsBowled', 'RunsConceded', 'Wickets', 'Catches'];
+
+// Picks the known columns present on `fields`, for INSERT/UPDATE column lists
+function columnsOf(fields, allowed) {
+    return allowed.filter(column => fields[column] !== undefined);
+}
+
+// Escapes LIKE wildcards so searches match them literally
+function likeContains(value) {
+    return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// ORDER BY from [{ field, descending }], keeping only known columns and ending
+// with the primary key so pages do not overlap
+function orderBy(sort, allowed, key) {
+    const terms = sort
+        .filter(({ field }) => allowed.includes(field))
+        .map(({ field, descending }) => `${field} ${descending ? 'DESC' : 'ASC'}`);
+    return `ORDER BY ${[...terms, key].join(', ')}`;
+}
+
+// Runs a filtered, paged query and the matching COUNT(*); returns { rows, total }.
+// Without a limit every matching row is returned.
+async function searchTable(db, table, { where, params, order, limit, offset }) {
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const [rows] = limit === undefined
+        ? await db.query(`SELECT * FROM ${table} ${clause} ${order}`, params)
+        : await db.query(`SELECT * FROM ${table} ${clause} ${order} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const [counted] = await db.query(`SELECT COUNT(*) as count FROM ${table} ${clause}`, params);
+    return { rows, total: counted[0].count };
+}
+
+function seasonRepository(db) {
+    return {
+        async list() {
+            const [rows] = await db.query('SELECT * FROM Seasons ORDER BY SeasonYear DESC');
+            return rows;
+        },
+
+        async get(seasonYear) {
+            const [rows] = await db.query('SELECT * FROM Seasons WHERE SeasonYear = ?', [seasonYear]);
+            return rows[0] || null;
+        },
+
+        async current() {
+            const [rows] = await db.query('SELECT * FROM Seasons ORDER BY IsCurrent DESC, SeasonYear DESC LIMIT 1');
+            return rows[0] || null;
+        }
+    };
+}
+
+function teamRepository(db) {
+    return {
+        async list() {
+            const [rows] = await db.query('SELECT * FROM Teams ORDER BY Name');
+            return rows;
+        },
+
+        async get(teamId) {
+            const [rows] = await db.query('SELECT * FROM Teams WHERE TeamID = ?', [teamId]);
+            return rows[0] || null;
+        },
+
+        async findByCode(code) {
+            const [rows] = await db.query('SELECT * FROM Teams WHERE Code = ?', [code]);
+            return rows[0] || null;
+        },
+
+        async findByName(name) {
+            const [rows] = await db.query('SELECT * FROM Teams WHERE Name = ?', [name]);
+            return rows[0] || null;
+        }
+    };
+}
+
+function venueRepository(db) {
+    return {
+        async list() {
+            const [rows] = await db.query('SELECT * FROM Venues ORDER BY Name');
+            return rows;
+        },
+
+        async findByName(name) {
+            const [rows] = await db.query('SELECT * FROM Venues WHERE Name = ?', [name]);
+            return rows[0] || null;
+        }
+    };
+}
+
+function matchRepository(db) {
+    async function get(matchId) {
+        const [rows] = await db.query('SELECT * FROM GroupMatches WHERE MatchID = ?', [matchId]);
+        return rows[0] || null;
+    }
+
+    return {
+        get,
+
+        async listBySeason(seasonYear) {
+            const [rows] = await db.query(
+                'SELECT * FROM GroupMatches WHERE SeasonYear = ? ORDER BY MatchDate, StartTime',
+                [seasonYear]
+            );
+            return rows;
+        },
+
+        // Filtered, sorted page of fixtures (see lib/listing.js); every season
+        // when seasonYear is omitted. `opponent` narrows `team` to their meetings.
+        async search({ seasonYear, team, opponent, venue, stage, statuses, from, to, sort = [], limit, offset = 0 }) {
+            const where = [];
+            const params = [];
+            if (seasonYear !== undefined) {
+                where.push('SeasonYear = ?');
+                params.push(seasonYear);
+            }
+            if (team && opponent) {
+                where.push('((Team1 = ? AND Team2 = ?) OR (Team1 = ? AND Team2 = ?))');
+                params.push(team, opponent, opponent, team);
+            } else if (team) {
+                where.push('(Team1 = ? OR Team2 = ?)');
+                params.push(team, team);
+            }
+            if (venue) {
+                where.push('Venue LIKE ?');
+                params.push(likeContains(venue));
+            }
+            if (stage) {
+                where.push('Stage = ?');
+                params.push(stage);
+            }
+            if (statuses && statuses.length > 0) {
+                where.push(`Status IN (${statuses.map(() => '?').join(', ')})`);
+                params.push(...statuses);
+            }
+            if (from) {
+                where.push('MatchDate >= ?');
+                params.push(from);
+            }
+            if (to) {
+                where.push('MatchDate <= ?');
+                params.push(to);
+            }
+
+            return searchTable(db, 'GroupMatches', {
+                where,
+                params,
+                order: orderBy(sort, ['MatchID', ...MATCH_COLUMNS], 'MatchID'),
+                limit,
+                offset
+            });
+        },
+
+        async seasonYears() {
+            const [rows] = await db.query('SELECT DISTINCT SeasonYear FROM GroupMatches');
+            return rows.map(row => row.SeasonYear);
+        },
+
+        async count() {
+            const [rows] = await db.query('SELECT COUNT(*) as count FROM GroupMatches');
+            return rows[0].count;
+        },
+
+        // Row-locks the match for the rest of the transaction
+        async lock(matchId) {
+            const [rows] = await db.query('SELECT * FROM GroupMatches WHERE MatchID = ? FOR UPDATE', [matchId]);
+            return rows[0] || null;
+        },
+
+        async create(match) {
+            const columns = columnsOf(match, MATCH_COLUMNS);
+            const [result] = await db.query(
+                `INSERT INTO GroupMatches (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => match[column])
+            );
+            return get(result.insertId);
+        },
+
+        // Puts back a deleted match under its old MatchID, one Revision past `match.Revision`
+        async restore(match) {
+            const columns = columnsOf(match, MATCH_COLUMNS);
+            await db.query(
+                `INSERT INTO GroupMatches (MatchID, Revision, ${columns.join(', ')})
+                 VALUES (?, ?, ${columns.map(() => '?').join(', ')})`,
+                [match.MatchID, (match.Revision || 0) + 1, ...columns.map(column => match[column])]
+            );
+            return get(match.MatchID);
+        },
+
+        // Bumps Revision only when a value actually changes, as scoring rewrites
+        // the same status and result after every ball
+        async update(matchId, fields) {
+            const columns = columnsOf(fields, MATCH_COLUMNS);
+            if (columns.length > 0) {
+                const changed = columns.map(column => `NOT (${column} <=> ?)`).join(' OR ');
+                await db.query(
+                    `UPDATE GroupMatches
+                     SET Revision = Revision + IF(${changed}, 1, 0),
+                         ${columns.map(column => `${column} = ?`).join(', ')}
+                     WHERE MatchID = ?`,
+                    [...columns.map(column => fields[column]), ...columns.map(column => fields[column]), matchId]
+                );
+            }
+            return get(matchId);
+        },
+
+        // Innings, deliveries and player lines go with it (ON DELETE CASCADE)
+        async remove(matchId) {
+            const [result] = await db.query('DELETE FROM GroupMatches WHERE MatchID = ?', [matchId]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+function inningsRepository(db) {
+    return {
+        async listByMatch(matchId) {
+            const [rows] = await db.query('SELECT * FROM Innings WHERE MatchID = ? ORDER BY InningsNumber', [matchId]);
+            return rows;
+        },
+
+        async listBySeason(seasonYear) {
+            const [rows] = await db.query(
+                'SELECT i.* FROM Innings i JOIN GroupMatches m ON m.MatchID = i.MatchID WHERE m.SeasonYear = ?',
+                [seasonYear]
+            );
+            return rows;
+        },
+
+        async countByMatch(matchId) {
+            const [rows] = await db.query('SELECT COUNT(*) as count FROM Innings WHERE MatchID = ?', [matchId]);
+            return rows[0].count;
+        },
+
+        async create({ MatchID, InningsNumber, BattingTeam, BowlingTeam }) {
+            const [result] = await db.query(
+                'INSERT INTO Innings (MatchID, InningsNumber, BattingTeam, BowlingTeam) VALUES (?, ?, ?, ?)',
+                [MatchID, InningsNumber, BattingTeam, BowlingTeam]
+            );
+            return result.insertId;
+        },
+
+        async updateTotals(inningsId, { Runs, Wickets, LegalBalls, Extras, IsComplete }) {
+            await db.query(
+                `UPDATE Innings SET Runs = ?, Wickets = ?, LegalBalls = ?, Extras = ?, IsComplete = ?
+                 WHERE InningsID = ?`,
+                [Runs, Wickets, LegalBalls, Extras, IsComplete, inningsId]
+            );
+        }
+    };
+}
+
+function deliveryRepository(db) {
+    return {
+        async listByMatch(matchId) {
+            const [rows] = await db.query(
+                `SELECT d.* FROM Deliveries d
+                 JOIN Innings i ON i.InningsID = d.InningsID
+                 WHERE i.MatchID = ? ORDER BY d.InningsID, d.Sequence`,
+                [matchId]
+            );
+            return rows;
+        },
+
+        async countByInnings(inningsId) {
+            const [rows] = await db.query('SELECT COUNT(*) as count FROM Deliveries WHERE InningsID = ?', [inningsId]);
+            return rows[0].count;
+        },
+
+        async create(delivery) {
+            const [result] = await db.query(
+                `INSERT INTO Deliveries (InningsID, Sequence, OverNumber, BallInOver, Batter, NonStriker, Bowler,
+                                         BatterRuns, ExtraType, ExtraRuns, IsWicket, DismissalKind, PlayerOut, Fielder)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [delivery.InningsID, delivery.Sequence, delivery.OverNumber, delivery.BallInOver, delivery.Batter,
+                    delivery.NonStriker, delivery.Bowler, delivery.BatterRuns, delivery.ExtraType, delivery.ExtraRuns,
+                    delivery.IsWicket, delivery.DismissalKind, delivery.PlayerOut, delivery.Fielder]
+            );
+            return result.insertId;
+        },
+
+        // Most recent delivery of the match, row-locked for the rest of the transaction
+        async lockLast(matchId) {
+            const [rows] = await db.query(
+                `SELECT d.* FROM Deliveries d
+                 JOIN Innings i ON i.InningsID = d.InningsID
+                 WHERE i.MatchID = ? ORDER BY i.InningsNumber DESC, d.Sequence DESC LIMIT 1 FOR UPDATE`,
+                [matchId]
+            );
+            return rows[0] || null;
+        },
+
+        async remove(deliveryId) {
+            await db.query('DELETE FROM Deliveries WHERE DeliveryID = ?', [deliveryId]);
+        }
+    };
+}
+
+function standingsRepository(db) {
+    return {
+        async listBySeason(seasonYear) {
+            const [rows] = await db.query(
+                'SELECT * FROM Standings WHERE SeasonYear = ? ORDER BY Stage, Position',
+                [seasonYear]
+            );
+            return rows;
+        },
+
+        async replaceSeason(seasonYear, rows) {
+            await db.query('DELETE FROM Standings WHERE SeasonYear = ?', [seasonYear]);
+            for (const row of rows) {
+                await db.query(
+                    `INSERT INTO Standings (SeasonYear, Stage, Position, TeamName, MatchesPlayed, Wins, Losses, Tied, NoResult,
+                                            Points, RunsFor, BallsFaced, RunsAgainst, BallsBowled, NetRunRate, Qualified)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [seasonYear, row.Stage, row.Position, row.TeamName, row.MatchesPlayed, row.Wins, row.Losses, row.Tied,
+                        row.NoResult, row.Points, row.RunsFor, row.BallsFaced, row.RunsAgainst, row.BallsBowled,
+                        row.NetRunRate, row.Qualified]
+                );
+            }
+        }
+    };
+}
+
+function playerRepository(db) {
+    async function addInnings(rows) {
+        for (const row of rows) {
+            const columns = columnsOf(row, PLAYER_INNINGS_COLUMNS);
+            await db.query(
+                `INSERT INTO PlayerInnings (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => row[column])
+            );
+        }
+    }
+
+    return {
+        addInnings,
+
+        // Every season when seasonYear is omitted
+        async inningsBySeason(seasonYear) {
+            const [rows] = seasonYear === undefined
+                ? await db.query('SELECT * FROM PlayerInnings')
+                : await db.query('SELECT * FROM PlayerInnings WHERE SeasonYear = ?', [seasonYear]);
+            return rows;
+        },
+
+        async inningsCount() {
+            const [rows] = await db.query('SELECT COUNT(*) as count FROM PlayerInnings');
+            return rows[0].count;
+        },
+
+        async namesInMatch(matchId) {
+            const [rows] = await db.query('SELECT PlayerName FROM PlayerInnings WHERE MatchID = ?', [matchId]);
+            return rows.map(row => row.PlayerName);
+        },
+
+        async inningsByMatch(matchId) {
+            const [rows] = await db.query(
+                'SELECT * FROM PlayerInnings WHERE MatchID = ? ORDER BY Team, PlayerInningsID',
+                [matchId]
+            );
+            return rows;
+        },
+
+        async replaceMatchInnings(matchId, rows) {
+            await db.query('DELETE FROM PlayerInnings WHERE MatchID = ?', [matchId]);
+            await addInnings(rows);
+        },
+
+        async statsBySeason(seasonYear) {
+            const [rows] = await db.query(
+                'SELECT * FROM PlayerStats WHERE SeasonYear = ? ORDER BY Runs DESC, Wickets DESC',
+                [seasonYear]
+            );
+            return rows;
+        },
+
+        async findStats(seasonYear, playerName) {
+            const [rows] = await db.query(
+                'SELECT * FROM PlayerStats WHERE SeasonYear = ? AND PlayerName = ?',
+                [seasonYear, playerName]
+            );
+            return rows;
+        },
+
+        // Filtered, sorted page of season totals; `search` matches part of the name
+        async searchStats({ seasonYear, team, search, sort = [], limit, offset = 0 }) {
+            const where = [];
+            const params = [];
+            if (seasonYear !== undefined) {
+                where.push('SeasonYear = ?');
+                params.push(seasonYear);
+            }
+            if (team) {
+                where.push('Team = ?');
+                params.push(team);
+            }
+            if (search) {
+                where.push('PlayerName LIKE ?');
+                params.push(likeContains(search));
+            }
+
+            return searchTable(db, 'PlayerStats', {
+                where,
+                params,
+                order: orderBy(sort, ['SeasonYear', 'PlayerName', 'Team', ...STAT_COLUMNS], 'PlayerID'),
+                limit,
+                offset
+            });
+        },
+
+        // Updates the season totals for a player and team, inserting them the first time
+        async saveStats(seasonYear, stats) {
+            const values = STAT_COLUMNS.map(column => stats[column]);
+            const [result] = await db.query(
+                `UPDATE PlayerStats SET ${STAT_COLUMNS.map(column => `${column} = ?`).join(', ')}
+                 WHERE SeasonYear = ? AND PlayerName = ? AND Team = ?`,
+                [...values, seasonYear, stats.PlayerName, stats.Team]
+            );
+            if (result.affectedRows === 0) {
+                await db.query(
+                    `INSERT INTO PlayerStats (${STAT_COLUMNS.join(', ')}, SeasonYear, PlayerName, Team)
+                     VALUES (${STAT_COLUMNS.map(() => '?').join(', ')}, ?, ?, ?)`,
+                    [...values, seasonYear, stats.PlayerName, stats.Team]
+                );
+            }
+        },
+
+        async resetStats(seasonYear, playerName) {
+            await db.query(
+                `UPDATE PlayerStats SET ${STAT_COLUMNS.map(column => `${column} = 0`).join(', ')}
+                 WHERE SeasonYear = ? AND PlayerName = ?`,
+                [seasonYear, playerName]
+            );
+        }
+    };
+}
+
+function apiKeyRepository(db) {
+    return {
+        async findActive(keyHash) {
+            const [rows] = await db.query(
+                'SELECT KeyID, Name, Role FROM ApiKeys WHERE KeyHash = ? AND RevokedAt IS NULL',
+                [keyHash]
+            );
+            return rows[0] || null;
+        },
+
+        async touch(keyId) {
+            await db.query('UPDATE ApiKeys SET LastUsedAt = NOW() WHERE KeyID = ?', [keyId]);
+        },
+
+        async list() {
+            const [rows] = await db.query(
+                `SELECT KeyID, Name, Role, KeyPrefix, CreatedBy, CreatedAt, LastUsedAt, RevokedAt
+                 FROM ApiKeys ORDER BY CreatedAt DESC`
+            );
+            return rows;
+        },
+
+        async create({ Name, Role, KeyHash, KeyPrefix, CreatedBy }) {
+            const [result] = await db.query(
+                'INSERT INTO ApiKeys (Name, Role, KeyHash, KeyPrefix, CreatedBy) VALUES (?, ?, ?, ?, ?)',
+                [Name, Role, KeyHash, KeyPrefix, CreatedBy]
+            );
+            return result.insertId;
+        },
+
+        // Returns false when the key does not exist or was already revoked
+        async revoke(keyId) {
+            const [result] = await db.query(
+                'UPDATE ApiKeys SET RevokedAt = NOW() WHERE KeyID = ? AND RevokedAt IS NULL',
+                [keyId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+function userRepository(db) {
+    return {
+        async get(userId) {
+            const [rows] = await db.query('SELECT * FROM Users WHERE UserID = ?', [userId]);
+            return rows[0] || null;
+        },
+
+        async findByUsername(username) {
+            const [rows] = await db.query('SELECT * FROM Users WHERE Username = ?', [username]);
+            return rows[0] || null;
+        },
+
+        async create({ Username, DisplayName, PasswordHash }) {
+            const [result] = await db.query(
+                'INSERT INTO Users (Username, DisplayName, PasswordHash) VALUES (?, ?, ?)',
+                [Username, DisplayName, PasswordHash]
+            );
+            return result.insertId;
+        }
+    };
+}
+
+function sessionRepository(db) {
+    return {
+        // The signed-in user of an unexpired session
+        async findUser(tokenHash) {
+            const [rows] = await db.query(
+                `SELECT u.UserID, u.Username, u.DisplayName
+                 FROM UserSessions s JOIN Users u ON u.UserID = s.UserID
+                 WHERE s.TokenHash = ? AND s.ExpiresAt > NOW()`,
+                [tokenHash]
+            );
+            return rows[0] || null;
+        },
+
+        async create({ UserID, TokenHash, ExpiresAt }) {
+            await db.query(
+                'INSERT INTO UserSessions (UserID, TokenHash, ExpiresAt) VALUES (?, ?, ?)',
+                [UserID, TokenHash, ExpiresAt]
+            );
+        },
+
+        async remove(tokenHash) {
+            await db.query('DELETE FROM UserSessions WHERE TokenHash = ?', [tokenHash]);
+        },
+
+        async removeExpired() {
+            await db.query('DELETE FROM UserSessions WHERE ExpiresAt <= NOW()');
+        }
+    };
+}
+
+function predictionRepository(db) {
+    return {
+        async get(userId, matchId) {
+            const [rows] = await db.query('SELECT * FROM Predictions WHERE UserID = ? AND MatchID = ?', [userId, matchId]);
+            return rows[0] || null;
+        },
+
+        // With each predictor's DisplayName; every season when seasonYear is omitted,
+        // one user's when userId is given
+        async search({ seasonYear, userId } = {}) {
+            const where = [];
+            const params = [];
+            if (seasonYear !== undefined) {
+                where.push('m.SeasonYear = ?');
+                params.push(seasonYear);
+            }
+            if (userId !== undefined) {
+                where.push('p.UserID = ?');
+                params.push(userId);
+            }
+            const [rows] = await db.query(
+                `SELECT p.*, u.DisplayName
+                 FROM Predictions p
+                 JOIN Users u ON u.UserID = p.UserID
+                 JOIN GroupMatches m ON m.MatchID = p.MatchID
+                 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                 ORDER BY p.MatchID, p.UserID`,
+                params
+            );
+            return rows;
+        },
+
+        async save({ UserID, MatchID, Winner, MarginType, Margin }) {
+            await db.query(
+                `INSERT INTO Predictions (UserID, MatchID, Winner, MarginType, Margin) VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE Winner = VALUES(Winner), MarginType = VALUES(MarginType), Margin = VALUES(Margin)`,
+                [UserID, MatchID, Winner, MarginType, Margin]
+            );
+        },
+
+        async remove(userId, matchId) {
+            const [result] = await db.query('DELETE FROM Predictions WHERE UserID = ? AND MatchID = ?', [userId, matchId]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+function leagueRepository(db) {
+    return {
+        async findByCode(code) {
+            const [rows] = await db.query('SELECT * FROM Leagues WHERE Code = ?', [code]);
+            return rows[0] || null;
+        },
+
+        async create({ Name, Code, OwnerID }) {
+            const [result] = await db.query(
+                'INSERT INTO Leagues (Name, Code, OwnerID) VALUES (?, ?, ?)',
+                [Name, Code, OwnerID]
+            );
+            return result.insertId;
+        },
+
+        async listByUser(userId) {
+            const [rows] = await db.query(
+                `SELECT l.LeagueID, l.Name, l.Code, l.OwnerID, lm.JoinedAt,
+                        (SELECT COUNT(*) FROM LeagueMembers c WHERE c.LeagueID = l.LeagueID) as Members
+                 FROM LeagueMembers lm JOIN Leagues l ON l.LeagueID = lm.LeagueID
+                 WHERE lm.UserID = ?
+                 ORDER BY l.Name`,
+                [userId]
+            );
+            return rows;
+        },
+
+        async members(leagueId) {
+            const [rows] = await db.query(
+                `SELECT u.UserID, u.DisplayName
+                 FROM LeagueMembers lm JOIN Users u ON u.UserID = lm.UserID
+                 WHERE lm.LeagueID = ?`,
+                [leagueId]
+            );
+            return rows;
+        },
+
+        // Returns false when the user was already a member
+        async addMember(leagueId, userId) {
+            const [result] = await db.query(
+                'INSERT IGNORE INTO LeagueMembers (LeagueID, UserID) VALUES (?, ?)',
+                [leagueId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async removeMember(leagueId, userId) {
+            const [result] = await db.query(
+                'DELETE FROM LeagueMembers WHERE LeagueID = ? AND UserID = ?',
+                [leagueId, userId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+const AUDIT_JSON_COLUMNS = ['ChangedFields', 'BeforeData', 'AfterData'];
+
+function auditRepository(db) {
+    return {
+        async record(entry) {
+            const columns = Object.keys(entry);
+            const [result] = await db.query(
+                `INSERT INTO AuditLog (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => AUDIT_JSON_COLUMNS.includes(column) && entry[column] !== null
+                    ? JSON.stringify(entry[column])
+                    : entry[column])
+            );
+            return result.insertId;
+        },
+
+        async get(auditId) {
+            const [rows] = await db.query('SELECT * FROM AuditLog WHERE AuditID = ?', [auditId]);
+            return rows[0] || null;
+        },
+
+        // Newest first
+        async search({ entities, key, seasonYear, actor, action, from, to, revertOf, limit, offset = 0 }) {
+            const where = [];
+            const params = [];
+            if (entities) {
+                where.push(`Entity IN (${entities.map(() => '?').join(', ')})`);
+                params.push(...entities);
+            }
+            const equal = { EntityKey: key, SeasonYear: seasonYear, Actor: actor, Action: action, RevertOf: revertOf };
+            for (const [column, value] of Object.entries(equal)) {
+                if (value === undefined || value === '') continue;
+                where.push(`${column} = ?`);
+                params.push(value);
+            }
+            if (from) {
+                where.push('ChangedAt >= ?');
+                params.push(from);
+            }
+            if (to) {
+                where.push('ChangedAt <= ?');
+                params.push(to);
+            }
+
+            return searchTable(db, 'AuditLog', { where, params, order: 'ORDER BY AuditID DESC', limit, offset });
+        }
+    };
+}
+
+function idempotencyRepository(db) {
+    return {
+        async find(key) {
+            const [rows] = await db.query('SELECT * FROM IdempotencyKeys WHERE IdempotencyKey = ?', [key]);
+            return rows[0] || null;
+        },
+
+        // Claims the key for a request in progress; false when it is already taken
+        async reserve(key, fingerprint) {
+            const [result] = await db.query(
+                'INSERT IGNORE INTO IdempotencyKeys (IdempotencyKey, Fingerprint) VALUES (?, ?)',
+                [key, fingerprint]
+            );
+            return result.affectedRows === 1;
+        },
+
+        async complete(key, statusCode, responseBody) {
+            await db.query(
+                'UPDATE IdempotencyKeys SET StatusCode = ?, ResponseBody = ? WHERE IdempotencyKey = ?',
+                [statusCode, responseBody, key]
+            );
+        },
+
+        async release(key) {
+            await db.query('DELETE FROM IdempotencyKeys WHERE IdempotencyKey = ?', [key]);
+        },
+
+        // Drops stored responses older than `completedSeconds` and claims abandoned
+        // for longer than `pendingSeconds` (e.g. by a crashed process)
+        async purge({ completedSeconds, pendingSeconds }) {
+            await db.query(
+                `DELETE FROM IdempotencyKeys
+                 WHERE CreatedAt < NOW() - INTERVAL ? SECOND
+                    OR (StatusCode IS NULL AND CreatedAt < NOW() - INTERVAL ? SECOND)`,
+                [completedSeconds, pendingSeconds]
+            );
+        }
+    };
+}
+
+// Operation and first table of a statement, as metric labels
+function describeQuery(sql) {
+    const operation = (sql.trim().match(/^\w+/) || ['OTHER'])[0].toUpperCase();
+    const table = (sql.match(/\b(?:FROM|INTO|UPDATE|TABLE)\s+`?(\w+)/i) || [])[1] || 'none';
+    return { operation, table };
+}
+
+// `db` with every query reported to onQuery({ operation, table, seconds, error })
+function timed(db, onQuery) {
+    if (!onQuery) return db;
+    return {
+        async query(sql, params) {
+            const started = process.hrtime.bigint();
+            const report = error => onQuery({
+                ...describeQuery(sql),
+                seconds: Number(process.hrtime.bigint() - started) / 1e9,
+                error
+            });
+            try {
+                const result = await db.query(sql, params);
+                report(null);
+                return result;
+            } catch (error) {
+                report(error);
+                throw error;
+            }
+        }
+    };
+}
+
+function createRepositories(db) {
+    return {
+        seasons: seasonRepository(db),
+        teams: teamRepository(db),
+        venues: venueRepository(db),
+        matches: matchRepository(db),
+        innings: inningsRepository(db),
+        deliveries: deliveryRepository(db),
+        standings: standingsRepository(db),
+        players: playerRepository(db),
+        apiKeys: apiKeyRepository(db),
+        users: userRepository(db),
+        sessions: sessionRepository(db),
+        predictions: predictionRepository(db),
+        leagues: leagueRepository(db),
+        audit: auditRepository(db),
+        idempotency: idempotencyRepository(db)
+    };
+}
+
+function createMysqlStore(pool, { host, onQuery } = {}) {
+    return {
+        backend: 'mysql',
+        host,
+        ...createRepositories(timed(pool, onQuery)),
+
+        // Reports whether the server is a read-only replica
+        async connect() {
+            const connection = await pool.getConnection();
+            try {
+                const [result] = await connection.query('SELECT @@global.read_only as read_only');
+                return { readOnly: result[0]?.read_only === 1 };
+            } finally {
+                connection.release();
+            }
+        },
+
+        async ping() {
+            await pool.query('SELECT 1');
+        },
+
+        async pendingMigrations() {
+            const migrations = await migrator.status(pool);
+            return migrations.filter(migration => !migration.applied).map(migration => migration.name);
+        },
+
+        migrate: log => migrator.migrate(pool, log),
+
+        // Runs `work(tx)` on one connection inside a transaction. It commits when
+        // `work` resolves, unless `work` called tx.rollback(), and rolls back on errors.
+        async transaction(work) {
+            const connection = await pool.getConnection();
+            let rolledBack = false;
+            const tx = {
+                ...createRepositories(timed(connection, onQuery)),
+                rollback(value) {
+                    rolledBack = true;
+                    return value;
+                }
+            };
+
+            try {
+                await connection.beginTransaction();
+                const result = await work(tx);
+                if (rolledBack) {
+                    await connection.rollback();
+                } else {
+                    await connection.commit();
+                }
+                return result;
+            } catch (error) {
+                await connection.rollback().catch(() => {});
+                throw error;
+            } finally {
+                connection.release();
+            }
+        },
+
+        // Connections of the pool by state. mysql2 has no public API for this,
+        // so it reads the pool's internals and gives null if they change.
+        poolStats() {
+            const core = pool.pool;
+            if (!core || !core._allConnections || !core._freeConnections) return null;
+            const open = core._allConnections.length;
+            const idle = core._freeConnections.length;
+            return {
+                limit: core.config.connectionLimit,
+                open,
+                idle,
+                inUse: open - idle,
+                waiting: core._connectionQueue ? core._connectionQueue.length : 0
+            };
+        },
+
+        close: () => pool.end()
+    };
+}
+
+module.exports = { createMysqlStore };
@@ -0,0 +1,49 @@
+// Sample fixtures and player innings for local development and demos, loaded by
+// `npm run seed` and by the memory backend at startup. Start times are in UTC
+// (8pm in the UAE is 16:00Z, 3pm in Colombo 09:30Z).
+
+const { recomputeStandings, recomputePlayerStats } = require('../aggregates');
+
+const MATCHES = [
+    { SeasonYear: 2025, MatchDate: '2025-09-14', StartTime: new Date('2025-09-14T16:00:00Z'), Team1: 'India', Team2: 'Pakistan', Venue: 'Dubai', Stage: 'Group A', OversPerInnings: 20, Status: 'scheduled' },
+    { SeasonYear: 2025, MatchDate: '2025-09-13', StartTime: new Date('2025-09-13T16:00:00Z'), Team1: 'Sri Lanka', Team2: 'Bangladesh', Venue: 'Abu Dhabi', Stage: 'Group B', OversPerInnings: 20, Status: 'scheduled' },
+    { SeasonYear: 2025, MatchDate: '2025-09-15', StartTime: new Date('2025-09-15T16:00:00Z'), Team1: 'Afghanistan', Team2: 'Nepal', Venue: 'Sharjah', Stage: 'Group A', OversPerInnings: 20, Status: 'scheduled' },
+    { SeasonYear: 2023, MatchDate: '2023-09-17', StartTime: new Date('2023-09-17T09:30:00Z'), Team1: 'India', Team2: 'Sri Lanka', Venue: 'Colombo', Stage: 'Final', OversPerInnings: 50, Status: 'completed', Result: 'India won by 10 wickets', Winner: 'India' },
+    { SeasonYear: 2022, MatchDate: '2022-09-11', StartTime: new Date('2022-09-11T14:00:00Z'), Team1: 'Sri Lanka', Team2: 'Pakistan', Venue: 'Dubai', Stage: 'Final', OversPerInnings: 20, Status: 'completed', Result: 'Sri Lanka won by 23 runs', Winner: 'Sri Lanka' }
+];
+
+const INNINGS_COLUMNS = ['SeasonYear', 'PlayerName', 'Team', 'Batted', 'Runs', 'BallsFaced', 'Fours', 'Sixes', 'NotOut',
+    'BallsBowled', 'Maidens', 'RunsConceded', 'Wickets', 'Catches'];
+
+const PLAYER_INNINGS = [
+    [2025, 'Virat Kohli', 'India', true, 82, 53, 6, 4, true, 0, 0, 0, 0, 2],
+    [2025, 'Virat Kohli', 'India', true, 74, 49, 7, 2, false, 0, 0, 0, 0, 1],
+    [2025, 'Babar Azam', 'Pakistan', true, 61, 45, 5, 1, false, 0, 0, 0, 0, 1],
+    [2025, 'Babar Azam', 'Pakistan', true, 67, 48, 6, 2, false, 0, 0, 0, 0, 1],
+    [2025, 'Wanindu Hasaranga', 'Sri Lanka', true, 21, 14, 1, 1, false, 24, 0, 18, 3, 1],
+    [2025, 'Wanindu Hasaranga', 'Sri Lanka', true, 24, 17, 2, 1, true, 24, 0, 27, 2, 0],
+    [2023, 'Shubman Gill', 'India', true, 121, 133, 8, 5, false, 0, 0, 0, 0, 1],
+    [2023, 'Shubman Gill', 'India', true, 58, 52, 10, 1, false, 0, 0, 0, 0, 1],
+    [2022, 'Mohammad Rizwan', 'Pakistan', true, 78, 57, 6, 3, true, 0, 0, 0, 0, 2],
+    [2022, 'Mohammad Rizwan', 'Pakistan', true, 71, 51, 6, 3, false, 0, 0, 0, 0, 2]
+].map(values => Object.fromEntries(INNINGS_COLUMNS.map((column, index) => [column, values[index]])));
+
+// Fills empty tables only, so loading twice is harmless, then rebuilds the derived tables
+async function loadSampleData(store, log = () => {}) {
+    if (await store.matches.count() === 0) {
+        for (const match of MATCHES) {
+            await store.matches.create(match);
+        }
+        log('Sample matches inserted');
+    }
+
+    if (await store.players.inningsCount() === 0) {
+        await store.players.addInnings(PLAYER_INNINGS);
+        log('Sample player innings inserted');
+    }
+
+    await recomputeStandings(store);
+    await recomputePlayerStats(store);
+}
+
+module.exports = { MATCHES, PLAYER_INNINGS, loadSampleData };
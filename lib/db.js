@@ -0,0 +1,24 @@
+// MySQL connection settings shared by the server and the migrate/seed scripts.
+
+const mysql = require('mysql2/promise');
+
+function databaseConfig(role = 'primary') {
+    return {
+        host: process.env.AZURE_SQL_SERVER || 'asiacup25-primarydb.mysql.database.azure.com',
+        user: process.env.AZURE_SQL_USERNAME || 'sqladmin',
+        password: process.env.AZURE_SQL_PASSWORD || 'Jaihind@12345',
+        database: process.env.AZURE_SQL_DATABASE || 'asiacup25-db',
+        port: parseInt(process.env.AZURE_SQL_PORT) || 3306,
+        ssl: { rejectUnauthorized: true },
+        waitForConnections: true,
+        connectionLimit: role === 'primary' ? 10 : 5,
+        queueLimit: 0,
+        connectTimeout: 10000
+    };
+}
+
+function createPool(role) {
+    return mysql.createPool(databaseConfig(role));
+}
+
+module.exports = { databaseConfig, createPool };
@@ -0,0 +1,98 @@
+// Error responses of the API. Every error has the same shape:
+//
+//   { error, code, fields?, details?, requestId, servedBy, region }
+//
+// `error` is a message for people and `code` one of ERROR_CODES for programs;
+// `fields` maps request fields to what is wrong with them and `details` carries
+// anything else the code documents. Unexpected errors are logged with the request
+// id and answered with a generic 500, so database messages never reach clients.
+
+const ERROR_CODES = {
+    BAD_REQUEST: { status: 400, description: 'The request cannot be processed as sent' },
+    VALIDATION_FAILED: { status: 400, description: 'Fields of the body, path or query are invalid; see `fields` (and `details.errors` for rows of a list)' },
+    INVALID_JSON: { status: 400, description: 'The body is not valid JSON' },
+    UNAUTHENTICATED: { status: 401, description: 'An API key or session token is required, or the one sent is not accepted' },
+    INVALID_CREDENTIALS: { status: 401, description: 'The username or password is wrong' },
+    FORBIDDEN: { status: 403, description: 'The API key does not have the role the route needs; see `details.requiredRole`' },
+    NOT_FOUND: { status: 404, description: 'The route, or the resource it names, does not exist' },
+    CONFLICT: { status: 409, description: 'The change cannot be made in the current state of the data' },
+    ALREADY_EXISTS: { status: 409, description: 'Something with that name already exists' },
+    PREDICTIONS_CLOSED: { status: 409, description: 'The match has started; see `details.locksAt`' },
+    DATA_CHANGED: { status: 409, description: 'The data changed after the audited change; see `details.expected` and `details.current`' },
+    IDEMPOTENCY_IN_PROGRESS: { status: 409, description: 'A request with the same Idempotency-Key is still running; retry after Retry-After seconds' },
+    IDEMPOTENCY_NOT_REPLAYABLE: { status: 409, description: 'A request with the same Idempotency-Key succeeded, but its response carries credentials and is not stored; see `details.status`' },
+    PAYLOAD_TOO_LARGE: { status: 413, description: 'The body is larger than the server accepts' },
+    IDEMPOTENCY_KEY_REUSED: { status: 422, description: 'The Idempotency-Key was already used for a different request' },
+    WRITES_NOT_ACCEPTED: { status: 423, description: 'This instance cannot write and has no primary to forward to' },
+    INTERNAL_ERROR: { status: 500, description: 'Something went wrong on the server; quote `requestId` when reporting it' },
+    PRIMARY_UNREACHABLE: { status: 502, description: 'The write could not be forwarded to the primary; retry with the same Idempotency-Key' },
+    DATABASE_UNAVAILABLE: { status: 503, description: 'The database cannot be reached' },
+    PRIMARY_TIMEOUT: { status: 504, description: 'The primary did not answer a forwarded write in time; retry with the same Idempotency-Key' }
+};
+
+// Thrown where the response is not at hand (helpers, transactions, which it rolls
+// back) and sent by the error handler
+class ApiError extends Error {
+    constructor(status, code, message, { fields, details } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+        this.details = details;
+    }
+}
+
+// The instance fields come from app.locals.instance ({ servedBy, region })
+function sendError(res, status, code, message, { fields, details } = {}) {
+    const instance = res.app.locals.instance || {};
+    return res.status(status).json({
+        error: message,
+        code,
+        ...(fields && { fields }),
+        ...(details && { details }),
+        requestId: res.req.id,
+        servedBy: instance.servedBy,
+        region: instance.region
+    });
+}
+
+function sendValidationErrors(res, fields, message = 'Validation failed') {
+    return sendError(res, 400, 'VALIDATION_FAILED', message, { fields });
+}
+
+// Final error middleware: ApiErrors and body-parser failures are answered as
+// they are, anything else is logged and hidden behind INTERNAL_ERROR
+function createErrorHandler(logger) {
+    // Express recognises error middleware by its four parameters
+    return (err, req, res, next) => {
+        if (res.headersSent) {
+            (req.log || logger).error('Error after response started', { error: err });
+            return res.end();
+        }
+
+        if (err instanceof ApiError) {
+            return sendError(res, err.status, err.code, err.message, err);
+        }
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 400, 'INVALID_JSON', 'The request body is not valid JSON');
+        }
+        if (err.type === 'entity.too.large') {
+            return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `The request body is larger than ${err.limit} bytes`);
+        }
+        if (err.expose && err.status >= 400 && err.status < 500) {
+            return sendError(res, err.status, 'BAD_REQUEST', err.message);
+        }
+
+        (req.log || logger).error('Unhandled error', { error: err });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    sendError,
+    sendValidationErrors,
+    createErrorHandler
+};
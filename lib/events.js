@@ -0,0 +1,69 @@
+// Server-Sent Events hub: holds the open /api/stream responses and fans change
+// notifications out to them. Recent events are kept so a reconnecting browser
+// can catch up from its Last-Event-ID.
+
+const HEARTBEAT_MS = 25000;
+const REPLAY_LIMIT = 100;
+
+function createEventHub() {
+    const clients = new Set();
+    const recent = [];
+    let nextId = 1;
+    let heartbeat = null;
+
+    function send(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    // Comment lines keep proxies and the App Service front end from idling the connection out
+    function startHeartbeat() {
+        if (heartbeat) return;
+        heartbeat = setInterval(() => {
+            for (const res of clients) res.write(': keep-alive\n\n');
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+
+    function subscribe(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+        if (Number.isInteger(lastEventId)) {
+            recent.filter(event => event.id > lastEventId).forEach(event => send(res, event));
+        }
+
+        clients.add(res);
+        startHeartbeat();
+
+        req.on('close', () => {
+            clients.delete(res);
+            if (clients.size === 0 && heartbeat) {
+                clearInterval(heartbeat);
+                heartbeat = null;
+            }
+        });
+    }
+
+    function publish(type, data) {
+        const event = { id: nextId++, type, data };
+        recent.push(event);
+        if (recent.length > REPLAY_LIMIT) recent.shift();
+        for (const res of clients) send(res, event);
+        return event;
+    }
+
+    return {
+        subscribe,
+        publish,
+        clientCount: () => clients.size
+    };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,129 @@
+// Forwards write requests from an instance that cannot write (a secondary, or
+// one whose database is a read-only replica) to the primary at PRIMARY_URL.
+//
+// Every forwarded write carries an Idempotency-Key (the client's, or one made
+// up here), so retrying after a timeout or dropped connection cannot apply the
+// write twice on the primary.
+//
+// Anyone can send the forwarding header, so the instance it names is only
+// believed (e.g. for the audit trail) when the request is signed with the
+// FORWARD_SECRET the instances share.
+
+const crypto = require('crypto');
+const { HEADER: IDEMPOTENCY_HEADER } = require('./idempotency');
+const { sendError } = require('./errors');
+
+// Marks a request as already forwarded once, so two instances that both think
+// the other is primary cannot bounce a write between them
+const FORWARDED_HEADER = 'X-Forwarded-Write';
+// HMAC-SHA256 of the origin, method and URL under the shared secret
+const SIGNATURE_HEADER = 'X-Forwarded-Write-Signature';
+// X-Request-ID lets the primary's logs be matched up with this instance's
+const PASSED_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID'];
+const RELAYED_HEADERS = ['Content-Type', 'Idempotent-Replayed', 'Retry-After', 'WWW-Authenticate'];
+// Statuses from the primary's front end that mean it was not reached
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sign(secret, origin, method, url) {
+    return crypto.createHmac('sha256', secret).update(`${origin}\n${method}\n${url}`).digest('hex');
+}
+
+// The instance a write was forwarded from, or null when the request is not
+// forwarded or its signature does not check out (always, without a secret)
+function forwardedFrom(req, secret) {
+    const origin = req.get(FORWARDED_HEADER);
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!secret || !origin || !signature) return null;
+
+    const expected = Buffer.from(sign(secret, origin, req.method, req.originalUrl));
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected) ? origin : null;
+}
+
+function createWriteForwarder({ primaryUrl, timeoutMs = 10000, retries = 2, origin, secret }) {
+    const base = primaryUrl.replace(/\/$/, '');
+
+    function isForwarded(req) {
+        return Boolean(req.get(FORWARDED_HEADER));
+    }
+
+    async function send(req, idempotencyKey) {
+        const headers = {
+            [IDEMPOTENCY_HEADER]: idempotencyKey,
+            [FORWARDED_HEADER]: origin,
+            'X-Forwarded-For': [req.get('X-Forwarded-For'), req.ip].filter(Boolean).join(', ')
+        };
+        if (secret) headers[SIGNATURE_HEADER] = sign(secret, origin, req.method, req.originalUrl);
+        for (const name of PASSED_HEADERS) {
+            if (req.get(name)) headers[name] = req.get(name);
+        }
+
+        return fetch(base + req.originalUrl, {
+            method: req.method,
+            headers,
+            body: typeof req.body === 'string' ? req.body
+                : req.is('application/json') ? JSON.stringify(req.body) : undefined,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    }
+
+    // Relays the primary's response, or answers 502/504 when it could not be reached
+    async function forward(req, res) {
+        const idempotencyKey = req.get(IDEMPOTENCY_HEADER) || crypto.randomUUID();
+        res.set(IDEMPOTENCY_HEADER, idempotencyKey);
+
+        let lastError = null;
+        let response = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) await sleep(250 * attempt);
+            try {
+                response = await send(req, idempotencyKey);
+                lastError = null;
+                if (!RETRYABLE_STATUSES.includes(response.status)) break;
+            } catch (error) {
+                response = null;
+                lastError = error;
+            }
+        }
+
+        if (response) {
+            res.status(response.status);
+            res.set('X-Forwarded-To', 'primary');
+            for (const name of RELAYED_HEADERS) {
+                if (response.headers.has(name)) res.set(name, response.headers.get(name));
+            }
+            return res.send(Buffer.from(await response.arrayBuffer()));
+        }
+
+        const timedOut = lastError.name === 'TimeoutError';
+        const reason = lastError.cause?.message || lastError.message;
+        req.log.error('Could not forward write to primary', {
+            method: req.method,
+            path: req.originalUrl,
+            reason,
+            attempts: retries + 1
+        });
+        // The reason can name internal hosts, so it is only logged
+        sendError(
+            res,
+            timedOut ? 504 : 502,
+            timedOut ? 'PRIMARY_TIMEOUT' : 'PRIMARY_UNREACHABLE',
+            timedOut ? `The primary did not respond within ${timeoutMs}ms` : 'The primary could not be reached',
+            {
+                details: {
+                    suggestion: `Retry later with the same ${IDEMPOTENCY_HEADER}`,
+                    idempotencyKey,
+                    attempts: retries + 1
+                }
+            }
+        );
+    }
+
+    return { forward, isForwarded };
+}
+
+module.exports = { FORWARDED_HEADER, forwardedFrom, createWriteForwarder };
@@ -0,0 +1,130 @@
+// iCalendar (RFC 5545) feeds of fixtures. Matches with a start time are timed
+// events in UTC, lasting as long as a match of their format usually does;
+// fixtures with only a date are all-day events. UIDs are derived from MatchID, so calendar
+// apps update an event in place; SEQUENCE (the match's Revision) and
+// LAST-MODIFIED tell them a fixture changed since they last fetched the feed.
+
+const { toDateString } = require('./validation');
+const { durationMinutes } = require('./schedule');
+
+const PRODUCT_ID = '-//Asia Cup App//Fixtures//EN';
+const UID_DOMAIN = 'asia-cup-app';
+// How often subscribed calendars should fetch the feed again
+const REFRESH_INTERVAL = 'PT1H';
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + length > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(value) {
+    return toDateString(value).replace(/-/g, '');
+}
+
+function formatTimestamp(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(value) {
+    const [year, month, day] = toDateString(value).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + 1));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// DTSTART and DTEND of the match
+function timeLines(match) {
+    if (!match.StartTime) {
+        return [
+            `DTSTART;VALUE=DATE:${formatDate(match.MatchDate)}`,
+            `DTEND;VALUE=DATE:${nextDay(match.MatchDate)}`
+        ];
+    }
+    const start = new Date(match.StartTime);
+    const end = new Date(start.getTime() + durationMinutes(match.OversPerInnings) * 60000);
+    return [`DTSTART:${formatTimestamp(start)}`, `DTEND:${formatTimestamp(end)}`];
+}
+
+function matchUid(match) {
+    return `match-${match.MatchID}@${UID_DOMAIN}`;
+}
+
+function summaryOf(match) {
+    const title = `${match.Team1} vs ${match.Team2}`;
+    return match.Stage ? `${title} (${match.Stage})` : title;
+}
+
+function eventLines(match, { seasonName, now }) {
+    const modified = match.UpdatedAt || match.CreatedAt || now;
+    const description = [
+        seasonName,
+        match.Stage,
+        match.Result ? `Result: ${match.Result}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${matchUid(match)}`,
+        `DTSTAMP:${formatTimestamp(now)}`,
+        `LAST-MODIFIED:${formatTimestamp(modified)}`,
+        `SEQUENCE:${match.Revision || 0}`,
+        ...timeLines(match),
+        `SUMMARY:${escapeText(summaryOf(match))}`,
+        match.Venue ? `LOCATION:${escapeText(match.Venue)}` : null,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        match.Stage ? `CATEGORIES:${escapeText(match.Stage)}` : null,
+        `STATUS:${match.Status === 'abandoned' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+// A VCALENDAR with one event per match. `seasonNames` maps SeasonYear to the
+// season's name for event descriptions.
+function buildCalendar({ name, matches, seasonNames = {}, now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        ...matches.flatMap(match => eventLines(match, { seasonName: seasonNames[match.SeasonYear], now })),
+        'END:VCALENDAR'
+    ];
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    PRODUCT_ID,
+    matchUid,
+    buildCalendar
+};
@@ -0,0 +1,99 @@
+// Idempotency-Key support for write requests.
+//
+// The first request with a given key is executed and, if it succeeds, its
+// response is stored; repeats with the same key get the stored response back
+// instead of applying the write again. Failed responses are not stored, so the
+// client can fix the request and retry with the same key. A key is bound to the
+// method, path, body and credentials it was first used with.
+//
+// Responses that hand out credentials (API keys, session tokens) are not kept:
+// only their status is, and a repeat of the key is refused instead of replayed.
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 100;
+// Stored responses are kept for a day; a claim left behind by a request that
+// never finished is given up after a minute
+const COMPLETED_TTL_SECONDS = 24 * 60 * 60;
+const PENDING_TTL_SECONDS = 60;
+
+function fingerprint(req) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([
+            req.method,
+            req.originalUrl,
+            req.body ?? null,
+            req.get('Authorization') || req.get('X-API-Key') || null
+        ]))
+        .digest('hex');
+}
+
+// `getRepository()` returns the idempotency repository of the current data store
+function createIdempotency(getRepository) {
+    return async function idempotent(req, res, next) {
+        const key = req.get(HEADER);
+        if (!key) return next();
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return sendError(res, 400, 'VALIDATION_FAILED', 'Validation failed', {
+                fields: { [HEADER]: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters` }
+            });
+        }
+
+        try {
+            const repository = getRepository();
+            const print = fingerprint(req);
+            await repository.purge({ completedSeconds: COMPLETED_TTL_SECONDS, pendingSeconds: PENDING_TTL_SECONDS });
+
+            if (!(await repository.reserve(key, print))) {
+                const stored = await repository.find(key);
+                if (stored && stored.Fingerprint !== print) {
+                    return sendError(res, 422, 'IDEMPOTENCY_KEY_REUSED', `${HEADER} was already used for a different request`);
+                }
+                if (!stored || stored.StatusCode === null) {
+                    res.set('Retry-After', '1');
+                    return sendError(res, 409, 'IDEMPOTENCY_IN_PROGRESS', `A request with this ${HEADER} is still in progress`);
+                }
+
+                if (stored.ResponseBody === null) {
+                    return sendError(res, 409, 'IDEMPOTENCY_NOT_REPLAYABLE',
+                        `The request with this ${HEADER} already succeeded and its response cannot be sent again`,
+                        { details: { status: stored.StatusCode } });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(stored.StatusCode).json(JSON.parse(stored.ResponseBody));
+            }
+
+            let body;
+            const json = res.json.bind(res);
+            res.json = (value) => {
+                body = value;
+                return json(value);
+            };
+
+            res.on('finish', () => {
+                const succeeded = res.statusCode >= 200 && res.statusCode < 300 && body !== undefined;
+                const settle = succeeded
+                    ? repository.complete(key, res.statusCode, res.locals.withholdResponse ? null : JSON.stringify(body))
+                    : repository.release(key);
+                settle.catch(error => req.log.error('Failed to record idempotent response', { key, error }));
+            });
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Placed before requireWritable on routes whose response carries credentials,
+// so it is never written to the idempotency store
+function withholdResponse(req, res, next) {
+    res.locals.withholdResponse = true;
+    next();
+}
+
+module.exports = { HEADER, createIdempotency, withholdResponse };
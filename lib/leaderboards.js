@@ -0,0 +1,234 @@
+// Player leaderboards aggregated from innings-level PlayerInnings rows.
+
+const { BALLS_PER_OVER } = require('./scoring');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function ratio(numerator, denominator, scale = 1) {
+    return denominator > 0 ? Number(((numerator / denominator) * scale).toFixed(2)) : null;
+}
+
+// Each category ranks players by `value`; `qualifier` is the minimum a player
+// needs (overridable with ?min=) before rate-based metrics are meaningful
+const CATEGORIES = {
+    runs: {
+        label: 'Runs',
+        value: p => p.Runs,
+        order: 'desc',
+        include: p => p.Runs > 0
+    },
+    wickets: {
+        label: 'Wickets',
+        value: p => p.Wickets,
+        order: 'desc',
+        tiebreak: (a, b) => (a.Economy ?? Infinity) - (b.Economy ?? Infinity),
+        include: p => p.Wickets > 0
+    },
+    catches: {
+        label: 'Catches',
+        value: p => p.Catches,
+        order: 'desc',
+        include: p => p.Catches > 0
+    },
+    'batting-average': {
+        label: 'Average',
+        value: p => p.BattingAverage,
+        order: 'desc',
+        qualifier: { field: 'Innings', min: 3 }
+    },
+    'strike-rate': {
+        label: 'Strike Rate',
+        value: p => p.StrikeRate,
+        order: 'desc',
+        qualifier: { field: 'BallsFaced', min: 60 }
+    },
+    economy: {
+        label: 'Economy',
+        value: p => p.Economy,
+        order: 'asc',
+        qualifier: { field: 'BallsBowled', min: 60 }
+    },
+    'bowling-average': {
+        label: 'Bowling Average',
+        value: p => p.BowlingAverage,
+        order: 'asc',
+        qualifier: { field: 'Wickets', min: 3 }
+    },
+    'highest-score': {
+        label: 'Highest Score',
+        value: p => p.HighestScore,
+        display: p => `${p.HighestScore}${p.HighestScoreNotOut ? '*' : ''}`,
+        order: 'desc',
+        tiebreak: (a, b) => Number(b.HighestScoreNotOut) - Number(a.HighestScoreNotOut),
+        include: p => p.Innings > 0
+    },
+    'best-figures': {
+        label: 'Best Figures',
+        value: p => p.BestWickets,
+        display: p => `${p.BestWickets}/${p.BestRuns}`,
+        order: 'desc',
+        tiebreak: (a, b) => a.BestRuns - b.BestRuns,
+        include: p => p.BallsBowled > 0
+    }
+};
+
+// Sums PlayerInnings rows into one entry per player and team with derived rates
+function aggregatePlayers(rows) {
+    const players = new Map();
+
+    for (const row of rows) {
+        const key = `${row.PlayerName}|${row.Team}`;
+        if (!players.has(key)) {
+            players.set(key, {
+                PlayerName: row.PlayerName,
+                Team: row.Team,
+                Matches: 0,
+                Innings: 0,
+                NotOuts: 0,
+                Runs: 0,
+                BallsFaced: 0,
+                Fours: 0,
+                Sixes: 0,
+                HighestScore: 0,
+                HighestScoreNotOut: false,
+                BallsBowled: 0,
+                Maidens: 0,
+                RunsConceded: 0,
+                Wickets: 0,
+                BestWickets: 0,
+                BestRuns: 0,
+                Catches: 0
+            });
+        }
+
+        const p = players.get(key);
+        p.Matches++;
+        if (row.Batted) {
+            p.Innings++;
+            if (row.NotOut) p.NotOuts++;
+            if (row.Runs > p.HighestScore || (row.Runs === p.HighestScore && row.NotOut)) {
+                p.HighestScore = row.Runs;
+                p.HighestScoreNotOut = Boolean(row.NotOut);
+            }
+        }
+        p.Runs += row.Runs;
+        p.BallsFaced += row.BallsFaced;
+        p.Fours += row.Fours;
+        p.Sixes += row.Sixes;
+        p.Maidens += row.Maidens;
+        p.Catches += row.Catches;
+
+        if (row.BallsBowled > 0) {
+            const better = row.Wickets > p.BestWickets ||
+                (row.Wickets === p.BestWickets && (p.BallsBowled === 0 || row.RunsConceded < p.BestRuns));
+            if (better) {
+                p.BestWickets = row.Wickets;
+                p.BestRuns = row.RunsConceded;
+            }
+            p.BallsBowled += row.BallsBowled;
+            p.RunsConceded += row.RunsConceded;
+        }
+        p.Wickets += row.Wickets;
+    }
+
+    return [...players.values()].map(p => ({
+        ...p,
+        BattingAverage: ratio(p.Runs, p.Innings - p.NotOuts),
+        StrikeRate: ratio(p.Runs, p.BallsFaced, 100),
+        Economy: ratio(p.RunsConceded, p.BallsBowled, BALLS_PER_OVER),
+        BowlingAverage: ratio(p.RunsConceded, p.Wickets)
+    }));
+}
+
+// Turns a match scorecard into one PlayerInnings row per player who took part
+function inningsFromScorecard(scorecard, seasonYear) {
+    const players = new Map();
+    const entry = (name, team) => {
+        if (!players.has(name)) {
+            players.set(name, {
+                SeasonYear: seasonYear,
+                MatchID: scorecard.matchId,
+                PlayerName: name,
+                Team: team,
+                Batted: false,
+                Runs: 0,
+                BallsFaced: 0,
+                Fours: 0,
+                Sixes: 0,
+                NotOut: false,
+                BallsBowled: 0,
+                Maidens: 0,
+                RunsConceded: 0,
+                Wickets: 0,
+                Catches: 0
+            });
+        }
+        return players.get(name);
+    };
+
+    for (const card of scorecard.innings) {
+        for (const batter of card.batting) {
+            const p = entry(batter.name, card.battingTeam);
+            p.Batted = true;
+            p.Runs += batter.runs;
+            p.BallsFaced += batter.balls;
+            p.Fours += batter.fours;
+            p.Sixes += batter.sixes;
+            p.NotOut = !batter.out;
+        }
+        for (const bowler of card.bowling) {
+            const p = entry(bowler.name, card.bowlingTeam);
+            p.BallsBowled += bowler.legalBalls;
+            p.Maidens += bowler.maidens;
+            p.RunsConceded += bowler.runs;
+            p.Wickets += bowler.wickets;
+        }
+        for (const fielder of card.fielding) {
+            entry(fielder.name, card.bowlingTeam).Catches += fielder.catches;
+        }
+    }
+
+    return [...players.values()];
+}
+
+// Ranks aggregated players for one category; `min` overrides the qualifier threshold
+function buildLeaderboard(category, players, { limit = DEFAULT_LIMIT, min } = {}) {
+    const config = CATEGORIES[category];
+    const qualification = config.qualifier
+        ? { field: config.qualifier.field, min: min ?? config.qualifier.min }
+        : null;
+
+    const ranked = players
+        .filter(p => config.value(p) != null)
+        .filter(p => !config.include || config.include(p))
+        .filter(p => !qualification || p[qualification.field] >= qualification.min)
+        .sort((a, b) => {
+            const diff = config.order === 'asc'
+                ? config.value(a) - config.value(b)
+                : config.value(b) - config.value(a);
+            return diff || (config.tiebreak ? config.tiebreak(a, b) : 0) || a.PlayerName.localeCompare(b.PlayerName);
+        })
+        .slice(0, Math.min(limit, MAX_LIMIT));
+
+    return {
+        category,
+        label: config.label,
+        qualification,
+        data: ranked.map((p, index) => ({
+            Rank: index + 1,
+            ...p,
+            Value: config.value(p),
+            Display: config.display ? config.display(p) : String(config.value(p))
+        }))
+    };
+}
+
+module.exports = {
+    CATEGORIES,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    aggregatePlayers,
+    inningsFromScorecard,
+    buildLeaderboard
+};
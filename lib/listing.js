@@ -0,0 +1,173 @@
+// Query parameters of the list endpoints: filters, sorting and page-based
+// pagination. Parsing turns req.query into the criteria the repositories'
+// search methods take, collecting a message per bad parameter.
+
+const { MATCH_STATUSES, isValidDate } = require('./validation');
+const { ENTITIES: AUDIT_ENTITIES, ACTIONS: AUDIT_ACTIONS } = require('./audit');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const MATCH_SORT_FIELDS = ['MatchDate', 'StartTime', 'MatchID', 'SeasonYear', 'Team1', 'Team2', 'Venue', 'Stage', 'Status'];
+const PLAYER_SORT_FIELDS = ['PlayerName', 'Team', 'Matches', 'Innings', 'NotOuts', 'Runs', 'BallsFaced',
+    'HighestScore', 'BallsBowled', 'RunsConceded', 'Wickets', 'Catches'];
+
+function text(value) {
+    if (typeof value !== 'string') return undefined;
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+}
+
+// ?page=2&pageSize=25 (pages start at 1)
+function parsePage(query, errors) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+        errors.page = 'page must be a whole number from 1';
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.pageSize = `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}`;
+    }
+    return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+// ?sort=-Runs,PlayerName: comma-separated fields, "-" for descending
+function parseSort(value, allowed, fallback, errors) {
+    const sort = [];
+    for (const part of (text(value) || fallback).split(',')) {
+        const descending = part.trim().startsWith('-');
+        const field = part.trim().replace(/^[-+]/, '');
+        if (!allowed.includes(field)) {
+            errors.sort = `sort fields must be among: ${allowed.join(', ')}`;
+            continue;
+        }
+        sort.push({ field, descending });
+    }
+    return sort;
+}
+
+// /api/group-matches?team=&venue=&stage=&status=completed,live&from=&to=&sort=&page=&pageSize=
+function parseMatchQuery(query) {
+    const errors = {};
+    const statuses = text(query.status) ? text(query.status).split(',').map(status => status.trim()) : undefined;
+    if (statuses && statuses.some(status => !MATCH_STATUSES.includes(status))) {
+        errors.status = `status must be among: ${MATCH_STATUSES.join(', ')}`;
+    }
+
+    for (const field of ['from', 'to']) {
+        if (text(query[field]) && !isValidDate(text(query[field]))) {
+            errors[field] = `${field} must be a date (YYYY-MM-DD)`;
+        }
+    }
+    if (!errors.from && !errors.to && text(query.from) && text(query.to) && query.from > query.to) {
+        errors.to = 'to must not be before from';
+    }
+
+    const criteria = {
+        team: text(query.team),
+        venue: text(query.venue),
+        stage: text(query.stage),
+        statuses,
+        from: text(query.from),
+        to: text(query.to),
+        sort: parseSort(query.sort, MATCH_SORT_FIELDS, 'MatchDate,StartTime', errors),
+        ...parsePage(query, errors)
+    };
+    return { criteria, errors };
+}
+
+// /api/player-stats?team=&q=&sort=&page=&pageSize= (q searches player names)
+function parsePlayerQuery(query) {
+    const errors = {};
+    const criteria = {
+        team: text(query.team),
+        search: text(query.q),
+        sort: parseSort(query.sort, PLAYER_SORT_FIELDS, '-Runs,-Wickets', errors),
+        ...parsePage(query, errors)
+    };
+    return { criteria, errors };
+}
+
+// Start or end of a ?from=/?to= range on a timestamp: a date (the whole day) or an
+// ISO 8601 date-time
+function parseInstant(value, field, errors, endOfDay) {
+    if (!text(value)) return undefined;
+    if (isValidDate(text(value))) {
+        return new Date(`${text(value)}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+    }
+    const instant = new Date(text(value));
+    if (!/^\d{4}-\d{2}-\d{2}T/.test(text(value)) || Number.isNaN(instant.getTime())) {
+        errors[field] = `${field} must be a date (YYYY-MM-DD) or an ISO 8601 date-time`;
+        return undefined;
+    }
+    return instant;
+}
+
+// /api/audit?entity=match,player-lines&match=&key=&season=&actor=&action=&from=&to=&page=&pageSize=
+// (match= is shorthand for the match and its player lines)
+function parseAuditQuery(query) {
+    const errors = {};
+    let entities = text(query.entity) ? text(query.entity).split(',').map(entity => entity.trim()) : undefined;
+    if (entities && entities.some(entity => !AUDIT_ENTITIES.includes(entity))) {
+        errors.entity = `entity must be among: ${AUDIT_ENTITIES.join(', ')}`;
+    }
+
+    let key = text(query.key);
+    if (text(query.match)) {
+        if (!/^\d+$/.test(text(query.match))) {
+            errors.match = 'match must be a match id';
+        }
+        key = text(query.match);
+        entities = entities || ['match', 'player-lines'];
+    }
+
+    let seasonYear;
+    if (text(query.season)) {
+        seasonYear = Number(text(query.season));
+        if (!Number.isInteger(seasonYear)) errors.season = 'season must be a year';
+    }
+
+    const action = text(query.action);
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+        errors.action = `action must be one of: ${AUDIT_ACTIONS.join(', ')}`;
+    }
+
+    const criteria = {
+        entities,
+        key,
+        seasonYear,
+        actor: text(query.actor),
+        action,
+        from: parseInstant(query.from, 'from', errors, false),
+        to: parseInstant(query.to, 'to', errors, true),
+        ...parsePage(query, errors)
+    };
+    if (criteria.from && criteria.to && criteria.from > criteria.to) {
+        errors.to = 'to must not be before from';
+    }
+    return { criteria, errors };
+}
+
+// Pagination block for a response
+function pageInfo({ page, pageSize }, total) {
+    const totalPages = Math.ceil(total / pageSize);
+    return {
+        page,
+        pageSize,
+        total,
+        totalPages,
+        hasMore: page < totalPages
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    MATCH_SORT_FIELDS,
+    PLAYER_SORT_FIELDS,
+    parseMatchQuery,
+    parsePlayerQuery,
+    parseAuditQuery,
+    pageInfo
+};
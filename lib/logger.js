@@ -0,0 +1,61 @@
+// Structured logging. Every entry is one JSON object per line (time, level, msg
+// and fields) so log collectors can filter by role, region or request id;
+// LOG_FORMAT=text prints the same entries as readable lines for local runs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors in fields are logged as their message (and stack at debug level)
+function serialize(fields, withStack) {
+    const out = {};
+    for (const [name, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            out[name] = value.message;
+            if (withStack && value.stack) out[`${name}Stack`] = value.stack;
+        } else if (value !== undefined) {
+            out[name] = value;
+        }
+    }
+    return out;
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const rest = Object.entries(fields)
+        .map(([name, value]) => `${name}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    fields = {}
+} = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function log(entryLevel, msg, extra = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...serialize({ ...fields, ...extra }, threshold <= LEVELS.debug)
+        };
+        const line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+        const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(line + '\n');
+    }
+
+    return {
+        level,
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+
+        // A logger that adds `extra` to every entry, e.g. the request id
+        child: extra => createLogger({ level, format, fields: { ...fields, ...extra } })
+    };
+}
+
+module.exports = { LEVELS, createLogger };
@@ -0,0 +1,120 @@
+// Counters, gauges and histograms kept in process and rendered in the Prometheus
+// text exposition format for GET /metrics. Every series also carries the
+// registry's default labels (role and region) so dashboards can compare
+// instances behind Traffic Manager.
+
+// Seconds; covers cache hits through slow cross-region forwards
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Same labels in any order map to the same series
+function seriesKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function createRegistry({ defaultLabels = {} } = {}) {
+    const metrics = [];
+
+    function register(name, help, type, lines, collect) {
+        if (metrics.some(metric => metric.name === name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        metrics.push({ name, help, type, lines, collect });
+    }
+
+    function counter(name, help) {
+        const series = new Map();
+        register(name, help, 'counter', () =>
+            [...series.values()].map(({ labels, value }) => [name, labels, value])
+        );
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labels);
+                const current = series.get(key) || { labels, value: 0 };
+                current.value += amount;
+                series.set(key, current);
+            }
+        };
+    }
+
+    // `collect(gauge)` runs before every render, for values read on demand
+    function gauge(name, help, collect) {
+        const series = new Map();
+        const metric = {
+            set(labels, value) {
+                series.set(seriesKey(labels), { labels, value });
+            },
+            reset() {
+                series.clear();
+            }
+        };
+        register(name, help, 'gauge', () =>
+            [...series.values()].map(({ labels, value }) => [name, labels, value]),
+        collect && (() => collect(metric)));
+        return metric;
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => [`${name}_bucket`, { ...labels, le: formatValue(bound) }, counts[index]]),
+            [`${name}_bucket`, { ...labels, le: '+Inf' }, count],
+            [`${name}_sum`, labels, sum],
+            [`${name}_count`, labels, count]
+        ]));
+        return {
+            observe(labels, value) {
+                const key = seriesKey(labels);
+                if (!series.has(key)) {
+                    series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const current = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) current.counts[index]++;
+                });
+                current.sum += value;
+                current.count++;
+            }
+        };
+    }
+
+    function render() {
+        const output = [];
+        for (const { name, help, type, lines, collect } of metrics) {
+            if (collect) collect();
+            output.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [series, labels, value] of lines()) {
+                output.push(`${series}${formatLabels({ ...defaultLabels, ...labels })} ${formatValue(value)}`);
+            }
+        }
+        return output.join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// Seconds since a process.hrtime.bigint() reading
+function secondsSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    DEFAULT_BUCKETS,
+    createRegistry,
+    secondsSince
+};
@@ -0,0 +1,134 @@
+// Versioned schema migrations.
+//
+// Each file in migrations/ is named NNN_description.js and exports async
+// up(db) / down(db). Applied versions are recorded in SchemaMigrations. MySQL
+// commits DDL implicitly, so a migration that fails halfway is not rolled back;
+// write each step so it can be re-run.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'asia_cup_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+async function columnExists(db, table, column) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows[0].count > 0;
+}
+
+// Adds a column when it is missing; returns whether it was added
+async function ensureColumn(db, table, column, definition) {
+    if (await columnExists(db, table, column)) return false;
+
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/\.js$/, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            Version INT PRIMARY KEY,
+            Name VARCHAR(200) NOT NULL,
+            AppliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(db) {
+    const [rows] = await db.query('SELECT Version FROM SchemaMigrations ORDER BY Version');
+    return new Set(rows.map(row => row.Version));
+}
+
+// Runs `work` on a single connection holding a named lock, so two instances
+// starting at once cannot migrate the same database concurrently
+async function withLock(pool, work) {
+    const connection = await pool.getConnection();
+    try {
+        const [rows] = await connection.query('SELECT GET_LOCK(?, ?) as locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (rows[0].locked !== 1) {
+            throw new Error('Another process is running migrations');
+        }
+        try {
+            await ensureMigrationsTable(connection);
+            return await work(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+async function status(pool) {
+    return withLock(pool, async (db) => {
+        const applied = await appliedVersions(db);
+        return loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version)
+        }));
+    });
+}
+
+// Applies every pending migration in order; returns the names applied
+async function migrate(pool, log = () => {}) {
+    return withLock(pool, async (db) => {
+        const applied = await appliedVersions(db);
+        const done = [];
+
+        for (const migration of loadMigrations()) {
+            if (applied.has(migration.version)) continue;
+
+            log(`Applying ${migration.name}`);
+            await migration.up(db);
+            await db.query('INSERT INTO SchemaMigrations (Version, Name) VALUES (?, ?)', [migration.version, migration.name]);
+            done.push(migration.name);
+        }
+        return done;
+    });
+}
+
+// Reverts the last `steps` applied migrations; returns the names reverted
+async function rollback(pool, steps = 1, log = () => {}) {
+    return withLock(pool, async (db) => {
+        const applied = await appliedVersions(db);
+        const targets = loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+        const done = [];
+
+        for (const migration of targets) {
+            log(`Reverting ${migration.name}`);
+            await migration.down(db);
+            await db.query('DELETE FROM SchemaMigrations WHERE Version = ?', [migration.version]);
+            done.push(migration.name);
+        }
+        return done;
+    });
+}
+
+module.exports = {
+    columnExists,
+    ensureColumn,
+    loadMigrations,
+    status,
+    migrate,
+    rollback
+};
@@ -0,0 +1,135 @@
+// Database monitor: re-probes connectivity and @@global.read_only in the
+// background so outages, recoveries and replica promotions are picked up without
+// restarting the instance.
+//
+// While the database is unreachable the store (and its pool) is thrown away and
+// rebuilt on the next attempt, with exponential backoff between attempts.
+
+const STATUSES = ['connecting', 'connected', 'read-only', 'degraded'];
+const TRANSITION_LIMIT = 20;
+const FIRST_RETRY_MS = 1000;
+
+// `createStore()` builds a fresh data store; `onConnect(store, { readOnly })` runs
+// each time a new store connects; `onTransition(transition, state)` is told of every change
+function createDatabaseMonitor({ createStore, intervalMs = 15000, maxBackoffMs = 60000, onConnect, onTransition }) {
+    let store = null;
+    let timer = null;
+    let checking = null;
+    let running = false;
+    const transitions = [];
+    // 'connected' or 'read-only', whichever the database last was when reachable
+    let lastReachable = null;
+    const state = {
+        status: 'connecting',
+        connected: false,
+        readOnly: false,
+        since: new Date().toISOString(),
+        lastCheck: null,
+        lastError: null,
+        lastErrorCode: null,
+        failures: 0,
+        nextCheckAt: null
+    };
+
+    // A database last seen read-only turning writable is a promotion, even when it
+    // was unreachable in between; anything else is named after the status it moved
+    // to. Failures carry the error's code, which /api/health shows in place of the message.
+    function transitionTo(status, reason, code = null) {
+        if (status === state.status) return;
+
+        const transition = {
+            event: lastReachable === 'read-only' && status === 'connected' ? 'promoted' : status,
+            from: state.status,
+            to: status,
+            at: new Date().toISOString(),
+            reason,
+            code
+        };
+        Object.assign(state, {
+            status,
+            connected: status === 'connected' || status === 'read-only',
+            readOnly: status === 'read-only',
+            since: transition.at
+        });
+        if (state.connected) lastReachable = status;
+        transitions.push(transition);
+        if (transitions.length > TRANSITION_LIMIT) transitions.shift();
+
+        if (onTransition) onTransition(transition, { ...state });
+    }
+
+    async function probe() {
+        state.lastCheck = new Date().toISOString();
+        let fresh = false;
+        try {
+            if (!store) {
+                store = createStore();
+                fresh = true;
+            }
+            const { readOnly } = await store.connect();
+            if (fresh && onConnect) await onConnect(store, { readOnly });
+
+            state.failures = 0;
+            state.lastError = null;
+            state.lastErrorCode = null;
+            transitionTo(readOnly ? 'read-only' : 'connected', readOnly ? 'read_only is ON' : 'read_only is OFF');
+        } catch (error) {
+            state.failures++;
+            state.lastError = error.message;
+            state.lastErrorCode = error.code || 'DATABASE_ERROR';
+            const stale = store;
+            store = null;
+            if (stale) stale.close().catch(() => {});
+            transitionTo('degraded', error.message, state.lastErrorCode);
+        }
+        return state.connected;
+    }
+
+    // Runs one probe now; concurrent callers share it
+    function check() {
+        if (!checking) {
+            checking = probe().finally(() => {
+                checking = null;
+            });
+        }
+        return checking;
+    }
+
+    function delay() {
+        if (state.failures === 0) return intervalMs;
+        return Math.min(maxBackoffMs, FIRST_RETRY_MS * 2 ** (state.failures - 1));
+    }
+
+    function schedule() {
+        if (!running) return;
+        const wait = delay();
+        state.nextCheckAt = new Date(Date.now() + wait).toISOString();
+        timer = setTimeout(async () => {
+            await check();
+            schedule();
+        }, wait);
+        timer.unref();
+    }
+
+    return {
+        check,
+
+        start() {
+            if (running) return;
+            running = true;
+            schedule();
+        },
+
+        stop() {
+            running = false;
+            clearTimeout(timer);
+            state.nextCheckAt = null;
+        },
+
+        store: () => store,
+        state: () => ({ ...state }),
+        transitions: () => [...transitions]
+    };
+}
+
+module.exports = { STATUSES, createDatabaseMonitor };
@@ -0,0 +1,910 @@
+// OpenAPI 3.1 description of the HTTP API, served at /api/openapi.json and
+// browsable at /api/docs, and the middleware that checks requests against it.
+//
+// Routes pass validate(operationId) before their handler: path and query
+// parameters and JSON bodies are checked against the operation's schemas (see
+// lib/schema.js) and rejected with a 400 VALIDATION_FAILED naming each bad
+// field. The handlers keep the checks that need the data, such as whether a team
+// plays in a match.
+
+const { version } = require('../package.json');
+const { ERROR_CODES, sendValidationErrors } = require('./errors');
+const schema = require('./schema');
+const { MATCH_STATUSES, FINISHED_STATUSES } = require('./validation');
+const { MAX_PAGE_SIZE, MATCH_SORT_FIELDS, PLAYER_SORT_FIELDS } = require('./listing');
+const { CATEGORIES: LEADERBOARD_CATEGORIES, MAX_LIMIT: LEADERBOARD_MAX_LIMIT } = require('./leaderboards');
+const { STAGE_CATEGORIES } = require('./standings');
+const { EXTRA_TYPES, DISMISSAL_KINDS } = require('./scoring');
+const { MAX_ROWS, EXPORT_COLUMNS } = require('./bulk');
+const { ENTITIES: AUDIT_ENTITIES, ACTIONS: AUDIT_ACTIONS } = require('./audit');
+const { ROLES } = require('./auth');
+const { MARGIN_TYPES } = require('./predictions');
+const { USERNAME_PATTERN, MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = require('./accounts');
+
+// ---------- Building blocks ----------
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+
+const text = (description, extra = {}) => ({ type: 'string', ...(description && { description }), ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', ...(description && { description }), ...extra });
+const flag = description => ({ type: 'boolean', description });
+const orNull = value => ({ ...value, type: [].concat(value.type, 'null') });
+const listOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+function object(properties, required = [], extra = {}) {
+    return { type: 'object', properties, ...(required.length > 0 && { required }), ...extra };
+}
+
+// Successful bodies say which instance served them
+function envelope(properties, required = ['data']) {
+    return object({
+        ...properties,
+        servedBy: ref('ServedBy'),
+        region: text('Region of the instance that served the request')
+    }, [...required, 'servedBy', 'region']);
+}
+
+// Body of a successful write
+function written(properties = {}, required = []) {
+    return envelope({ success: { type: 'boolean', const: true }, message: text('What was done'), ...properties }, ['success', ...required]);
+}
+
+function json(description, body) {
+    return { description, content: { 'application/json': { schema: body } } };
+}
+
+function queryParam(name, description, value, required = false) {
+    return { name, in: 'query', required, description, schema: value };
+}
+
+function pathParam(name, description, value) {
+    return { name, in: 'path', required: true, description, schema: value };
+}
+
+const SEASON_PATTERN = { type: 'string', pattern: '^\\d{4}$', 'x-message': 'must be a year (YYYY)' };
+const MATCH_ID = integer('Match id', { minimum: 1 });
+const BOOLEAN_TEXT = { type: 'string', enum: ['true', 'false', '1', '0'] };
+const ICS = { description: 'iCalendar feed', content: { 'text/calendar': { schema: { type: 'string' } } } };
+
+// ---------- Schemas ----------
+
+const MATCH_INPUT = {
+    SeasonYear: { type: ['integer', 'string'], pattern: '^\\d{4}$', description: 'Defaults to the year of MatchDate' },
+    MatchDate: text('Match day', { format: 'date' }),
+    StartTime: orNull(text('Start of play: with a UTC offset, or the wall-clock time at the venue (YYYY-MM-DDTHH:MM)')),
+    Team1: text('Team name', { minLength: 1 }),
+    Team2: text('Team name', { minLength: 1 }),
+    Venue: orNull(text('Ground', { maxLength: 100 })),
+    Stage: orNull(text('e.g. "Group A"', { maxLength: 100 })),
+    Status: { type: 'string', enum: MATCH_STATUSES, description: 'Defaults to scheduled' }
+};
+
+const schemas = {
+    Error: object({
+        error: text('What went wrong, for people'),
+        code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'What went wrong, for programs' },
+        fields: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Message per invalid field; nested fields are named like "Wicket.Kind" or "deliveries[2].Batter"'
+        },
+        details: { type: 'object', description: 'More about the error; its contents depend on the code' },
+        requestId: text('Id of the request, as in the X-Request-ID header; quote it when reporting a problem'),
+        servedBy: ref('ServedBy'),
+        region: text('Region of the instance that answered')
+    }, ['error', 'code', 'requestId', 'servedBy', 'region']),
+
+    ServedBy: { type: 'string', enum: ['primary', 'secondary'], description: 'Role of the instance that answered' },
+
+    Pagination: object({
+        page: integer('Page number, from 1'),
+        pageSize: integer('Rows per page'),
+        total: integer('Rows matching the filters'),
+        totalPages: integer('Number of pages'),
+        hasMore: flag('Whether a later page exists')
+    }, ['page', 'pageSize', 'total', 'totalPages', 'hasMore']),
+
+    Season: object({
+        SeasonYear: integer('Year of the tournament'),
+        Name: text('e.g. "Asia Cup 2025"'),
+        Host: orNull(text('Host country or countries')),
+        Format: { type: 'string', enum: ['T20', 'ODI'] },
+        StartDate: orNull(text('First day, as a date-time at midnight')),
+        EndDate: orNull(text('Last day, as a date-time at midnight')),
+        IsCurrent: { type: ['boolean', 'integer'], description: 'Whether this is the current season (1/0 from MySQL)' }
+    }, ['SeasonYear', 'Name', 'Format']),
+
+    Match: object({
+        MatchID: integer('Match id'),
+        SeasonYear: integer('Season the fixture belongs to'),
+        MatchDate: text('Match day, as a date-time at midnight'),
+        StartTime: orNull(text('Start of play (UTC)', { format: 'date-time' })),
+        Team1: text('Team name'),
+        Team2: text('Team name'),
+        Venue: orNull(text('Ground')),
+        Stage: orNull(text('e.g. "Group A", "Super 4", "Final"')),
+        Status: { type: 'string', enum: MATCH_STATUSES },
+        OversPerInnings: orNull(integer('20 for T20 seasons, 50 for ODI seasons')),
+        Result: orNull(text('Result text, e.g. "India won by 10 wickets"')),
+        Winner: orNull(text('Winning team')),
+        Revision: integer('Bumped on every change'),
+        VenueTimeZone: orNull(text('IANA time zone of the venue')),
+        LocalStartTime: orNull(text('Start of play at the venue, with its UTC offset'))
+    }, ['MatchID', 'SeasonYear', 'MatchDate', 'Team1', 'Team2', 'Status']),
+
+    Standing: object({
+        SeasonYear: integer('Season'),
+        Stage: text('Group or round'),
+        Position: integer('Place in the table'),
+        TeamName: text('Team'),
+        MatchesPlayed: integer(''),
+        Wins: integer(''),
+        Losses: integer(''),
+        Tied: integer(''),
+        NoResult: integer(''),
+        Points: integer(''),
+        RunsFor: integer(''),
+        BallsFaced: integer(''),
+        RunsAgainst: integer(''),
+        BallsBowled: integer(''),
+        NetRunRate: { type: ['number', 'string'], description: 'Net run rate (a decimal string from MySQL)' },
+        Qualified: { type: ['boolean', 'integer'], description: 'Whether the team has gone through' }
+    }, ['Stage', 'Position', 'TeamName', 'Points']),
+
+    PlayerStats: object({
+        PlayerName: text('Player'),
+        Team: orNull(text('Team')),
+        Matches: integer(''),
+        Innings: integer(''),
+        NotOuts: integer(''),
+        Runs: integer(''),
+        BallsFaced: integer(''),
+        HighestScore: integer(''),
+        BallsBowled: integer(''),
+        RunsConceded: integer(''),
+        Wickets: integer(''),
+        Catches: integer('')
+    }, ['PlayerName']),
+
+    PlayerLine: object({
+        SeasonYear: integer('Season'),
+        MatchID: orNull(integer('Match')),
+        PlayerName: text('Player'),
+        Team: orNull(text('Team')),
+        Batted: { type: ['boolean', 'integer'] },
+        NotOut: { type: ['boolean', 'integer'] },
+        Runs: integer(''),
+        BallsFaced: integer(''),
+        Fours: integer(''),
+        Sixes: integer(''),
+        BallsBowled: integer(''),
+        Maidens: integer(''),
+        RunsConceded: integer(''),
+        Wickets: integer(''),
+        Catches: integer('')
+    }, ['PlayerName']),
+
+    Team: object({
+        TeamID: integer('Team id'),
+        Name: text('e.g. "India"'),
+        Code: text('e.g. "IND"')
+    }, ['TeamID', 'Name', 'Code']),
+
+    Scorecard: object({
+        matchId: integer('Match'),
+        team1: text(''),
+        team2: text(''),
+        venue: orNull(text('')),
+        stage: orNull(text('')),
+        innings: listOf({ type: 'object', description: 'Batting, bowling, extras and fall of wickets of one innings' }),
+        result: orNull(text('Result text once decided')),
+        winner: orNull(text('')),
+        complete: flag('Whether the match is over'),
+        status: orNull(text('Result, or the state of play, e.g. "Pakistan need 24 runs from 18 balls"'))
+    }, ['matchId', 'innings', 'complete']),
+
+    AuditEntry: object({
+        AuditID: integer('Entry id'),
+        ChangedAt: text('When the change was made', { format: 'date-time' }),
+        Entity: { type: 'string', enum: AUDIT_ENTITIES },
+        EntityKey: text('Match id, season year or "Player (Team)"'),
+        SeasonYear: orNull(integer('')),
+        Action: { type: 'string', enum: AUDIT_ACTIONS },
+        ChangedFields: orNull(listOf({ type: 'string' }, { description: 'Columns an update changed' })),
+        BeforeData: { type: ['object', 'array', 'null'], description: 'The row(s) before the change' },
+        AfterData: { type: ['object', 'array', 'null'], description: 'The row(s) after the change' },
+        Actor: text('Name of the API key that made the change'),
+        ActorRole: orNull({ type: 'string', enum: ROLES }),
+        ServedBy: ref('ServedBy'),
+        Region: text(''),
+        ForwardedFrom: orNull(text('Instance the write was forwarded from')),
+        RequestID: orNull(text('')),
+        RevertOf: orNull(integer('Entry this change reverted'))
+    }, ['AuditID', 'ChangedAt', 'Entity', 'EntityKey', 'Action', 'Actor']),
+
+    ApiKey: object({
+        KeyID: integer('Key id'),
+        Name: text('Who the key is for'),
+        Role: { type: 'string', enum: ROLES },
+        KeyPrefix: text('First characters of the key, to recognise it'),
+        CreatedBy: orNull(text('')),
+        CreatedAt: text(''),
+        LastUsedAt: orNull(text('')),
+        RevokedAt: orNull(text(''))
+    }, ['KeyID', 'Name', 'Role', 'KeyPrefix']),
+
+    User: object({
+        userId: integer('User id'),
+        username: text(''),
+        displayName: text('Name shown on leaderboards')
+    }, ['userId', 'username', 'displayName']),
+
+    Session: object({
+        user: ref('User'),
+        token: text('Session token; send as "Authorization: Bearer <token>". Shown only once.'),
+        expiresAt: text('', { format: 'date-time' })
+    }, ['user', 'token', 'expiresAt']),
+
+    League: object({
+        LeagueID: integer('League id'),
+        Name: text(''),
+        Code: text('What others join with')
+    }, ['LeagueID', 'Name', 'Code']),
+
+    Prediction: object({
+        PredictionID: integer(''),
+        UserID: integer(''),
+        MatchID: integer(''),
+        Winner: text('Predicted winner'),
+        MarginType: orNull({ type: 'string', enum: MARGIN_TYPES }),
+        Margin: orNull(integer('Predicted margin'))
+    }, ['MatchID', 'Winner']),
+
+    LeaderboardRow: object({
+        rank: integer('Place; ties share a rank'),
+        userId: integer(''),
+        displayName: text(''),
+        points: integer(''),
+        predicted: integer('Predictions made'),
+        scored: integer('Predictions on finished matches with a winner'),
+        correct: integer('Right winners'),
+        exact: integer('Exact margins')
+    }, ['rank', 'userId', 'displayName', 'points']),
+
+    // Request bodies
+    MatchInput: object(MATCH_INPUT, ['MatchDate', 'Team1', 'Team2'], { additionalProperties: false }),
+    MatchChanges: object(MATCH_INPUT, [], { additionalProperties: false }),
+
+    ResultInput: object({
+        Status: { type: 'string', enum: FINISHED_STATUSES, description: 'Defaults to completed' },
+        Winner: orNull(text('Required for a completed match that was not tied')),
+        Tied: flag('Whether the match was tied'),
+        Result: orNull(text('Result text; made up from the others when left out', { maxLength: 100 }))
+    }),
+
+    Delivery: object({
+        Batter: text('Batter on strike', { minLength: 1 }),
+        NonStriker: orNull(text('')),
+        Bowler: text('', { minLength: 1 }),
+        BatterRuns: integer('Runs off the bat', { minimum: 0, maximum: 7 }),
+        ExtraType: orNull({ type: 'string', enum: EXTRA_TYPES }),
+        ExtraRuns: integer('', { minimum: 0 }),
+        Wicket: orNull(object({
+            Kind: { type: 'string', enum: DISMISSAL_KINDS },
+            PlayerOut: orNull(text('Defaults to the batter')),
+            Fielder: orNull(text(''))
+        }, ['Kind']))
+    }, ['Batter', 'Bowler']),
+
+    ImportRow: {
+        type: 'object',
+        description: 'One row with the columns of the collection; values are converted as from CSV',
+        additionalProperties: { type: ['string', 'number', 'boolean', 'null'] }
+    }
+};
+
+// ---------- Parameters and responses ----------
+
+const parameters = {
+    season: queryParam('season', 'Season year; the current season when left out', SEASON_PATTERN),
+    listSeason: queryParam('season', 'Season year, or "all"; the current season when left out',
+        { type: 'string', pattern: '^(\\d{4}|all)$', 'x-message': 'must be a year (YYYY) or "all"' }),
+    page: queryParam('page', 'Page number, from 1', integer('', { minimum: 1 })),
+    pageSize: queryParam('pageSize', `Rows per page (at most ${MAX_PAGE_SIZE})`, integer('', { minimum: 1, maximum: MAX_PAGE_SIZE })),
+    matchId: pathParam('id', 'Match id', MATCH_ID),
+    idempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Makes retries safe: a repeat with the same key gets the first response back instead of writing again '
+            + '(or 409 IDEMPOTENCY_NOT_REPLAYABLE when that response carried credentials)',
+        schema: { type: 'string', maxLength: 100 }
+    }
+};
+
+function codesOf(status) {
+    return Object.entries(ERROR_CODES)
+        .filter(([, entry]) => entry.status === status)
+        .map(([code, entry]) => `- \`${code}\`: ${entry.description}`)
+        .join('\n');
+}
+
+function errorResponse(status, summary) {
+    return json(`${summary}\n\n${codesOf(status)}`, ref('Error'));
+}
+
+const responses = {
+    BadRequest: errorResponse(400, 'The request is invalid'),
+    Unauthenticated: errorResponse(401, 'Credentials are missing or not accepted'),
+    Forbidden: errorResponse(403, 'The API key lacks the role the route needs'),
+    NotFound: errorResponse(404, 'Not found'),
+    Conflict: errorResponse(409, 'Conflicts with the current data'),
+    PayloadTooLarge: errorResponse(413, 'The body is too large'),
+    IdempotencyKeyReused: errorResponse(422, 'The Idempotency-Key belongs to another request'),
+    WritesNotAccepted: errorResponse(423, 'This instance cannot write'),
+    InternalError: errorResponse(500, 'Unexpected server error'),
+    PrimaryUnreachable: errorResponse(502, 'A forwarded write did not reach the primary'),
+    DatabaseUnavailable: errorResponse(503, 'The database is unavailable'),
+    PrimaryTimeout: errorResponse(504, 'A forwarded write timed out')
+};
+
+// ---------- Operations ----------
+
+const API_KEY_SECURITY = [{ apiKeyHeader: [] }, { apiKeyBearer: [] }];
+
+// `access`: 'public', 'scorer' or 'admin' (API keys) or 'user' (a fan's session).
+// Writes run on the primary (forwarded there by secondaries) and take an
+// Idempotency-Key; `database: false` marks routes that work without the database.
+function operation({
+    id, tag, summary, description, access = 'public', write = false, database = true,
+    parameters: params = [], body, responses: success, errors = []
+}) {
+    const result = {
+        operationId: id,
+        tags: [tag],
+        summary,
+        ...(description && { description }),
+        ...(access === 'user' && { security: [{ userSession: [] }] }),
+        ...(['scorer', 'admin'].includes(access) && { security: API_KEY_SECURITY, 'x-required-role': access }),
+        parameters: [...params, ...(write ? [param('idempotencyKey')] : [])],
+        ...(body && { requestBody: body }),
+        responses: { ...success }
+    };
+
+    const add = (status, name) => {
+        result.responses[status] = response(name);
+    };
+    const bad = params.length > 0 || body || errors.includes(400);
+    if (bad) add(400, 'BadRequest');
+    if (access !== 'public' || errors.includes(401)) add(401, 'Unauthenticated');
+    if (['scorer', 'admin'].includes(access)) add(403, 'Forbidden');
+    if (errors.includes(404)) add(404, 'NotFound');
+    if (errors.includes(409) || write) add(409, 'Conflict');
+    if (body) add(413, 'PayloadTooLarge');
+    if (write) {
+        add(422, 'IdempotencyKeyReused');
+        add(423, 'WritesNotAccepted');
+    }
+    add(500, 'InternalError');
+    if (write) add(502, 'PrimaryUnreachable');
+    if (database) add(503, 'DatabaseUnavailable');
+    if (write) add(504, 'PrimaryTimeout');
+    if (result.parameters.length === 0) delete result.parameters;
+    return result;
+}
+
+function jsonBody(description, body) {
+    return { required: true, description, content: { 'application/json': { schema: body } } };
+}
+
+const paginated = (item, extra = {}) => envelope({
+    data: listOf(item),
+    count: integer('Rows on this page'),
+    pagination: ref('Pagination'),
+    ...extra
+}, ['data', 'count', 'pagination']);
+
+const seasonLabel = { type: ['integer', 'string'], description: 'Season year, or "all"' };
+
+const operations = [
+    // System
+    ['get', '/api/health', operation({
+        id: 'getHealth', tag: 'System', summary: 'Instance and database health', database: false,
+        description: 'Answers 503 with the same body when this instance cannot serve its role. Database failures are given as error codes only.',
+        responses: {
+            200: json('Healthy', { type: 'object', required: ['status', 'app', 'database'] }),
+            503: json('Degraded', { type: 'object', required: ['status', 'app', 'database'] })
+        }
+    })],
+    ['get', '/api/openapi.json', operation({
+        id: 'getOpenApi', tag: 'System', summary: 'This document', database: false,
+        responses: { 200: json('OpenAPI document', { type: 'object' }) }
+    })],
+    ['get', '/api/stream', operation({
+        id: 'streamEvents', tag: 'System', summary: 'Live updates (Server-Sent Events)', database: false,
+        description: 'Events: match-created, match-updated, match-deleted, standings-updated and stats-updated. Send Last-Event-ID to catch up after a reconnect.',
+        responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+    })],
+    ['get', '/api/test', operation({
+        id: 'testBackend', tag: 'System', summary: 'Connectivity check', database: false,
+        responses: { 200: json('Backend is up', object({ message: text(''), timestamp: text(''), role: ref('ServedBy'), region: text('') })) }
+    })],
+    ['get', '/api/debug', operation({
+        id: 'getDebug', tag: 'System', summary: 'Process, pool and database monitor details', access: 'admin', database: false,
+        responses: { 200: json('Debug details, including full database error messages', { type: 'object' }) }
+    })],
+    ['get', '/api/auth/me', operation({
+        id: 'getApiKeyIdentity', tag: 'System', summary: 'Who an API key belongs to', access: 'scorer', database: false,
+        responses: { 200: json('The key\'s name and role', envelope({ data: object({ name: text(''), role: { type: 'string', enum: ROLES } }) })) }
+    })],
+
+    // Tournament
+    ['get', '/api/seasons', operation({
+        id: 'listSeasons', tag: 'Tournament', summary: 'Seasons, newest first',
+        responses: { 200: json('Seasons', envelope({ data: listOf(ref('Season')), current: orNull(integer('Current season year')) })) }
+    })],
+    ['get', '/api/group-matches', operation({
+        id: 'listMatches', tag: 'Tournament', summary: 'Fixtures and results',
+        parameters: [
+            param('listSeason'),
+            queryParam('team', 'Matches of this team', text('')),
+            queryParam('venue', 'Matches at this ground', text('')),
+            queryParam('stage', 'Matches of this stage', text('')),
+            queryParam('status', `Comma-separated statuses among: ${MATCH_STATUSES.join(', ')}`, text('')),
+            queryParam('from', 'On or after this day', text('', { format: 'date' })),
+            queryParam('to', 'On or before this day', text('', { format: 'date' })),
+            queryParam('sort', `Comma-separated fields among ${MATCH_SORT_FIELDS.join(', ')}; "-" sorts descending`, text('')),
+            param('page'),
+            param('pageSize')
+        ],
+        errors: [404],
+        responses: { 200: json('Matches', paginated(ref('Match'), { season: seasonLabel })) }
+    })],
+    ['get', '/api/standings', operation({
+        id: 'getStandings', tag: 'Tournament', summary: 'Group and Super 4 tables, or the knockout bracket',
+        parameters: [
+            queryParam('stage', 'group and super4 give one table per group; finals gives the bracket',
+                { type: 'string', enum: STAGE_CATEGORIES }),
+            param('season')
+        ],
+        errors: [404],
+        responses: {
+            200: json('Tables (or the bracket under data for stage=finals)', envelope({
+                data: { type: ['array', 'object'], description: 'Rows of every table, or the bracket' },
+                tables: listOf(object({ name: text(''), standings: listOf(ref('Standing')) })),
+                stage: { type: 'string', enum: STAGE_CATEGORIES },
+                season: integer('')
+            }))
+        }
+    })],
+    ['get', '/api/scenarios', operation({
+        id: 'getScenarios', tag: 'Tournament', summary: 'What each team needs to qualify',
+        parameters: [queryParam('team', 'Team id, code or name', text('')), param('season')],
+        errors: [404],
+        responses: {
+            200: json('Scenarios per table', envelope({
+                data: listOf({ type: 'object', description: 'A table with the status (through, alive, eliminated, unknown) of its teams' }),
+                team: orNull(text('')),
+                season: integer('')
+            }))
+        }
+    })],
+    ['get', '/api/player-stats', operation({
+        id: 'listPlayerStats', tag: 'Players', summary: 'Season totals of players',
+        parameters: [
+            param('listSeason'),
+            queryParam('team', 'Players of this team', text('')),
+            queryParam('q', 'Part of a player name', text('')),
+            queryParam('sort', `Comma-separated fields among ${PLAYER_SORT_FIELDS.join(', ')}; "-" sorts descending`, text('')),
+            param('page'),
+            param('pageSize')
+        ],
+        errors: [404],
+        responses: { 200: json('Player totals', paginated(ref('PlayerStats'), { season: seasonLabel })) }
+    })],
+    ['get', '/api/leaderboards/{category}', operation({
+        id: 'getLeaderboard', tag: 'Players', summary: 'Top players in a category',
+        parameters: [
+            pathParam('category', 'Leaderboard', { type: 'string', enum: Object.keys(LEADERBOARD_CATEGORIES) }),
+            queryParam('limit', `Rows (1 to ${LEADERBOARD_MAX_LIMIT})`, integer('', { minimum: 1, maximum: LEADERBOARD_MAX_LIMIT })),
+            queryParam('min', 'Overrides the qualification threshold', integer('', { minimum: 0 })),
+            param('season')
+        ],
+        errors: [404],
+        responses: {
+            200: json('Leaderboard', envelope({
+                category: text(''),
+                label: text(''),
+                qualification: { type: ['object', 'null'] },
+                data: listOf({ type: 'object', description: 'Player totals with Rank, Value and Display' }),
+                season: integer('')
+            }))
+        }
+    })],
+    ['get', '/api/teams', operation({
+        id: 'listTeams', tag: 'Teams', summary: 'Teams',
+        responses: { 200: json('Teams', envelope({ data: listOf(ref('Team')), count: integer('') })) }
+    })],
+    ['get', '/api/teams/{id}', operation({
+        id: 'getTeam', tag: 'Teams', summary: 'Record, form, fixtures, results and squad of a team',
+        parameters: [pathParam('id', 'Team id, code or name', text('')), param('listSeason')],
+        errors: [404],
+        responses: { 200: json('Team profile', envelope({ data: { type: 'object' }, season: seasonLabel })) }
+    })],
+    ['get', '/api/head-to-head', operation({
+        id: 'getHeadToHead', tag: 'Teams', summary: 'Every meeting of two teams',
+        parameters: [
+            queryParam('teamA', 'Team id, code or name', text('', { minLength: 1 }), true),
+            queryParam('teamB', 'Team id, code or name', text('', { minLength: 1 }), true)
+        ],
+        errors: [404],
+        responses: { 200: json('Head-to-head record', envelope({ data: { type: 'object' } })) }
+    })],
+    ['get', '/api/fixtures.ics', operation({
+        id: 'getFixturesCalendar', tag: 'Calendar', summary: 'Calendar feed of a season',
+        parameters: [param('listSeason')], errors: [404], responses: { 200: ICS }
+    })],
+    ['get', '/api/teams/{id}/fixtures.ics', operation({
+        id: 'getTeamCalendar', tag: 'Calendar', summary: 'Calendar feed of a team',
+        parameters: [pathParam('id', 'Team id, code or name', text('')), param('listSeason')],
+        errors: [404], responses: { 200: ICS }
+    })],
+    ['get', '/api/match/{id}/calendar.ics', operation({
+        id: 'getMatchCalendar', tag: 'Calendar', summary: 'One match as a calendar event',
+        parameters: [param('matchId')], errors: [404], responses: { 200: ICS }
+    })],
+
+    // Fixtures and scoring
+    ['post', '/api/match', operation({
+        id: 'createMatch', tag: 'Fixtures', summary: 'Add a fixture', access: 'admin', write: true,
+        body: jsonBody('The fixture', ref('MatchInput')),
+        responses: { 201: json('Created', written({ matchId: integer(''), data: ref('Match') }, ['data'])) }
+    })],
+    ['put', '/api/match/{id}', operation({
+        id: 'replaceMatch', tag: 'Fixtures', summary: 'Replace every editable field of a fixture', access: 'admin', write: true,
+        parameters: [param('matchId')],
+        body: jsonBody('The fixture; fields left out are cleared', ref('MatchInput')),
+        errors: [404],
+        responses: { 200: json('Updated', written({ data: ref('Match') }, ['data'])) }
+    })],
+    ['patch', '/api/match/{id}', operation({
+        id: 'updateMatch', tag: 'Fixtures', summary: 'Change some fields of a fixture', access: 'admin', write: true,
+        parameters: [param('matchId')],
+        body: jsonBody('Fields to change', ref('MatchChanges')),
+        errors: [404],
+        responses: { 200: json('Updated', written({ data: ref('Match') }, ['data'])) }
+    })],
+    ['delete', '/api/match/{id}', operation({
+        id: 'deleteMatch', tag: 'Fixtures', summary: 'Delete a fixture with its innings, deliveries and player lines',
+        access: 'admin', write: true, parameters: [param('matchId')], errors: [404],
+        responses: { 200: json('Deleted', written()) }
+    })],
+    ['post', '/api/match/{id}/result', operation({
+        id: 'recordResult', tag: 'Fixtures', summary: 'Record a result without ball-by-ball data', access: 'scorer', write: true,
+        parameters: [param('matchId')],
+        body: jsonBody('The result', ref('ResultInput')),
+        errors: [404],
+        responses: { 200: json('Recorded', written({ data: ref('Match') }, ['data'])) }
+    })],
+    ['get', '/api/match/{id}/players', operation({
+        id: 'listPlayerLines', tag: 'Players', summary: 'Player lines of a match',
+        parameters: [param('matchId')], errors: [404],
+        responses: { 200: json('Player lines', envelope({ data: listOf(ref('PlayerLine')), match: ref('Match') })) }
+    })],
+    ['put', '/api/match/{id}/players', operation({
+        id: 'replacePlayerLines', tag: 'Players', summary: 'Correct the player lines of a match', access: 'scorer', write: true,
+        description: 'Invalid rows are listed in `details.errors` as `{ row, fields }`, counting rows from 1. Matches scored ball by ball are corrected through their deliveries (409).',
+        parameters: [param('matchId')],
+        body: jsonBody('Every player line of the match', listOf(ref('ImportRow'), { maxItems: MAX_ROWS })),
+        errors: [404],
+        responses: { 200: json('Saved', written({ data: listOf(ref('PlayerLine')) }, ['data'])) }
+    })],
+    ['post', '/api/standings/recompute', operation({
+        id: 'recomputeStandings', tag: 'Fixtures', summary: 'Rebuild the standings from the results', access: 'admin', write: true,
+        parameters: [queryParam('season', 'Only this season; every season when left out', SEASON_PATTERN)],
+        errors: [404],
+        responses: { 200: json('Recomputed', written({ data: { type: 'object', description: 'Rows written per season' } })) }
+    })],
+    ['get', '/api/match/{id}/scorecard', operation({
+        id: 'getScorecard', tag: 'Scoring', summary: 'Scorecard built from the deliveries',
+        parameters: [param('matchId')], errors: [404],
+        responses: { 200: json('Scorecard', envelope({ data: ref('Scorecard') })) }
+    })],
+    ['post', '/api/match/{id}/innings', operation({
+        id: 'startInnings', tag: 'Scoring', summary: 'Start the next innings', access: 'scorer', write: true,
+        parameters: [param('matchId')],
+        body: jsonBody('The batting side', object({ BattingTeam: text('Team1 or Team2 of the match', { minLength: 1 }) }, ['BattingTeam'])),
+        errors: [404],
+        responses: { 201: json('Started', written({ inningsId: integer(''), inningsNumber: integer('') }, ['inningsId'])) }
+    })],
+    ['post', '/api/match/{id}/deliveries', operation({
+        id: 'recordDeliveries', tag: 'Scoring', summary: 'Add one delivery, or a batch, to the current innings', access: 'scorer', write: true,
+        description: 'Deliveries that break the laws of the game are listed in `details.deliveries` as `{ index, errors }`. A batch that runs past the end of the innings is refused whole (409, with `details.rejectedFrom`).',
+        parameters: [param('matchId')],
+        body: jsonBody('A delivery, or { deliveries: [...] }', {
+            anyOf: [
+                ref('Delivery'),
+                object({ deliveries: listOf(ref('Delivery'), { minItems: 1 }) }, ['deliveries'])
+            ]
+        }),
+        errors: [404],
+        responses: { 201: json('Recorded', written({ accepted: integer('Deliveries added'), data: ref('Scorecard') }, ['data'])) }
+    })],
+    ['delete', '/api/match/{id}/deliveries/last', operation({
+        id: 'undoLastDelivery', tag: 'Scoring', summary: 'Remove the most recent delivery', access: 'scorer', write: true,
+        parameters: [param('matchId')], errors: [404],
+        responses: { 200: json('Removed', written({ removed: integer('DeliveryID removed'), data: ref('Scorecard') }, ['data'])) }
+    })],
+
+    // Bulk data
+    ['get', '/api/export/{collection}', operation({
+        id: 'exportCollection', tag: 'Bulk data', summary: 'Download a collection as CSV or JSON',
+        parameters: [
+            pathParam('collection', 'What to export', { type: 'string', enum: Object.keys(EXPORT_COLUMNS) }),
+            queryParam('format', 'File format (json by default)', { type: 'string', enum: ['csv', 'json'] }),
+            queryParam('season', 'Only this season; every season when left out', SEASON_PATTERN)
+        ],
+        errors: [404],
+        responses: {
+            200: {
+                description: 'The rows',
+                content: {
+                    'application/json': { schema: object({ collection: text(''), data: listOf({ type: 'object' }) }) },
+                    'text/csv': { schema: { type: 'string' } }
+                }
+            }
+        }
+    })],
+    ['post', '/api/admin/import/{collection}', operation({
+        id: 'importCollection', tag: 'Bulk data', summary: 'Import fixtures, results or player innings', access: 'admin', write: true,
+        description: 'Nothing is written unless every row is valid; invalid rows are listed in `details.errors`. With dryRun the rows are only checked.',
+        parameters: [
+            pathParam('collection', 'fixtures, results or player-innings', text('')),
+            queryParam('dryRun', 'Only check the rows', BOOLEAN_TEXT)
+        ],
+        body: {
+            required: true,
+            content: {
+                'text/csv': { schema: { type: 'string' } },
+                'application/json': {
+                    schema: {
+                        anyOf: [
+                            listOf(ref('ImportRow'), { maxItems: MAX_ROWS }),
+                            object({ rows: listOf(ref('ImportRow'), { maxItems: MAX_ROWS }) }, ['rows'])
+                        ]
+                    }
+                }
+            }
+        },
+        errors: [404],
+        responses: {
+            200: json('Dry run report', object({ collection: text(''), dryRun: flag(''), received: integer(''), valid: integer(''), invalid: integer(''), errors: listOf({ type: 'object' }), preview: listOf({ type: 'object' }) })),
+            201: json('Imported', written({ imported: integer('Rows written') }))
+        }
+    })],
+
+    // Audit trail
+    ['get', '/api/audit', operation({
+        id: 'listAuditEntries', tag: 'Audit', summary: 'Changes to fixtures, results, player lines, standings and player stats',
+        access: 'scorer',
+        parameters: [
+            queryParam('entity', `Comma-separated among: ${AUDIT_ENTITIES.join(', ')}`, text('')),
+            queryParam('match', 'A match and its player lines', integer('', { minimum: 1 })),
+            queryParam('key', 'Entity key', text('')),
+            queryParam('season', 'Season year', integer('')),
+            queryParam('actor', 'API key name', text('')),
+            queryParam('action', 'Kind of change', { type: 'string', enum: AUDIT_ACTIONS }),
+            queryParam('from', 'On or after this date or date-time', text('')),
+            queryParam('to', 'On or before this date or date-time', text('')),
+            param('page'),
+            param('pageSize')
+        ],
+        responses: { 200: json('Entries, newest first', paginated(ref('AuditEntry'))) }
+    })],
+    ['post', '/api/admin/audit/{id}/revert', operation({
+        id: 'revertAuditEntry', tag: 'Audit', summary: 'Undo a change to a fixture or to player lines', access: 'admin', write: true,
+        description: 'Refused with DATA_CHANGED when the data changed since, unless force is set.',
+        parameters: [
+            pathParam('id', 'Audit entry', integer('', { minimum: 1 })),
+            queryParam('force', 'Overwrite later changes', BOOLEAN_TEXT)
+        ],
+        errors: [404],
+        responses: { 200: json('Reverted', written({ data: { type: ['object', 'array', 'null'] } })) }
+    })],
+
+    // API keys
+    ['get', '/api/admin/keys', operation({
+        id: 'listApiKeys', tag: 'API keys', summary: 'API keys', access: 'admin',
+        responses: { 200: json('Keys, without the keys themselves', envelope({ data: listOf(ref('ApiKey')) })) }
+    })],
+    ['post', '/api/admin/keys', operation({
+        id: 'createApiKey', tag: 'API keys', summary: 'Create an API key', access: 'admin', write: true,
+        body: jsonBody('Who the key is for', object({
+            Name: text('', { minLength: 1, maxLength: 100 }),
+            Role: { type: 'string', enum: ROLES }
+        }, ['Name', 'Role'])),
+        responses: { 201: json('Created; the key is only ever shown here', written({ keyId: integer(''), key: text(''), role: { type: 'string', enum: ROLES } }, ['key'])) }
+    })],
+    ['delete', '/api/admin/keys/{id}', operation({
+        id: 'revokeApiKey', tag: 'API keys', summary: 'Revoke an API key', access: 'admin', write: true,
+        parameters: [pathParam('id', 'Key id', integer('', { minimum: 1 }))], errors: [404],
+        responses: { 200: json('Revoked', written()) }
+    })],
+
+    // Prediction league
+    ['post', '/api/users', operation({
+        id: 'register', tag: 'Prediction league', summary: 'Create an account and sign in', write: true,
+        body: jsonBody('The account', object({
+            username: text('', { pattern: USERNAME_PATTERN.source, 'x-message': 'must be 3 to 30 letters, digits, dots, dashes or underscores' }),
+            password: text('', { minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH }),
+            displayName: orNull(text('Name shown on leaderboards; the username when left out', { maxLength: 50 }))
+        }, ['username', 'password'])),
+        errors: [409],
+        responses: { 201: json('Signed up', written({ data: ref('Session') }, ['data'])) }
+    })],
+    ['post', '/api/users/login', operation({
+        id: 'login', tag: 'Prediction league', summary: 'Sign in', write: true,
+        body: jsonBody('Credentials', object({ username: text(''), password: text('') }, ['username', 'password'])),
+        errors: [401],
+        responses: { 200: json('Signed in', written({ data: ref('Session') }, ['data'])) }
+    })],
+    ['post', '/api/users/logout', operation({
+        id: 'logout', tag: 'Prediction league', summary: 'End the session', access: 'user', write: true,
+        responses: { 200: json('Signed out', written()) }
+    })],
+    ['get', '/api/users/me', operation({
+        id: 'getAccount', tag: 'Prediction league', summary: 'The signed-in user and their leagues', access: 'user',
+        responses: { 200: json('Account', envelope({ data: { allOf: [ref('User'), object({ leagues: listOf(ref('League')) })] } })) }
+    })],
+    ['get', '/api/users/me/predictions', operation({
+        id: 'listMyPredictions', tag: 'Prediction league', summary: 'The signed-in user\'s predictions and points', access: 'user',
+        parameters: [param('listSeason')], errors: [404],
+        responses: {
+            200: json('Predictions', envelope({
+                data: listOf({
+                    allOf: [ref('Prediction'), object({
+                        outcome: { type: 'string', enum: ['pending', 'void', 'correct', 'wrong'] },
+                        points: integer(''),
+                        exact: flag(''),
+                        open: flag('Whether it can still change'),
+                        locksAt: text('', { format: 'date-time' }),
+                        match: ref('Match')
+                    })]
+                }),
+                points: integer('Total'),
+                season: seasonLabel
+            }))
+        }
+    })],
+    ['put', '/api/predictions/{id}', operation({
+        id: 'savePrediction', tag: 'Prediction league', summary: 'Predict a match, or change a prediction', access: 'user', write: true,
+        description: 'Predictions close when the match starts (PREDICTIONS_CLOSED).',
+        parameters: [param('matchId')],
+        body: jsonBody('The prediction; the margin is optional', object({
+            Winner: text('Team1 or Team2 of the match', { minLength: 1 }),
+            MarginType: orNull({ type: 'string', enum: MARGIN_TYPES }),
+            Margin: orNull(integer('', { minimum: 1 }))
+        }, ['Winner'])),
+        errors: [404],
+        responses: { 200: json('Saved', written({ data: ref('Prediction'), locksAt: text('', { format: 'date-time' }) }, ['data'])) }
+    })],
+    ['delete', '/api/predictions/{id}', operation({
+        id: 'withdrawPrediction', tag: 'Prediction league', summary: 'Withdraw a prediction', access: 'user', write: true,
+        parameters: [param('matchId')], errors: [404],
+        responses: { 200: json('Withdrawn', written()) }
+    })],
+    ['get', '/api/predictions/leaderboard', operation({
+        id: 'getPredictionLeaderboard', tag: 'Prediction league', summary: 'Points table of everyone, or of a league',
+        parameters: [param('listSeason'), queryParam('league', 'League code', text(''))],
+        errors: [404],
+        responses: {
+            200: json('Leaderboard', envelope({
+                data: listOf(ref('LeaderboardRow')),
+                league: orNull(object({ name: text(''), code: text(''), members: integer('') })),
+                scoring: { type: 'object' },
+                season: seasonLabel
+            }))
+        }
+    })],
+    ['post', '/api/leagues', operation({
+        id: 'createLeague', tag: 'Prediction league', summary: 'Create a private league', access: 'user', write: true,
+        body: jsonBody('The league', object({ name: text('', { minLength: 1, maxLength: 50 }) }, ['name'])),
+        responses: { 201: json('Created', written({ data: ref('League') }, ['data'])) }
+    })],
+    ['post', '/api/leagues/join', operation({
+        id: 'joinLeague', tag: 'Prediction league', summary: 'Join a league by its code', access: 'user', write: true,
+        body: jsonBody('The code', object({ code: text('', { minLength: 1 }) }, ['code'])),
+        errors: [404],
+        responses: { 200: json('Joined', written({ data: ref('League') }, ['data'])) }
+    })],
+    ['delete', '/api/leagues/{code}/membership', operation({
+        id: 'leaveLeague', tag: 'Prediction league', summary: 'Leave a league', access: 'user', write: true,
+        parameters: [pathParam('code', 'League code', text(''))], errors: [404],
+        responses: { 200: json('Left', written()) }
+    })]
+];
+
+// ---------- Document ----------
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Asia Cup API',
+        version,
+        description: [
+            'Fixtures, results, standings, player statistics and the prediction league.',
+            '',
+            'Every error has the shape of `Error`: `error` is a message for people and `code` one of the codes below, ' +
+            'with `fields` naming invalid request fields. Quote `requestId` when reporting a problem.',
+            '',
+            ...Object.entries(ERROR_CODES).map(([code, entry]) => `- \`${code}\` (${entry.status}): ${entry.description}`),
+            '',
+            'Writes need an API key (admin or scorer role) or, for the prediction league, a session token. ' +
+            'Secondary instances forward them to the primary.'
+        ].join('\n')
+    },
+    servers: [{ url: '/' }],
+    tags: ['System', 'Tournament', 'Teams', 'Players', 'Calendar', 'Fixtures', 'Scoring', 'Bulk data', 'Audit', 'API keys', 'Prediction league']
+        .map(name => ({ name })),
+    paths: {},
+    components: {
+        schemas,
+        parameters,
+        responses,
+        securitySchemes: {
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key from an admin' },
+            apiKeyBearer: { type: 'http', scheme: 'bearer', description: 'API key as "Authorization: Bearer acp_..."' },
+            userSession: { type: 'http', scheme: 'bearer', description: 'Session token from sign-up or login ("acs_...")' }
+        }
+    }
+};
+
+const byId = new Map();
+for (const [method, path, definition] of operations) {
+    document.paths[path] = { ...document.paths[path], [method]: definition };
+    byId.set(definition.operationId, definition);
+}
+
+// Parameter values: an empty one counts as left out, as in lib/listing.js
+function checkParameters(definition, req, errors) {
+    for (const reference of definition.parameters || []) {
+        const parameter = schema.resolve(reference, document);
+        if (!['path', 'query'].includes(parameter.in)) continue;
+
+        const raw = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+        if (raw === undefined || raw === '') {
+            if (parameter.required) errors[parameter.name] = `${parameter.name} is required`;
+            continue;
+        }
+        const value = schema.coerceParameter(parameter.schema, raw, document);
+        Object.assign(errors, schema.validate(parameter.schema, value, document, parameter.name));
+    }
+}
+
+// JSON bodies only; a CSV import arrives as text and is read by lib/bulk.js
+function checkBody(definition, req, errors) {
+    const body = definition.requestBody;
+    const content = body && body.content['application/json'];
+    if (!content || typeof req.body === 'string') return;
+    Object.assign(errors, schema.validate(content.schema, req.body, document));
+}
+
+// Middleware checking a request against the operation `operationId`
+function validate(operationId) {
+    const definition = byId.get(operationId);
+    if (!definition) throw new Error(`No operation "${operationId}" in the OpenAPI document`);
+
+    return (req, res, next) => {
+        const errors = {};
+        checkParameters(definition, req, errors);
+        checkBody(definition, req, errors);
+        if (Object.keys(errors).length > 0) return sendValidationErrors(res, errors);
+        next();
+    };
+}
+
+module.exports = {
+    document,
+    validate
+};
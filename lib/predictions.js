@@ -0,0 +1,136 @@
+// Prediction league rules: what a prediction may say, when predictions close,
+// how they score once a result is in, and the leaderboard built from them.
+//
+// A prediction names the winner and, optionally, the margin in runs or wickets.
+// Points come from the match as recorded, so correcting a result re-scores it.
+
+const crypto = require('crypto');
+const { FINISHED_STATUSES } = require('./validation');
+
+const POINTS = {
+    winner: 3,
+    // On top of the winner, for the right kind of margin
+    exactMargin: 3,
+    closeMargin: 1
+};
+
+// How far off a margin may be and still count as close
+const CLOSE_MARGIN = { runs: 10, wickets: 1 };
+const MARGIN_TYPES = ['runs', 'wickets'];
+const MAX_MARGIN = { runs: 500, wickets: 10 };
+
+// League codes avoid letters and digits that are easily confused (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateLeagueCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// Predictions close at the start time, or when the match day begins if the
+// fixture has none, and as soon as the match is no longer scheduled
+function locksAt(match) {
+    return new Date(match.StartTime || match.MatchDate);
+}
+
+function isOpen(match, now = new Date()) {
+    return match.Status === 'scheduled' && now < locksAt(match);
+}
+
+// { type, value } from result text such as "India won by 10 wickets (12 balls left)"
+function parseMargin(result) {
+    const found = /won by (\d+) (run|wicket)s?\b/i.exec(result || '');
+    return found ? { type: `${found[2].toLowerCase()}s`, value: Number(found[1]) } : null;
+}
+
+// Checks a prediction for `match`; returns an object of field -> message
+function validatePrediction({ Winner, MarginType = null, Margin = null }, match) {
+    const errors = {};
+    if (![match.Team1, match.Team2].includes(Winner)) {
+        errors.Winner = `Winner must be ${match.Team1} or ${match.Team2}`;
+    }
+
+    if (MarginType == null && Margin == null) return errors;
+    if (!MARGIN_TYPES.includes(MarginType)) {
+        errors.MarginType = `MarginType must be one of: ${MARGIN_TYPES.join(', ')}`;
+    } else if (!Number.isInteger(Margin) || Margin < 1 || Margin > MAX_MARGIN[MarginType]) {
+        errors.Margin = `Margin must be a whole number of ${MarginType} from 1 to ${MAX_MARGIN[MarginType]}`;
+    }
+    return errors;
+}
+
+// Outcome of a prediction: 'pending' until the match is finished, 'void' for a
+// tie or a match without a result, otherwise 'correct' or 'wrong' with points
+function scorePrediction(prediction, match) {
+    if (!FINISHED_STATUSES.includes(match.Status)) return { outcome: 'pending', points: 0, exact: false };
+    if (match.Status !== 'completed' || !match.Winner) return { outcome: 'void', points: 0, exact: false };
+    if (prediction.Winner !== match.Winner) return { outcome: 'wrong', points: 0, exact: false };
+
+    let points = POINTS.winner;
+    const margin = parseMargin(match.Result);
+    const exact = Boolean(margin && prediction.MarginType === margin.type && prediction.Margin === margin.value);
+    if (exact) {
+        points += POINTS.exactMargin;
+    } else if (margin && prediction.MarginType === margin.type &&
+        Math.abs(prediction.Margin - margin.value) <= CLOSE_MARGIN[margin.type]) {
+        points += POINTS.closeMargin;
+    }
+    return { outcome: 'correct', points, exact };
+}
+
+function emptyRow(userId, displayName) {
+    return { userId, displayName, points: 0, predicted: 0, scored: 0, correct: 0, exact: 0 };
+}
+
+// Ranks users by points, then correct winners, then exact margins. `predictions`
+// carry UserID and DisplayName; `matches` holds every match they refer to. With
+// `members` ({ UserID, DisplayName } rows of a league) the table covers just
+// them, including members yet to predict.
+function leaderboard(predictions, matches, members = null) {
+    const byId = new Map(matches.map(match => [match.MatchID, match]));
+    const rows = new Map((members || []).map(member => [member.UserID, emptyRow(member.UserID, member.DisplayName)]));
+
+    for (const prediction of predictions) {
+        const match = byId.get(prediction.MatchID);
+        if (!match || (members && !rows.has(prediction.UserID))) continue;
+        if (!rows.has(prediction.UserID)) {
+            rows.set(prediction.UserID, emptyRow(prediction.UserID, prediction.DisplayName));
+        }
+
+        const row = rows.get(prediction.UserID);
+        const score = scorePrediction(prediction, match);
+        row.predicted++;
+        if (score.outcome === 'correct' || score.outcome === 'wrong') row.scored++;
+        if (score.outcome === 'correct') row.correct++;
+        if (score.exact) row.exact++;
+        row.points += score.points;
+    }
+
+    const sorted = [...rows.values()].sort((a, b) =>
+        b.points - a.points || b.correct - a.correct || b.exact - a.exact ||
+        a.displayName.localeCompare(b.displayName)
+    );
+
+    // Equal points, correct winners and exact margins share a rank
+    sorted.forEach((row, index) => {
+        const previous = sorted[index - 1];
+        const tied = previous && previous.points === row.points &&
+            previous.correct === row.correct && previous.exact === row.exact;
+        row.rank = tied ? previous.rank : index + 1;
+    });
+    return sorted;
+}
+
+module.exports = {
+    POINTS,
+    CLOSE_MARGIN,
+    MARGIN_TYPES,
+    generateLeagueCode,
+    locksAt,
+    isOpen,
+    parseMargin,
+    validatePrediction,
+    scorePrediction,
+    leaderboard
+};
@@ -0,0 +1,255 @@
+// Qualification scenarios. For each league table (a group or the Super 4) every
+// combination of the remaining results is played out on points to tell which
+// teams are through, which are out, and what the others need from their own
+// matches. Ties score the same as no result, so they are not enumerated apart.
+
+const { BALLS_PER_OVER } = require('./scoring');
+const { POINTS, QUALIFIERS_PER_TABLE, stageName, isFinished } = require('./standings');
+
+// 3^10 combinations; tables with more fixtures left are reported without scenarios
+const MAX_REMAINING = 10;
+
+// First-innings score assumed when working out the margin a team needs on NRR
+const PAR_SCORE = 160;
+
+// Where the top of each kind of table goes
+const TARGETS = { group: 'Super 4', super4: 'Final' };
+
+// Outcome of the n-th remaining match in a combination: 0 Team1 wins, 1 Team2 wins, 2 no result
+const OUTCOME_COUNT = 3;
+
+// Final points of every team for each combination of remaining results
+function playOut(table, remaining) {
+    const start = new Map(table.standings.map(row => [row.TeamName, row.Points]));
+    const total = OUTCOME_COUNT ** remaining.length;
+    const combinations = [];
+
+    for (let n = 0; n < total; n++) {
+        const outcomes = [];
+        const points = new Map(start);
+        let rest = n;
+        remaining.forEach((match) => {
+            const outcome = rest % OUTCOME_COUNT;
+            rest = Math.floor(rest / OUTCOME_COUNT);
+            outcomes.push(outcome);
+
+            if (outcome === 2) {
+                points.set(match.Team1, points.get(match.Team1) + POINTS.noResult);
+                points.set(match.Team2, points.get(match.Team2) + POINTS.noResult);
+            } else {
+                const winner = outcome === 0 ? match.Team1 : match.Team2;
+                points.set(winner, points.get(winner) + POINTS.win);
+            }
+        });
+        combinations.push({ outcomes, points });
+    }
+    return combinations;
+}
+
+// 'in' when the team finishes in a qualifying place on points alone, 'out' when
+// enough teams finish above it, otherwise 'nrr' with the teams level with it
+// competing for the `spots` places left
+function placeOf(team, points) {
+    const mine = points.get(team);
+    const level = [];
+    let above = 0;
+    for (const [other, value] of points) {
+        if (other === team) continue;
+        if (value > mine) above++;
+        else if (value === mine) level.push(other);
+    }
+
+    if (above + level.length < QUALIFIERS_PER_TABLE) return { place: 'in' };
+    if (above >= QUALIFIERS_PER_TABLE) return { place: 'out' };
+    return { place: 'nrr', level, spots: QUALIFIERS_PER_TABLE - above };
+}
+
+function resultFor(team, match, outcome) {
+    if (outcome === 2) return 'no result';
+    const winner = outcome === 0 ? match.Team1 : match.Team2;
+    return winner === team ? 'win' : 'loss';
+}
+
+// Smallest winning margin that lifts `row`'s net run rate above `target` in one
+// more match of `overs` overs, batting first on PAR_SCORE or chasing it.
+// Null parts mean no margin is enough that way.
+function marginNeeded(row, target, overs) {
+    const balls = overs * BALLS_PER_OVER;
+    const oversOf = value => value / BALLS_PER_OVER;
+
+    // Batting first: PAR_SCORE in full overs, opponents held to PAR_SCORE - runs
+    const conceded = (
+        (row.RunsFor + PAR_SCORE) / oversOf(row.BallsFaced + balls) - target
+    ) * oversOf(row.BallsBowled + balls) - row.RunsAgainst;
+    const byRuns = Math.max(1, Math.floor(PAR_SCORE - conceded) + 1);
+
+    // Chasing PAR_SCORE + 1 after conceding PAR_SCORE in full overs
+    const needed = target + (row.RunsAgainst + PAR_SCORE) / oversOf(row.BallsBowled + balls);
+    let maxBalls = balls;
+    if (needed > 0) {
+        maxBalls = Math.min(balls, Math.ceil((row.RunsFor + PAR_SCORE + 1) / needed * BALLS_PER_OVER - row.BallsFaced) - 1);
+    }
+
+    return {
+        targetNetRunRate: target,
+        battingFirst: byRuns < PAR_SCORE ? { score: PAR_SCORE, winByRuns: byRuns } : null,
+        chasing: maxBalls >= 1 ? { target: PAR_SCORE + 1, ballsToSpare: balls - maxBalls } : null
+    };
+}
+
+function describe(results, outcome, dependsOn, target) {
+    const what = results.length === 0
+        ? 'With no matches left'
+        : results.map(({ Result, Opponent }) => {
+            if (Result === 'win') return `beat ${Opponent}`;
+            if (Result === 'loss') return `lose to ${Opponent}`;
+            return `no result against ${Opponent}`;
+        }).join(' and ');
+    const lead = what.charAt(0).toUpperCase() + what.slice(1);
+
+    if (outcome === 'qualifies') return `${lead}: through to the ${target}`;
+    if (outcome === 'eliminated') return `${lead}: eliminated`;
+    return `${lead}: depends on ${dependsOn.join(' and ')}`;
+}
+
+// Scenarios for one team of a table, grouped by the results of its own matches
+function teamScenarios(row, table, remaining, combinations) {
+    const team = row.TeamName;
+    const own = remaining
+        .map((match, index) => ({ match, index }))
+        .filter(({ match }) => match.Team1 === team || match.Team2 === team);
+
+    const rowOf = new Map(table.standings.map(other => [
+        other.TeamName,
+        { ...other, NetRunRate: Number(other.NetRunRate) }
+    ]));
+    const patterns = new Map();
+    const totals = { in: 0, nrr: 0, out: 0 };
+    for (const { outcomes, points } of combinations) {
+        const key = own.map(({ index }) => outcomes[index]).join('');
+        if (!patterns.has(key)) {
+            patterns.set(key, {
+                results: own.map(({ match, index }) => ({
+                    MatchID: match.MatchID,
+                    Opponent: match.Team1 === team ? match.Team2 : match.Team1,
+                    Result: resultFor(team, match, outcomes[index])
+                })),
+                counts: { in: 0, nrr: 0, out: 0 },
+                rival: null
+            });
+        }
+
+        const pattern = patterns.get(key);
+        const { place, level, spots } = placeOf(team, points);
+        pattern.counts[place]++;
+        totals[place]++;
+
+        // On NRR the team has to finish above the level rival holding the last
+        // spot; remember the easiest such rival over all combinations
+        if (place === 'nrr') {
+            const ranked = level.map(name => rowOf.get(name)).sort((a, b) => b.NetRunRate - a.NetRunRate);
+            const rival = ranked[spots - 1];
+            if (!pattern.rival || rival.NetRunRate < pattern.rival.NetRunRate) pattern.rival = rival;
+        }
+    }
+
+    let status = 'alive';
+    if (row.Qualified || (remaining.length > 0 && totals.in === combinations.length)) status = 'through';
+    else if (remaining.length === 0 || totals.out === combinations.length) status = 'eliminated';
+
+    const hasNrr = table.standings.some(other => other.BallsFaced > 0);
+    const needs = status !== 'alive' ? [] : [...patterns.values()]
+        .map(({ results, counts, rival }) => {
+            const possible = counts.in + counts.nrr + counts.out;
+            let outcome = 'depends';
+            if (counts.in === possible) outcome = 'qualifies';
+            else if (counts.out === possible) outcome = 'eliminated';
+
+            const dependsOn = [];
+            if (outcome === 'depends' && (counts.in > 0 || counts.out > 0)) dependsOn.push('other results');
+            if (outcome === 'depends' && counts.nrr > 0) dependsOn.push('net run rate');
+
+            const scenario = {
+                results,
+                outcome,
+                dependsOn,
+                qualifyingCombinations: counts.in,
+                combinations: possible,
+                summary: describe(results, outcome, dependsOn, TARGETS[table.category])
+            };
+
+            // Margin of the next win that overtakes the rival's current NRR
+            const win = results.find(result => result.Result === 'win');
+            if (rival && win && hasNrr) {
+                const match = remaining.find(m => m.MatchID === win.MatchID);
+                scenario.margin = {
+                    MatchID: win.MatchID,
+                    rival: rival.TeamName,
+                    ...marginNeeded(row, rival.NetRunRate, match.OversPerInnings || 20)
+                };
+            }
+            return scenario;
+        })
+        .sort((a, b) =>
+            b.results.filter(r => r.Result === 'win').length - a.results.filter(r => r.Result === 'win').length ||
+            b.qualifyingCombinations - a.qualifyingCombinations
+        );
+
+    return {
+        TeamName: team,
+        Position: row.Position,
+        Points: row.Points,
+        NetRunRate: row.NetRunRate,
+        MatchesLeft: own.length,
+        status,
+        chances: remaining.length > 0 ? { ...totals, combinations: combinations.length } : null,
+        needs
+    };
+}
+
+// Scenarios for every league table of a season. `tables` come from
+// standings.computeStageTables(); `matches` are the season's fixtures.
+function computeScenarios(tables, matches) {
+    return tables.map(table => {
+        const remaining = matches.filter(match =>
+            stageName(match.Stage) === table.name && !isFinished(match)
+        );
+        const base = {
+            name: table.name,
+            category: table.category,
+            target: TARGETS[table.category],
+            complete: table.complete,
+            remaining: remaining.map(({ MatchID, MatchDate, Team1, Team2, Venue }) => ({
+                MatchID, MatchDate, Team1, Team2, Venue
+            }))
+        };
+
+        if (remaining.length > MAX_REMAINING) {
+            return {
+                ...base,
+                note: `Too many fixtures left to work out scenarios (more than ${MAX_REMAINING})`,
+                teams: table.standings.map(row => ({
+                    TeamName: row.TeamName,
+                    Position: row.Position,
+                    Points: row.Points,
+                    NetRunRate: row.NetRunRate,
+                    status: row.Qualified ? 'through' : 'unknown',
+                    needs: []
+                }))
+            };
+        }
+
+        const combinations = playOut(table, remaining);
+        return {
+            ...base,
+            teams: table.standings.map(row => teamScenarios(row, table, remaining, combinations))
+        };
+    });
+}
+
+module.exports = {
+    MAX_REMAINING,
+    PAR_SCORE,
+    TARGETS,
+    computeScenarios
+};
@@ -0,0 +1,121 @@
+// Match start times. StartTime is kept as an instant; every venue has an IANA
+// time zone, so a start given as the wall-clock time at the venue can be
+// converted, and responses can say when a match starts where it is played.
+
+// Expected length of a match by format, for calendar events
+const DURATION_MINUTES = { 20: 210, 50: 480 };
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function durationMinutes(oversPerInnings) {
+    return DURATION_MINUTES[oversPerInnings] || DURATION_MINUTES[20];
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`
+function offsetMinutes(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Parses a start time given as an ISO 8601 timestamp with Z or an offset, or as
+// the wall-clock time at the venue ("2025-09-14T18:30") read in `timeZone`.
+// Returns { value } (a Date, or null when empty) or { error }.
+function parseStartTime(value, timeZone) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (value instanceof Date) return { value };
+    if (typeof value !== 'string') {
+        return { error: 'StartTime must be an ISO 8601 date-time' };
+    }
+
+    const text = value.trim();
+    if (OFFSET_PATTERN.test(text)) {
+        const date = new Date(text);
+        return Number.isNaN(date.getTime())
+            ? { error: 'StartTime must be an ISO 8601 date-time' }
+            : { value: date };
+    }
+
+    const local = LOCAL_PATTERN.exec(text);
+    if (!local) {
+        return { error: 'StartTime must be an ISO 8601 date-time, e.g. 2025-09-14T18:30 at the venue' };
+    }
+    if (!timeZone) {
+        return { error: 'The venue has no known time zone: give StartTime with a UTC offset, e.g. 2025-09-14T14:30:00Z' };
+    }
+
+    const [year, month, day, hour, minute, second = 0] = local.slice(1).map(part => Number(part || 0));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // A second pass settles the offset when the first guess crossed a DST change
+    let instant = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - offsetMinutes(new Date(instant), timeZone) * 60000;
+    return { value: new Date(instant) };
+}
+
+// "2025-09-14T18:30:00+04:00": the instant as wall-clock time in `timeZone`
+function toLocalIso(date, timeZone) {
+    const offset = offsetMinutes(date, timeZone);
+    const shifted = new Date(Math.floor(date.getTime() / 1000) * 1000 + offset * 60000);
+    const sign = offset < 0 ? '-' : '+';
+    const hours = pad(Math.floor(Math.abs(offset) / 60));
+    return `${shifted.toISOString().slice(0, 19)}${sign}${hours}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// Calendar date of the instant at the venue
+function localDate(date, timeZone) {
+    return toLocalIso(date, timeZone).slice(0, 10);
+}
+
+// Venue name (any case) -> time zone, from Venues rows
+function zoneIndex(venues) {
+    return new Map(venues.map(venue => [venue.Name.toLowerCase(), venue.TimeZone]));
+}
+
+function zoneOf(zones, venueName) {
+    return venueName ? zones.get(venueName.toLowerCase()) || null : null;
+}
+
+// The match with VenueTimeZone and LocalStartTime (its start in the venue's
+// time zone, as ISO 8601 with offset) added; StartTime itself is UTC
+function withLocalTimes(match, zones) {
+    const timeZone = zoneOf(zones, match.Venue);
+    const start = match.StartTime ? new Date(match.StartTime) : null;
+    return {
+        ...match,
+        VenueTimeZone: timeZone,
+        LocalStartTime: start && timeZone ? toLocalIso(start, timeZone) : null
+    };
+}
+
+module.exports = {
+    DURATION_MINUTES,
+    isValidTimeZone,
+    durationMinutes,
+    parseStartTime,
+    toLocalIso,
+    localDate,
+    zoneIndex,
+    zoneOf,
+    withLocalTimes
+};
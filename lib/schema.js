@@ -0,0 +1,152 @@
+// The part of JSON Schema the OpenAPI document (lib/openapi.js) uses to describe
+// request bodies and parameters: type (one or a list, "null" included), enum,
+// required, properties, additionalProperties: false, items, anyOf, minimum,
+// maximum, minLength, maxLength, minItems, maxItems, pattern, format (date,
+// date-time) and local $refs. A schema's `x-message` replaces the generated
+// message when its pattern or format does not match.
+
+const { isValidDate } = require('./validation');
+
+const TYPE_WORDS = {
+    string: 'text',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+    null: 'null'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function checkFormat(format, value) {
+    if (format === 'date') return isValidDate(value);
+    if (format === 'date-time') return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(new Date(value).getTime());
+    return true;
+}
+
+function resolve(schema, root) {
+    while (schema && schema.$ref) {
+        schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, part) => node && node[part], root);
+    }
+    return schema || {};
+}
+
+// Checks `value` against `schema`; `root` is the document local $refs point into.
+// Returns an object of field path -> message, empty when the value is valid.
+// `name` labels the value itself (e.g. "body" or a parameter name).
+function validate(schema, value, root = schema, name = 'body') {
+    const errors = {};
+    check(schema, value, root, name, errors, name);
+    return errors;
+}
+
+function child(path, key, rootName) {
+    return path === rootName ? key : `${path}.${key}`;
+}
+
+function check(schema, value, root, path, errors, rootName) {
+    schema = resolve(schema, root);
+
+    if (schema.anyOf) {
+        // The branch with the fewest complaints is the one the caller most likely meant
+        let best = null;
+        for (const branch of schema.anyOf) {
+            const branchErrors = {};
+            check(branch, value, root, path, branchErrors, rootName);
+            if (Object.keys(branchErrors).length === 0) return;
+            if (!best || Object.keys(branchErrors).length < Object.keys(best).length) best = branchErrors;
+        }
+        Object.assign(errors, best);
+        return;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors[path] = `${path} must be ${types.map(type => TYPE_WORDS[type]).join(' or ')}`;
+            return;
+        }
+    }
+    if (value === null) return;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors[path] = `${path} must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`;
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors[path] = schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`;
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors[path] = `${path} must be at most ${schema.maxLength} characters`;
+        } else if ((schema.pattern && !new RegExp(schema.pattern).test(value)) || !checkFormat(schema.format, value)) {
+            errors[path] = schema['x-message'] ? `${path} ${schema['x-message']}`
+                : schema.format === 'date' ? `${path} must be a date (YYYY-MM-DD)`
+                    : schema.format === 'date-time' ? `${path} must be an ISO 8601 date-time`
+                        : `${path} does not match ${schema.pattern}`;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors[path] = `${path} must be at least ${schema.minimum}`;
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors[path] = `${path} must be at most ${schema.maximum}`;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors[path] = `${path} must have at least ${schema.minItems} item(s)`;
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors[path] = `${path} must have at most ${schema.maxItems} item(s)`;
+        } else if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, root, `${path}[${index}]`, errors, rootName));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            const fieldPath = child(path, field, rootName);
+            if (value[field] === undefined) errors[fieldPath] = `${fieldPath} is required`;
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) check(fieldSchema, value[field], root, child(path, field, rootName), errors, rootName);
+        }
+        if (schema.additionalProperties === false) {
+            for (const field of Object.keys(value)) {
+                if (!(schema.properties || {})[field]) errors[child(path, field, rootName)] = 'Unknown field';
+            }
+        }
+    }
+}
+
+// Query and path parameters arrive as text; numbers and booleans are read from
+// it before checking. Text that is not a number is left as it is, to fail the check.
+function coerceParameter(schema, value, root) {
+    const types = [].concat(resolve(schema, root).type || []);
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && ['true', 'false'].includes(value)) {
+        return value === 'true';
+    }
+    return value;
+}
+
+module.exports = {
+    validate,
+    resolve,
+    coerceParameter
+};
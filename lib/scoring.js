@@ -0,0 +1,346 @@
+// Ball-by-ball scoring: validates incoming deliveries and folds them into
+// batting/bowling cards, extras, fall of wickets and the match result.
+
+const BALLS_PER_OVER = 6;
+const MAX_WICKETS = 10;
+
+const EXTRA_TYPES = ['wide', 'noball', 'bye', 'legbye', 'penalty'];
+
+const DISMISSAL_KINDS = [
+    'bowled',
+    'caught',
+    'caught and bowled',
+    'lbw',
+    'stumped',
+    'hit wicket',
+    'run out',
+    'obstructing the field',
+    'timed out',
+    'retired out'
+];
+
+// Dismissals credited to the bowler in the bowling card
+const BOWLER_DISMISSALS = ['bowled', 'caught', 'caught and bowled', 'lbw', 'stumped', 'hit wicket'];
+
+function isLegalDelivery(delivery) {
+    return delivery.ExtraType !== 'wide' && delivery.ExtraType !== 'noball';
+}
+
+function formatOvers(legalBalls) {
+    return `${Math.floor(legalBalls / BALLS_PER_OVER)}.${legalBalls % BALLS_PER_OVER}`;
+}
+
+function rate(numerator, denominator, scale) {
+    return denominator > 0 ? Number(((numerator / denominator) * scale).toFixed(2)) : null;
+}
+
+function isNonNegativeInt(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Returns a list of problems with a delivery posted by a scorer (empty when valid)
+function validateDelivery(delivery) {
+    const errors = [];
+
+    if (!delivery || typeof delivery !== 'object') {
+        return ['Delivery must be an object'];
+    }
+    if (!delivery.Batter || typeof delivery.Batter !== 'string') {
+        errors.push('Batter is required');
+    }
+    if (!delivery.Bowler || typeof delivery.Bowler !== 'string') {
+        errors.push('Bowler is required');
+    }
+
+    const batterRuns = delivery.BatterRuns ?? 0;
+    if (!isNonNegativeInt(batterRuns) || batterRuns > 7) {
+        errors.push('BatterRuns must be an integer between 0 and 7');
+    }
+
+    if (delivery.ExtraType != null && !EXTRA_TYPES.includes(delivery.ExtraType)) {
+        errors.push(`ExtraType must be one of: ${EXTRA_TYPES.join(', ')}`);
+    }
+    const extraRuns = delivery.ExtraRuns ?? 0;
+    if (!isNonNegativeInt(extraRuns)) {
+        errors.push('ExtraRuns must be a non-negative integer');
+    }
+    if (delivery.ExtraType && extraRuns === 0) {
+        errors.push(`ExtraRuns must be at least 1 for a ${delivery.ExtraType}`);
+    }
+    if (!delivery.ExtraType && extraRuns > 0) {
+        errors.push('ExtraType is required when ExtraRuns is set');
+    }
+    if (['wide', 'bye', 'legbye', 'penalty'].includes(delivery.ExtraType) && batterRuns > 0) {
+        errors.push(`BatterRuns cannot be scored off a ${delivery.ExtraType}`);
+    }
+
+    if (delivery.Wicket != null) {
+        const wicket = delivery.Wicket;
+        if (!DISMISSAL_KINDS.includes(wicket.Kind)) {
+            errors.push(`Wicket.Kind must be one of: ${DISMISSAL_KINDS.join(', ')}`);
+        }
+        if (wicket.PlayerOut && ![delivery.Batter, delivery.NonStriker].includes(wicket.PlayerOut)) {
+            errors.push('Wicket.PlayerOut must be the batter or the non-striker');
+        }
+        if (['caught', 'stumped'].includes(wicket.Kind) && !wicket.Fielder) {
+            errors.push(`Wicket.Fielder is required for ${wicket.Kind}`);
+        }
+    }
+
+    return errors;
+}
+
+function dismissalText(wicket, bowler) {
+    switch (wicket.Kind) {
+        case 'bowled': return `b ${bowler}`;
+        case 'caught': return `c ${wicket.Fielder} b ${bowler}`;
+        case 'caught and bowled': return `c & b ${bowler}`;
+        case 'lbw': return `lbw b ${bowler}`;
+        case 'stumped': return `st ${wicket.Fielder} b ${bowler}`;
+        case 'hit wicket': return `hit wicket b ${bowler}`;
+        case 'run out': return wicket.Fielder ? `run out (${wicket.Fielder})` : 'run out';
+        default: return wicket.Kind;
+    }
+}
+
+// Folds the ordered deliveries of one innings into its scorecard
+function buildInningsCard(innings, deliveries, oversPerInnings) {
+    const batters = new Map();
+    const bowlers = new Map();
+    const fielders = new Map();
+    const extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalties: 0, total: 0 };
+    const fallOfWickets = [];
+    const overRuns = new Map();
+    let runs = 0;
+    let wickets = 0;
+    let legalBalls = 0;
+
+    const batterEntry = (name) => {
+        if (!batters.has(name)) {
+            batters.set(name, { name, runs: 0, balls: 0, fours: 0, sixes: 0, dismissal: 'not out', out: false });
+        }
+        return batters.get(name);
+    };
+    const bowlerEntry = (name) => {
+        if (!bowlers.has(name)) {
+            bowlers.set(name, { name, legalBalls: 0, maidens: 0, runs: 0, wickets: 0, wides: 0, noBalls: 0 });
+        }
+        return bowlers.get(name);
+    };
+    const fielderEntry = (name) => {
+        if (!fielders.has(name)) {
+            fielders.set(name, { name, catches: 0, stumpings: 0, runOuts: 0 });
+        }
+        return fielders.get(name);
+    };
+
+    for (const delivery of deliveries) {
+        const batter = batterEntry(delivery.Batter);
+        if (delivery.NonStriker) batterEntry(delivery.NonStriker);
+        const bowler = bowlerEntry(delivery.Bowler);
+        const batterRuns = delivery.BatterRuns || 0;
+        const extraRuns = delivery.ExtraRuns || 0;
+        const legal = isLegalDelivery(delivery);
+
+        batter.runs += batterRuns;
+        if (batterRuns === 4) batter.fours++;
+        if (batterRuns === 6) batter.sixes++;
+        if (delivery.ExtraType !== 'wide') batter.balls++;
+
+        switch (delivery.ExtraType) {
+            case 'wide': extras.wides += extraRuns; bowler.wides += extraRuns; break;
+            case 'noball': extras.noBalls += extraRuns; bowler.noBalls += extraRuns; break;
+            case 'bye': extras.byes += extraRuns; break;
+            case 'legbye': extras.legByes += extraRuns; break;
+            case 'penalty': extras.penalties += extraRuns; break;
+        }
+        extras.total += extraRuns;
+
+        const conceded = batterRuns + (['wide', 'noball'].includes(delivery.ExtraType) ? extraRuns : 0);
+        bowler.runs += conceded;
+
+        const overKey = `${delivery.OverNumber}:${delivery.Bowler}`;
+        const over = overRuns.get(overKey) || { bowler: delivery.Bowler, runs: 0, legalBalls: 0 };
+        over.runs += conceded;
+        if (legal) over.legalBalls++;
+        overRuns.set(overKey, over);
+
+        runs += batterRuns + extraRuns;
+        if (legal) {
+            legalBalls++;
+            bowler.legalBalls++;
+        }
+
+        if (delivery.IsWicket) {
+            const wicket = {
+                Kind: delivery.DismissalKind,
+                PlayerOut: delivery.PlayerOut || delivery.Batter,
+                Fielder: delivery.Fielder
+            };
+            const dismissed = batterEntry(wicket.PlayerOut);
+            dismissed.out = true;
+            dismissed.dismissal = dismissalText(wicket, delivery.Bowler);
+            if (BOWLER_DISMISSALS.includes(wicket.Kind)) bowler.wickets++;
+            if (wicket.Kind === 'caught and bowled') fielderEntry(delivery.Bowler).catches++;
+            if (wicket.Kind === 'caught' && wicket.Fielder) fielderEntry(wicket.Fielder).catches++;
+            if (wicket.Kind === 'stumped' && wicket.Fielder) fielderEntry(wicket.Fielder).stumpings++;
+            if (wicket.Kind === 'run out' && wicket.Fielder) fielderEntry(wicket.Fielder).runOuts++;
+            wickets++;
+            fallOfWickets.push({
+                wicket: wickets,
+                runs,
+                player: wicket.PlayerOut,
+                overs: formatOvers(legalBalls)
+            });
+        }
+    }
+
+    for (const over of overRuns.values()) {
+        if (over.legalBalls === BALLS_PER_OVER && over.runs === 0) {
+            bowlers.get(over.bowler).maidens++;
+        }
+    }
+
+    const maxBalls = oversPerInnings * BALLS_PER_OVER;
+    const allOut = wickets >= MAX_WICKETS;
+
+    return {
+        inningsId: innings.InningsID,
+        inningsNumber: innings.InningsNumber,
+        battingTeam: innings.BattingTeam,
+        bowlingTeam: innings.BowlingTeam,
+        runs,
+        wickets,
+        legalBalls,
+        overs: formatOvers(legalBalls),
+        runRate: rate(runs, legalBalls, BALLS_PER_OVER),
+        allOut,
+        complete: allOut || legalBalls >= maxBalls,
+        batting: [...batters.values()].map(b => ({
+            ...b,
+            strikeRate: rate(b.runs, b.balls, 100)
+        })),
+        bowling: [...bowlers.values()].map(b => ({
+            name: b.name,
+            legalBalls: b.legalBalls,
+            overs: formatOvers(b.legalBalls),
+            maidens: b.maidens,
+            runs: b.runs,
+            wickets: b.wickets,
+            economy: rate(b.runs, b.legalBalls, BALLS_PER_OVER),
+            wides: b.wides,
+            noBalls: b.noBalls
+        })),
+        fielding: [...fielders.values()],
+        extras,
+        fallOfWickets
+    };
+}
+
+// Works out the result of a match from its innings cards; returns
+// { result, winner, complete } where result is null while play is ongoing
+function deriveResult(cards, oversPerInnings) {
+    const [first, second] = cards;
+
+    if (!first || !second) {
+        return { result: null, winner: null, complete: false, status: first ? `${first.battingTeam} batting` : 'Yet to start' };
+    }
+
+    const target = first.runs + 1;
+    const maxBalls = oversPerInnings * BALLS_PER_OVER;
+
+    if (second.runs >= target) {
+        const wicketsLeft = MAX_WICKETS - second.wickets;
+        const ballsLeft = maxBalls - second.legalBalls;
+        return {
+            result: `${second.battingTeam} won by ${wicketsLeft} wicket${wicketsLeft === 1 ? '' : 's'}` +
+                (ballsLeft > 0 ? ` (${ballsLeft} ball${ballsLeft === 1 ? '' : 's'} left)` : ''),
+            winner: second.battingTeam,
+            complete: true
+        };
+    }
+
+    if (!second.complete) {
+        const needed = target - second.runs;
+        const ballsLeft = maxBalls - second.legalBalls;
+        return {
+            result: null,
+            winner: null,
+            complete: false,
+            status: `${second.battingTeam} need ${needed} run${needed === 1 ? '' : 's'} from ${ballsLeft} ball${ballsLeft === 1 ? '' : 's'}`
+        };
+    }
+
+    if (second.runs === first.runs) {
+        return { result: 'Match tied', winner: null, complete: true };
+    }
+
+    const margin = first.runs - second.runs;
+    return {
+        result: `${first.battingTeam} won by ${margin} run${margin === 1 ? '' : 's'}`,
+        winner: first.battingTeam,
+        complete: true
+    };
+}
+
+// Builds the full scorecard for a match from its innings rows and deliveries
+function buildScorecard(match, innings, deliveries) {
+    const oversPerInnings = match.OversPerInnings || 20;
+    const cards = innings
+        .slice()
+        .sort((a, b) => a.InningsNumber - b.InningsNumber)
+        .map(inn => buildInningsCard(
+            inn,
+            deliveries.filter(d => d.InningsID === inn.InningsID).sort((a, b) => a.Sequence - b.Sequence),
+            oversPerInnings
+        ));
+
+    // The chase ends as soon as the target is passed
+    if (cards[1] && cards[1].runs > cards[0].runs) {
+        cards[1].complete = true;
+    }
+
+    const outcome = deriveResult(cards, oversPerInnings);
+
+    return {
+        matchId: match.MatchID,
+        team1: match.Team1,
+        team2: match.Team2,
+        venue: match.Venue,
+        stage: match.Stage,
+        oversPerInnings,
+        innings: cards,
+        result: outcome.result,
+        winner: outcome.winner,
+        complete: outcome.complete,
+        status: outcome.status || outcome.result
+    };
+}
+
+// Compact live score for match cards and push notifications
+function summarizeScorecard(scorecard) {
+    return {
+        status: scorecard.status,
+        complete: scorecard.complete,
+        innings: scorecard.innings.map(card => ({
+            team: card.battingTeam,
+            runs: card.runs,
+            wickets: card.wickets,
+            overs: card.overs
+        }))
+    };
+}
+
+module.exports = {
+    BALLS_PER_OVER,
+    MAX_WICKETS,
+    EXTRA_TYPES,
+    DISMISSAL_KINDS,
+    isLegalDelivery,
+    formatOvers,
+    validateDelivery,
+    buildInningsCard,
+    deriveResult,
+    buildScorecard,
+    summarizeScorecard
+};
@@ -0,0 +1,210 @@
+// Derives the points table from completed matches using cricket net run rate.
+
+const { BALLS_PER_OVER } = require('./scoring');
+const { FINISHED_STATUSES } = require('./validation');
+
+const POINTS = { win: 2, tie: 1, noResult: 1 };
+
+// Top two of each group reach the Super 4, top two of the Super 4 reach the final
+const QUALIFIERS_PER_TABLE = 2;
+
+const STAGE_CATEGORIES = ['group', 'super4', 'finals'];
+
+// Maps a free-text GroupMatches.Stage ("Group A", "Super 4", "Final") to its round
+function stageCategory(stage) {
+    if (!stage || /^group/i.test(stage)) return 'group';
+    if (/super\s*(4|four)/i.test(stage)) return 'super4';
+    return 'finals';
+}
+
+function stageName(stage) {
+    return stage || 'Group Stage';
+}
+
+// Older results were typed in by hand without a Winner; recover it from the text
+function resolveWinner(match) {
+    if (match.Winner) return match.Winner;
+    const found = /^(.+?) won by/i.exec(match.Result || '');
+    if (found && [match.Team1, match.Team2].includes(found[1].trim())) {
+        return found[1].trim();
+    }
+    return null;
+}
+
+// Rows written before match statuses existed only have a Result
+function isFinished(match) {
+    return match.Status ? FINISHED_STATUSES.includes(match.Status) : Boolean(match.Result);
+}
+
+function emptyRow(teamName) {
+    return {
+        TeamName: teamName,
+        MatchesPlayed: 0,
+        Wins: 0,
+        Losses: 0,
+        Tied: 0,
+        NoResult: 0,
+        Points: 0,
+        RunsFor: 0,
+        BallsFaced: 0,
+        RunsAgainst: 0,
+        BallsBowled: 0,
+        NetRunRate: 0
+    };
+}
+
+// A side bowled out is charged its full quota of overs for NRR purposes
+function ballsForNrr(innings, oversPerInnings) {
+    return innings.Wickets >= 10 ? oversPerInnings * BALLS_PER_OVER : innings.LegalBalls;
+}
+
+function netRunRate(row) {
+    if (row.BallsFaced === 0 || row.BallsBowled === 0) return 0;
+    const forRate = row.RunsFor / (row.BallsFaced / BALLS_PER_OVER);
+    const againstRate = row.RunsAgainst / (row.BallsBowled / BALLS_PER_OVER);
+    return Number((forRate - againstRate).toFixed(3));
+}
+
+function compareStandings(a, b) {
+    return b.Points - a.Points ||
+        b.NetRunRate - a.NetRunRate ||
+        b.Wins - a.Wins ||
+        a.TeamName.localeCompare(b.TeamName);
+}
+
+// Builds sorted standings rows from GroupMatches rows and their Innings rows.
+// Every team with a fixture gets a row; only finished matches count.
+function computeStandings(matches, innings) {
+    const table = new Map();
+    const row = (team) => {
+        if (!table.has(team)) table.set(team, emptyRow(team));
+        return table.get(team);
+    };
+
+    for (const match of matches) {
+        const team1 = row(match.Team1);
+        const team2 = row(match.Team2);
+        if (!isFinished(match)) continue;
+
+        const abandoned = ['abandoned', 'no_result'].includes(match.Status);
+        const winner = abandoned ? null : resolveWinner(match);
+        const matchInnings = innings.filter(i => i.MatchID === match.MatchID);
+        const tied = !abandoned && !winner && /tied/i.test(match.Result || '');
+
+        team1.MatchesPlayed++;
+        team2.MatchesPlayed++;
+
+        if (winner) {
+            const loser = winner === match.Team1 ? team2 : team1;
+            row(winner).Wins++;
+            row(winner).Points += POINTS.win;
+            loser.Losses++;
+        } else if (tied) {
+            for (const team of [team1, team2]) {
+                team.Tied++;
+                team.Points += POINTS.tie;
+            }
+        } else {
+            for (const team of [team1, team2]) {
+                team.NoResult++;
+                team.Points += POINTS.noResult;
+            }
+            // Abandoned matches do not count towards NRR
+            continue;
+        }
+
+        const oversPerInnings = match.OversPerInnings || 20;
+        for (const inn of matchInnings) {
+            const balls = ballsForNrr(inn, oversPerInnings);
+            const batting = row(inn.BattingTeam);
+            const bowling = row(inn.BowlingTeam);
+            batting.RunsFor += inn.Runs;
+            batting.BallsFaced += balls;
+            bowling.RunsAgainst += inn.Runs;
+            bowling.BallsBowled += balls;
+        }
+    }
+
+    const rows = [...table.values()];
+    for (const entry of rows) {
+        entry.NetRunRate = netRunRate(entry);
+    }
+    return rows.sort(compareStandings);
+}
+
+// Computes one table per league stage (each group, the Super 4) with positions
+// and qualification flags. A team counts as qualified once it appears in a
+// fixture of the next round, or when its table is complete and it finished in
+// a qualifying place.
+function computeStageTables(matches, innings) {
+    const byStage = new Map();
+    for (const match of matches) {
+        if (stageCategory(match.Stage) === 'finals') continue;
+        const name = stageName(match.Stage);
+        if (!byStage.has(name)) byStage.set(name, []);
+        byStage.get(name).push(match);
+    }
+
+    const teamsIn = (category) => new Set(
+        matches
+            .filter(match => stageCategory(match.Stage) === category)
+            .flatMap(match => [match.Team1, match.Team2])
+    );
+
+    return [...byStage.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, stageMatches]) => {
+            const category = stageCategory(name);
+            const nextRound = teamsIn(STAGE_CATEGORIES[STAGE_CATEGORIES.indexOf(category) + 1]);
+            const complete = stageMatches.every(isFinished);
+            const rows = computeStandings(stageMatches, innings).map((row, index) => ({
+                ...row,
+                Stage: name,
+                Position: index + 1,
+                Qualified: nextRound.has(row.TeamName) || (complete && index < QUALIFIERS_PER_TABLE)
+            }));
+            return { name, category, complete, standings: rows };
+        });
+}
+
+// Knockout fixtures grouped into rounds in the order they are played
+function buildBracket(matches) {
+    const rounds = new Map();
+    const knockouts = matches
+        .filter(match => stageCategory(match.Stage) === 'finals')
+        .sort((a, b) => new Date(a.MatchDate) - new Date(b.MatchDate));
+
+    for (const match of knockouts) {
+        if (!rounds.has(match.Stage)) rounds.set(match.Stage, []);
+        rounds.get(match.Stage).push({
+            matchId: match.MatchID,
+            date: match.MatchDate,
+            venue: match.Venue,
+            team1: match.Team1,
+            team2: match.Team2,
+            result: match.Result,
+            winner: resolveWinner(match)
+        });
+    }
+
+    const ordered = [...rounds.entries()].map(([name, roundMatches]) => ({ name, matches: roundMatches }));
+    const last = ordered[ordered.length - 1];
+    const champion = last && /final/i.test(last.name) && last.matches.length === 1 ? last.matches[0].winner : null;
+
+    return { rounds: ordered, champion };
+}
+
+module.exports = {
+    POINTS,
+    QUALIFIERS_PER_TABLE,
+    STAGE_CATEGORIES,
+    stageCategory,
+    stageName,
+    isFinished,
+    resolveWinner,
+    netRunRate,
+    compareStandings,
+    computeStandings,
+    computeStageTables,
+    buildBracket
+};
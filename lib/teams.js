@@ -0,0 +1,82 @@
+// Team records derived from fixtures: results from one team's side, the form
+// guide and head-to-head summaries.
+
+const { isFinished, resolveWinner } = require('./standings');
+
+// Results shown in a team's form guide, most recent first
+const FORM_LENGTH = 5;
+
+// 'W', 'L', 'T' or 'NR' for `team`, or null while the match is still to finish
+function outcomeFor(team, match) {
+    if (!isFinished(match)) return null;
+    if (['abandoned', 'no_result'].includes(match.Status)) return 'NR';
+
+    const winner = resolveWinner(match);
+    if (winner) return winner === team ? 'W' : 'L';
+    return /tied/i.test(match.Result || '') ? 'T' : 'NR';
+}
+
+// The match row from `team`'s side
+function fromSide(team, match) {
+    return {
+        ...match,
+        Opponent: match.Team1 === team ? match.Team2 : match.Team1,
+        Outcome: outcomeFor(team, match)
+    };
+}
+
+function record(outcomes) {
+    return {
+        played: outcomes.length,
+        won: outcomes.filter(outcome => outcome === 'W').length,
+        lost: outcomes.filter(outcome => outcome === 'L').length,
+        tied: outcomes.filter(outcome => outcome === 'T').length,
+        noResult: outcomes.filter(outcome => outcome === 'NR').length
+    };
+}
+
+const byDate = (a, b) => new Date(a.MatchDate) - new Date(b.MatchDate) ||
+    new Date(a.StartTime || 0) - new Date(b.StartTime || 0) || a.MatchID - b.MatchID;
+
+// Splits a team's matches into upcoming fixtures (soonest first) and results
+// (latest first), with their win/loss record and recent form
+function teamProfile(team, matches) {
+    const sides = matches.map(match => fromSide(team, match)).sort(byDate);
+    const results = sides.filter(match => match.Outcome !== null).reverse();
+
+    return {
+        record: record(results.map(match => match.Outcome)),
+        form: results.slice(0, FORM_LENGTH).map(match => match.Outcome),
+        fixtures: sides.filter(match => match.Outcome === null),
+        results
+    };
+}
+
+// Every meeting between two teams, latest first, with wins counted per team
+function headToHead(teamA, teamB, matches) {
+    const meetings = matches
+        .filter(match => [match.Team1, match.Team2].includes(teamA) && [match.Team1, match.Team2].includes(teamB))
+        .map(match => fromSide(teamA, match))
+        .sort(byDate)
+        .reverse();
+    const results = meetings.filter(match => match.Outcome !== null);
+    const summary = record(results.map(match => match.Outcome));
+
+    return {
+        teams: [teamA, teamB],
+        played: summary.played,
+        wins: { [teamA]: summary.won, [teamB]: summary.lost },
+        tied: summary.tied,
+        noResult: summary.noResult,
+        lastResult: results[0] ? results[0].Result : null,
+        upcoming: meetings.filter(match => match.Outcome === null).reverse(),
+        meetings: results
+    };
+}
+
+module.exports = {
+    FORM_LENGTH,
+    outcomeFor,
+    teamProfile,
+    headToHead
+};
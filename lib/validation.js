@@ -0,0 +1,151 @@
+// Field-level validation for fixtures written through the match API.
+
+const schedule = require('./schedule');
+
+const MATCH_STATUSES = ['scheduled', 'live', 'completed', 'abandoned', 'no_result'];
+
+// Statuses that mean the match is over and counts in the standings
+const FINISHED_STATUSES = ['completed', 'abandoned', 'no_result'];
+
+// Asian Cricket Council members that have played, or can qualify for, the Asia Cup.
+// The Teams table starts with these; the API validates against that table.
+const KNOWN_TEAMS = [
+    'Afghanistan',
+    'Bangladesh',
+    'Hong Kong',
+    'India',
+    'Kuwait',
+    'Malaysia',
+    'Nepal',
+    'Oman',
+    'Pakistan',
+    'Singapore',
+    'Sri Lanka',
+    'UAE'
+];
+
+const MATCH_FIELDS = ['SeasonYear', 'MatchDate', 'StartTime', 'Team1', 'Team2', 'Venue', 'Stage', 'Status'];
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// MySQL DATE columns come back as Date objects in local time
+function toDateString(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// Checks a complete fixture (after merging a PATCH onto the stored row).
+// `context` supplies the season row, the season's other fixtures and the venue's
+// time zone, which a StartTime without a UTC offset is read in.
+// Returns an object of field -> message, empty when the fixture is valid.
+function validateMatch(match, { season, fixtures = [], teams = KNOWN_TEAMS, timeZone = null }) {
+    const errors = {};
+
+    for (const field of ['MatchDate', 'Team1', 'Team2']) {
+        if (match[field] === undefined || match[field] === null || match[field] === '') {
+            errors[field] = `${field} is required`;
+        }
+    }
+
+    for (const field of ['Team1', 'Team2']) {
+        if (!errors[field] && !teams.includes(match[field])) {
+            errors[field] = `Unknown team "${match[field]}"`;
+        }
+    }
+    if (!errors.Team1 && !errors.Team2 && match.Team1 === match.Team2) {
+        errors.Team2 = 'A team cannot play itself';
+    }
+
+    if (!errors.MatchDate && !isValidDate(match.MatchDate)) {
+        errors.MatchDate = 'MatchDate must be a valid date in YYYY-MM-DD format';
+    }
+
+    if (!season) {
+        errors.SeasonYear = 'Unknown season';
+    } else if (!errors.MatchDate) {
+        const start = toDateString(season.StartDate);
+        const end = toDateString(season.EndDate);
+        if ((start && match.MatchDate < start) || (end && match.MatchDate > end)) {
+            errors.MatchDate = `MatchDate must fall within the ${season.Name} window (${start} to ${end})`;
+        }
+    }
+
+    const startTime = schedule.parseStartTime(match.StartTime, timeZone);
+    if (startTime.error) {
+        errors.StartTime = startTime.error;
+    } else if (startTime.value && timeZone && !errors.MatchDate) {
+        const startDate = schedule.localDate(startTime.value, timeZone);
+        if (startDate !== match.MatchDate) {
+            errors.StartTime = `StartTime falls on ${startDate} at the venue, not on MatchDate ${match.MatchDate}`;
+        }
+    }
+
+    if (match.Status !== undefined && !MATCH_STATUSES.includes(match.Status)) {
+        errors.Status = `Status must be one of: ${MATCH_STATUSES.join(', ')}`;
+    }
+
+    for (const field of ['Venue', 'Stage']) {
+        if (match[field] != null && (typeof match[field] !== 'string' || match[field].length > 100)) {
+            errors[field] = `${field} must be text of at most 100 characters`;
+        }
+    }
+
+    if (Object.keys(errors).length === 0) {
+        const pair = [match.Team1, match.Team2].sort().join('|');
+        const duplicate = fixtures.find(other =>
+            other.MatchID !== match.MatchID &&
+            toDateString(other.MatchDate) === match.MatchDate &&
+            [other.Team1, other.Team2].sort().join('|') === pair
+        );
+        if (duplicate) {
+            errors.MatchDate = `${match.Team1} vs ${match.Team2} is already scheduled on this date (match ${duplicate.MatchID})`;
+        }
+    }
+
+    return errors;
+}
+
+// Checks a result recorded without ball-by-ball data against its match.
+// Returns an object of field -> message, empty when the result is valid.
+function validateResult(match, { Status, Winner = null, Tied = false, Result }) {
+    const errors = {};
+    if (!FINISHED_STATUSES.includes(Status)) {
+        errors.Status = `Status must be one of: ${FINISHED_STATUSES.join(', ')}`;
+    } else if (Status === 'completed' && !Tied && ![match.Team1, match.Team2].includes(Winner)) {
+        errors.Winner = `Winner must be ${match.Team1} or ${match.Team2} unless the match was tied`;
+    } else if ((Status !== 'completed' || Tied) && Winner) {
+        errors.Winner = 'Winner must be empty for tied, abandoned or no-result matches';
+    }
+    if (Result != null && (typeof Result !== 'string' || Result.length > 100)) {
+        errors.Result = 'Result must be text of at most 100 characters';
+    }
+    return errors;
+}
+
+// Result text used when none is given
+function defaultResultText({ Status, Winner, Tied }) {
+    if (Status === 'abandoned') return 'Match abandoned';
+    if (Status === 'no_result') return 'No result';
+    return Tied ? 'Match tied' : `${Winner} won`;
+}
+
+module.exports = {
+    MATCH_STATUSES,
+    FINISHED_STATUSES,
+    KNOWN_TEAMS,
+    MATCH_FIELDS,
+    isValidDate,
+    toDateString,
+    validateMatch,
+    validateResult,
+    defaultResultText
+};
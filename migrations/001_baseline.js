@@ -0,0 +1,198 @@
+// Baseline schema. Creates every table on an empty database and brings
+// databases set up by the old boot-time initializeTables() up to the same shape,
+// so each step here is idempotent. Later changes get their own migrations.
+
+const { columnExists, ensureColumn } = require('../lib/migrator');
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Seasons (
+            SeasonYear INT PRIMARY KEY,
+            Name VARCHAR(100) NOT NULL,
+            Host VARCHAR(100),
+            Format ENUM('T20', 'ODI') NOT NULL DEFAULT 'T20',
+            StartDate DATE,
+            EndDate DATE,
+            IsCurrent BOOLEAN DEFAULT FALSE,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS GroupMatches (
+            MatchID INT PRIMARY KEY AUTO_INCREMENT,
+            SeasonYear INT NOT NULL DEFAULT 2025,
+            MatchDate DATE NOT NULL,
+            Team1 VARCHAR(100) NOT NULL,
+            Team2 VARCHAR(100) NOT NULL,
+            Venue VARCHAR(100),
+            Result VARCHAR(100),
+            Winner VARCHAR(100),
+            Stage VARCHAR(50),
+            OversPerInnings INT DEFAULT 20,
+            Status ENUM('scheduled', 'live', 'completed', 'abandoned', 'no_result') NOT NULL DEFAULT 'scheduled',
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Tables created by initializeTables() in earlier releases may predate these columns
+    await ensureColumn(db, 'GroupMatches', 'Winner', 'VARCHAR(100) AFTER Result');
+    await ensureColumn(db, 'GroupMatches', 'OversPerInnings', 'INT DEFAULT 20 AFTER Stage');
+    await ensureColumn(db, 'GroupMatches', 'SeasonYear', 'INT NOT NULL DEFAULT 2025 AFTER MatchID');
+    const addedStatus = await ensureColumn(
+        db,
+        'GroupMatches',
+        'Status',
+        "ENUM('scheduled', 'live', 'completed', 'abandoned', 'no_result') NOT NULL DEFAULT 'scheduled' AFTER OversPerInnings"
+    );
+    if (addedStatus) {
+        await db.query("UPDATE GroupMatches SET Status = 'completed' WHERE Result IS NOT NULL");
+    }
+
+    // Standings only holds derived data, so layouts from older releases are rebuilt
+    if (!(await columnExists(db, 'Standings', 'Qualified'))) {
+        await db.query('DROP TABLE IF EXISTS Standings');
+    }
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Standings (
+            TeamID INT PRIMARY KEY AUTO_INCREMENT,
+            SeasonYear INT NOT NULL,
+            Stage VARCHAR(50) NOT NULL,
+            Position INT NOT NULL,
+            TeamName VARCHAR(100) NOT NULL,
+            MatchesPlayed INT DEFAULT 0,
+            Wins INT DEFAULT 0,
+            Losses INT DEFAULT 0,
+            Tied INT DEFAULT 0,
+            NoResult INT DEFAULT 0,
+            Points INT DEFAULT 0,
+            RunsFor INT DEFAULT 0,
+            BallsFaced INT DEFAULT 0,
+            RunsAgainst INT DEFAULT 0,
+            BallsBowled INT DEFAULT 0,
+            NetRunRate DECIMAL(7, 3) DEFAULT 0,
+            Qualified BOOLEAN DEFAULT FALSE,
+            UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_season_stage_team (SeasonYear, Stage, TeamName)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS PlayerStats (
+            PlayerID INT PRIMARY KEY AUTO_INCREMENT,
+            SeasonYear INT NOT NULL DEFAULT 2025,
+            PlayerName VARCHAR(100) NOT NULL,
+            Team VARCHAR(100),
+            Matches INT DEFAULT 0,
+            Runs INT DEFAULT 0,
+            Wickets INT DEFAULT 0,
+            Catches INT DEFAULT 0,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await ensureColumn(db, 'PlayerStats', 'SeasonYear', 'INT NOT NULL DEFAULT 2025 AFTER PlayerID');
+    await ensureColumn(db, 'PlayerStats', 'Innings', 'INT DEFAULT 0 AFTER Matches');
+    await ensureColumn(db, 'PlayerStats', 'NotOuts', 'INT DEFAULT 0 AFTER Innings');
+    await ensureColumn(db, 'PlayerStats', 'BallsFaced', 'INT DEFAULT 0 AFTER Runs');
+    await ensureColumn(db, 'PlayerStats', 'HighestScore', 'INT DEFAULT 0 AFTER BallsFaced');
+    await ensureColumn(db, 'PlayerStats', 'BallsBowled', 'INT DEFAULT 0 AFTER HighestScore');
+    await ensureColumn(db, 'PlayerStats', 'RunsConceded', 'INT DEFAULT 0 AFTER BallsBowled');
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Innings (
+            InningsID INT PRIMARY KEY AUTO_INCREMENT,
+            MatchID INT NOT NULL,
+            InningsNumber TINYINT NOT NULL,
+            BattingTeam VARCHAR(100) NOT NULL,
+            BowlingTeam VARCHAR(100) NOT NULL,
+            Runs INT DEFAULT 0,
+            Wickets INT DEFAULT 0,
+            LegalBalls INT DEFAULT 0,
+            Extras INT DEFAULT 0,
+            IsComplete BOOLEAN DEFAULT FALSE,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_match_innings (MatchID, InningsNumber),
+            FOREIGN KEY (MatchID) REFERENCES GroupMatches(MatchID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Deliveries (
+            DeliveryID INT PRIMARY KEY AUTO_INCREMENT,
+            InningsID INT NOT NULL,
+            Sequence INT NOT NULL,
+            OverNumber INT NOT NULL,
+            BallInOver INT NOT NULL,
+            Batter VARCHAR(100) NOT NULL,
+            NonStriker VARCHAR(100),
+            Bowler VARCHAR(100) NOT NULL,
+            BatterRuns INT DEFAULT 0,
+            ExtraType ENUM('wide', 'noball', 'bye', 'legbye', 'penalty'),
+            ExtraRuns INT DEFAULT 0,
+            IsWicket BOOLEAN DEFAULT FALSE,
+            DismissalKind VARCHAR(30),
+            PlayerOut VARCHAR(100),
+            Fielder VARCHAR(100),
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_innings_sequence (InningsID, Sequence),
+            FOREIGN KEY (InningsID) REFERENCES Innings(InningsID) ON DELETE CASCADE
+        )
+    `);
+
+    // One row per player per match; PlayerStats totals are aggregated from these
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS PlayerInnings (
+            PlayerInningsID INT PRIMARY KEY AUTO_INCREMENT,
+            SeasonYear INT NOT NULL,
+            MatchID INT,
+            PlayerName VARCHAR(100) NOT NULL,
+            Team VARCHAR(100),
+            Batted BOOLEAN DEFAULT FALSE,
+            Runs INT DEFAULT 0,
+            BallsFaced INT DEFAULT 0,
+            Fours INT DEFAULT 0,
+            Sixes INT DEFAULT 0,
+            NotOut BOOLEAN DEFAULT FALSE,
+            BallsBowled INT DEFAULT 0,
+            Maidens INT DEFAULT 0,
+            RunsConceded INT DEFAULT 0,
+            Wickets INT DEFAULT 0,
+            Catches INT DEFAULT 0,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_match_player (MatchID, PlayerName),
+            KEY idx_season_player (SeasonYear, PlayerName),
+            FOREIGN KEY (MatchID) REFERENCES GroupMatches(MatchID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS ApiKeys (
+            KeyID INT PRIMARY KEY AUTO_INCREMENT,
+            Name VARCHAR(100) NOT NULL,
+            Role ENUM('admin', 'scorer') NOT NULL,
+            KeyHash CHAR(64) NOT NULL UNIQUE,
+            KeyPrefix VARCHAR(12) NOT NULL,
+            CreatedBy VARCHAR(100),
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            LastUsedAt TIMESTAMP NULL,
+            RevokedAt TIMESTAMP NULL
+        )
+    `);
+
+    // Seasons are reference data the read API depends on, not sample data
+    await db.query(`
+        INSERT IGNORE INTO Seasons (SeasonYear, Name, Host, Format, StartDate, EndDate, IsCurrent) VALUES
+            (2025, 'Asia Cup 2025', 'United Arab Emirates', 'T20', '2025-09-09', '2025-09-28', TRUE),
+            (2023, 'Asia Cup 2023', 'Pakistan & Sri Lanka', 'ODI', '2023-08-30', '2023-09-17', FALSE),
+            (2022, 'Asia Cup 2022', 'United Arab Emirates', 'T20', '2022-08-27', '2022-09-11', FALSE)
+    `);
+}
+
+async function down(db) {
+    for (const table of ['ApiKeys', 'PlayerInnings', 'Deliveries', 'Innings', 'PlayerStats', 'Standings', 'GroupMatches', 'Seasons']) {
+        await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
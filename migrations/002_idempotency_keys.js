@@ -0,0 +1,22 @@
+// Responses to writes sent with an Idempotency-Key, so a retried request (for
+// example one forwarded by a secondary that timed out) is answered from here
+// instead of being applied twice.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS IdempotencyKeys (
+            IdempotencyKey VARCHAR(100) PRIMARY KEY,
+            Fingerprint CHAR(64) NOT NULL,
+            StatusCode INT NULL,
+            ResponseBody MEDIUMTEXT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_created (CreatedAt)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS IdempotencyKeys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Teams as their own entity. Fixtures, standings and player rows keep referring
+// to teams by name; this table gives each one an id and a short code for the
+// team pages and head-to-head API, and is the list fixtures are validated against.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Teams (
+            TeamID INT PRIMARY KEY AUTO_INCREMENT,
+            Name VARCHAR(100) NOT NULL,
+            Code VARCHAR(5) NOT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_team_name (Name),
+            UNIQUE KEY uq_team_code (Code)
+        )
+    `);
+
+    // Asian Cricket Council members that have played, or can qualify for, the Asia Cup
+    await db.query(`
+        INSERT IGNORE INTO Teams (Name, Code) VALUES
+            ('Afghanistan', 'AFG'),
+            ('Bangladesh', 'BAN'),
+            ('Hong Kong', 'HK'),
+            ('India', 'IND'),
+            ('Kuwait', 'KUW'),
+            ('Malaysia', 'MAS'),
+            ('Nepal', 'NEP'),
+            ('Oman', 'OMA'),
+            ('Pakistan', 'PAK'),
+            ('Singapore', 'SIN'),
+            ('Sri Lanka', 'SL'),
+            ('UAE', 'UAE')
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS Teams');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Tracks when a fixture last changed, so calendar feeds can tell subscribers to
+// replace events whose date, venue or result moved (iCalendar SEQUENCE and
+// LAST-MODIFIED).
+
+const { ensureColumn } = require('../lib/migrator');
+
+async function up(db) {
+    await ensureColumn(db, 'GroupMatches', 'Revision', 'INT NOT NULL DEFAULT 0');
+    await ensureColumn(
+        db,
+        'GroupMatches',
+        'UpdatedAt',
+        'TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    );
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE GroupMatches DROP COLUMN UpdatedAt, DROP COLUMN Revision');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// Start times. MatchDate stays the calendar date at the venue; StartTime is the
+// first ball as an instant (UTC), and each venue's IANA time zone lets the API
+// take and return the time as it reads on the ground.
+
+const { ensureColumn } = require('../lib/migrator');
+
+async function up(db) {
+    await ensureColumn(db, 'GroupMatches', 'StartTime', 'DATETIME NULL AFTER MatchDate');
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Venues (
+            VenueID INT PRIMARY KEY AUTO_INCREMENT,
+            Name VARCHAR(100) NOT NULL,
+            City VARCHAR(100) NOT NULL,
+            Country VARCHAR(100) NOT NULL,
+            TimeZone VARCHAR(64) NOT NULL,
+            UNIQUE KEY uq_venue_name (Name)
+        )
+    `);
+
+    // Grounds that have hosted Asia Cup matches, by the names fixtures use
+    await db.query(`
+        INSERT IGNORE INTO Venues (Name, City, Country, TimeZone) VALUES
+            ('Dubai', 'Dubai', 'UAE', 'Asia/Dubai'),
+            ('Abu Dhabi', 'Abu Dhabi', 'UAE', 'Asia/Dubai'),
+            ('Sharjah', 'Sharjah', 'UAE', 'Asia/Dubai'),
+            ('Colombo', 'Colombo', 'Sri Lanka', 'Asia/Colombo'),
+            ('Kandy', 'Kandy', 'Sri Lanka', 'Asia/Colombo'),
+            ('Pallekele', 'Kandy', 'Sri Lanka', 'Asia/Colombo'),
+            ('Hambantota', 'Hambantota', 'Sri Lanka', 'Asia/Colombo'),
+            ('Lahore', 'Lahore', 'Pakistan', 'Asia/Karachi'),
+            ('Multan', 'Multan', 'Pakistan', 'Asia/Karachi'),
+            ('Karachi', 'Karachi', 'Pakistan', 'Asia/Karachi'),
+            ('Dhaka', 'Dhaka', 'Bangladesh', 'Asia/Dhaka'),
+            ('Mirpur', 'Dhaka', 'Bangladesh', 'Asia/Dhaka'),
+            ('Fatullah', 'Narayanganj', 'Bangladesh', 'Asia/Dhaka'),
+            ('Chattogram', 'Chattogram', 'Bangladesh', 'Asia/Dhaka')
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS Venues');
+    await db.query('ALTER TABLE GroupMatches DROP COLUMN StartTime');
+}
+
+module.exports = { up, down };
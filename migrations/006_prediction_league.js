@@ -0,0 +1,80 @@
+// Fan prediction league: local accounts with login sessions, one prediction per
+// user and match, and private leagues joined by code. Points are worked out from
+// the match results when read, so they follow any correction to a result.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Users (
+            UserID INT PRIMARY KEY AUTO_INCREMENT,
+            Username VARCHAR(30) NOT NULL,
+            DisplayName VARCHAR(50) NOT NULL,
+            PasswordHash VARCHAR(200) NOT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_username (Username)
+        )
+    `);
+
+    // Only a hash of each session token is stored, as with API keys
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS UserSessions (
+            SessionID INT PRIMARY KEY AUTO_INCREMENT,
+            UserID INT NOT NULL,
+            TokenHash CHAR(64) NOT NULL,
+            ExpiresAt DATETIME NOT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_session_token (TokenHash),
+            KEY idx_session_expiry (ExpiresAt),
+            FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Predictions (
+            PredictionID INT PRIMARY KEY AUTO_INCREMENT,
+            UserID INT NOT NULL,
+            MatchID INT NOT NULL,
+            Winner VARCHAR(100) NOT NULL,
+            MarginType ENUM('runs', 'wickets') NULL,
+            Margin INT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UpdatedAt TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_prediction (UserID, MatchID),
+            KEY idx_prediction_match (MatchID),
+            FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE,
+            FOREIGN KEY (MatchID) REFERENCES GroupMatches(MatchID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS Leagues (
+            LeagueID INT PRIMARY KEY AUTO_INCREMENT,
+            Name VARCHAR(50) NOT NULL,
+            Code CHAR(8) NOT NULL,
+            OwnerID INT NOT NULL,
+            CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_league_code (Code),
+            FOREIGN KEY (OwnerID) REFERENCES Users(UserID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS LeagueMembers (
+            LeagueID INT NOT NULL,
+            UserID INT NOT NULL,
+            JoinedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (LeagueID, UserID),
+            FOREIGN KEY (LeagueID) REFERENCES Leagues(LeagueID) ON DELETE CASCADE,
+            FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS LeagueMembers');
+    await db.query('DROP TABLE IF EXISTS Leagues');
+    await db.query('DROP TABLE IF EXISTS Predictions');
+    await db.query('DROP TABLE IF EXISTS UserSessions');
+    await db.query('DROP TABLE IF EXISTS Users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Audit trail of changes to fixtures, results, player lines and the standings and
+// player stats rebuilt from them: who made each change, which instance applied
+// it, and the data before and after (lib/audit.js).
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS AuditLog (
+            AuditID BIGINT PRIMARY KEY AUTO_INCREMENT,
+            ChangedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            Entity VARCHAR(20) NOT NULL,
+            EntityKey VARCHAR(150) NOT NULL,
+            SeasonYear INT NULL,
+            Action ENUM('insert', 'update', 'delete') NOT NULL,
+            ChangedFields JSON NULL,
+            BeforeData JSON NULL,
+            AfterData JSON NULL,
+            Actor VARCHAR(100) NOT NULL,
+            ActorRole VARCHAR(20) NULL,
+            ServedBy VARCHAR(20) NOT NULL,
+            Region VARCHAR(100) NOT NULL,
+            ForwardedFrom VARCHAR(150) NULL,
+            RequestID VARCHAR(128) NULL,
+            RevertOf BIGINT NULL,
+            KEY idx_audit_entity (Entity, EntityKey),
+            KEY idx_audit_season (SeasonYear),
+            KEY idx_audit_changed (ChangedAt),
+            KEY idx_audit_actor (Actor)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS AuditLog');
+}
+
+module.exports = { up, down };
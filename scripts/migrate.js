@@ -0,0 +1,57 @@
+// Schema migration command.
+//
+//   npm run migrate                  apply pending migrations
+//   npm run migrate:rollback         revert the last migration (--steps N for more)
+//   npm run migrate:status           list migrations and whether they are applied
+
+const db = require('../lib/db');
+const migrator = require('../lib/migrator');
+const { createMysqlStore } = require('../lib/data/mysql');
+const { recomputeStandings, recomputePlayerStats } = require('../lib/aggregates');
+
+function parseSteps(args) {
+    const index = args.indexOf('--steps');
+    if (index === -1) return 1;
+    const steps = parseInt(args[index + 1], 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+    }
+    return steps;
+}
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const pool = db.createPool('primary');
+    const log = message => console.log(`🔧 ${message}`);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrator.migrate(pool, log);
+            if (applied.length === 0) {
+                console.log('✅ Schema is up to date');
+                return;
+            }
+            // Migrations can change what the derived tables hold
+            const store = createMysqlStore(pool);
+            await recomputeStandings(store);
+            await recomputePlayerStats(store);
+            console.log(`✅ Applied ${applied.length} migration(s)`);
+        } else if (command === 'down') {
+            const reverted = await migrator.rollback(pool, parseSteps(args), log);
+            console.log(`✅ Reverted ${reverted.length} migration(s)`);
+        } else if (command === 'status') {
+            for (const migration of await migrator.status(pool)) {
+                console.log(`${migration.applied ? '✅' : '⏳'} ${migration.name}`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,31 @@
+// Loads sample fixtures and player innings into the MySQL database for local
+// development and demos. Only empty tables are filled, so running it twice is
+// harmless. Refuses to run with NODE_ENV=production unless --force is given.
+// (DATA_BACKEND=memory loads the same data at startup.)
+//
+//   npm run seed
+
+const { createStore } = require('../lib/data');
+const { loadSampleData } = require('../lib/data/sample-data');
+
+async function main() {
+    if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+        throw new Error('Refusing to seed with NODE_ENV=production (pass --force to override)');
+    }
+
+    const store = createStore({ backend: 'mysql' });
+    try {
+        if ((await store.pendingMigrations()).length > 0) {
+            throw new Error('Schema is not up to date; run "npm run migrate" first');
+        }
+        await loadSampleData(store, message => console.log(`✅ ${message}`));
+        console.log('✅ Seed complete');
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Seed failed:', error.message);
+    process.exit(1);
+});
@@ -1,181 +1,333 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
+const swaggerUi = require('swagger-ui-dist');
+const scoring = require('./lib/scoring');
+const standings = require('./lib/standings');
+const leaderboards = require('./lib/leaderboards');
+const events = require('./lib/events');
+const auth = require('./lib/auth');
+const validation = require('./lib/validation');
+const data = require('./lib/data');
+const { loadSampleData } = require('./lib/data/sample-data');
+const forwarding = require('./lib/forwarding');
+const { createIdempotency, withholdResponse } = require('./lib/idempotency');
+const monitor = require('./lib/monitor');
+const { createResponseCache } = require('./lib/cache');
+const { recomputeStandings, recomputePlayerStats } = require('./lib/aggregates');
+const bulk = require('./lib/bulk');
+const listing = require('./lib/listing');
+const teams = require('./lib/teams');
+const scenarios = require('./lib/scenarios');
+const ical = require('./lib/ical');
+const schedule = require('./lib/schedule');
+const accounts = require('./lib/accounts');
+const predictions = require('./lib/predictions');
+const audit = require('./lib/audit');
+const openapi = require('./lib/openapi');
+const { ApiError, sendError, sendValidationErrors, createErrorHandler } = require('./lib/errors');
+const { createLogger } = require('./lib/logger');
+const { createRegistry, secondsSince, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// ========== MIDDLEWARE ==========
-app.use(cors({
-    origin: '*',
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
-app.use(express.json());
-
 // ========== CONFIGURATION ==========
 const APP_ROLE = process.env.APP_ROLE || 'primary';
 const REGION = process.env.WEBSITE_LOCATION || 'Central India';
+// Where instances that cannot write send mutating requests instead (e.g. the primary's public URL)
+const PRIMARY_URL = process.env.PRIMARY_URL || '';
+const FORWARD_TIMEOUT_MS = parseInt(process.env.FORWARD_TIMEOUT_MS, 10) || 10000;
+const FORWARD_RETRIES = process.env.FORWARD_RETRIES ? parseInt(process.env.FORWARD_RETRIES, 10) : 2;
+// Shared by all instances to sign forwarded writes, so the audit trail can trust where they came from
+const FORWARD_SECRET = process.env.FORWARD_SECRET || '';
+
+// Error responses say which instance answered (lib/errors.js)
+app.locals.instance = { servedBy: APP_ROLE, region: REGION };
+
+// Secret a scraper must send as "Authorization: Bearer <token>" for /metrics (open when unset)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Every log entry and metric series says which instance it came from
+const logger = createLogger({ fields: { role: APP_ROLE, region: REGION } });
+const metrics = createRegistry({ defaultLabels: { role: APP_ROLE, region: REGION } });
+
+logger.info('Asia Cup 2025 application starting');
+
+// ========== REQUEST LOGGING & METRICS ==========
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route and status');
+// Probes and scrapes arrive every few seconds; they are logged at debug level only
+const QUIET_ROUTES = ['/api/health', '/metrics'];
+
+// Route pattern rather than URL, so series do not grow with every match id
+function routeLabel(req) {
+    if (req.route) return req.baseUrl + req.route.path;
+    return req.path.startsWith('/api/') ? 'unmatched' : 'static';
+}
+
+// Tags each request with an id (the caller's X-Request-ID, or a new one), logs
+// it once finished and records its latency
+app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-ID', req.id);
+
+    res.on('finish', () => {
+        const seconds = secondsSince(started);
+        const route = routeLabel(req);
+        const labels = { method: req.method, route, status: res.statusCode };
+        httpRequests.inc(labels);
+        httpDuration.observe(labels, seconds);
+
+        let level = res.statusCode >= 500 ? 'error' : 'info';
+        if (level === 'info' && QUIET_ROUTES.includes(route)) level = 'debug';
+        req.log[level]('request', {
+            method: req.method,
+            path: req.originalUrl,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1e6) / 1e3,
+            forwardedTo: res.get('X-Forwarded-To'),
+            ip: req.ip
+        });
+    });
+    next();
+});
 
-console.log(`🚀 Asia Cup 2025 Application Starting...`);
-console.log(`📍 Role: ${APP_ROLE.toUpperCase()}`);
-console.log(`🌍 Region: ${REGION}`);
+// ========== MIDDLEWARE ==========
+// Cross-origin callers must be listed in CORS_ORIGINS (comma-separated)
+const CORS_ORIGINS = auth.parseOrigins(process.env.CORS_ORIGINS);
+app.use(cors({
+    origin: auth.corsOriginChecker(CORS_ORIGINS),
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'X-Request-ID'],
+    exposedHeaders: ['Idempotency-Key', 'Idempotent-Replayed', 'X-Request-ID']
+}));
+// Large enough for bulk imports sent as JSON
+app.use(express.json({ limit: '2mb' }));
 
 // ========== DATABASE CONNECTION ==========
-let pool = null;
+let store = null;
 let isDatabaseConnected = false;
 let isDatabaseReadOnly = false;
+// Set when this secondary's replica has been promoted to a writable primary: seen
+// by the monitor, or declared with SECONDARY_PROMOTED=true when the promotion
+// happened before this instance started
+let isPromoted = APP_ROLE === 'secondary' && process.env.SECONDARY_PROMOTED === 'true';
+let schemaState = { pending: [], error: null };
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START === 'true';
+const DB_MONITOR_INTERVAL_MS = parseInt(process.env.DB_MONITOR_INTERVAL_MS, 10) || 15000;
+const DB_RECONNECT_MAX_MS = parseInt(process.env.DB_RECONNECT_MAX_MS, 10) || 60000;
 
-async function initializeDatabase() {
-    try {
-        const dbConfig = {
-            host: process.env.AZURE_SQL_SERVER || 'asiacup25-primarydb.mysql.database.azure.com',
-            user: process.env.AZURE_SQL_USERNAME || 'sqladmin',
-            password: process.env.AZURE_SQL_PASSWORD || 'Jaihind@12345',
-            database: process.env.AZURE_SQL_DATABASE || 'asiacup25-db',
-            port: parseInt(process.env.AZURE_SQL_PORT) || 3306,
-            ssl: { rejectUnauthorized: true },
-            waitForConnections: true,
-            connectionLimit: APP_ROLE === 'primary' ? 10 : 5,
-            queueLimit: 0,
-            connectTimeout: 10000
-        };
+const DB_STATES = ['connected', 'read-only', 'degraded'];
+
+const dbQueryDuration = metrics.histogram('db_query_duration_seconds', 'Database query latency by operation and table');
+const dbQueryErrors = metrics.counter('db_query_errors_total', 'Failed database queries by operation and table');
+const dbTransitions = metrics.counter('db_state_transitions_total', 'Database state changes seen by the monitor');
+
+function recordQuery({ operation, table, seconds, error }) {
+    dbQueryDuration.observe({ operation, table }, seconds);
+    if (error) dbQueryErrors.inc({ operation, table });
+}
+
+const dbMonitor = monitor.createDatabaseMonitor({
+    intervalMs: DB_MONITOR_INTERVAL_MS,
+    maxBackoffMs: DB_RECONNECT_MAX_MS,
+    createStore: () => {
+        const created = data.createStore({ role: APP_ROLE, onQuery: recordQuery });
+        logger.info('Connecting to database', { host: created.host, backend: created.backend });
+        return created;
+    },
+    onConnect: async (connected, { readOnly }) => {
+        await checkSchema(connected, readOnly);
+        // The memory backend starts empty every time
+        if (connected.backend === 'memory') {
+            await loadSampleData(connected, message => logger.info(message));
+        }
+    },
+    onTransition: (transition, state) => {
+        store = dbMonitor.store();
+        isDatabaseConnected = state.connected;
+        isDatabaseReadOnly = state.readOnly;
+        if (transition.event === 'promoted' && APP_ROLE === 'secondary') {
+            isPromoted = true;
+        } else if (transition.to === 'read-only') {
+            isPromoted = false;
+        }
+
+        dbTransitions.inc({ event: transition.event, to: transition.to });
+        logger[transition.to === 'degraded' ? 'error' : 'info'](`Database ${transition.event}`, {
+            from: transition.from,
+            to: transition.to,
+            reason: transition.reason,
+            mode: transition.to === 'degraded' ? null : isDatabaseReadOnly ? 'read-only' : 'read-write'
+        });
+    }
+});
 
-        console.log(`🔌 Connecting to database: ${dbConfig.host}`);
-        pool = mysql.createPool(dbConfig);
+// Connects once before the server starts listening; the monitor keeps
+// re-probing (and reconnecting after failures) from then on
+async function initializeDatabase() {
+    const connected = await dbMonitor.check();
+    dbMonitor.start();
+    return connected;
+}
 
-        // Test connection
-        const connection = await pool.getConnection();
-        const [result] = await connection.query('SELECT @@global.read_only as read_only');
-        isDatabaseReadOnly = result[0]?.read_only === 1;
-        connection.release();
-        isDatabaseConnected = true;
+// The schema is managed with `npm run migrate`; the server only reports pending
+// migrations unless MIGRATE_ON_START=true lets the primary apply them itself
+async function checkSchema(db, readOnly) {
+    try {
+        let pending = await db.pendingMigrations();
 
-        console.log(`✅ Database connected successfully`);
-        console.log(`📊 Mode: ${isDatabaseReadOnly ? 'Read-Only Replica' : 'Read-Write Primary'}`);
+        if (pending.length > 0 && MIGRATE_ON_START && APP_ROLE === 'primary' && !readOnly) {
+            await db.migrate(message => logger.info(message));
+            await recomputeStandings(db);
+            await recomputePlayerStats(db);
+            pending = [];
+        }
 
-        // Initialize tables
-        await initializeTables();
-        return true;
+        schemaState = { pending, error: null };
+        if (pending.length > 0) {
+            logger.warn('Pending migrations: run "npm run migrate"', { pending });
+        } else {
+            logger.info('Database schema up to date');
+        }
     } catch (error) {
-        console.error(`❌ Database connection failed:`, error.message);
-        isDatabaseConnected = false;
-        return false;
+        schemaState = { pending: [], error: errorCode(error), message: error.message };
+        logger.error('Error checking schema', { error });
     }
 }
 
-async function initializeTables() {
-    try {
-        // Create tables if they don't exist
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS GroupMatches (
-                                                        MatchID INT PRIMARY KEY AUTO_INCREMENT,
-                                                        MatchDate DATE NOT NULL,
-                                                        Team1 VARCHAR(100) NOT NULL,
-                Team2 VARCHAR(100) NOT NULL,
-                Venue VARCHAR(100),
-                Result VARCHAR(100),
-                Stage VARCHAR(50),
-                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-        `);
-
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS Standings (
-                                                     TeamID INT PRIMARY KEY AUTO_INCREMENT,
-                                                     TeamName VARCHAR(100) NOT NULL UNIQUE,
-                MatchesPlayed INT DEFAULT 0,
-                Wins INT DEFAULT 0,
-                Losses INT DEFAULT 0,
-                Points INT DEFAULT 0,
-                GoalDifference INT DEFAULT 0,
-                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-        `);
-
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS PlayerStats (
-                                                       PlayerID INT PRIMARY KEY AUTO_INCREMENT,
-                                                       PlayerName VARCHAR(100) NOT NULL,
-                Team VARCHAR(100),
-                Matches INT DEFAULT 0,
-                Runs INT DEFAULT 0,
-                Wickets INT DEFAULT 0,
-                Catches INT DEFAULT 0,
-                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-        `);
-
-        // Insert sample data if tables are empty
-        await insertSampleData();
-        console.log(`✅ Database tables initialized`);
-    } catch (error) {
-        console.error(`❌ Error initializing tables:`, error.message);
+// Database errors are reported to clients by their code (e.g. ER_ACCESS_DENIED_ERROR,
+// ECONNREFUSED); the messages, which can name hosts and users, stay in the logs
+// and /api/debug
+function errorCode(error) {
+    return error.code || 'DATABASE_ERROR';
+}
+
+// ========== SEASONS ==========
+const OVERS_BY_FORMAT = { T20: 20, ODI: 50 };
+
+// Resolves ?season= to a season row, defaulting to the current season.
+// Sends a 400/404 and returns null when the season cannot be used.
+async function resolveSeason(req, res) {
+    if (req.query.season === undefined || req.query.season === '') {
+        const current = await store.seasons.current();
+        if (!current) {
+            sendError(res, 404, 'NOT_FOUND', 'No seasons configured');
+            return null;
+        }
+        return current;
+    }
+
+    if (!/^\d{4}$/.test(req.query.season)) {
+        sendValidationErrors(res, { season: 'season must be a year (YYYY)' });
+        return null;
+    }
+
+    const season = await store.seasons.get(parseInt(req.query.season, 10));
+    if (!season) {
+        sendError(res, 404, 'NOT_FOUND', 'Season not found', { details: { season: req.query.season } });
+        return null;
     }
+    return season;
 }
 
-async function insertSampleData() {
-    try {
-        // Check and insert GroupMatches
-        const [matchRows] = await pool.query('SELECT COUNT(*) as count FROM GroupMatches');
-        if (matchRows[0].count === 0) {
-            await pool.query(`
-                INSERT INTO GroupMatches (MatchDate, Team1, Team2, Venue, Stage) VALUES
-                                                                                     ('2025-09-01', 'India', 'Pakistan', 'Dubai', 'Group A'),
-                                                                                     ('2025-09-02', 'Sri Lanka', 'Bangladesh', 'Abu Dhabi', 'Group B'),
-                                                                                     ('2025-09-03', 'Afghanistan', 'Nepal', 'Sharjah', 'Group A')
-            `);
-            console.log('✅ Sample matches inserted');
-        }
-
-        // Check and insert Standings
-        const [standingRows] = await pool.query('SELECT COUNT(*) as count FROM Standings');
-        if (standingRows[0].count === 0) {
-            await pool.query(`
-                INSERT INTO Standings (TeamName, MatchesPlayed, Wins, Losses, Points, GoalDifference) VALUES
-                                                                                                          ('India', 2, 2, 0, 4, 15),
-                                                                                                          ('Pakistan', 2, 1, 1, 2, 5),
-                                                                                                          ('Sri Lanka', 2, 1, 1, 2, -3),
-                                                                                                          ('Bangladesh', 2, 0, 2, 0, -17)
-            `);
-            console.log('✅ Sample standings inserted');
-        }
-
-        // Check and insert PlayerStats
-        const [playerRows] = await pool.query('SELECT COUNT(*) as count FROM PlayerStats');
-        if (playerRows[0].count === 0) {
-            await pool.query(`
-                INSERT INTO PlayerStats (PlayerName, Team, Matches, Runs, Wickets, Catches) VALUES
-                                                                                                ('Virat Kohli', 'India', 2, 156, 0, 3),
-                                                                                                ('Babar Azam', 'Pakistan', 2, 128, 0, 2),
-                                                                                                ('Wanindu Hasaranga', 'Sri Lanka', 2, 45, 5, 1)
-            `);
-            console.log('✅ Sample player stats inserted');
-        }
-    } catch (error) {
-        console.error('❌ Error inserting sample data:', error.message);
+// List endpoints also accept ?season=all, for which this returns undefined
+async function resolveListSeason(req, res) {
+    return req.query.season === 'all' ? undefined : resolveSeason(req, res);
+}
+
+// ========== LIVE UPDATES ==========
+const eventHub = events.createEventHub();
+
+// Adds each match's venue time zone and start time at the venue (see lib/schedule.js)
+async function withLocalTimes(matches) {
+    const zones = schedule.zoneIndex(await store.venues.list());
+    return matches.map(match => schedule.withLocalTimes(match, zones));
+}
+
+// Announces a created/changed match, with its start time at the venue (as the
+// read routes give it) and its live score once scoring has started
+async function publishMatch(type, match, scorecard) {
+    try {
+        const [withTimes] = await withLocalTimes([match]);
+        eventHub.publish(type, {
+            ...withTimes,
+            Live: scorecard && scorecard.innings.length > 0 ? scoring.summarizeScorecard(scorecard) : null
+        });
+    } catch (error) {
+        logger.error('Failed to publish match update', { matchId: match.MatchID, error });
     }
 }
 
+// ========== RESPONSE CACHE ==========
+// Serves the last good payload of a read route while the database is unavailable
+const staleResponses = metrics.counter('stale_responses_total', 'Cached responses served stale instead of an error');
+const responseCache = createResponseCache({
+    ttlMs: parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || 5000,
+    maxAgeSeconds: parseInt(process.env.RESPONSE_CACHE_MAX_AGE, 10) || 0,
+    isAvailable: () => isDatabaseConnected && Boolean(store),
+    onStale: (req) => staleResponses.inc({ route: routeLabel(req) })
+});
+const readCache = responseCache.middleware;
+
 // ========== API ENDPOINTS ==========
 // (These must come BEFORE static files)
 
+// Checks a request against its operation in the OpenAPI document (lib/openapi.js)
+const validate = openapi.validate;
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi.document);
+});
+
+// Interactive documentation of /api/openapi.json, with Swagger UI served from
+// swagger-ui-dist rather than a CDN
+app.get('/api/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'frontend', 'api-docs.html'));
+});
+app.use('/api/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
+app.get('/api/health', async (req, res, next) => {
+    const monitorState = dbMonitor.state();
     const healthReport = {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         app: {
             role: APP_ROLE,
             region: REGION,
-            version: '1.0.0'
+            version: '1.0.0',
+            writes: writeMode()
         },
         database: {
+            backend: store ? store.backend : null,
+            state: monitorState.status,
+            since: monitorState.since,
             connected: isDatabaseConnected,
             readOnly: isDatabaseReadOnly,
-            writable: isDatabaseConnected && !isDatabaseReadOnly
+            writable: isDatabaseConnected && !isDatabaseReadOnly,
+            promoted: isPromoted,
+            pendingMigrations: schemaState.pending,
+            schemaError: schemaState.error,
+            monitor: {
+                lastCheck: monitorState.lastCheck,
+                nextCheckAt: monitorState.nextCheckAt,
+                failures: monitorState.failures,
+                lastError: monitorState.lastErrorCode,
+                transitions: dbMonitor.transitions().map(({ code, ...transition }) => (
+                    code ? { ...transition, reason: code } : transition
+                ))
+            }
+        },
+        stream: {
+            clients: eventHub.clientCount()
         }
     };
 
@@ -189,6 +341,9 @@ app.get('/api/health', async (req, res) => {
                 httpStatus = 503;
             }
         } else if (APP_ROLE === 'secondary') {
+            if (isPromoted) {
+                healthReport.message = 'Replica promoted; this secondary is accepting writes';
+            }
             if (!isDatabaseConnected) {
                 healthReport.status = 'degraded';
                 healthReport.message = 'Secondary app cannot read from database';
@@ -196,13 +351,14 @@ app.get('/api/health', async (req, res) => {
             }
         }
 
-        if (isDatabaseConnected && pool) {
+        if (isDatabaseConnected && store) {
             try {
-                await pool.query('SELECT 1');
+                await store.ping();
                 healthReport.database.test = 'passed';
             } catch (dbError) {
+                req.log.warn('Health check ping failed', { error: dbError });
                 healthReport.database.test = 'failed';
-                healthReport.database.error = dbError.message;
+                healthReport.database.error = errorCode(dbError);
                 healthReport.status = 'degraded';
                 httpStatus = 503;
             }
@@ -210,192 +366,1877 @@ app.get('/api/health', async (req, res) => {
 
         res.status(httpStatus).json(healthReport);
     } catch (error) {
-        console.error('Health check error:', error);
-        res.status(500).json({
-            status: 'error',
-            error: error.message
-        });
+        req.log.error('Health check error', { error });
+        next(error);
     }
 });
 
+// Push stream of match-created/-updated/-deleted, standings-updated and stats-updated events
+app.get('/api/stream', (req, res) => {
+    eventHub.subscribe(req, res);
+});
+
 // Data endpoints
-app.get('/api/group-matches', async (req, res) => {
+app.get('/api/seasons', readCache, async (req, res, next) => {
     try {
-        if (!isDatabaseConnected || !pool) {
-            return res.status(503).json({
-                error: 'Database not available',
-                role: APP_ROLE,
-                region: REGION
-            });
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
         }
 
-        const [rows] = await pool.query('SELECT * FROM GroupMatches ORDER BY MatchDate');
+        const rows = await store.seasons.list();
         res.json({
             data: rows,
+            current: rows.find(row => row.IsCurrent)?.SeasonYear ?? rows[0]?.SeasonYear ?? null,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Filters, sorting and pagination are described in lib/listing.js
+app.get('/api/group-matches', validate('listMatches'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const { criteria, errors } = listing.parseMatchQuery(req.query);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid query');
+        }
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+
+        const { rows, total } = await store.matches.search({ ...criteria, seasonYear: season && season.SeasonYear });
+        res.json({
+            data: await withLocalTimes(rows),
+            season: season ? season.SeasonYear : 'all',
             servedBy: APP_ROLE,
             region: REGION,
-            count: rows.length
+            count: rows.length,
+            pagination: listing.pageInfo(criteria, total)
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
-app.get('/api/standings', async (req, res) => {
+// ?stage=group|super4 returns one table per group; ?stage=finals returns the knockout bracket
+app.get('/api/standings', validate('getStandings'), readCache, async (req, res, next) => {
     try {
-        if (!isDatabaseConnected || !pool) {
-            return res.status(503).json({
-                error: 'Database not available',
-                role: APP_ROLE,
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const stage = req.query.stage || 'group';
+        if (!standings.STAGE_CATEGORIES.includes(stage)) {
+            return sendValidationErrors(res, { stage: `stage must be one of: ${standings.STAGE_CATEGORIES.join(', ')}` });
+        }
+
+        const season = await resolveSeason(req, res);
+        if (!season) return;
+
+        if (stage === 'finals') {
+            const matches = await store.matches.listBySeason(season.SeasonYear);
+            return res.json({
+                data: standings.buildBracket(matches),
+                stage,
+                season: season.SeasonYear,
+                servedBy: APP_ROLE,
                 region: REGION
             });
         }
 
-        const [rows] = await pool.query('SELECT * FROM Standings ORDER BY Points DESC, GoalDifference DESC');
+        const rows = await store.standings.listBySeason(season.SeasonYear);
+        const stageRows = rows.filter(row => standings.stageCategory(row.Stage) === stage);
+        const tables = [...new Set(stageRows.map(row => row.Stage))].map(name => ({
+            name,
+            standings: stageRows.filter(row => row.Stage === name)
+        }));
+
         res.json({
-            data: rows,
+            data: stageRows,
+            tables,
+            stage,
+            season: season.SeasonYear,
             servedBy: APP_ROLE,
             region: REGION
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
-app.get('/api/player-stats', async (req, res) => {
+// Qualification scenarios for each group and the Super 4, or only the tables of ?team=
+app.get('/api/scenarios', validate('getScenarios'), readCache, async (req, res, next) => {
     try {
-        if (!isDatabaseConnected || !pool) {
-            return res.status(503).json({
-                error: 'Database not available',
-                role: APP_ROLE,
-                region: REGION
-            });
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        let team = null;
+        if (req.query.team) {
+            team = await findTeam(req.query.team);
+            if (!team) {
+                return sendError(res, 404, 'NOT_FOUND', 'Team not found', { details: { team: req.query.team } });
+            }
+        }
+
+        const season = await resolveSeason(req, res);
+        if (!season) return;
+
+        const matches = await store.matches.listBySeason(season.SeasonYear);
+        const innings = await store.innings.listBySeason(season.SeasonYear);
+        const tables = standings.computeStageTables(matches, innings)
+            .filter(table => !team || table.standings.some(row => row.TeamName === team.Name));
+
+        let data = scenarios.computeScenarios(tables, matches);
+        if (team) {
+            data = data.map(table => ({ ...table, teams: table.teams.filter(row => row.TeamName === team.Name) }));
+        }
+
+        res.json({
+            data,
+            team: team ? team.Name : null,
+            season: season.SeasonYear,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ?q= searches player names; ?team=, ?sort= and paging as for matches
+app.get('/api/player-stats', validate('listPlayerStats'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
         }
 
-        const [rows] = await pool.query('SELECT * FROM PlayerStats ORDER BY Runs DESC, Wickets DESC');
+        const { criteria, errors } = listing.parsePlayerQuery(req.query);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid query');
+        }
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+
+        const { rows, total } = await store.players.searchStats({ ...criteria, seasonYear: season && season.SeasonYear });
         res.json({
             data: rows,
+            season: season ? season.SeasonYear : 'all',
+            servedBy: APP_ROLE,
+            region: REGION,
+            count: rows.length,
+            pagination: listing.pageInfo(criteria, total)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// /api/leaderboards/:category?limit=&min= — min overrides the qualification threshold
+app.get('/api/leaderboards/:category', validate('getLeaderboard'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const { category } = req.params;
+        if (!leaderboards.CATEGORIES[category]) {
+            return sendError(res, 404, 'NOT_FOUND', 'Unknown leaderboard category', {
+                details: { allowed: Object.keys(leaderboards.CATEGORIES) }
+            });
+        }
+
+        const limit = req.query.limit === undefined ? leaderboards.DEFAULT_LIMIT : Number(req.query.limit);
+        const min = req.query.min === undefined ? undefined : Number(req.query.min);
+        if (!Number.isInteger(limit) || limit < 1 || limit > leaderboards.MAX_LIMIT) {
+            return sendValidationErrors(res, { limit: `limit must be an integer between 1 and ${leaderboards.MAX_LIMIT}` });
+        }
+        if (min !== undefined && !(Number.isInteger(min) && min >= 0)) {
+            return sendValidationErrors(res, { min: 'min must be a non-negative integer' });
+        }
+
+        const season = await resolveSeason(req, res);
+        if (!season) return;
+
+        const rows = await store.players.inningsBySeason(season.SeasonYear);
+        const board = leaderboards.buildLeaderboard(category, leaderboards.aggregatePlayers(rows), { limit, min });
+
+        res.json({
+            ...board,
+            season: season.SeasonYear,
             servedBy: APP_ROLE,
             region: REGION
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
-// Write endpoint
-app.post('/api/match', async (req, res) => {
-    if (isDatabaseReadOnly) {
-        return res.status(423).json({
-            error: 'Database is read-only',
-            message: 'Write operations not allowed',
-            suggestion: 'This should be routed to primary region'
+// ========== TEAMS ==========
+// Teams are addressed by TeamID, code ("IND") or name
+async function findTeam(ref) {
+    const text = String(ref || '').trim();
+    if (/^\d+$/.test(text)) return store.teams.get(parseInt(text, 10));
+    return (await store.teams.findByCode(text.toUpperCase())) || store.teams.findByName(text);
+}
+
+app.get('/api/teams', readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const rows = await store.teams.list();
+        res.json({
+            data: rows,
+            count: rows.length,
+            servedBy: APP_ROLE,
+            region: REGION
         });
+    } catch (error) {
+        next(error);
     }
+});
+
+// Fixtures, results and squad for ?season= (default current, or "all"); the
+// form guide and all-time record cover every season
+app.get('/api/teams/:id', validate('getTeam'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const team = await findTeam(req.params.id);
+        if (!team) {
+            return sendError(res, 404, 'NOT_FOUND', 'Team not found', { details: { team: req.params.id } });
+        }
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+        const seasonYear = season && season.SeasonYear;
 
-    if (APP_ROLE === 'secondary') {
-        return res.status(423).json({
-            error: 'Secondary instance',
-            message: 'Write operations should go to primary',
-            currentRole: APP_ROLE
+        const allMatches = await withLocalTimes((await store.matches.search({ team: team.Name })).rows);
+        const seasonMatches = allMatches.filter(match => seasonYear === undefined || match.SeasonYear === seasonYear);
+        const profile = teams.teamProfile(team.Name, seasonMatches);
+        const allTime = teams.teamProfile(team.Name, allMatches);
+        const { rows: squad } = await store.players.searchStats({
+            seasonYear,
+            team: team.Name,
+            sort: [{ field: 'Runs', descending: true }, { field: 'Wickets', descending: true }]
         });
+
+        res.json({
+            data: {
+                ...team,
+                record: profile.record,
+                allTimeRecord: allTime.record,
+                form: allTime.form,
+                fixtures: profile.fixtures,
+                results: profile.results,
+                squad
+            },
+            season: seasonYear ?? 'all',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
     }
+});
 
+// Every meeting of two teams across all seasons: ?teamA=India&teamB=PAK
+app.get('/api/head-to-head', validate('getHeadToHead'), readCache, async (req, res, next) => {
     try {
-        const { MatchDate, Team1, Team2, Venue, Stage } = req.body;
-        if (!MatchDate || !Team1 || !Team2) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
         }
 
-        const [result] = await pool.query(
-            'INSERT INTO GroupMatches (MatchDate, Team1, Team2, Venue, Stage) VALUES (?, ?, ?, ?, ?)',
-            [MatchDate, Team1, Team2, Venue, Stage]
-        );
+        const teamA = await findTeam(req.query.teamA);
+        const teamB = await findTeam(req.query.teamB);
+        if (!teamA || !teamB) {
+            return sendError(res, 404, 'NOT_FOUND', 'Team not found', {
+                details: { team: teamA ? req.query.teamB : req.query.teamA }
+            });
+        }
+        if (teamA.TeamID === teamB.TeamID) {
+            return sendValidationErrors(res, { teamB: 'teamA and teamB must be different teams' });
+        }
 
-        res.status(201).json({
-            success: true,
-            matchId: result.insertId,
-            message: 'Match added successfully',
+        const { rows } = await store.matches.search({ team: teamA.Name, opponent: teamB.Name });
+        res.json({
+            data: teams.headToHead(teamA.Name, teamB.Name, await withLocalTimes(rows)),
             servedBy: APP_ROLE,
             region: REGION
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 });
 
-// Debug endpoint
-app.get('/api/debug', (req, res) => {
-    res.json({
-        environment: {
-            APP_ROLE,
-            REGION,
-            NODE_ENV: process.env.NODE_ENV,
-            PORT: PORT
-        },
-        database: {
-            connected: isDatabaseConnected,
-            readOnly: isDatabaseReadOnly,
-            host: process.env.AZURE_SQL_SERVER
-        },
-        system: {
-            uptime: process.uptime(),
-            memory: process.memoryUsage()
+// ========== CALENDAR FEEDS ==========
+async function sendCalendar(res, { name, filename, matches }) {
+    const seasonNames = Object.fromEntries((await store.seasons.list()).map(s => [s.SeasonYear, s.Name]));
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(ical.buildCalendar({ name, matches, seasonNames }));
+}
+
+// Subscribable feed of ?season= (the current season by default, or "all")
+app.get('/api/fixtures.ics', validate('getFixturesCalendar'), async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
         }
-    });
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+
+        const { rows } = await store.matches.search({
+            seasonYear: season && season.SeasonYear,
+            sort: [{ field: 'MatchDate', descending: false }]
+        });
+        await sendCalendar(res, {
+            name: season ? season.Name : 'Asia Cup fixtures',
+            filename: `asia-cup-${season ? season.SeasonYear : 'all'}.ics`,
+            matches: rows
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Test endpoint
-app.get('/api/test', (req, res) => {
+app.get('/api/teams/:id/fixtures.ics', validate('getTeamCalendar'), async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const team = await findTeam(req.params.id);
+        if (!team) {
+            return sendError(res, 404, 'NOT_FOUND', 'Team not found', { details: { team: req.params.id } });
+        }
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+
+        const { rows } = await store.matches.search({
+            seasonYear: season && season.SeasonYear,
+            team: team.Name,
+            sort: [{ field: 'MatchDate', descending: false }]
+        });
+        await sendCalendar(res, {
+            name: season ? `${team.Name} at the ${season.Name}` : `${team.Name} at the Asia Cup`,
+            filename: `asia-cup-${team.Code.toLowerCase()}.ics`,
+            matches: rows
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// One match, for "Add to calendar"
+app.get('/api/match/:id/calendar.ics', validate('getMatchCalendar'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const match = await store.matches.get(matchId);
+        if (!match) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        await sendCalendar(res, {
+            name: `${match.Team1} vs ${match.Team2}`,
+            filename: `asia-cup-match-${matchId}.ics`,
+            matches: [match]
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== AUTHENTICATION ==========
+const apiAuth = auth.createAuth({
+    adminKey: process.env.ADMIN_API_KEY,
+    findKey: async (keyHash) => {
+        if (!isDatabaseConnected || !store) return null;
+
+        const key = await store.apiKeys.findActive(keyHash);
+        if (!key) return null;
+
+        if (!isDatabaseReadOnly) {
+            store.apiKeys.touch(key.KeyID)
+                .catch(error => logger.error('Failed to record key use', { keyId: key.KeyID, error }));
+        }
+        return key;
+    }
+});
+const requireRole = apiAuth.requireRole;
+
+// Lets a client such as the admin console check a key before using it
+app.get('/api/auth/me', requireRole('scorer'), (req, res) => {
     res.json({
-        message: 'Backend is working!',
-        timestamp: new Date().toISOString(),
-        role: APP_ROLE,
+        data: { name: req.auth.name, role: req.auth.role },
+        servedBy: APP_ROLE,
         region: REGION
     });
 });
 
-// ========== STATIC FILES (AFTER API ROUTES) ==========
-// This line MUST come after all API routes
-app.use(express.static(path.join(__dirname, 'frontend')));
+// ========== WRITE ENDPOINTS ==========
+const writeForwarder = PRIMARY_URL
+    ? forwarding.createWriteForwarder({
+        primaryUrl: PRIMARY_URL,
+        timeoutMs: FORWARD_TIMEOUT_MS,
+        retries: FORWARD_RETRIES,
+        origin: `${APP_ROLE}@${REGION}`,
+        secret: FORWARD_SECRET
+    })
+    : null;
+const idempotent = createIdempotency(() => store.idempotency);
 
-// Catch-all route for frontend (MUST be last)
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
-});
+const writeRejections = metrics.counter('write_rejections_total', 'Writes refused by this instance, by reason');
+const forwardedWrites = metrics.counter('forwarded_writes_total', 'Writes forwarded to the primary, by response status');
+
+function canWriteLocally() {
+    return !isDatabaseReadOnly && (APP_ROLE !== 'secondary' || isPromoted);
+}
+
+// How this instance handles writes: 'direct', 'forwarded' to PRIMARY_URL, or 'unavailable'
+function writeMode() {
+    if (canWriteLocally()) return isDatabaseConnected ? 'direct' : 'unavailable';
+    return writeForwarder ? 'forwarded' : 'unavailable';
+}
 
-// Error handling
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+// Applies writes on a writable primary, or a secondary whose replica was promoted
+// (replaying repeats of an Idempotency-Key). Read-only replicas and other
+// secondary instances forward them to PRIMARY_URL when it is set, and reject
+// them otherwise.
+function requireWritable(req, res, next) {
+    // Cached reads may now be out of date, whether the write ran here or on the primary
+    res.on('finish', () => {
+        if (res.statusCode < 400) responseCache.invalidate();
     });
-});
 
-// ========== START SERVER ==========
-async function startServer() {
-    try {
-        const dbInitialized = await initializeDatabase();
+    if (!canWriteLocally() && writeForwarder && !writeForwarder.isForwarded(req)) {
+        res.on('finish', () => forwardedWrites.inc({ status: res.statusCode }));
+        return writeForwarder.forward(req, res).catch(next);
+    }
 
-        if (!dbInitialized && APP_ROLE === 'primary') {
-            console.warn('⚠️  PRIMARY APP: Database initialization failed');
-            console.warn('⚠️  Traffic Manager should fail over to secondary');
-        }
+    if (isDatabaseReadOnly) {
+        writeRejections.inc({ reason: 'read_only' });
+        return sendError(res, 423, 'WRITES_NOT_ACCEPTED', 'Database is read-only', {
+            details: { suggestion: 'Send writes to the primary region' }
+        });
+    }
 
-        app.listen(PORT, '0.0.0.0', () => {
-            console.log(`\n✅ Server started successfully!`);
-            console.log(`🌐 URL: http://localhost:${PORT}`);
-            console.log(`📡 Health: http://localhost:${PORT}/api/health`);
-            console.log(`🔧 Debug: http://localhost:${PORT}/api/debug`);
-            console.log(`\n📊 Status Summary:`);
-            console.log(`   Role: ${APP_ROLE}`);
-            console.log(`   Region: ${REGION}`);
-            console.log(`   Database: ${isDatabaseConnected ? '✅ Connected' : '❌ Disconnected'}`);
-            console.log(`   Mode: ${isDatabaseReadOnly ? 'Read-Only' : 'Read-Write'}`);
-        });
-    } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
+    if (APP_ROLE === 'secondary' && !isPromoted) {
+        writeRejections.inc({ reason: 'secondary' });
+        return sendError(res, 423, 'WRITES_NOT_ACCEPTED', 'Secondary instance', {
+            details: { suggestion: 'Send writes to the primary region' }
+        });
+    }
+
+    if (!isDatabaseConnected || !store) {
+        writeRejections.inc({ reason: 'database_unavailable' });
+        return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+    }
+
+    idempotent(req, res, next);
+}
+
+// The store as seen by a write request: its changes to fixtures, player lines,
+// standings and player stats go into the audit trail under the caller's key
+// name, with this instance and, for forwarded writes, the one that received it
+function auditedStore(req, db = store, extra = {}) {
+    return audit.createAuditedStore(db, {
+        Actor: req.auth ? req.auth.name : 'system',
+        ActorRole: req.auth ? req.auth.role : null,
+        ServedBy: APP_ROLE,
+        Region: REGION,
+        ForwardedFrom: forwarding.forwardedFrom(req, FORWARD_SECRET),
+        RequestID: req.id,
+        RevertOf: null,
+        ...extra
+    });
+}
+
+// Loads what validateMatch needs to check a fixture against its season, the teams
+// table and its venue's time zone
+async function checkMatch(db, match) {
+    const season = await db.seasons.get(match.SeasonYear);
+    const fixtures = await db.matches.listBySeason(match.SeasonYear);
+    const teamNames = (await db.teams.list()).map(team => team.Name);
+    const venue = match.Venue ? await db.venues.findByName(match.Venue) : null;
+    const timeZone = venue ? venue.TimeZone : null;
+    return {
+        season,
+        timeZone,
+        errors: validation.validateMatch(match, { season, fixtures, teams: teamNames, timeZone })
+    };
+}
+
+// Recomputes the season's tables after a fixture changed and tells subscribers
+async function afterFixtureChange(db, seasonYear) {
+    await recomputeStandings(db, seasonYear);
+    eventHub.publish('standings-updated', { season: seasonYear });
+}
+
+app.post('/api/match', requireWritable, requireRole('admin'), validate('createMatch'), async (req, res, next) => {
+    try {
+        const { MatchDate, StartTime = null, Venue = null, Stage = null, Status } = req.body;
+        const { Team1, Team2 } = req.body;
+
+        // Fixtures belong to the season named in the body, else the one of their date's year
+        const SeasonYear = parseInt(req.body.SeasonYear ?? String(MatchDate).slice(0, 4), 10);
+        const match = { SeasonYear, MatchDate, StartTime, Team1, Team2, Venue, Stage, Status: Status ?? 'scheduled' };
+        const db = auditedStore(req);
+
+        const { season, timeZone, errors } = await checkMatch(db, match);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        match.StartTime = schedule.parseStartTime(StartTime, timeZone).value;
+
+        const [created] = await withLocalTimes([
+            await db.matches.create({ ...match, OversPerInnings: OVERS_BY_FORMAT[season.Format] })
+        ]);
+        publishMatch('match-created', created);
+        // A new fixture can bring a new team into a group table
+        await afterFixtureChange(db, SeasonYear);
+
+        res.status(201).json({
+            success: true,
+            matchId: created.MatchID,
+            data: created,
+            message: 'Match added successfully',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT replaces every editable field, PATCH changes only the fields sent
+async function updateMatch(req, res, next, partial) {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const db = auditedStore(req);
+        const existing = await db.matches.get(matchId);
+        if (!existing) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        const base = partial
+            ? { ...existing, MatchDate: validation.toDateString(existing.MatchDate) }
+            : { SeasonYear: existing.SeasonYear, StartTime: null, Venue: null, Stage: null, Status: existing.Status };
+        const match = { ...base, ...req.body, MatchID: matchId };
+        match.SeasonYear = parseInt(match.SeasonYear, 10);
+
+        const { season, timeZone, errors } = await checkMatch(db, match);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        match.StartTime = schedule.parseStartTime(match.StartTime, timeZone).value;
+
+        const fields = Object.fromEntries(validation.MATCH_FIELDS.map(field => [field, match[field] ?? null]));
+        // A fixture moved to another season plays that season's format
+        if (match.SeasonYear !== existing.SeasonYear) {
+            fields.OversPerInnings = OVERS_BY_FORMAT[season.Format];
+        }
+
+        const teamsChanged = match.Team1 !== existing.Team1 || match.Team2 !== existing.Team2;
+        if (teamsChanged && await db.innings.countByMatch(matchId) > 0) {
+            return sendError(res, 409, 'CONFLICT', 'Teams cannot be changed once scoring has started');
+        }
+
+        const [updated] = await withLocalTimes([await db.matches.update(matchId, fields)]);
+        publishMatch('match-updated', updated);
+        await afterFixtureChange(db, match.SeasonYear);
+        if (existing.SeasonYear !== match.SeasonYear) {
+            await afterFixtureChange(db, existing.SeasonYear);
+        }
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Match updated successfully',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+app.put('/api/match/:id', requireWritable, requireRole('admin'), validate('replaceMatch'),
+    (req, res, next) => updateMatch(req, res, next, false));
+app.patch('/api/match/:id', requireWritable, requireRole('admin'), validate('updateMatch'),
+    (req, res, next) => updateMatch(req, res, next, true));
+
+// Deleting a fixture also removes its innings, deliveries and player lines
+app.delete('/api/match/:id', requireWritable, requireRole('admin'), validate('deleteMatch'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const db = auditedStore(req);
+        const match = await db.matches.get(matchId);
+        if (!match) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        const players = await db.players.namesInMatch(matchId);
+        await db.matches.remove(matchId);
+        await recomputePlayerStats(db, match.SeasonYear, players);
+
+        eventHub.publish('match-deleted', { MatchID: matchId, SeasonYear: match.SeasonYear });
+        if (players.length > 0) {
+            eventHub.publish('stats-updated', { season: match.SeasonYear });
+        }
+        await afterFixtureChange(db, match.SeasonYear);
+
+        res.json({
+            success: true,
+            message: 'Match deleted',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Records a result without ball-by-ball data (or overrides it, e.g. for rain rules).
+// Body: { Status: completed|abandoned|no_result, Winner, Tied, Result }
+app.post('/api/match/:id/result', requireWritable, requireRole('scorer'), validate('recordResult'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const db = auditedStore(req);
+        const match = await db.matches.get(matchId);
+        if (!match) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        const { Status = 'completed', Winner = null, Tied = false } = req.body;
+        const errors = validation.validateResult(match, { Status, Winner, Tied, Result: req.body.Result });
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const Result = req.body.Result || validation.defaultResultText({ Status, Winner, Tied });
+
+        const updated = await db.matches.update(matchId, { Status, Winner, Result });
+        publishMatch('match-updated', updated);
+        await afterFixtureChange(db, match.SeasonYear);
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Result recorded',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Player lines (batting, bowling and fielding figures) of a match
+app.get('/api/match/:id/players', validate('listPlayerLines'), readCache, async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const match = await store.matches.get(matchId);
+        if (!match) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        res.json({
+            data: await store.players.inningsByMatch(matchId),
+            match,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Replaces a match's player lines to correct its figures; the season totals are
+// recomputed. Body: a JSON array of rows with the player-innings import columns.
+// Matches scored ball by ball are corrected through their deliveries instead.
+app.put('/api/match/:id/players', requireWritable, requireRole('scorer'), validate('replacePlayerLines'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const outcome = await auditedStore(req).transaction(async (tx) => {
+            const match = await tx.matches.get(matchId);
+            if (!match) {
+                throw new ApiError(404, 'NOT_FOUND', 'Match not found');
+            }
+            if (await tx.innings.countByMatch(matchId) > 0) {
+                throw new ApiError(409, 'CONFLICT', 'Player lines of a match scored ball by ball come from its deliveries');
+            }
+
+            let accepted = [];
+            if (req.body.length > 0) {
+                const prepared = bulk.prepareImport('player-innings', req.body.map(row => ({ ...row, MatchID: matchId })), {
+                    seasons: await tx.seasons.list(),
+                    fixtures: [match],
+                    playerKeys: [],
+                    teams: (await tx.teams.list()).map(team => team.Name)
+                });
+                if (prepared.fileErrors.length > 0) {
+                    throw new ApiError(400, 'BAD_REQUEST', 'Invalid player lines', { details: { errors: prepared.fileErrors } });
+                }
+                if (prepared.errors.length > 0) {
+                    throw new ApiError(400, 'VALIDATION_FAILED', 'Validation failed', { details: { errors: prepared.errors } });
+                }
+                accepted = prepared.accepted;
+            }
+
+            const previous = await tx.players.namesInMatch(matchId);
+            await tx.players.replaceMatchInnings(matchId, accepted);
+            await recomputePlayerStats(tx, match.SeasonYear, previous);
+            return { match, lines: await tx.players.inningsByMatch(matchId) };
+        });
+
+        eventHub.publish('stats-updated', { season: outcome.match.SeasonYear });
+        res.json({
+            success: true,
+            data: outcome.lines,
+            message: 'Player lines saved',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Manual trigger, e.g. after a result was corrected directly in the database
+app.post('/api/standings/recompute', requireWritable, requireRole('admin'), validate('recomputeStandings'), async (req, res, next) => {
+    try {
+        let seasonYear;
+        if (req.query.season !== undefined) {
+            const season = await resolveSeason(req, res);
+            if (!season) return;
+            seasonYear = season.SeasonYear;
+        }
+
+        const recomputed = await recomputeStandings(auditedStore(req), seasonYear);
+        for (const season of Object.keys(recomputed)) {
+            eventHub.publish('standings-updated', { season: Number(season) });
+        }
+
+        res.json({
+            success: true,
+            data: recomputed,
+            message: 'Standings recomputed',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== BALL-BY-BALL SCORING ==========
+async function loadMatchScoring(db, matchId) {
+    const match = await db.matches.get(matchId);
+    if (!match) return null;
+
+    const innings = await db.innings.listByMatch(matchId);
+    const deliveries = await db.deliveries.listByMatch(matchId);
+
+    return {
+        match,
+        innings,
+        deliveries,
+        scorecard: scoring.buildScorecard(match, innings, deliveries)
+    };
+}
+
+// Writes innings totals, the derived result and player lines back to the database
+async function saveMatchScore(db, scorecard, seasonYear) {
+    for (const card of scorecard.innings) {
+        await db.innings.updateTotals(card.inningsId, {
+            Runs: card.runs,
+            Wickets: card.wickets,
+            LegalBalls: card.legalBalls,
+            Extras: card.extras.total,
+            IsComplete: card.complete
+        });
+    }
+    await db.matches.update(scorecard.matchId, {
+        Result: scorecard.result,
+        Winner: scorecard.winner,
+        Status: scorecard.complete ? 'completed' : 'live'
+    });
+
+    // Keep per-player lines for this match in step with the scorecard
+    const previous = await db.players.namesInMatch(scorecard.matchId);
+    await db.players.replaceMatchInnings(scorecard.matchId, leaderboards.inningsFromScorecard(scorecard, seasonYear));
+    await recomputePlayerStats(db, seasonYear, previous);
+}
+
+function parseMatchId(req, res) {
+    const matchId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(matchId) || matchId <= 0) {
+        sendValidationErrors(res, { id: 'id must be a match id' });
+        return null;
+    }
+    return matchId;
+}
+
+app.get('/api/match/:id/scorecard', validate('getScorecard'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const matchId = parseMatchId(req, res);
+        if (!matchId) return;
+
+        const current = await loadMatchScoring(store, matchId);
+        if (!current) {
+            return sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        }
+
+        res.json({
+            data: current.scorecard,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Pushes the outcome of a scoring write once it has been committed
+function publishScoreChange(current, standingsChanged) {
+    const { match, scorecard } = current;
+    publishMatch('match-updated', { ...match, Result: scorecard.result, Winner: scorecard.winner }, scorecard);
+    eventHub.publish('stats-updated', { season: match.SeasonYear });
+    if (standingsChanged) {
+        eventHub.publish('standings-updated', { season: match.SeasonYear });
+    }
+}
+
+// Starts the next innings of a match
+app.post('/api/match/:id/innings', requireWritable, requireRole('scorer'), validate('startInnings'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const { BattingTeam } = req.body;
+        const { inningsId, inningsNumber, started } = await auditedStore(req).transaction(async (tx) => {
+            // Serialise scorers starting innings of the same match
+            if (!(await tx.matches.lock(matchId))) {
+                throw new ApiError(404, 'NOT_FOUND', 'Match not found');
+            }
+
+            const { match, innings, scorecard } = await loadMatchScoring(tx, matchId);
+            if (![match.Team1, match.Team2].includes(BattingTeam)) {
+                throw new ApiError(400, 'VALIDATION_FAILED', 'Validation failed', {
+                    fields: { BattingTeam: `BattingTeam must be ${match.Team1} or ${match.Team2}` }
+                });
+            }
+            if (innings.length >= 2) {
+                throw new ApiError(409, 'CONFLICT', 'Both innings have already been started');
+            }
+            if (innings.length === 1) {
+                if (!scorecard.innings[0].complete) {
+                    throw new ApiError(409, 'CONFLICT', 'The first innings is still in progress');
+                }
+                if (innings[0].BattingTeam === BattingTeam) {
+                    throw new ApiError(400, 'VALIDATION_FAILED', 'Validation failed', {
+                        fields: { BattingTeam: `${BattingTeam} has already batted` }
+                    });
+                }
+            }
+
+            const inningsNumber = innings.length + 1;
+            const inningsId = await tx.innings.create({
+                MatchID: matchId,
+                InningsNumber: inningsNumber,
+                BattingTeam,
+                BowlingTeam: BattingTeam === match.Team1 ? match.Team2 : match.Team1
+            });
+            await tx.matches.update(matchId, { Status: 'live' });
+            return { inningsId, inningsNumber, started: await loadMatchScoring(tx, matchId) };
+        });
+        publishMatch('match-updated', started.match, started.scorecard);
+
+        res.status(201).json({
+            success: true,
+            inningsId,
+            inningsNumber,
+            message: 'Innings started',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Appends one delivery, or a batch under `deliveries`, to the current innings
+app.post('/api/match/:id/deliveries', requireWritable, requireRole('scorer'), validate('recordDeliveries'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    const posted = Array.isArray(req.body.deliveries) ? req.body.deliveries : [req.body];
+    const invalid = posted
+        .map((delivery, index) => ({ index, errors: scoring.validateDelivery(delivery) }))
+        .filter(entry => entry.errors.length > 0);
+    if (invalid.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid deliveries', { details: { deliveries: invalid } });
+    }
+
+    try {
+        const outcome = await auditedStore(req).transaction(async (tx) => {
+            // Serialise scorers posting to the same match
+            if (!(await tx.matches.lock(matchId))) {
+                throw new ApiError(404, 'NOT_FOUND', 'Match not found');
+            }
+
+            let current = await loadMatchScoring(tx, matchId);
+            const inningsRow = current.innings[current.innings.length - 1];
+            if (!inningsRow) {
+                throw new ApiError(409, 'CONFLICT', 'No innings in progress; start an innings first');
+            }
+
+            let sequence = await tx.deliveries.countByInnings(inningsRow.InningsID);
+
+            for (const delivery of posted) {
+                const card = current.scorecard.innings[current.scorecard.innings.length - 1];
+                if (card.complete || current.scorecard.complete) {
+                    throw new ApiError(409, 'CONFLICT', 'Innings is complete', {
+                        details: { accepted: 0, rejectedFrom: posted.indexOf(delivery) }
+                    });
+                }
+
+                const wicket = delivery.Wicket || null;
+                sequence++;
+                await tx.deliveries.create({
+                    InningsID: inningsRow.InningsID,
+                    Sequence: sequence,
+                    OverNumber: Math.floor(card.legalBalls / scoring.BALLS_PER_OVER),
+                    BallInOver: (card.legalBalls % scoring.BALLS_PER_OVER) + 1,
+                    Batter: delivery.Batter,
+                    NonStriker: delivery.NonStriker || null,
+                    Bowler: delivery.Bowler,
+                    BatterRuns: delivery.BatterRuns || 0,
+                    ExtraType: delivery.ExtraType || null,
+                    ExtraRuns: delivery.ExtraRuns || 0,
+                    IsWicket: Boolean(wicket),
+                    DismissalKind: wicket ? wicket.Kind : null,
+                    PlayerOut: wicket ? (wicket.PlayerOut || delivery.Batter) : null,
+                    Fielder: wicket ? (wicket.Fielder || null) : null
+                });
+                current = await loadMatchScoring(tx, matchId);
+            }
+
+            await saveMatchScore(tx, current.scorecard, current.match.SeasonYear);
+            // Only a result being set or cleared moves the table
+            const standingsChanged = Boolean(current.scorecard.complete || current.match.Result);
+            if (standingsChanged) {
+                await recomputeStandings(tx, current.match.SeasonYear);
+            }
+            return { current, standingsChanged };
+        });
+        publishScoreChange(outcome.current, outcome.standingsChanged);
+
+        res.status(201).json({
+            success: true,
+            accepted: posted.length,
+            data: outcome.current.scorecard,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Removes the most recent delivery of the match (scorer correction)
+app.delete('/api/match/:id/deliveries/last', requireWritable, requireRole('scorer'), validate('undoLastDelivery'), async (req, res, next) => {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return;
+
+    try {
+        const outcome = await auditedStore(req).transaction(async (tx) => {
+            const last = await tx.deliveries.lockLast(matchId);
+            if (!last) {
+                throw new ApiError(404, 'NOT_FOUND', 'No deliveries recorded for this match');
+            }
+
+            await tx.deliveries.remove(last.DeliveryID);
+            const current = await loadMatchScoring(tx, matchId);
+            await saveMatchScore(tx, current.scorecard, current.match.SeasonYear);
+            // Only a result being set or cleared moves the table
+            const standingsChanged = Boolean(current.scorecard.complete || current.match.Result);
+            if (standingsChanged) {
+                await recomputeStandings(tx, current.match.SeasonYear);
+            }
+            return { removed: last.DeliveryID, current, standingsChanged };
+        });
+        publishScoreChange(outcome.current, outcome.standingsChanged);
+
+        res.json({
+            success: true,
+            removed: outcome.removed,
+            data: outcome.current.scorecard,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== BULK IMPORT / EXPORT ==========
+// Rows of a collection for one season, or for every season
+async function loadExport(collection, seasonYear) {
+    if (collection === 'seasons') {
+        const seasons = await store.seasons.list();
+        return seasonYear === undefined ? seasons : seasons.filter(s => s.SeasonYear === seasonYear);
+    }
+    if (collection === 'player-innings') {
+        return store.players.inningsBySeason(seasonYear);
+    }
+
+    const years = seasonYear === undefined
+        ? (await store.seasons.list()).map(s => s.SeasonYear)
+        : [seasonYear];
+    const rows = [];
+    for (const year of years) {
+        if (collection === 'fixtures') rows.push(...await store.matches.listBySeason(year));
+        if (collection === 'standings') rows.push(...await store.standings.listBySeason(year));
+        if (collection === 'player-stats') {
+            rows.push(...(await store.players.statsBySeason(year)).map(row => ({ SeasonYear: year, ...row })));
+        }
+    }
+    return rows;
+}
+
+// GET /api/export/:collection?format=csv|json&season=YYYY (every season when omitted)
+app.get('/api/export/:collection', validate('exportCollection'), async (req, res, next) => {
+    try {
+        const { collection } = req.params;
+        const format = req.query.format || 'json';
+
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        let seasonYear;
+        if (req.query.season !== undefined) {
+            const season = await resolveSeason(req, res);
+            if (!season) return;
+            seasonYear = season.SeasonYear;
+        }
+
+        const rows = await loadExport(collection, seasonYear);
+        const { contentType, body } = bulk.formatExport(collection, rows, format);
+        const filename = `asia-cup-${collection}${seasonYear ? `-${seasonYear}` : ''}.${format}`;
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Imports a CSV file (Content-Type: text/csv) or JSON rows. With ?dryRun=true
+// the rows are only checked; otherwise nothing is written unless every row is valid.
+app.post(
+    '/api/admin/import/:collection',
+    express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '2mb' }),
+    requireWritable,
+    requireRole('admin'),
+    validate('importCollection'),
+    async (req, res, next) => {
+        try {
+            const { collection } = req.params;
+            if (bulk.DERIVED[collection]) {
+                return sendError(res, 400, 'BAD_REQUEST', `${collection} cannot be imported: ${bulk.DERIVED[collection]}`);
+            }
+            if (!bulk.IMPORT_COLUMNS[collection]) {
+                return sendError(res, 404, 'NOT_FOUND', 'Unknown collection', {
+                    details: { collections: Object.keys(bulk.IMPORT_COLUMNS) }
+                });
+            }
+            const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+            const outcome = await auditedStore(req).transaction(async (tx) => {
+                const seasons = await tx.seasons.list();
+                const fixtures = [];
+                for (const season of seasons) {
+                    fixtures.push(...await tx.matches.listBySeason(season.SeasonYear));
+                }
+                const teamNames = (await tx.teams.list()).map(team => team.Name);
+                const venueZones = schedule.zoneIndex(await tx.venues.list());
+                const playerKeys = collection === 'player-innings'
+                    ? (await tx.players.inningsBySeason()).map(row => `${row.MatchID}|${row.PlayerName}`)
+                    : [];
+
+                const prepared = bulk.prepareImport(collection, req.body, {
+                    seasons,
+                    fixtures,
+                    playerKeys,
+                    teams: teamNames,
+                    venueZones
+                });
+                const report = {
+                    collection,
+                    dryRun,
+                    received: prepared.received,
+                    valid: prepared.accepted.length,
+                    invalid: prepared.errors.length,
+                    errors: prepared.errors
+                };
+
+                if (prepared.fileErrors.length > 0) {
+                    throw new ApiError(400, 'BAD_REQUEST', 'Invalid import file', { details: { errors: prepared.fileErrors } });
+                }
+                if (dryRun) {
+                    return tx.rollback({ status: 200, body: { ...report, preview: prepared.accepted.slice(0, 20) } });
+                }
+                if (prepared.errors.length > 0) {
+                    throw new ApiError(400, 'VALIDATION_FAILED', 'Validation failed', { details: report });
+                }
+
+                const written = [];
+                for (const row of prepared.accepted) {
+                    if (collection === 'fixtures') {
+                        const season = seasons.find(s => s.SeasonYear === row.SeasonYear);
+                        written.push(await tx.matches.create({ ...row, OversPerInnings: OVERS_BY_FORMAT[season.Format] }));
+                    } else if (collection === 'results') {
+                        const { MatchID, Status, Winner, Result } = row;
+                        written.push(await tx.matches.update(MatchID, { Status, Winner, Result }));
+                    }
+                }
+                if (collection === 'player-innings') {
+                    await tx.players.addInnings(prepared.accepted);
+                }
+
+                const seasonYears = [...new Set(prepared.accepted.map(row => row.SeasonYear))];
+                for (const year of seasonYears) {
+                    if (collection === 'player-innings') await recomputePlayerStats(tx, year);
+                    else await recomputeStandings(tx, year);
+                }
+                return { report, written, seasonYears };
+            });
+
+            // A dry run rolls back with its report
+            if (outcome.status) {
+                return res.status(outcome.status).json({ ...outcome.body, servedBy: APP_ROLE, region: REGION });
+            }
+
+            for (const match of outcome.written) {
+                publishMatch(collection === 'fixtures' ? 'match-created' : 'match-updated', match);
+            }
+            for (const season of outcome.seasonYears) {
+                eventHub.publish(collection === 'player-innings' ? 'stats-updated' : 'standings-updated', { season });
+            }
+
+            res.status(201).json({
+                success: true,
+                ...outcome.report,
+                imported: outcome.report.valid,
+                message: `Imported ${outcome.report.valid} row(s) into ${collection}`,
+                servedBy: APP_ROLE,
+                region: REGION
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// ========== AUDIT TRAIL ==========
+// Changes to fixtures, results, player lines, standings and player stats, newest
+// first. Filters: ?entity=&match=&key=&season=&actor=&action=&from=&to= (lib/listing.js)
+app.get('/api/audit', requireRole('scorer'), validate('listAuditEntries'), async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const { criteria, errors } = listing.parseAuditQuery(req.query);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors, 'Invalid query');
+        }
+
+        const { rows, total } = await store.audit.search(criteria);
+        res.json({
+            data: rows,
+            servedBy: APP_ROLE,
+            region: REGION,
+            count: rows.length,
+            pagination: listing.pageInfo(criteria, total)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Puts a match back as it was before `entry`: deletes one it created, restores
+// one it deleted (under the same MatchID, without its innings and deliveries)
+// or writes back the old values, then rebuilds the standings
+async function revertMatch(tx, entry, current) {
+    const before = entry.BeforeData;
+    const seasons = new Set([before, entry.AfterData, current].filter(Boolean).map(match => match.SeasonYear));
+
+    let match = null;
+    let removedLines = false;
+    if (!before) {
+        if (!current) {
+            throw new ApiError(409, 'CONFLICT', 'The match has already been deleted');
+        }
+        const players = await tx.players.namesInMatch(current.MatchID);
+        await tx.matches.remove(current.MatchID);
+        await recomputePlayerStats(tx, current.SeasonYear, players);
+        removedLines = players.length > 0;
+    } else if (current) {
+        const teamsChanged = before.Team1 !== current.Team1 || before.Team2 !== current.Team2;
+        if (teamsChanged && await tx.innings.countByMatch(current.MatchID) > 0) {
+            throw new ApiError(409, 'CONFLICT', 'Teams cannot be changed once scoring has started');
+        }
+        match = await tx.matches.update(current.MatchID, audit.matchFields(before));
+    } else {
+        // Restored past the Revision it was last deleted at, which may be later
+        // than the one in `before` when it was deleted, restored and changed since
+        const { rows: [deletion] } = await tx.audit.search({
+            entities: ['match'], key: entry.EntityKey, action: 'delete', limit: 1
+        });
+        const Revision = deletion && deletion.BeforeData.Revision;
+        match = await tx.matches.restore({ ...audit.matchFields(before), MatchID: before.MatchID, Revision });
+    }
+
+    for (const seasonYear of seasons) {
+        await recomputeStandings(tx, seasonYear);
+    }
+    return {
+        matchId: Number(entry.EntityKey),
+        match,
+        created: !current,
+        seasons: [...seasons],
+        statsChanged: removedLines
+    };
+}
+
+// Puts back the player lines a match had before `entry` and rebuilds the totals
+async function revertPlayerLines(tx, entry) {
+    const matchId = Number(entry.EntityKey);
+    const match = await tx.matches.get(matchId);
+    if (!match) {
+        throw new ApiError(409, 'CONFLICT', 'The match no longer exists; revert its deletion first');
+    }
+    if (await tx.innings.countByMatch(matchId) > 0) {
+        throw new ApiError(409, 'CONFLICT', 'Player lines of a match scored ball by ball come from its deliveries');
+    }
+
+    const previous = await tx.players.namesInMatch(matchId);
+    const lines = (entry.BeforeData || []).map(line => ({ ...line, MatchID: matchId }));
+    await tx.players.replaceMatchInnings(matchId, lines);
+    await recomputePlayerStats(tx, match.SeasonYear, previous);
+    return { matchId, lines: await tx.players.inningsByMatch(matchId), seasons: [match.SeasonYear], statsChanged: true };
+}
+
+// Undoes one change to a fixture or to a match's player lines by writing back the
+// data from before it. Refused with 409 when the data has changed since, unless
+// ?force=true. The revert is logged in turn, with RevertOf naming the entry.
+app.post('/api/admin/audit/:id/revert', requireWritable, requireRole('admin'), validate('revertAuditEntry'), async (req, res, next) => {
+    const auditId = parseInt(req.params.id, 10);
+    const force = req.query.force === 'true' || req.query.force === '1';
+
+    try {
+        const db = auditedStore(req, store, { RevertOf: auditId });
+        const outcome = await db.transaction(async (tx) => {
+            const entry = await tx.audit.get(auditId);
+            if (!entry) {
+                throw new ApiError(404, 'NOT_FOUND', 'Audit entry not found');
+            }
+            if (!audit.REVERTIBLE.includes(entry.Entity)) {
+                throw new ApiError(409, 'CONFLICT',
+                    `${entry.Entity} is rebuilt from results and player lines; revert the change to those instead`);
+            }
+
+            const matchId = Number(entry.EntityKey);
+            const current = entry.Entity === 'match'
+                ? await tx.matches.lock(matchId)
+                : await tx.players.inningsByMatch(matchId);
+            if (!force && !audit.isCurrent(entry, current)) {
+                throw new ApiError(409, 'DATA_CHANGED', 'The data has changed since this change was made', {
+                    details: {
+                        expected: entry.AfterData,
+                        current: audit.snapshot(entry.Entity, current),
+                        suggestion: 'Revert the later changes first, or add ?force=true to overwrite them'
+                    }
+                });
+            }
+
+            return entry.Entity === 'match'
+                ? revertMatch(tx, entry, current)
+                : revertPlayerLines(tx, entry);
+        });
+
+        let data = outcome.lines;
+        if (outcome.match) {
+            [data] = await withLocalTimes([outcome.match]);
+            publishMatch(outcome.created ? 'match-created' : 'match-updated', data);
+        } else if (!outcome.lines) {
+            data = null;
+            eventHub.publish('match-deleted', { MatchID: outcome.matchId, SeasonYear: outcome.seasons[0] });
+        }
+        for (const season of outcome.seasons) {
+            if (!outcome.lines) eventHub.publish('standings-updated', { season });
+            if (outcome.statsChanged) eventHub.publish('stats-updated', { season });
+        }
+
+        res.json({
+            success: true,
+            data,
+            message: `Change ${auditId} reverted`,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== API KEY MANAGEMENT ==========
+app.get('/api/admin/keys', requireRole('admin'), async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const rows = await store.apiKeys.list();
+        res.json({
+            data: rows,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The plaintext key is only ever returned in this response
+app.post('/api/admin/keys', withholdResponse, requireWritable, requireRole('admin'), validate('createApiKey'), async (req, res, next) => {
+    try {
+        const { Name, Role } = req.body;
+        const key = auth.generateKey();
+        const keyId = await store.apiKeys.create({
+            Name,
+            Role,
+            KeyHash: auth.hashKey(key),
+            KeyPrefix: key.slice(0, 12),
+            CreatedBy: req.auth.name
+        });
+
+        res.status(201).json({
+            success: true,
+            keyId,
+            key,
+            role: Role,
+            message: 'Store this key now; it cannot be shown again',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/admin/keys/:id', requireWritable, requireRole('admin'), validate('revokeApiKey'), async (req, res, next) => {
+    try {
+        const revoked = await store.apiKeys.revoke(parseInt(req.params.id, 10));
+        if (!revoked) {
+            return sendError(res, 404, 'NOT_FOUND', 'Key not found or already revoked');
+        }
+
+        res.json({
+            success: true,
+            message: 'Key revoked',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Debug endpoint (admin only: it shows the database host, full database error
+// messages and process details)
+app.get('/api/debug', requireRole('admin'), (req, res) => {
+    const monitorState = dbMonitor.state();
+    res.json({
+        environment: {
+            APP_ROLE,
+            REGION,
+            NODE_ENV: process.env.NODE_ENV,
+            PORT: PORT
+        },
+        database: {
+            connected: isDatabaseConnected,
+            readOnly: isDatabaseReadOnly,
+            backend: store ? store.backend : null,
+            host: store ? store.host : null,
+            pool: store ? store.poolStats() : null,
+            schemaError: schemaState.message || null,
+            lastError: monitorState.lastError,
+            transitions: dbMonitor.transitions()
+        },
+        system: {
+            uptime: process.uptime(),
+            memory: process.memoryUsage()
+        }
+    });
+});
+
+// Test endpoint
+app.get('/api/test', (req, res) => {
+    res.json({
+        message: 'Backend is working!',
+        timestamp: new Date().toISOString(),
+        role: APP_ROLE,
+        region: REGION
+    });
+});
+
+// ========== PREDICTION LEAGUE ==========
+// Fans sign up with a username and password and send the session token from
+// sign-up or login as "Authorization: Bearer <token>" (lib/accounts.js)
+const userAuth = accounts.createUserAuth({
+    findSession: async (tokenHash) => {
+        if (!isDatabaseConnected || !store) return null;
+        return store.sessions.findUser(tokenHash);
+    }
+});
+const requireUser = userAuth.requireUser;
+
+// The plaintext token is only ever returned when the session starts
+async function startSession(db, user) {
+    const token = accounts.generateSessionToken();
+    const expiresAt = accounts.sessionExpiry();
+    await db.sessions.create({ UserID: user.UserID, TokenHash: auth.hashKey(token), ExpiresAt: expiresAt });
+    return { user: accounts.publicUser(user), token, expiresAt };
+}
+
+app.post('/api/users', withholdResponse, requireWritable, validate('register'), async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+        const displayName = typeof req.body.displayName === 'string' ? req.body.displayName.trim() : req.body.displayName;
+        const errors = accounts.validateRegistration({ username, password, displayName });
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const passwordHash = await accounts.hashPassword(password);
+        const outcome = await store.transaction(async (tx) => {
+            if (await tx.users.findByUsername(username)) {
+                throw new ApiError(409, 'ALREADY_EXISTS', 'Username is already taken');
+            }
+            const userId = await tx.users.create({
+                Username: username,
+                DisplayName: displayName || username,
+                PasswordHash: passwordHash
+            });
+            return startSession(tx, await tx.users.get(userId));
+        });
+
+        res.status(201).json({
+            success: true,
+            data: outcome,
+            message: 'Account created',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/users/login', withholdResponse, requireWritable, validate('login'), async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+        const user = await store.users.findByUsername(username);
+        if (!user || !await accounts.verifyPassword(password, user.PasswordHash)) {
+            return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid username or password');
+        }
+
+        await store.sessions.removeExpired();
+        res.json({
+            success: true,
+            data: await startSession(store, user),
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/users/logout', requireWritable, requireUser, validate('logout'), async (req, res, next) => {
+    try {
+        await store.sessions.remove(req.user.tokenHash);
+        res.json({
+            success: true,
+            message: 'Signed out',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/users/me', requireUser, async (req, res, next) => {
+    try {
+        res.json({
+            data: {
+                ...accounts.publicUser(req.user),
+                leagues: await store.leagues.listByUser(req.user.UserID)
+            },
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The signed-in user's predictions for ?season= (default current, or "all"),
+// each with its match, whether it can still change, and the points it scored
+app.get('/api/users/me/predictions', requireUser, validate('listMyPredictions'), async (req, res, next) => {
+    try {
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+        const seasonYear = season && season.SeasonYear;
+
+        const rows = await store.predictions.search({ seasonYear, userId: req.user.UserID });
+        const { rows: matches } = await store.matches.search({ seasonYear });
+        const byId = new Map((await withLocalTimes(matches)).map(match => [match.MatchID, match]));
+
+        const data = rows.map(({ DisplayName, ...prediction }) => {
+            const match = byId.get(prediction.MatchID);
+            return {
+                ...prediction,
+                ...predictions.scorePrediction(prediction, match),
+                open: predictions.isOpen(match),
+                locksAt: predictions.locksAt(match),
+                match
+            };
+        });
+        res.json({
+            data,
+            points: data.reduce((total, prediction) => total + prediction.points, 0),
+            season: seasonYear ?? 'all',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Loads the match of a prediction write and checks it is still open. Sends a
+// 404/409 and returns null otherwise.
+async function openMatchForPrediction(req, res) {
+    const matchId = parseMatchId(req, res);
+    if (!matchId) return null;
+
+    const match = await store.matches.get(matchId);
+    if (!match) {
+        sendError(res, 404, 'NOT_FOUND', 'Match not found');
+        return null;
+    }
+    if (!predictions.isOpen(match)) {
+        sendError(res, 409, 'PREDICTIONS_CLOSED', 'Predictions for this match are closed', {
+            details: { locksAt: predictions.locksAt(match), status: match.Status }
+        });
+        return null;
+    }
+    return match;
+}
+
+// Body: { Winner, MarginType: 'runs' | 'wickets', Margin }; the margin is optional.
+// Predictions can change until the match starts.
+app.put('/api/predictions/:id', requireWritable, requireUser, validate('savePrediction'), async (req, res, next) => {
+    try {
+        const match = await openMatchForPrediction(req, res);
+        if (!match) return;
+
+        const prediction = {
+            Winner: req.body.Winner,
+            MarginType: req.body.MarginType ?? null,
+            Margin: req.body.Margin ?? null
+        };
+        const errors = predictions.validatePrediction(prediction, match);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        await store.predictions.save({ ...prediction, UserID: req.user.UserID, MatchID: match.MatchID });
+        res.json({
+            success: true,
+            data: await store.predictions.get(req.user.UserID, match.MatchID),
+            locksAt: predictions.locksAt(match),
+            message: 'Prediction saved',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/predictions/:id', requireWritable, requireUser, validate('withdrawPrediction'), async (req, res, next) => {
+    try {
+        const match = await openMatchForPrediction(req, res);
+        if (!match) return;
+
+        if (!await store.predictions.remove(req.user.UserID, match.MatchID)) {
+            return sendError(res, 404, 'NOT_FOUND', 'No prediction for this match');
+        }
+        res.json({
+            success: true,
+            message: 'Prediction withdrawn',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Everyone's points for ?season= (default current, or "all"); ?league=CODE
+// limits the table to that private league's members
+app.get('/api/predictions/leaderboard', validate('getPredictionLeaderboard'), readCache, async (req, res, next) => {
+    try {
+        if (!isDatabaseConnected || !store) {
+            return sendError(res, 503, 'DATABASE_UNAVAILABLE', 'Database not available');
+        }
+
+        const season = await resolveListSeason(req, res);
+        if (season === null) return;
+        const seasonYear = season && season.SeasonYear;
+
+        let league = null;
+        let members = null;
+        if (req.query.league) {
+            league = await store.leagues.findByCode(String(req.query.league).trim().toUpperCase());
+            if (!league) {
+                return sendError(res, 404, 'NOT_FOUND', 'League not found');
+            }
+            members = await store.leagues.members(league.LeagueID);
+        }
+
+        const rows = await store.predictions.search({ seasonYear });
+        const { rows: matches } = await store.matches.search({ seasonYear });
+        res.json({
+            data: predictions.leaderboard(rows, matches, members),
+            league: league && { name: league.Name, code: league.Code, members: members.length },
+            scoring: { points: predictions.POINTS, closeMargin: predictions.CLOSE_MARGIN },
+            season: seasonYear ?? 'all',
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Creates a private league; its code is what friends join with
+app.post('/api/leagues', requireWritable, requireUser, validate('createLeague'), async (req, res, next) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (name === '' || name.length > 50) {
+            return sendValidationErrors(res, { name: 'name must be text of 1 to 50 characters' });
+        }
+
+        const league = await store.transaction(async (tx) => {
+            let code = predictions.generateLeagueCode();
+            while (await tx.leagues.findByCode(code)) {
+                code = predictions.generateLeagueCode();
+            }
+            const leagueId = await tx.leagues.create({ Name: name, Code: code, OwnerID: req.user.UserID });
+            await tx.leagues.addMember(leagueId, req.user.UserID);
+            return { LeagueID: leagueId, Name: name, Code: code };
+        });
+
+        res.status(201).json({
+            success: true,
+            data: league,
+            message: `League created; others join with code ${league.Code}`,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/leagues/join', requireWritable, requireUser, validate('joinLeague'), async (req, res, next) => {
+    try {
+        const code = req.body.code.trim().toUpperCase();
+        const league = code && await store.leagues.findByCode(code);
+        if (!league) {
+            return sendError(res, 404, 'NOT_FOUND', 'No league has that code');
+        }
+
+        const joined = await store.leagues.addMember(league.LeagueID, req.user.UserID);
+        res.json({
+            success: true,
+            data: { LeagueID: league.LeagueID, Name: league.Name, Code: league.Code },
+            message: joined ? `Joined ${league.Name}` : `Already a member of ${league.Name}`,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/leagues/:code/membership', requireWritable, requireUser, validate('leaveLeague'), async (req, res, next) => {
+    try {
+        const league = await store.leagues.findByCode(req.params.code.toUpperCase());
+        if (!league || !await store.leagues.removeMember(league.LeagueID, req.user.UserID)) {
+            return sendError(res, 404, 'NOT_FOUND', 'Not a member of this league');
+        }
+        res.json({
+            success: true,
+            message: `Left ${league.Name}`,
+            servedBy: APP_ROLE,
+            region: REGION
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ========== METRICS ==========
+metrics.gauge('db_up', 'Whether the database is reachable (1) or not (0)', (gauge) => {
+    gauge.set({}, isDatabaseConnected ? 1 : 0);
+});
+metrics.gauge('db_read_only', 'Whether the database is a read-only replica', (gauge) => {
+    gauge.set({}, isDatabaseReadOnly ? 1 : 0);
+});
+metrics.gauge('db_state', 'Current database monitor state (1 for the active state)', (gauge) => {
+    const current = dbMonitor.state().status;
+    for (const state of DB_STATES) gauge.set({ state }, state === current ? 1 : 0);
+});
+metrics.gauge('db_pool_connections', 'Database pool connections by state', (gauge) => {
+    gauge.reset();
+    const pool = store ? store.poolStats() : null;
+    if (!pool) return;
+    gauge.set({ state: 'in_use' }, pool.inUse);
+    gauge.set({ state: 'idle' }, pool.idle);
+    gauge.set({ state: 'waiting' }, pool.waiting);
+    gauge.set({ state: 'limit' }, pool.limit);
+});
+metrics.gauge('response_cache_entries', 'Responses held by the read cache', (gauge) => {
+    gauge.set({}, responseCache.size());
+});
+metrics.gauge('event_stream_clients', 'Connected live-update (SSE) clients', (gauge) => {
+    gauge.set({}, eventHub.clientCount());
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', (gauge) => {
+    gauge.set({}, process.memoryUsage().rss);
+});
+metrics.gauge('process_heap_used_bytes', 'V8 heap in use in bytes', (gauge) => {
+    gauge.set({}, process.memoryUsage().heapUsed);
+});
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', (gauge) => {
+    gauge.set({}, process.uptime());
+});
+
+function hasMetricsToken(req) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(req.get('Authorization') || ''), digest(`Bearer ${METRICS_TOKEN}`));
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !hasMetricsToken(req)) {
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return sendError(res, 401, 'UNAUTHENTICATED', 'Metrics token required');
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Unknown API routes answer with an error rather than the frontend
+app.all('/api/*', (req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
+});
+
+// ========== STATIC FILES (AFTER API ROUTES) ==========
+// This line MUST come after all API routes
+app.use(express.static(path.join(__dirname, 'frontend')));
+
+// Admin console for editors: fixtures, results, player lines and recomputes
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'frontend', 'admin.html'));
+});
+
+// Catch-all route for frontend (MUST be last)
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
+});
+
+// Error handling: every error answers with the envelope of lib/errors.js
+app.use(createErrorHandler(logger));
+
+// ========== START SERVER ==========
+async function startServer() {
+    try {
+        const dbInitialized = await initializeDatabase();
+
+        if (!dbInitialized && APP_ROLE === 'primary') {
+            logger.warn('Primary database initialization failed; Traffic Manager should fail over to secondary');
+        }
+
+        app.listen(PORT, '0.0.0.0', () => {
+            logger.info('Server started', {
+                url: `http://localhost:${PORT}`,
+                health: `http://localhost:${PORT}/api/health`,
+                metrics: `http://localhost:${PORT}/metrics`,
+                database: isDatabaseConnected ? 'connected' : 'disconnected',
+                mode: isDatabaseReadOnly ? 'read-only' : 'read-write'
+            });
+        });
+    } catch (error) {
+        logger.error('Failed to start server', { error });
         process.exit(1);
     }
 }
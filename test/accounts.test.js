@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+async function signUp(username) {
+    const { status, body } = await server.request('POST', '/api/users', { body: { username, password: 'password123' } });
+    assert.equal(status, 201);
+    return body.data.token;
+}
+
+test('signs up, signs in and out', async () => {
+    const token = await signUp('fan1');
+
+    const taken = await server.request('POST', '/api/users', { body: { username: 'fan1', password: 'password123' } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'ALREADY_EXISTS');
+
+    const me = await server.request('GET', '/api/users/me', { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.username, 'fan1');
+
+    const wrong = await server.request('POST', '/api/users/login', { body: { username: 'fan1', password: 'not-the-one' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+    const login = await server.request('POST', '/api/users/login', { body: { username: 'fan1', password: 'password123' } });
+    assert.equal(login.status, 200);
+
+    const logout = await server.request('POST', '/api/users/logout', { token: login.body.data.token });
+    assert.equal(logout.status, 200);
+    const after = await server.request('GET', '/api/users/me', { token: login.body.data.token });
+    assert.equal(after.status, 401);
+});
+
+test('validates sign-up details', async () => {
+    const { status, body } = await server.request('POST', '/api/users', { body: { username: 'x', password: 'short' } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.ok(body.fields.username);
+    assert.ok(body.fields.password);
+});
+
+test('account routes need a session', async () => {
+    const { status, body } = await server.request('GET', '/api/users/me');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHENTICATED');
+});
+
+test('predictions close once a match has started', async () => {
+    const token = await signUp('fan2');
+    const { status, body } = await server.request('PUT', '/api/predictions/1', { token, body: { Winner: 'India' } });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'PREDICTIONS_CLOSED');
+    assert.ok(body.details.locksAt);
+});
+
+test('creates, joins and leaves a private league', async () => {
+    const owner = await signUp('owner');
+    const member = await signUp('member');
+
+    const created = await server.request('POST', '/api/leagues', { token: owner, body: { name: 'Office' } });
+    assert.equal(created.status, 201);
+    const { Code } = created.body.data;
+
+    const joined = await server.request('POST', '/api/leagues/join', { token: member, body: { code: Code.toLowerCase() } });
+    assert.equal(joined.status, 200);
+
+    const me = await server.request('GET', '/api/users/me', { token: member });
+    assert.deepEqual(me.body.data.leagues.map(league => league.Code), [Code]);
+
+    const board = await server.request('GET', `/api/predictions/leaderboard?league=${Code}`);
+    assert.equal(board.status, 200);
+    assert.equal(board.body.league.code, Code);
+    assert.equal(board.body.league.members, 2);
+
+    const left = await server.request('DELETE', `/api/leagues/${Code}/membership`, { token: member });
+    assert.equal(left.status, 200);
+    const again = await server.request('DELETE', `/api/leagues/${Code}/membership`, { token: member });
+    assert.equal(again.status, 404);
+});
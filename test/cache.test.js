@@ -0,0 +1,115 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createResponseCache } = require('../lib/cache');
+
+// A route behind the cache whose answers, and the database state, each test sets
+let available = true;
+let calls = 0;
+let respond = (req, res) => res.json({ data: calls });
+const staleServed = [];
+
+const cache = createResponseCache({
+    ttlMs: 60000,
+    isAvailable: () => available,
+    onStale: req => staleServed.push(req.originalUrl)
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.get('/api/data', cache.middleware, (req, res) => {
+        calls++;
+        respond(req, res);
+    });
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    available = true;
+    respond = (req, res) => res.json({ data: calls });
+    staleServed.length = 0;
+    cache.invalidate();
+});
+
+async function get(query = '', headers = {}) {
+    const response = await fetch(`${baseUrl}/api/data${query}`, { headers });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+test('answers from memory while an entry is fresh', async () => {
+    const first = await get('?fresh');
+    const second = await get('?fresh');
+
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+    assert.match(first.headers.get('etag'), /^W\/"/);
+});
+
+test('a matching If-None-Match gets 304 Not Modified', async () => {
+    const first = await get('?etag');
+    // fetch() sends Cache-Control: no-cache with conditional requests unless told otherwise
+    const again = await get('?etag', { 'If-None-Match': first.headers.get('etag'), 'Cache-Control': 'max-age=0' });
+
+    assert.equal(again.status, 304);
+    assert.equal(again.body, null);
+});
+
+test('entries are rebuilt after a write invalidates them', async () => {
+    const first = await get('?write');
+    cache.invalidate();
+    const second = await get('?write');
+
+    assert.notDeepEqual(second.body, first.body);
+    assert.notEqual(second.headers.get('etag'), first.headers.get('etag'));
+});
+
+test('serves the last known good response while the database is unavailable', async () => {
+    const good = await get('?outage');
+    available = false;
+    const stale = await get('?outage');
+
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body.data, good.body.data);
+    assert.equal(stale.body.stale, true);
+    assert.equal(typeof stale.body.age, 'number');
+    assert.equal(stale.headers.get('warning'), '110 - "Response is Stale"');
+    assert.equal(stale.headers.get('etag'), good.headers.get('etag'));
+    assert.deepEqual(staleServed, ['/api/data?outage']);
+});
+
+test('falls back to the cached response when the route fails with a 5xx', async () => {
+    const good = await get('?failure');
+    cache.invalidate();
+    respond = (req, res) => res.status(503).json({ error: 'Database unavailable' });
+    const stale = await get('?failure');
+
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body.data, good.body.data);
+    assert.equal(stale.body.stale, true);
+});
+
+test('passes errors through when there is nothing cached', async () => {
+    respond = (req, res) => res.status(503).json({ error: 'Database unavailable' });
+    const failed = await get('?uncached');
+
+    assert.equal(failed.status, 503);
+    assert.equal(failed.body.stale, undefined);
+    assert.deepEqual(staleServed, []);
+});
+
+test('does not keep client errors', async () => {
+    respond = (req, res) => res.status(404).json({ error: 'Not found' });
+    await get('?missing');
+    respond = (req, res) => res.json({ data: 'found' });
+
+    assert.equal((await get('?missing')).body.data, 'found');
+});
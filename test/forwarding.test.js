@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { FORWARDED_HEADER, forwardedFrom } = require('../lib/forwarding');
+const { ADMIN_KEY, startServer } = require('./helpers/server');
+
+const SECRET = 'test-forward-secret';
+
+let primary;
+let secondary;
+
+before(async () => {
+    primary = await startServer({ FORWARD_SECRET: SECRET, WEBSITE_LOCATION: 'Central India' });
+    secondary = await startServer({
+        APP_ROLE: 'secondary',
+        PRIMARY_URL: primary.baseUrl,
+        FORWARD_SECRET: SECRET,
+        WEBSITE_LOCATION: 'South India'
+    });
+});
+
+after(async () => {
+    await secondary.stop();
+    await primary.stop();
+});
+
+// Each fixture gets a day of its own, as the same pairing cannot play twice on one date
+let day = 9;
+function fixture() {
+    day++;
+    return {
+        MatchDate: `2025-09-${String(day).padStart(2, '0')}`,
+        Team1: 'India',
+        Team2: 'Oman',
+        Venue: 'Dubai',
+        Stage: 'Group A'
+    };
+}
+
+// Just enough of an Express request for forwardedFrom()
+function requestWith(headers, method = 'POST', originalUrl = '/api/match') {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, originalUrl, get: name => lower[name.toLowerCase()] };
+}
+
+const sign = (secret, text) => crypto.createHmac('sha256', secret).update(text).digest('hex');
+
+test('believes the forwarding header only with a valid signature', () => {
+    const origin = 'secondary@South India';
+    const signature = sign(SECRET, `${origin}\nPOST\n/api/match`);
+    const signed = { [FORWARDED_HEADER]: origin, 'X-Forwarded-Write-Signature': signature };
+
+    assert.equal(forwardedFrom(requestWith(signed), SECRET), origin);
+    assert.equal(forwardedFrom(requestWith(signed, 'DELETE'), SECRET), null);
+    assert.equal(forwardedFrom(requestWith(signed, 'POST', '/api/match/1'), SECRET), null);
+    assert.equal(forwardedFrom(requestWith(signed), 'another-secret'), null);
+    assert.equal(forwardedFrom(requestWith(signed), ''), null);
+    assert.equal(forwardedFrom(requestWith({ [FORWARDED_HEADER]: origin }), SECRET), null);
+    assert.equal(forwardedFrom(requestWith({ ...signed, 'X-Forwarded-Write-Signature': 'abc' }), SECRET), null);
+});
+
+test('a secondary forwards writes instead of applying them', async () => {
+    const health = await secondary.request('GET', '/api/health');
+    assert.equal(health.body.app.writes, 'forwarded');
+    assert.equal(health.body.database.promoted, false);
+});
+
+test('a write sent to the secondary is applied on the primary', async () => {
+    const { status, headers, body } = await secondary.request('POST', '/api/match', { key: ADMIN_KEY, body: fixture() });
+
+    assert.equal(status, 201);
+    assert.equal(headers.get('x-forwarded-to'), 'primary');
+    assert.ok(headers.get('idempotency-key'));
+    assert.equal(body.servedBy, 'primary');
+
+    // Each instance here has a memory store of its own, so only the primary has it
+    const hasMatch = async (server) => (await server.request('GET', '/api/group-matches?season=2025')).body.data
+        .some(match => match.MatchID === body.matchId);
+    assert.equal(await hasMatch(primary), true);
+    assert.equal(await hasMatch(secondary), false);
+
+    // Recorded as forwarded from the secondary, as the request was signed
+    const audit = await primary.request('GET', `/api/audit?match=${body.matchId}&entity=match`, { key: ADMIN_KEY });
+    assert.equal(audit.body.data[0].ForwardedFrom, 'secondary@South India');
+});
+
+test('a secondary declared promoted writes for itself', async () => {
+    const promoted = await startServer({ APP_ROLE: 'secondary', PRIMARY_URL: primary.baseUrl, SECONDARY_PROMOTED: 'true' });
+    try {
+        const health = await promoted.request('GET', '/api/health');
+        assert.equal(health.body.app.writes, 'direct');
+        assert.equal(health.body.database.promoted, true);
+
+        const { status, headers, body } = await promoted.request('POST', '/api/match', { key: ADMIN_KEY, body: fixture() });
+        assert.equal(status, 201);
+        assert.equal(headers.get('x-forwarded-to'), null);
+        assert.equal(body.servedBy, 'secondary');
+    } finally {
+        await promoted.stop();
+    }
+});
+
+test('a secondary without a primary refuses writes', async () => {
+    const alone = await startServer({ APP_ROLE: 'secondary' });
+    try {
+        const { status, body } = await alone.request('POST', '/api/match', { key: ADMIN_KEY, body: fixture() });
+        assert.equal(status, 423);
+        assert.equal(body.code, 'WRITES_NOT_ACCEPTED');
+    } finally {
+        await alone.stop();
+    }
+});
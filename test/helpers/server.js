@@ -0,0 +1,89 @@
+// Runs server.js against the memory backend (DATA_BACKEND=memory) on a free
+// port, so the suites exercise the API over HTTP without a database. Each
+// server starts from the sample data.
+
+const { spawn } = require('child_process');
+const { once } = require('events');
+const net = require('net');
+const path = require('path');
+
+const ADMIN_KEY = 'test-admin-key';
+const STARTUP_TIMEOUT_MS = 10000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// `env` is added to (and overrides) the test environment
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: {
+            ...process.env,
+            DATA_BACKEND: 'memory',
+            APP_ROLE: 'primary',
+            PRIMARY_URL: '',
+            ADMIN_API_KEY: ADMIN_KEY,
+            METRICS_TOKEN: '',
+            LOG_LEVEL: 'error',
+            PORT: String(port),
+            ...env
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // Sends a request and reads the response as JSON when it is JSON.
+    // `key` is sent as X-API-Key and `token` as a Bearer session token.
+    async function request(method, url, { body, key, token, headers = {} } = {}) {
+        const sent = { ...headers };
+        if (key) sent['X-API-Key'] = key;
+        if (token) sent.Authorization = `Bearer ${token}`;
+        if (body !== undefined && typeof body !== 'string') sent['Content-Type'] = 'application/json';
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: sent,
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const json = (response.headers.get('content-type') || '').includes('json');
+        return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+    }
+
+    async function stop() {
+        if (child.exitCode !== null) return;
+        child.kill();
+        await once(child, 'exit');
+    }
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    for (;;) {
+        if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+        try {
+            if ((await fetch(`${baseUrl}/api/health`)).ok) break;
+        } catch (error) {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            await stop();
+            throw new Error(`server.js did not become healthy within ${STARTUP_TIMEOUT_MS}ms`);
+        }
+        await sleep(100);
+    }
+
+    return { baseUrl, request, stop };
+}
+
+module.exports = { ADMIN_KEY, startServer };
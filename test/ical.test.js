@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ical = require('../lib/ical');
+
+const now = new Date('2025-09-01T08:00:00Z');
+
+function calendar(matches, name = 'Asia Cup 2025') {
+    return ical.buildCalendar({ name, matches, seasonNames: { 2025: 'Asia Cup 2025' }, now });
+}
+
+// The feed's lines with folded continuations joined back up
+const unfold = text => text.replace(/\r\n /g, '').split('\r\n');
+
+const fixture = {
+    MatchID: 7,
+    SeasonYear: 2025,
+    MatchDate: '2025-09-14',
+    StartTime: '2025-09-14T14:30:00Z',
+    Team1: 'India',
+    Team2: 'Pakistan',
+    Venue: 'Dubai',
+    Stage: 'Group A',
+    Status: 'scheduled',
+    OversPerInnings: 20,
+    Revision: 3
+};
+
+test('lines end in CRLF and the feed is wrapped in a VCALENDAR', () => {
+    const text = calendar([fixture]);
+
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(text.split('\r\n').every(line => !line.includes('\n')));
+    assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(text.includes(`PRODID:${ical.PRODUCT_ID}`));
+});
+
+test('a timed match is a UTC event lasting as long as its format', () => {
+    const lines = unfold(calendar([fixture]));
+
+    assert.ok(lines.includes('UID:match-7@asia-cup-app'));
+    assert.equal(ical.matchUid(fixture), 'match-7@asia-cup-app');
+    assert.ok(lines.includes('DTSTART:20250914T143000Z'));
+    assert.ok(lines.includes('DTEND:20250914T180000Z'));
+    assert.ok(lines.includes('SEQUENCE:3'));
+    assert.ok(lines.includes('DTSTAMP:20250901T080000Z'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+});
+
+test('a fixture without a start time is an all-day event', () => {
+    const lines = unfold(calendar([{ ...fixture, StartTime: null, MatchDate: '2025-09-30' }]));
+
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20250930'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20251001'));
+});
+
+test('abandoned matches are cancelled events', () => {
+    assert.ok(unfold(calendar([{ ...fixture, Status: 'abandoned' }])).includes('STATUS:CANCELLED'));
+});
+
+test('escapes backslashes, semicolons, commas and newlines in text', () => {
+    const lines = unfold(calendar([{
+        ...fixture,
+        Venue: 'Ground 2; Dubai, UAE',
+        Stage: 'Final\\Replay',
+        Result: 'India won\nby 5 runs'
+    }], 'Cup, 2025'));
+
+    assert.ok(lines.includes('X-WR-CALNAME:Cup\\, 2025'));
+    assert.ok(lines.includes('LOCATION:Ground 2\\; Dubai\\, UAE'));
+    assert.ok(lines.includes('SUMMARY:India vs Pakistan (Final\\\\Replay)'));
+    assert.ok(lines.includes('DESCRIPTION:Asia Cup 2025\\nFinal\\\\Replay\\nResult: India won\\nby 5 runs'));
+});
+
+test('folds lines longer than 75 octets without splitting characters', () => {
+    const venue = 'Rangiri Dambulla International Stadium, Dambulla, Central Province, Sri Lanka — főpálya';
+    const text = calendar([{ ...fixture, Venue: venue }]);
+    const physical = text.split('\r\n');
+
+    assert.ok(physical.every(line => Buffer.byteLength(line, 'utf8') <= 75));
+    assert.ok(physical.some(line => line.startsWith(' ')));
+    assert.ok(unfold(text).includes(`LOCATION:${venue.replace(/,/g, '\\,')}`));
+});
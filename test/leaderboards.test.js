@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const leaderboards = require('../lib/leaderboards');
+
+// One PlayerInnings row; a batting line unless `fields` says otherwise
+function line(PlayerName, fields = {}) {
+    return {
+        PlayerName,
+        Team: 'India',
+        Batted: true,
+        NotOut: false,
+        Runs: 0,
+        BallsFaced: 0,
+        Fours: 0,
+        Sixes: 0,
+        BallsBowled: 0,
+        Maidens: 0,
+        RunsConceded: 0,
+        Wickets: 0,
+        Catches: 0,
+        ...fields
+    };
+}
+
+const names = board => board.data.map(entry => entry.PlayerName);
+
+test('aggregates innings into averages, strike rates and economies', () => {
+    const [player] = leaderboards.aggregatePlayers([
+        line('Kohli', { Runs: 50, BallsFaced: 40 }),
+        line('Kohli', { Runs: 30, BallsFaced: 20, NotOut: true }),
+        line('Kohli', { Runs: 10, BallsFaced: 10 }),
+        line('Kohli', { Batted: false, BallsBowled: 12, RunsConceded: 20, Wickets: 1 })
+    ]);
+
+    assert.equal(player.Matches, 4);
+    assert.equal(player.Innings, 3);
+    assert.equal(player.NotOuts, 1);
+    assert.equal(player.BattingAverage, 45);
+    assert.equal(player.StrikeRate, 128.57);
+    assert.equal(player.Economy, 10);
+    assert.equal(player.BowlingAverage, 20);
+    assert.equal(player.HighestScore, 50);
+});
+
+test('a player never dismissed has no batting average', () => {
+    const [player] = leaderboards.aggregatePlayers([line('Rahul', { Runs: 40, BallsFaced: 30, NotOut: true })]);
+    assert.equal(player.BattingAverage, null);
+});
+
+test('best figures prefer more wickets, then fewer runs', () => {
+    const [player] = leaderboards.aggregatePlayers([
+        line('Bumrah', { Batted: false, BallsBowled: 24, RunsConceded: 30, Wickets: 3 }),
+        line('Bumrah', { Batted: false, BallsBowled: 24, RunsConceded: 12, Wickets: 3 }),
+        line('Bumrah', { Batted: false, BallsBowled: 24, RunsConceded: 8, Wickets: 1 })
+    ]);
+
+    assert.equal(player.BestWickets, 3);
+    assert.equal(player.BestRuns, 12);
+    const board = leaderboards.buildLeaderboard('best-figures', [player]);
+    assert.equal(board.data[0].Display, '3/12');
+});
+
+test('rate categories leave out players below the qualifying threshold', () => {
+    const players = leaderboards.aggregatePlayers([
+        // 60 balls faced qualifies for strike rate, 59 does not
+        line('Steady', { Runs: 90, BallsFaced: 60 }),
+        line('Cameo', { Runs: 118, BallsFaced: 59 })
+    ]);
+
+    const board = leaderboards.buildLeaderboard('strike-rate', players);
+    assert.deepEqual(board.qualification, { field: 'BallsFaced', min: 60 });
+    assert.deepEqual(names(board), ['Steady']);
+
+    const lowered = leaderboards.buildLeaderboard('strike-rate', players, { min: 30 });
+    assert.deepEqual(names(lowered), ['Cameo', 'Steady']);
+});
+
+test('batting average needs three innings by default', () => {
+    const rows = [
+        ...[20, 20, 20].map(Runs => line('Regular', { Runs, BallsFaced: Runs })),
+        line('OneOff', { Runs: 100, BallsFaced: 60 })
+    ];
+    const board = leaderboards.buildLeaderboard('batting-average', leaderboards.aggregatePlayers(rows));
+
+    assert.deepEqual(names(board), ['Regular']);
+    assert.equal(board.data[0].Value, 20);
+});
+
+test('economy ranks the cheapest qualifying bowler first', () => {
+    const players = leaderboards.aggregatePlayers([
+        line('Tight', { Batted: false, BallsBowled: 60, RunsConceded: 50 }),
+        line('Loose', { Batted: false, BallsBowled: 60, RunsConceded: 90 }),
+        line('Brief', { Batted: false, BallsBowled: 6, RunsConceded: 1 })
+    ]);
+    const board = leaderboards.buildLeaderboard('economy', players);
+
+    assert.deepEqual(names(board), ['Tight', 'Loose']);
+    assert.equal(board.data[0].Rank, 1);
+    assert.equal(board.data[0].Economy, 5);
+});
+
+test('counting categories have no threshold and honour the limit', () => {
+    const players = leaderboards.aggregatePlayers([
+        line('A', { Runs: 10 }), line('B', { Runs: 30 }), line('C', { Runs: 20 }), line('D')
+    ]);
+    const board = leaderboards.buildLeaderboard('runs', players, { limit: 2 });
+
+    assert.equal(board.qualification, null);
+    assert.deepEqual(names(board), ['B', 'C']);
+});
+
+test('highest score marks a not-out and ranks it above the same score out', () => {
+    const players = leaderboards.aggregatePlayers([
+        line('Out', { Runs: 70 }),
+        line('Unbeaten', { Runs: 70, NotOut: true })
+    ]);
+    const board = leaderboards.buildLeaderboard('highest-score', players);
+
+    assert.deepEqual(board.data.map(entry => entry.Display), ['70*', '70']);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabaseMonitor } = require('../lib/monitor');
+
+// A monitor over a database whose answers are taken in turn from `answers`:
+// 'writable', 'read-only' or 'down'
+function monitorOf(answers) {
+    const events = [];
+    let stores = 0;
+    let closed = 0;
+    const monitor = createDatabaseMonitor({
+        createStore() {
+            stores++;
+            return {
+                async connect() {
+                    const answer = answers.shift();
+                    if (answer === 'down') throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+                    return { readOnly: answer === 'read-only' };
+                },
+                async close() {
+                    closed++;
+                }
+            };
+        },
+        onTransition: transition => events.push(transition.event)
+    });
+
+    async function checkAll() {
+        while (answers.length > 0) await monitor.check();
+    }
+    return { monitor, events, checkAll, stores: () => stores, closed: () => closed };
+}
+
+test('a writable database at startup is connected, not promoted', async () => {
+    const { monitor, events, checkAll } = monitorOf(['writable', 'writable']);
+    await checkAll();
+
+    assert.deepEqual(events, ['connected']);
+    assert.equal(monitor.state().status, 'connected');
+    assert.equal(monitor.state().readOnly, false);
+});
+
+test('a read-only replica turning writable is a promotion', async () => {
+    const { monitor, events, checkAll } = monitorOf(['read-only', 'read-only', 'writable']);
+    await checkAll();
+
+    assert.deepEqual(events, ['read-only', 'promoted']);
+    assert.deepEqual(monitor.transitions().map(({ from, to }) => [from, to]), [
+        ['connecting', 'read-only'],
+        ['read-only', 'connected']
+    ]);
+});
+
+test('a promotion during an outage is still seen as one', async () => {
+    const { events, checkAll } = monitorOf(['read-only', 'down', 'down', 'writable']);
+    await checkAll();
+
+    assert.deepEqual(events, ['read-only', 'degraded', 'promoted']);
+});
+
+test('a writable database recovering from an outage is only connected again', async () => {
+    const { events, checkAll } = monitorOf(['writable', 'down', 'writable', 'read-only']);
+    await checkAll();
+
+    assert.deepEqual(events, ['connected', 'degraded', 'connected', 'read-only']);
+});
+
+test('an unreachable database is degraded, and its store is rebuilt after each failure', async () => {
+    const { monitor, checkAll, stores, closed } = monitorOf(['down', 'down']);
+    await checkAll();
+
+    const state = monitor.state();
+    assert.equal(state.status, 'degraded');
+    assert.equal(state.connected, false);
+    assert.equal(state.failures, 2);
+    assert.equal(state.lastErrorCode, 'ECONNREFUSED');
+    assert.equal(monitor.store(), null);
+    assert.equal(stores(), 2);
+    assert.equal(closed(), 2);
+});
+
+test('concurrent checks share one probe', async () => {
+    const { monitor, stores } = monitorOf(['writable', 'writable']);
+    const [first, second] = await Promise.all([monitor.check(), monitor.check()]);
+
+    assert.equal(first, true);
+    assert.equal(second, true);
+    assert.equal(stores(), 1);
+});
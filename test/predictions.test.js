@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const predictions = require('../lib/predictions');
+
+const result = {
+    MatchID: 1,
+    Team1: 'India',
+    Team2: 'Pakistan',
+    Status: 'completed',
+    Winner: 'India',
+    Result: 'India won by 25 runs'
+};
+
+const score = (prediction, match = result) => predictions.scorePrediction(prediction, match);
+
+test('reads the margin from the result text', () => {
+    assert.deepEqual(predictions.parseMargin('India won by 25 runs'), { type: 'runs', value: 25 });
+    assert.deepEqual(predictions.parseMargin('Pakistan won by 1 wicket (12 balls left)'), { type: 'wickets', value: 1 });
+    assert.equal(predictions.parseMargin('Match tied'), null);
+});
+
+test('the right winner scores, and an exact margin scores more', () => {
+    const { winner, exactMargin, closeMargin } = predictions.POINTS;
+
+    assert.deepEqual(score({ Winner: 'India' }), { outcome: 'correct', points: winner, exact: false });
+    assert.deepEqual(score({ Winner: 'India', MarginType: 'runs', Margin: 25 }),
+        { outcome: 'correct', points: winner + exactMargin, exact: true });
+    assert.equal(score({ Winner: 'India', MarginType: 'runs', Margin: 25 + predictions.CLOSE_MARGIN.runs }).points,
+        winner + closeMargin);
+    assert.equal(score({ Winner: 'India', MarginType: 'runs', Margin: 26 + predictions.CLOSE_MARGIN.runs }).points,
+        winner);
+    // A margin of the wrong kind earns nothing extra
+    assert.equal(score({ Winner: 'India', MarginType: 'wickets', Margin: 25 }).points, winner);
+});
+
+test('the wrong winner scores nothing, however close the margin', () => {
+    assert.deepEqual(score({ Winner: 'Pakistan', MarginType: 'runs', Margin: 25 }),
+        { outcome: 'wrong', points: 0, exact: false });
+});
+
+test('unfinished matches are pending and ones without a winner are void', () => {
+    assert.equal(score({ Winner: 'India' }, { ...result, Status: 'live', Winner: null }).outcome, 'pending');
+    assert.equal(score({ Winner: 'India' }, { ...result, Status: 'abandoned', Winner: null }).outcome, 'void');
+    assert.equal(score({ Winner: 'India' }, { ...result, Winner: null, Result: 'Match tied' }).outcome, 'void');
+});
+
+test('validates the winner and margin of a prediction', () => {
+    assert.deepEqual(predictions.validatePrediction({ Winner: 'India' }, result), {});
+    assert.ok(predictions.validatePrediction({ Winner: 'Nepal' }, result).Winner);
+    assert.ok(predictions.validatePrediction({ Winner: 'India', MarginType: 'overs', Margin: 2 }, result).MarginType);
+    assert.ok(predictions.validatePrediction({ Winner: 'India', MarginType: 'wickets', Margin: 11 }, result).Margin);
+});
+
+test('predictions close at the start time, or at the start of the match day', () => {
+    const fixture = { Status: 'scheduled', MatchDate: '2025-09-14', StartTime: '2025-09-14T14:30:00Z' };
+
+    assert.equal(predictions.isOpen(fixture, new Date('2025-09-14T14:29:00Z')), true);
+    assert.equal(predictions.isOpen(fixture, new Date('2025-09-14T14:30:00Z')), false);
+    assert.equal(predictions.isOpen({ ...fixture, Status: 'live' }, new Date('2025-09-14T10:00:00Z')), false);
+    assert.equal(predictions.locksAt({ ...fixture, StartTime: null }).getTime(), new Date('2025-09-14').getTime());
+});
+
+test('ranks users by points, correct winners and exact margins, sharing ties', () => {
+    const matches = [result, { ...result, MatchID: 2, Winner: 'Pakistan', Result: 'Pakistan won by 4 wickets' }];
+    const board = predictions.leaderboard([
+        { UserID: 1, DisplayName: 'Asha', MatchID: 1, Winner: 'India', MarginType: 'runs', Margin: 25 },
+        { UserID: 2, DisplayName: 'Bilal', MatchID: 1, Winner: 'India' },
+        { UserID: 2, DisplayName: 'Bilal', MatchID: 2, Winner: 'Pakistan' },
+        { UserID: 3, DisplayName: 'Chen', MatchID: 1, Winner: 'India' },
+        { UserID: 3, DisplayName: 'Chen', MatchID: 2, Winner: 'Pakistan' },
+        { UserID: 4, DisplayName: 'Dev', MatchID: 1, Winner: 'Pakistan' }
+    ], matches);
+
+    assert.deepEqual(board.map(row => [row.displayName, row.points, row.rank]), [
+        ['Bilal', 6, 1], ['Chen', 6, 1], ['Asha', 6, 3], ['Dev', 0, 4]
+    ]);
+    assert.equal(board[2].exact, 1);
+    assert.equal(board[3].scored, 1);
+});
+
+test('a league table covers just its members, including those yet to predict', () => {
+    const board = predictions.leaderboard(
+        [
+            { UserID: 1, DisplayName: 'Asha', MatchID: 1, Winner: 'India' },
+            { UserID: 9, DisplayName: 'Outsider', MatchID: 1, Winner: 'India' }
+        ],
+        [result],
+        [{ UserID: 1, DisplayName: 'Asha' }, { UserID: 2, DisplayName: 'Bilal' }]
+    );
+
+    assert.deepEqual(board.map(row => [row.displayName, row.points, row.predicted]), [['Asha', 3, 1], ['Bilal', 0, 0]]);
+});
+
+test('league codes use an unambiguous alphabet', () => {
+    const code = predictions.generateLeagueCode();
+    assert.match(code, /^[A-HJ-NP-Z2-9]{8}$/);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('health reports a writable memory database', async () => {
+    const { status, body } = await server.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.database.backend, 'memory');
+    assert.equal(body.database.writable, true);
+});
+
+test('lists the reference seasons with the current one first', async () => {
+    const { status, body } = await server.request('GET', '/api/seasons');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(season => season.SeasonYear), [2025, 2023, 2022]);
+    assert.equal(body.data[0].IsCurrent, true);
+});
+
+test('lists the fixtures of a season with their venue time zones', async () => {
+    const { status, body } = await server.request('GET', '/api/group-matches?season=2025');
+    assert.equal(status, 200);
+    assert.ok(body.data.length > 0);
+    assert.ok(body.data.every(match => match.SeasonYear === 2025));
+    assert.ok(body.data.every(match => 'VenueTimeZone' in match));
+});
+
+test('pages fixtures across every season', async () => {
+    const { status, body } = await server.request('GET', '/api/group-matches?season=all&pageSize=2');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 2);
+    assert.ok(body.pagination.total > 2);
+});
+
+test('serves standings, player stats and leaderboards', async () => {
+    const standings = await server.request('GET', '/api/standings');
+    assert.equal(standings.status, 200);
+    assert.ok(standings.body.data.length > 0);
+
+    const stats = await server.request('GET', '/api/player-stats');
+    assert.equal(stats.status, 200);
+    assert.ok(stats.body.data.some(row => row.PlayerName === 'Virat Kohli'));
+
+    const runs = await server.request('GET', '/api/leaderboards/runs');
+    assert.equal(runs.status, 200);
+    assert.equal(runs.body.data[0].Rank, 1);
+});
+
+test('describes a team and a head-to-head', async () => {
+    const team = await server.request('GET', '/api/teams/4');
+    assert.equal(team.status, 200);
+    assert.equal(team.body.data.Name, 'India');
+    assert.ok(Array.isArray(team.body.data.fixtures));
+
+    const headToHead = await server.request('GET', '/api/head-to-head?teamA=India&teamB=Pakistan');
+    assert.equal(headToHead.status, 200);
+});
+
+test('serves a match calendar feed', async () => {
+    const { status, headers, body } = await server.request('GET', '/api/match/1/calendar.ics');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/calendar/);
+    assert.match(body, /BEGIN:VEVENT/);
+});
+
+test('serves the OpenAPI document', async () => {
+    const { status, body } = await server.request('GET', '/api/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.ok(body.paths['/api/group-matches']);
+});
+
+test('rejects invalid parameters with the error envelope', async () => {
+    const { status, body } = await server.request('GET', '/api/standings?season=abc');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.ok(body.fields.season);
+    assert.ok(body.requestId);
+});
+
+test('answers unknown API routes and resources with 404', async () => {
+    const route = await server.request('GET', '/api/nope');
+    assert.equal(route.status, 404);
+    assert.equal(route.body.code, 'NOT_FOUND');
+
+    const team = await server.request('GET', '/api/teams/999');
+    assert.equal(team.status, 404);
+    assert.equal(team.body.code, 'NOT_FOUND');
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStageTables } = require('../lib/standings');
+const scenarios = require('../lib/scenarios');
+
+let nextId = 0;
+function match(Team1, Team2, fields = {}) {
+    nextId++;
+    return { MatchID: nextId, Team1, Team2, MatchDate: '2025-09-10', Stage: 'Group A', Status: 'completed', OversPerInnings: 20, ...fields };
+}
+
+const scheduled = (Team1, Team2) => match(Team1, Team2, { Status: 'scheduled' });
+
+function scenariosFor(matches) {
+    const [table] = scenarios.computeScenarios(computeStageTables(matches, []), matches);
+    return { table, team: name => table.teams.find(entry => entry.TeamName === name) };
+}
+
+// India 4 points, Pakistan 2, Oman 2, UAE 0; India v Oman and Pakistan v Oman to play
+const group = [
+    match('India', 'Pakistan', { Winner: 'India' }),
+    match('India', 'UAE', { Winner: 'India' }),
+    match('Pakistan', 'UAE', { Winner: 'Pakistan' }),
+    match('Oman', 'UAE', { Winner: 'Oman' }),
+    scheduled('India', 'Oman'),
+    scheduled('Pakistan', 'Oman')
+];
+
+test('plays out all 3^n combinations of the remaining results', () => {
+    const { table, team } = scenariosFor(group);
+
+    assert.equal(table.target, scenarios.TARGETS.group);
+    assert.equal(table.remaining.length, 2);
+    for (const entry of table.teams) {
+        assert.equal(entry.chances.combinations, 9);
+        assert.equal(entry.chances.in + entry.chances.nrr + entry.chances.out, 9);
+    }
+    assert.equal(team('India').MatchesLeft, 1);
+    assert.equal(team('Oman').MatchesLeft, 2);
+});
+
+test('a team that cannot catch the top two is eliminated', () => {
+    const { team } = scenariosFor(group);
+
+    assert.equal(team('UAE').status, 'eliminated');
+    assert.equal(team('UAE').chances.out, 9);
+    assert.deepEqual(team('UAE').needs, []);
+});
+
+test('lists what a team needs from its own matches', () => {
+    const { team } = scenariosFor(group);
+    const india = team('India');
+
+    assert.equal(india.status, 'alive');
+    // Beating Oman puts India on 6 points, out of reach of all but one team
+    const win = india.needs.find(need => need.results[0].Result === 'win');
+    assert.equal(win.outcome, 'qualifies');
+    assert.equal(win.combinations, 3);
+    assert.equal(win.summary, 'Beat Oman: through to the Super 4');
+
+    // Losing leaves India level on 4 with Oman, and with Pakistan too if Pakistan beat Oman
+    const loss = india.needs.find(need => need.results[0].Result === 'loss');
+    assert.equal(loss.outcome, 'depends');
+    assert.deepEqual(loss.dependsOn, ['other results', 'net run rate']);
+});
+
+test('winning every match left can still leave a team on net run rate', () => {
+    const { team } = scenariosFor(group);
+    const pakistan = team('Pakistan');
+
+    // 4 points at most, and India already have 4
+    const win = pakistan.needs.find(need => need.results[0].Result === 'win');
+    assert.equal(win.outcome, 'depends');
+    assert.equal(pakistan.needs[0], win);
+});
+
+test('a team that is through on points needs nothing', () => {
+    const { team } = scenariosFor([
+        match('India', 'Pakistan', { Winner: 'India' }),
+        match('India', 'UAE', { Winner: 'India' }),
+        match('India', 'Oman', { Winner: 'India' }),
+        scheduled('Pakistan', 'Oman')
+    ]);
+
+    assert.equal(team('India').status, 'through');
+    assert.deepEqual(team('India').needs, []);
+});
+
+test('a table with too many fixtures left is reported without scenarios', () => {
+    const teams = ['India', 'Pakistan', 'UAE', 'Oman', 'Hong Kong', 'Nepal'];
+    const fixtures = teams.flatMap((team, index) => teams.slice(index + 1).map(other => scheduled(team, other)));
+    assert.ok(fixtures.length > scenarios.MAX_REMAINING);
+
+    const { table } = scenariosFor(fixtures);
+    assert.match(table.note, /Too many fixtures/);
+    assert.ok(table.teams.every(entry => entry.status === 'unknown'));
+});
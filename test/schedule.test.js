@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const schedule = require('../lib/schedule');
+
+const parsed = (value, timeZone) => schedule.parseStartTime(value, timeZone);
+const iso = result => result.value.toISOString();
+
+test('a start time with Z or an offset is taken as given', () => {
+    assert.equal(iso(parsed('2025-09-14T14:30:00Z')), '2025-09-14T14:30:00.000Z');
+    assert.equal(iso(parsed('2025-09-14T18:30:00+04:00', 'Asia/Colombo')), '2025-09-14T14:30:00.000Z');
+    assert.equal(iso(parsed('2025-09-14T20:00+0530')), '2025-09-14T14:30:00.000Z');
+});
+
+test('a wall-clock start is read in the venue time zone', () => {
+    assert.equal(iso(parsed('2025-09-14T18:30', 'Asia/Dubai')), '2025-09-14T14:30:00.000Z');
+    assert.equal(iso(parsed('2025-09-14 20:00', 'Asia/Colombo')), '2025-09-14T14:30:00.000Z');
+    assert.equal(iso(parsed('2025-09-14T19:45:00', 'Asia/Kathmandu')), '2025-09-14T14:00:00.000Z');
+});
+
+test('wall-clock starts follow daylight saving at the venue', () => {
+    // London is on BST (UTC+1) in summer and GMT in winter
+    assert.equal(iso(parsed('2025-07-01T10:30', 'Europe/London')), '2025-07-01T09:30:00.000Z');
+    assert.equal(iso(parsed('2025-12-01T10:30', 'Europe/London')), '2025-12-01T10:30:00.000Z');
+    // The morning after the clocks go forward
+    assert.equal(iso(parsed('2025-03-30T10:30', 'Europe/London')), '2025-03-30T09:30:00.000Z');
+});
+
+test('empty start times are null', () => {
+    for (const value of [undefined, null, '']) {
+        assert.deepEqual(parsed(value, 'Asia/Dubai'), { value: null });
+    }
+});
+
+test('rejects start times it cannot read', () => {
+    assert.match(parsed('14 September, 6pm', 'Asia/Dubai').error, /ISO 8601/);
+    assert.match(parsed('2025-13-45T99:00Z').error, /ISO 8601/);
+    assert.match(parsed(1757860200000).error, /ISO 8601/);
+    assert.match(parsed('2025-09-14T18:30', null).error, /no known time zone/);
+});
+
+test('gives an instant as the wall-clock time at the venue', () => {
+    const start = new Date('2025-09-14T14:30:00Z');
+
+    assert.equal(schedule.toLocalIso(start, 'Asia/Dubai'), '2025-09-14T18:30:00+04:00');
+    assert.equal(schedule.toLocalIso(start, 'Asia/Kolkata'), '2025-09-14T20:00:00+05:30');
+    assert.equal(schedule.toLocalIso(start, 'America/New_York'), '2025-09-14T10:30:00-04:00');
+    assert.equal(schedule.localDate(new Date('2025-09-14T20:00:00Z'), 'Asia/Dubai'), '2025-09-15');
+});
+
+test('adds the venue time zone and local start to a match', () => {
+    const zones = schedule.zoneIndex([{ Name: 'Dubai', TimeZone: 'Asia/Dubai' }]);
+    const match = schedule.withLocalTimes({ Venue: 'DUBAI', StartTime: '2025-09-14T14:30:00Z' }, zones);
+
+    assert.equal(match.VenueTimeZone, 'Asia/Dubai');
+    assert.equal(match.LocalStartTime, '2025-09-14T18:30:00+04:00');
+
+    const unknown = schedule.withLocalTimes({ Venue: 'Lord\'s', StartTime: '2025-09-14T14:30:00Z' }, zones);
+    assert.equal(unknown.VenueTimeZone, null);
+    assert.equal(unknown.LocalStartTime, null);
+});
+
+test('checks time zone names and match lengths', () => {
+    assert.equal(schedule.isValidTimeZone('Asia/Dubai'), true);
+    assert.equal(schedule.isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(schedule.durationMinutes(50), schedule.DURATION_MINUTES[50]);
+    assert.equal(schedule.durationMinutes(null), schedule.DURATION_MINUTES[20]);
+});
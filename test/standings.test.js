@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const standings = require('../lib/standings');
+
+function match(MatchID, Team1, Team2, fields = {}) {
+    return { MatchID, Team1, Team2, MatchDate: '2025-09-10', Stage: 'Group A', Status: 'completed', OversPerInnings: 20, ...fields };
+}
+
+function innings(MatchID, BattingTeam, BowlingTeam, Runs, overs, Wickets = 5) {
+    return { MatchID, BattingTeam, BowlingTeam, Runs, Wickets, LegalBalls: Math.round(overs * 6) };
+}
+
+const row = (rows, team) => rows.find(entry => entry.TeamName === team);
+
+test('net run rate is runs per over scored less runs per over conceded', () => {
+    const rows = standings.computeStandings(
+        [match(1, 'India', 'Oman', { Winner: 'India' })],
+        [innings(1, 'India', 'Oman', 180, 20), innings(1, 'Oman', 'India', 120, 20)]
+    );
+
+    assert.equal(row(rows, 'India').NetRunRate, 3);
+    assert.equal(row(rows, 'Oman').NetRunRate, -3);
+    assert.equal(row(rows, 'India').Points, standings.POINTS.win);
+    assert.equal(row(rows, 'Oman').Losses, 1);
+});
+
+test('a side bowled out is charged its full overs', () => {
+    // Oman all out for 100 in 10 overs counts as 100 off 20
+    const rows = standings.computeStandings(
+        [match(1, 'India', 'Oman', { Winner: 'India' })],
+        [innings(1, 'India', 'Oman', 160, 20), innings(1, 'Oman', 'India', 100, 10, 10)]
+    );
+
+    assert.equal(row(rows, 'Oman').BallsFaced, 120);
+    assert.equal(row(rows, 'Oman').NetRunRate, -3);
+    assert.equal(row(rows, 'India').BallsBowled, 120);
+    assert.equal(row(rows, 'India').NetRunRate, 3);
+});
+
+test('a chase ending early counts only the balls bowled', () => {
+    const rows = standings.computeStandings(
+        [match(1, 'India', 'Oman', { Winner: 'Oman' })],
+        [innings(1, 'India', 'Oman', 150, 20), innings(1, 'Oman', 'India', 151, 15, 3)]
+    );
+
+    assert.equal(row(rows, 'Oman').NetRunRate, Number((151 / 15 - 150 / 20).toFixed(3)));
+    assert.equal(row(rows, 'India').NetRunRate, Number((150 / 20 - 151 / 15).toFixed(3)));
+});
+
+test('ODI fixtures charge fifty overs to a side bowled out', () => {
+    const rows = standings.computeStandings(
+        [match(1, 'India', 'Oman', { Winner: 'India', OversPerInnings: 50 })],
+        [innings(1, 'India', 'Oman', 300, 50), innings(1, 'Oman', 'India', 150, 25, 10)]
+    );
+
+    assert.equal(row(rows, 'Oman').BallsFaced, 300);
+    assert.equal(row(rows, 'Oman').NetRunRate, -3);
+});
+
+test('abandoned matches give a point each and leave net run rate alone', () => {
+    const rows = standings.computeStandings(
+        [match(1, 'India', 'Oman', { Status: 'abandoned' })],
+        [innings(1, 'India', 'Oman', 60, 6)]
+    );
+
+    for (const team of ['India', 'Oman']) {
+        assert.equal(row(rows, team).NoResult, 1);
+        assert.equal(row(rows, team).Points, standings.POINTS.noResult);
+        assert.equal(row(rows, team).NetRunRate, 0);
+    }
+});
+
+test('orders by points, then net run rate, then name', () => {
+    const rows = standings.computeStandings(
+        [
+            match(1, 'India', 'Oman', { Winner: 'India' }),
+            match(2, 'Pakistan', 'UAE', { Winner: 'Pakistan' }),
+            match(3, 'Hong Kong', 'Nepal', { Status: 'scheduled' })
+        ],
+        [
+            innings(1, 'India', 'Oman', 200, 20), innings(1, 'Oman', 'India', 100, 20),
+            innings(2, 'Pakistan', 'UAE', 150, 20), innings(2, 'UAE', 'Pakistan', 140, 20)
+        ]
+    );
+
+    assert.deepEqual(rows.map(entry => entry.TeamName), ['India', 'Pakistan', 'Hong Kong', 'Nepal', 'UAE', 'Oman']);
+});
+
+test('recovers the winner of a result typed in by hand', () => {
+    assert.equal(standings.resolveWinner(match(1, 'India', 'Oman', { Result: 'India won by 5 runs' })), 'India');
+    assert.equal(standings.resolveWinner(match(1, 'India', 'Oman', { Result: 'Nepal won by 5 runs' })), null);
+});
+
+test('a table marks its top two qualified once it is complete', () => {
+    const fixtures = [
+        match(1, 'India', 'Oman', { Winner: 'India' }),
+        match(2, 'India', 'UAE', { Winner: 'India' }),
+        match(3, 'Oman', 'UAE', { Winner: 'UAE' })
+    ];
+    const [table] = standings.computeStageTables(fixtures, []);
+
+    assert.equal(table.name, 'Group A');
+    assert.equal(table.category, 'group');
+    assert.equal(table.complete, true);
+    assert.deepEqual(table.standings.map(entry => [entry.TeamName, entry.Position, entry.Qualified]), [
+        ['India', 1, true],
+        ['UAE', 2, true],
+        ['Oman', 3, false]
+    ]);
+
+    const [unfinished] = standings.computeStageTables([...fixtures.slice(0, 2), { ...fixtures[2], Status: 'scheduled' }], []);
+    assert.equal(unfinished.complete, false);
+    assert.ok(unfinished.standings.every(entry => !entry.Qualified));
+});
+
+test('a team in a next-round fixture counts as qualified', () => {
+    const tables = standings.computeStageTables([
+        match(1, 'India', 'Oman', { Winner: 'India' }),
+        match(2, 'India', 'UAE', { Status: 'scheduled' }),
+        match(3, 'Pakistan', 'Nepal', { Stage: 'Group B', Winner: 'Pakistan' }),
+        match(4, 'India', 'Pakistan', { Stage: 'Super 4', Status: 'scheduled' })
+    ], []);
+
+    assert.deepEqual(tables.map(table => [table.name, table.category]), [
+        ['Group A', 'group'], ['Group B', 'group'], ['Super 4', 'super4']
+    ]);
+    assert.equal(row(tables[0].standings, 'India').Qualified, true);
+    assert.equal(row(tables[0].standings, 'Oman').Qualified, false);
+    assert.equal(row(tables[1].standings, 'Pakistan').Qualified, true);
+});
+
+test('the bracket lists knockout rounds in date order and names the champion', () => {
+    const bracket = standings.buildBracket([
+        match(1, 'India', 'Oman', { Winner: 'India' }),
+        match(3, 'India', 'Pakistan', { Stage: 'Final', MatchDate: '2025-09-28', Result: 'India won by 5 wickets' }),
+        match(2, 'India', 'Sri Lanka', { Stage: 'Semi-final', MatchDate: '2025-09-25', Winner: 'India' })
+    ]);
+
+    assert.deepEqual(bracket.rounds.map(round => round.name), ['Semi-final', 'Final']);
+    assert.equal(bracket.rounds[1].matches[0].team2, 'Pakistan');
+    assert.equal(bracket.champion, 'India');
+
+    const undecided = standings.buildBracket([match(3, 'India', 'Pakistan', { Stage: 'Final', Status: 'scheduled' })]);
+    assert.equal(undecided.champion, null);
+});
@@ -0,0 +1,274 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const fixture = {
+    SeasonYear: 2025,
+    MatchDate: '2025-09-20',
+    Team1: 'India',
+    Team2: 'Oman',
+    Venue: 'Dubai',
+    Stage: 'Group A'
+};
+
+// Each fixture gets a day of its own, as the same pairing cannot play twice on one date
+let day = 9;
+async function createMatch(fields = {}) {
+    day++;
+    const MatchDate = `2025-09-${String(day).padStart(2, '0')}`;
+    const { status, body } = await server.request('POST', '/api/match', { key: ADMIN_KEY, body: { ...fixture, MatchDate, ...fields } });
+    assert.equal(status, 201);
+    return body.data;
+}
+
+test('writes need an API key with the right role', async () => {
+    const anonymous = await server.request('POST', '/api/match', { body: fixture });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'UNAUTHENTICATED');
+
+    const created = await server.request('POST', '/api/admin/keys', { key: ADMIN_KEY, body: { Name: 'scorer', Role: 'scorer' } });
+    assert.equal(created.status, 201);
+
+    const forbidden = await server.request('POST', '/api/match', { key: created.body.key, body: fixture });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'FORBIDDEN');
+});
+
+test('validates a new fixture against the OpenAPI document', async () => {
+    const { status, body } = await server.request('POST', '/api/match', {
+        key: ADMIN_KEY,
+        body: { Team1: 'India', Extra: true }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.equal(body.fields.Extra, 'Unknown field');
+    assert.ok(body.fields.Team2);
+});
+
+test('rejects a body that is not JSON', async () => {
+    const { status, body } = await server.request('POST', '/api/match', {
+        key: ADMIN_KEY,
+        body: '{not json',
+        headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+});
+
+test('creates, edits and deletes a fixture', async () => {
+    const match = await createMatch();
+    assert.equal(match.Status, 'scheduled');
+
+    const edited = await server.request('PATCH', `/api/match/${match.MatchID}`, { key: ADMIN_KEY, body: { Venue: 'Sharjah' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.data.Venue, 'Sharjah');
+
+    const removed = await server.request('DELETE', `/api/match/${match.MatchID}`, { key: ADMIN_KEY });
+    assert.equal(removed.status, 200);
+
+    const missing = await server.request('PATCH', `/api/match/${match.MatchID}`, { key: ADMIN_KEY, body: { Venue: 'Dubai' } });
+    assert.equal(missing.status, 404);
+});
+
+test('moving a fixture to another season plays that season\'s format', async () => {
+    const match = await createMatch();
+    assert.equal(match.OversPerInnings, 20);
+
+    const moved = await server.request('PATCH', `/api/match/${match.MatchID}`, {
+        key: ADMIN_KEY,
+        body: { SeasonYear: 2023, MatchDate: '2023-09-05', Stage: 'Super 4' }
+    });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.data.OversPerInnings, 50);
+});
+
+// Reads the event stream until an event of `type` about `matchId` arrives
+async function nextMatchEvent(type, matchId, write) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/api/stream`, { signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    await write();
+
+    let buffer = '';
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error(`The stream ended before a ${type} event`);
+            buffer += value;
+            for (const block of buffer.split('\n\n')) {
+                const lines = block.split('\n');
+                const data = lines.find(line => line.startsWith('data: '));
+                if (lines.includes(`event: ${type}`) && data) {
+                    const event = JSON.parse(data.slice('data: '.length));
+                    if (event.MatchID === matchId) return event;
+                }
+            }
+        }
+    } finally {
+        controller.abort();
+    }
+}
+
+test('match updates on the event stream carry the local start time', async () => {
+    const created = await createMatch();
+    const { body } = await server.request('PATCH', `/api/match/${created.MatchID}`, {
+        key: ADMIN_KEY,
+        body: { StartTime: `${created.MatchDate.slice(0, 10)}T18:30` }
+    });
+    const match = body.data;
+    assert.equal(match.LocalStartTime.slice(11), '18:30:00+04:00');
+
+    const event = await nextMatchEvent('match-updated', match.MatchID, () => server.request(
+        'POST', `/api/match/${match.MatchID}/result`,
+        { key: ADMIN_KEY, body: { Winner: 'India', Result: 'India won by 5 runs' } }
+    ));
+    assert.equal(event.Status, 'completed');
+    assert.equal(event.VenueTimeZone, 'Asia/Dubai');
+    assert.equal(event.LocalStartTime, match.LocalStartTime);
+});
+
+test('a result moves the standings', async () => {
+    const match = await createMatch();
+    const result = await server.request('POST', `/api/match/${match.MatchID}/result`, {
+        key: ADMIN_KEY,
+        body: { Winner: 'India', Result: 'India won by 5 runs' }
+    });
+    assert.equal(result.status, 200);
+    assert.equal(result.body.data.Status, 'completed');
+
+    const { body } = await server.request('GET', '/api/standings?season=2025');
+    const india = body.data.find(row => row.TeamName === 'India');
+    const oman = body.data.find(row => row.TeamName === 'Oman');
+    assert.ok(india.Wins >= 1);
+    assert.ok(oman.Losses >= 1);
+});
+
+test('scores an innings ball by ball', async () => {
+    const match = await createMatch();
+    const innings = await server.request('POST', `/api/match/${match.MatchID}/innings`, { key: ADMIN_KEY, body: { BattingTeam: 'India' } });
+    assert.equal(innings.status, 201);
+    assert.equal(innings.body.inningsNumber, 1);
+
+    const again = await server.request('POST', `/api/match/${match.MatchID}/innings`, { key: ADMIN_KEY, body: { BattingTeam: 'Oman' } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'CONFLICT');
+
+    const deliveries = await server.request('POST', `/api/match/${match.MatchID}/deliveries`, {
+        key: ADMIN_KEY,
+        body: {
+            deliveries: [
+                { Batter: 'Rohit Sharma', Bowler: 'Bilal Khan', BatterRuns: 4 },
+                { Batter: 'Rohit Sharma', Bowler: 'Bilal Khan', ExtraType: 'wide', ExtraRuns: 1 }
+            ]
+        }
+    });
+    assert.equal(deliveries.status, 201);
+    const card = deliveries.body.data.innings[0];
+    assert.equal(card.runs, 5);
+    assert.equal(card.legalBalls, 1);
+
+    const undone = await server.request('DELETE', `/api/match/${match.MatchID}/deliveries/last`, { key: ADMIN_KEY });
+    assert.equal(undone.status, 200);
+
+    const scorecard = await server.request('GET', `/api/match/${match.MatchID}/scorecard`);
+    assert.equal(scorecard.body.data.innings[0].runs, 4);
+});
+
+test('logs changes in the audit trail and reverts them', async () => {
+    const match = await createMatch();
+    await server.request('PATCH', `/api/match/${match.MatchID}`, { key: ADMIN_KEY, body: { Venue: 'Sharjah' } });
+
+    const trail = await server.request('GET', `/api/audit?entity=match&match=${match.MatchID}`, { key: ADMIN_KEY });
+    assert.equal(trail.status, 200);
+    const [latest] = trail.body.data;
+    assert.equal(latest.Action, 'update');
+    assert.deepEqual(latest.ChangedFields, ['Venue']);
+    assert.equal(latest.ForwardedFrom, null);
+
+    const reverted = await server.request('POST', `/api/admin/audit/${latest.AuditID}/revert`, { key: ADMIN_KEY });
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.data.Venue, 'Dubai');
+});
+
+test('a fixture restored by a revert carries on from its last Revision', async () => {
+    const match = await createMatch();
+    for (const Venue of ['Sharjah', 'Abu Dhabi']) {
+        await server.request('PATCH', `/api/match/${match.MatchID}`, { key: ADMIN_KEY, body: { Venue } });
+    }
+    await server.request('DELETE', `/api/match/${match.MatchID}`, { key: ADMIN_KEY });
+
+    const trail = await server.request('GET', `/api/audit?entity=match&match=${match.MatchID}&action=delete`, { key: ADMIN_KEY });
+    const [deletion] = trail.body.data;
+    assert.equal(deletion.BeforeData.Revision, 2);
+
+    const restored = await server.request('POST', `/api/admin/audit/${deletion.AuditID}/revert`, { key: ADMIN_KEY });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.Venue, 'Abu Dhabi');
+    assert.equal(restored.body.data.Revision, 3);
+});
+
+test('ignores a forwarding header that is not signed', async () => {
+    const match = await createMatch();
+    await server.request('PATCH', `/api/match/${match.MatchID}`, {
+        key: ADMIN_KEY,
+        body: { Venue: 'Sharjah' },
+        headers: { 'X-Forwarded-Write': 'secondary@elsewhere' }
+    });
+
+    const trail = await server.request('GET', `/api/audit?entity=match&match=${match.MatchID}`, { key: ADMIN_KEY });
+    assert.equal(trail.body.data[0].ForwardedFrom, null);
+});
+
+test('replays a write repeated with the same Idempotency-Key', async () => {
+    const match = await createMatch();
+    const send = () => server.request('PATCH', `/api/match/${match.MatchID}`, {
+        key: ADMIN_KEY,
+        body: { Venue: 'Sharjah' },
+        headers: { 'Idempotency-Key': `venue-${match.MatchID}` }
+    });
+
+    const first = await send();
+    const repeat = await send();
+    assert.equal(repeat.status, first.status);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+});
+
+test('does not replay responses that carry credentials', async () => {
+    const send = () => server.request('POST', '/api/admin/keys', {
+        key: ADMIN_KEY,
+        body: { Name: 'once', Role: 'scorer' },
+        headers: { 'Idempotency-Key': 'key-once' }
+    });
+
+    const first = await send();
+    assert.equal(first.status, 201);
+    const repeat = await send();
+    assert.equal(repeat.status, 409);
+    assert.equal(repeat.body.code, 'IDEMPOTENCY_NOT_REPLAYABLE');
+    assert.equal(repeat.body.key, undefined);
+});
+
+test('imports fixtures from CSV, with a dry run first', async () => {
+    const csv = 'SeasonYear,MatchDate,Team1,Team2,Venue\n2025,2025-09-21,Pakistan,Oman,Dubai\n';
+    const headers = { 'Content-Type': 'text/csv' };
+
+    const dryRun = await server.request('POST', '/api/admin/import/fixtures?dryRun=true', { key: ADMIN_KEY, body: csv, headers });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.valid, 1);
+
+    const imported = await server.request('POST', '/api/admin/import/fixtures', { key: ADMIN_KEY, body: csv, headers });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.imported, 1);
+
+    const { body } = await server.request('GET', '/api/export/fixtures?format=json&season=2025');
+    assert.ok(body.data.some(row => row.MatchDate === '2025-09-21' && row.Team1 === 'Pakistan'));
+});